@@ -0,0 +1,314 @@
+/**
+ * Background Removal
+ * Turns solid-background logos into transparent RGBA PNGs, either locally
+ * (flood fill or colour key) or with a Hugging Face segmentation model
+ */
+
+const DEFAULT_SEGMENTATION_MODEL = 'briaai/RMBG-1.4';
+
+const BACKGROUND_REMOVAL_METHODS = ['flood', 'color-key', 'segmentation'];
+
+class BackgroundRemover {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || null;
+        this.segmentationModel = options.segmentationModel || DEFAULT_SEGMENTATION_MODEL;
+        // Needed only for 'segmentation'; shares the generator's retry layer when given
+        this.requester = options.requester || null;
+    }
+
+    /**
+     * Remove the background of an image
+     * @param {Blob} image - Source image (any format the browser can decode)
+     * @param {Object} options - { method: 'flood' | 'color-key' | 'segmentation',
+     *                             tolerance (0-255), feather (0-255), color [r, g, b], signal }
+     * @returns {Promise<Blob>} - RGBA PNG
+     */
+    async remove(image, options = {}) {
+        const method = options.method || 'flood';
+        if (!BACKGROUND_REMOVAL_METHODS.includes(method)) {
+            throw new Error(`Unknown background removal method: ${method}`);
+        }
+
+        const imageData = await blobToImageData(image);
+        let result;
+
+        if (method === 'segmentation') {
+            const mask = await this.segment(image, options.signal);
+            result = applyAlphaMask(imageData, mask);
+        } else {
+            result = removeBackgroundByColor(imageData, {
+                mode: method === 'color-key' ? 'key' : 'flood',
+                tolerance: options.tolerance,
+                feather: options.feather,
+                color: options.color
+            });
+        }
+
+        return imageDataToPngBlob(result);
+    }
+
+    /**
+     * Foreground mask from the segmentation model (white = keep)
+     * @private
+     */
+    async segment(image, signal) {
+        if (!this.apiKey) {
+            throw new Error('AI background removal needs a HuggingFace API key');
+        }
+
+        const requester = this.requester || new HFRequestClient();
+        const response = await requester.request(`${HF_INFERENCE_BASE_URL}/${this.segmentationModel}`, {
+            method: 'POST',
+            signal,
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': image.type || 'application/octet-stream'
+            },
+            body: image
+        });
+
+        // [{ label, score, mask: base64 PNG }]; matting models return a single foreground mask
+        const segments = await response.json();
+        if (!Array.isArray(segments) || segments.length === 0) {
+            throw new Error('Segmentation model returned no masks');
+        }
+
+        const foreground = segments.length === 1
+            ? segments
+            : segments.filter(segment => !/background/i.test(segment.label || ''));
+
+        const masks = await Promise.all(foreground.map(segment => blobToImageData(base64ToBlob(segment.mask))));
+        return mergeMasks(masks);
+    }
+}
+
+/**
+ * Most common colour along the image border, as [r, g, b]
+ * @param {ImageData} imageData - { width, height, data }
+ * @returns {number[]}
+ */
+function detectBackgroundColor(imageData) {
+    const { width, height, data } = imageData;
+    const buckets = new Map();
+
+    const sample = (x, y) => {
+        const i = (y * width + x) * 4;
+        // Group similar colours (16 levels per channel) and average each group
+        const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+        const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+        bucket.count++;
+        bucket.r += data[i];
+        bucket.g += data[i + 1];
+        bucket.b += data[i + 2];
+        buckets.set(key, bucket);
+    };
+
+    for (let x = 0; x < width; x++) {
+        sample(x, 0);
+        sample(x, height - 1);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        sample(0, y);
+        sample(width - 1, y);
+    }
+
+    let best = null;
+    buckets.forEach(bucket => {
+        if (!best || bucket.count > best.count) {
+            best = bucket;
+        }
+    });
+
+    return best
+        ? [best.r, best.g, best.b].map(total => Math.round(total / best.count))
+        : [255, 255, 255];
+}
+
+/**
+ * Make background-coloured pixels transparent
+ * @param {ImageData} imageData - { width, height, data }
+ * @param {Object} options - { mode: 'flood' (only regions touching the border) | 'key' (every
+ *                             matching pixel), tolerance, feather, color [r, g, b] }
+ * @returns {Object} - New { width, height, data } with the alpha channel set
+ */
+function removeBackgroundByColor(imageData, options = {}) {
+    const { width, height } = imageData;
+    const tolerance = options.tolerance !== undefined ? options.tolerance : 32;
+    const feather = options.feather !== undefined ? options.feather : 16;
+    const color = options.color || detectBackgroundColor(imageData);
+    const data = new Uint8ClampedArray(imageData.data);
+    const limit = tolerance + feather;
+
+    const distanceAt = (pixel) => {
+        const i = pixel * 4;
+        const dr = data[i] - color[0];
+        const dg = data[i + 1] - color[1];
+        const db = data[i + 2] - color[2];
+        return Math.sqrt((dr * dr + dg * dg + db * db) / 3);
+    };
+
+    // Fully transparent within tolerance, fading in across the feather band
+    const clear = (pixel, distance) => {
+        const alpha = distance <= tolerance ? 0 : Math.round(255 * (distance - tolerance) / (feather || 1));
+        const i = pixel * 4 + 3;
+        data[i] = Math.min(data[i], alpha);
+    };
+
+    if (options.mode === 'key') {
+        for (let pixel = 0; pixel < width * height; pixel++) {
+            const distance = distanceAt(pixel);
+            if (distance < limit) {
+                clear(pixel, distance);
+            }
+        }
+        return { width, height, data };
+    }
+
+    // Flood fill from the border so matching colours inside the logo are kept
+    const visited = new Uint8Array(width * height);
+    const stack = [];
+    const push = (pixel) => {
+        if (!visited[pixel]) {
+            visited[pixel] = 1;
+            stack.push(pixel);
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        push(x);
+        push((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        push(y * width);
+        push(y * width + width - 1);
+    }
+
+    while (stack.length > 0) {
+        const pixel = stack.pop();
+        const distance = distanceAt(pixel);
+        if (distance >= limit) {
+            continue;
+        }
+
+        clear(pixel, distance);
+
+        // Only spread through solid background; feathered edge pixels stop the fill
+        if (distance > tolerance) {
+            continue;
+        }
+        const x = pixel % width;
+        if (x > 0) push(pixel - 1);
+        if (x < width - 1) push(pixel + 1);
+        if (pixel >= width) push(pixel - width);
+        if (pixel < width * (height - 1)) push(pixel + width);
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * Use a greyscale mask (white = keep) as the alpha channel
+ * @param {ImageData} imageData - Image pixels
+ * @param {ImageData} mask - Mask pixels, scaled to the image size if needed
+ * @returns {Object} - New { width, height, data }
+ */
+function applyAlphaMask(imageData, mask) {
+    const { width, height } = imageData;
+    const data = new Uint8ClampedArray(imageData.data);
+
+    for (let y = 0; y < height; y++) {
+        const maskY = Math.min(mask.height - 1, Math.floor(y * mask.height / height));
+        for (let x = 0; x < width; x++) {
+            const maskX = Math.min(mask.width - 1, Math.floor(x * mask.width / width));
+            const value = mask.data[(maskY * mask.width + maskX) * 4];
+            const i = (y * width + x) * 4 + 3;
+            data[i] = Math.min(data[i], value);
+        }
+    }
+
+    return { width, height, data };
+}
+
+// Union of several segment masks (brightest value wins)
+function mergeMasks(masks) {
+    if (masks.length === 0) {
+        throw new Error('Segmentation found no foreground');
+    }
+
+    const [first, ...rest] = masks;
+    const data = new Uint8ClampedArray(first.data);
+    rest.forEach(mask => {
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = Math.max(data[i], mask.data[i] || 0);
+        }
+    });
+    return { width: first.width, height: first.height, data };
+}
+
+function base64ToBlob(base64, type = 'image/png') {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Decode an image blob into pixels
+ * @param {Blob} blob - Image
+ * @returns {Promise<ImageData>}
+ */
+async function blobToImageData(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = createCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    if (bitmap.close) {
+        bitmap.close();
+    }
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Encode pixels as an RGBA PNG
+ * @param {Object} imageData - { width, height, data }
+ * @returns {Promise<Blob>}
+ */
+async function imageDataToPngBlob(imageData) {
+    const canvas = createCanvas(imageData.width, imageData.height);
+    canvas.getContext('2d').putImageData(
+        new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height),
+        0,
+        0
+    );
+
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type: 'image/png' });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BackgroundRemover,
+        DEFAULT_SEGMENTATION_MODEL,
+        BACKGROUND_REMOVAL_METHODS,
+        detectBackgroundColor,
+        removeBackgroundByColor,
+        applyAlphaMask
+    };
+}
@@ -0,0 +1,507 @@
+/**
+ * Batch Runner
+ * Runs a list of prompts (typed or from CSV) against several models for A/B
+ * campaigns. Cells of the prompt × model matrix are queued with a
+ * concurrency limit, back off together when the API rate-limits, and can be
+ * paused, resumed or picked up again after a reload.
+ */
+
+const BATCH_STORAGE_KEY = 'logoi_batches';
+const MAX_STORED_BATCHES = 5;
+
+// Shared cool-down after a rate limit without Retry-After: 10 s, doubling up to 2 min
+const RATE_LIMIT_BACKOFF = { initial: 10000, max: 120000 };
+
+class BatchRunner {
+    /**
+     * @param {Object} options - { generate: async (prompt, modelId, { signal, params, preset }) =>
+     *                             { imageUrl, blob?, params, prompt, task },
+     *                             history (GenerationHistory, optional), registry (optional),
+     *                             concurrency (default 2), storage (defaults to localStorage) }
+     */
+    constructor(options = {}) {
+        if (typeof options.generate !== 'function') {
+            throw new Error('BatchRunner needs a generate function');
+        }
+
+        this.generate = options.generate;
+        this.history = options.history || null;
+        this.registry = options.registry || null;
+        this.concurrency = Math.max(1, options.concurrency || 2);
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.batch = null;
+        this.state = 'idle'; // idle, running, pausing, paused, cooling, done
+        this.controller = null;
+        this.cooldownUntil = 0;
+        this.backoff = RATE_LIMIT_BACKOFF.initial;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Split pasted text or a CSV file into prompts. CSV needs a header row
+     * with a "prompt" column (and optionally "label"); otherwise every
+     * non-empty line is one prompt and lines starting with # are skipped.
+     * @param {string} text - Prompt list or CSV
+     * @returns {Object[]} - { label, prompt }
+     */
+    static parsePrompts(text) {
+        const rows = parseCsv(String(text || '').replace(/^﻿/, ''));
+        const header = rows.length > 0 ? rows[0].map(cell => cell.trim().toLowerCase()) : [];
+        const promptColumn = header.indexOf('prompt');
+
+        let prompts;
+        if (promptColumn !== -1) {
+            const labelColumn = ['label', 'variant', 'name'].map(name => header.indexOf(name)).find(index => index !== -1);
+            prompts = rows.slice(1).map(row => ({
+                label: labelColumn !== undefined ? (row[labelColumn] || '').trim() : '',
+                prompt: (row[promptColumn] || '').trim()
+            }));
+        } else {
+            prompts = String(text || '').split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#'))
+                .map(prompt => ({ label: '', prompt }));
+        }
+
+        return prompts
+            .filter(item => item.prompt)
+            .map((item, index) => ({ ...item, label: item.label || variantLabel(index) }));
+    }
+
+    /**
+     * Create (and store) a batch
+     * @param {Object} batch - { prompts: string[] | { label, prompt }[], modelIds, params, preset, name }
+     * @returns {Object} - Stored batch
+     */
+    create(batch) {
+        const prompts = (batch.prompts || [])
+            .map((item, index) => (typeof item === 'string' ? { label: variantLabel(index), prompt: item } : item))
+            .filter(item => item.prompt && item.prompt.trim());
+        if (prompts.length === 0) {
+            throw new Error('Add at least one prompt');
+        }
+        if (!batch.modelIds || batch.modelIds.length === 0) {
+            throw new Error('Select at least one model');
+        }
+        if (this.registry) {
+            this.registry.validateIds(batch.modelIds);
+        }
+
+        const now = new Date().toISOString();
+        const stored = {
+            id: `batch-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: batch.name || `Batch ${new Date(now).toLocaleString()}`,
+            createdAt: now,
+            updatedAt: now,
+            prompts: prompts.map(item => ({ label: item.label, prompt: item.prompt.trim(), sessionId: null })),
+            modelIds: [...batch.modelIds],
+            params: batch.params || {},
+            preset: batch.preset || null,
+            // Prompt-major order: the first variant finishes across all models first
+            cells: prompts.flatMap((item, row) => batch.modelIds.map(modelId => ({
+                row,
+                modelId,
+                status: 'pending', // pending, running, done, error
+                historyId: null,
+                seed: null,
+                error: null,
+                attempts: 0
+            })))
+        };
+
+        this.saveBatch(stored);
+        return stored;
+    }
+
+    /**
+     * Run (or resume) every unfinished cell of a batch
+     * @param {Object} batch - Batch from create() or loadBatch()
+     * @param {Object} options - { onCell(cell, result), onState(state) }
+     * @returns {Promise<Object>} - The batch
+     */
+    async run(batch, options = {}) {
+        if (this.state === 'running' || this.state === 'cooling' || this.state === 'pausing') {
+            throw new Error('A batch is already running');
+        }
+
+        this.batch = batch;
+        this.controller = new AbortController();
+        this.backoff = RATE_LIMIT_BACKOFF.initial;
+        const unsubscribe = this.subscribe((event, ...args) => {
+            if (event === 'cell' && options.onCell) options.onCell(...args);
+            if (event === 'state' && options.onState) options.onState(...args);
+        });
+
+        // Cells cut off by a reload or stop() start again
+        batch.cells.forEach(cell => {
+            if (cell.status === 'running') {
+                cell.status = 'pending';
+            }
+        });
+        this.setState('running');
+
+        let allowed = this.concurrency;
+        const signal = this.controller.signal;
+
+        const worker = async (slot) => {
+            while (!signal.aborted && this.state !== 'pausing' && slot < allowed) {
+                await this.waitForCooldown(signal);
+                if (signal.aborted || this.state === 'pausing') {
+                    break;
+                }
+
+                const cell = batch.cells.find(item => item.status === 'pending');
+                if (!cell) {
+                    break;
+                }
+
+                cell.status = 'running';
+                cell.attempts++;
+                this.emit('cell', cell, null);
+
+                let result = null;
+                try {
+                    result = await this.runCell(batch, cell, signal);
+                    cell.status = 'done';
+                    cell.error = null;
+                    this.backoff = RATE_LIMIT_BACKOFF.initial;
+                } catch (error) {
+                    if (error.name === 'RateLimitError') {
+                        // Everyone waits, and the rest of the batch runs one at a time
+                        cell.status = 'pending';
+                        const wait = error.retryAfter ? error.retryAfter * 1000 : this.backoff;
+                        this.backoff = Math.min(RATE_LIMIT_BACKOFF.max, this.backoff * 2);
+                        this.cooldownUntil = Math.max(this.cooldownUntil, Date.now() + wait);
+                        allowed = 1;
+                    } else if (error.name === 'CancelledError' || signal.aborted) {
+                        cell.status = 'pending';
+                    } else {
+                        cell.status = 'error';
+                        cell.error = error.message;
+                    }
+                }
+
+                this.saveBatch(batch);
+                this.emit('cell', cell, result);
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: this.concurrency }, (_, slot) => worker(slot)));
+            const finished = batch.cells.every(cell => cell.status === 'done' || cell.status === 'error');
+            this.setState(finished ? 'done' : 'paused');
+        } finally {
+            unsubscribe();
+        }
+
+        this.saveBatch(batch);
+        return batch;
+    }
+
+    /**
+     * Stop starting new cells; running cells finish (their credits are already spent)
+     */
+    pause() {
+        if (this.state === 'running' || this.state === 'cooling') {
+            this.setState('pausing');
+        }
+    }
+
+    /**
+     * Abort running cells too; they are retried on resume
+     */
+    stop() {
+        if (this.controller) {
+            this.controller.abort(typeof CancelledError !== 'undefined' ? new CancelledError('Batch stopped') : undefined);
+        }
+    }
+
+    /**
+     * Put failed cells back in the queue
+     * @param {Object} batch - Batch
+     * @returns {number} - Cells queued again
+     */
+    retryFailed(batch) {
+        let count = 0;
+        batch.cells.forEach(cell => {
+            if (cell.status === 'error') {
+                cell.status = 'pending';
+                cell.error = null;
+                count++;
+            }
+        });
+        this.saveBatch(batch);
+        return count;
+    }
+
+    /**
+     * Progress counts
+     * @param {Object} batch - Batch
+     * @returns {Object} - { total, done, failed, pending, running }
+     */
+    progress(batch) {
+        const count = status => batch.cells.filter(cell => cell.status === status).length;
+        return {
+            total: batch.cells.length,
+            done: count('done'),
+            failed: count('error'),
+            pending: count('pending'),
+            running: count('running')
+        };
+    }
+
+    /**
+     * The batch as a prompt × model matrix
+     * @param {Object} batch - Batch
+     * @returns {Object} - { rows: [{ label, prompt }], columns: [{ id, name }], cells: cell[][] }
+     */
+    toMatrix(batch) {
+        return {
+            rows: batch.prompts.map(({ label, prompt }) => ({ label, prompt })),
+            columns: batch.modelIds.map(id => {
+                const model = this.registry && this.registry.has(id) ? this.registry.get(id) : null;
+                return { id, name: model ? model.name : id };
+            }),
+            cells: batch.prompts.map((prompt, row) => batch.modelIds.map(modelId => (
+                batch.cells.find(cell => cell.row === row && cell.modelId === modelId)
+            )))
+        };
+    }
+
+    /**
+     * One line per cell, for spreadsheets
+     * @param {Object} batch - Batch
+     * @returns {string} - CSV text
+     */
+    toCsv(batch) {
+        const matrix = this.toMatrix(batch);
+        const lines = [['label', 'prompt', 'model_id', 'model', 'status', 'seed', 'history_id', 'error']];
+        matrix.rows.forEach((row, rowIndex) => {
+            matrix.columns.forEach((column, columnIndex) => {
+                const cell = matrix.cells[rowIndex][columnIndex];
+                lines.push([row.label, row.prompt, column.id, column.name, cell.status,
+                    cell.seed !== null ? cell.seed : '', cell.historyId || '', cell.error || '']);
+            });
+        });
+        return lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Stored batches, newest first
+     * @returns {Object[]}
+     */
+    listBatches() {
+        return this.loadBatches().sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * @param {string} id - Batch ID
+     * @returns {Object|null}
+     */
+    loadBatch(id) {
+        return this.loadBatches().find(batch => batch.id === id) || null;
+    }
+
+    /**
+     * Forget a stored batch (its images stay in the history)
+     * @param {string} id - Batch ID
+     */
+    deleteBatch(id) {
+        this.writeBatches(this.loadBatches().filter(batch => batch.id !== id));
+    }
+
+    /**
+     * Listen for 'cell' (cell, result) and 'state' (state) events
+     * @param {Function} listener - (event, ...args) => void
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Generate one cell and file it in the history
+     * @private
+     */
+    async runCell(batch, cell, signal) {
+        const item = batch.prompts[cell.row];
+        const result = await this.generate(item.prompt, cell.modelId, {
+            signal,
+            params: batch.params,
+            preset: batch.preset
+        });
+
+        cell.seed = result.params && result.params.seed !== undefined ? result.params.seed : null;
+
+        if (this.history) {
+            try {
+                // One history session per prompt, shared by all models
+                if (!item.sessionId) {
+                    const session = await this.history.createSession({ prompt: item.prompt, models: batch.modelIds });
+                    item.sessionId = session.id;
+                }
+                const model = this.registry && this.registry.has(cell.modelId) ? this.registry.get(cell.modelId) : null;
+                const record = await this.history.addImage({
+                    sessionId: item.sessionId,
+                    blob: result.blob || await fetch(result.imageUrl).then(r => r.blob()),
+                    prompt: item.prompt,
+                    enhancedPrompt: result.prompt || null,
+                    modelId: cell.modelId,
+                    model: model ? model.name : cell.modelId,
+                    modelIcon: model ? model.icon : null,
+                    provider: result.provider || null,
+                    preset: batch.preset,
+                    params: result.params,
+                    seed: cell.seed,
+                    task: result.task
+                });
+                cell.historyId = record.id;
+            } catch (error) {
+                console.warn('Batch result not saved to history:', error);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    async waitForCooldown(signal) {
+        while (Date.now() < this.cooldownUntil && !signal.aborted && this.state !== 'pausing') {
+            this.setState('cooling');
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000, this.cooldownUntil - Date.now())));
+        }
+        if (this.state === 'cooling') {
+            this.setState('running');
+        }
+    }
+
+    /**
+     * @private
+     */
+    setState(state) {
+        if (this.state !== state) {
+            this.state = state;
+            this.emit('state', state);
+        }
+    }
+
+    /**
+     * @private
+     */
+    emit(event, ...args) {
+        this.listeners.forEach(listener => listener(event, ...args));
+    }
+
+    /**
+     * @private
+     */
+    saveBatch(batch) {
+        batch.updatedAt = new Date().toISOString();
+        const batches = this.loadBatches().filter(item => item.id !== batch.id);
+        batches.push(batch);
+        // Keep the most recent batches only; their images remain in the history
+        batches.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        this.writeBatches(batches.slice(0, MAX_STORED_BATCHES));
+    }
+
+    /**
+     * @private
+     */
+    loadBatches() {
+        if (!this.storage) {
+            return [];
+        }
+
+        try {
+            return JSON.parse(this.storage.getItem(BATCH_STORAGE_KEY)) || [];
+        } catch (error) {
+            console.error('Failed to load batches:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @private
+     */
+    writeBatches(batches) {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(BATCH_STORAGE_KEY, JSON.stringify(batches));
+            return true;
+        } catch (error) {
+            console.error('Failed to store batches:', error);
+            return false;
+        }
+    }
+}
+
+// A, B, ..., Z, AA, AB, ...
+function variantLabel(index) {
+    let label = '';
+    let n = index;
+    do {
+        label = String.fromCharCode(65 + (n % 26)) + label;
+        n = Math.floor(n / 26) - 1;
+    } while (n >= 0);
+    return label;
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BatchRunner, RATE_LIMIT_BACKOFF };
+}
@@ -0,0 +1,351 @@
+/**
+ * Brand Kit
+ * Turns a chosen logo into the files a firm needs: favicons and an .ico,
+ * Apple touch and web manifest icons, social banners with safe-area padding,
+ * print sizes, and light and dark variants, packed into one ZIP
+ */
+
+const BRAND_KIT_DEFAULTS = {
+    name: 'logo',
+    lightBackground: '#ffffff',
+    darkBackground: '#111827',
+    removeBackground: true, // flood-fill the background first (background-removal.js)
+    tolerance: 32
+};
+
+// Square icons. padding is the share of the edge left empty on each side;
+// opaque icons get the light background (iOS and maskable icons must not be transparent).
+const BRAND_KIT_ICONS = [
+    { name: 'favicon-16x16.png', size: 16, padding: 0 },
+    { name: 'favicon-32x32.png', size: 32, padding: 0 },
+    { name: 'favicon-48x48.png', size: 48, padding: 0 },
+    { name: 'apple-touch-icon.png', size: 180, padding: 0.12, opaque: true },
+    { name: 'icons/icon-192x192.png', size: 192, padding: 0.05, manifest: 'any' },
+    { name: 'icons/icon-512x512.png', size: 512, padding: 0.05, manifest: 'any' },
+    // Maskable icons are cropped to a circle of 80% of the edge; a square logo fits inside at ~57%
+    { name: 'icons/icon-maskable-512x512.png', size: 512, padding: 0.22, opaque: true, manifest: 'maskable' }
+];
+
+const BRAND_KIT_ICO_SIZES = [16, 32, 48];
+
+// Banners: the logo is fitted inside the safe area (fractions of width/height
+// kept clear), away from where profile photos and buttons overlap
+const BRAND_KIT_BANNERS = [
+    { name: 'social/linkedin-banner-1584x396.png', width: 1584, height: 396, safe: { top: 0.2, right: 0.06, bottom: 0.2, left: 0.3 } },
+    { name: 'social/linkedin-logo-400x400.png', width: 400, height: 400, safe: { top: 0.1, right: 0.1, bottom: 0.1, left: 0.1 } },
+    { name: 'social/x-header-1500x500.png', width: 1500, height: 500, safe: { top: 0.2, right: 0.08, bottom: 0.25, left: 0.25 } },
+    { name: 'social/open-graph-1200x630.png', width: 1200, height: 630, safe: { top: 0.15, right: 0.1, bottom: 0.15, left: 0.1 } }
+];
+
+// Widths for letterhead and print; height follows the logo
+const BRAND_KIT_PRINT_WIDTHS = [600, 1200, 2400];
+
+class BrandKit {
+    constructor(options = {}) {
+        this.options = { ...BRAND_KIT_DEFAULTS, ...options };
+    }
+
+    /**
+     * Build the brand kit ZIP
+     * @param {Blob} image - Chosen logo (any format the browser can decode)
+     * @param {Object} options - { name, lightBackground, darkBackground, removeBackground, tolerance,
+     *                            provenance (record embedded in every PNG but the favicons, see provenance.js) }
+     * @returns {Promise<Object>} - { zip: Blob, files: [{ name, width, height, size }], preview: { light, dark } Blobs }
+     */
+    async build(image, options = {}) {
+        const settings = { ...this.options, ...options };
+        const slug = slugify(settings.name) || 'logo';
+
+        let pixels = await blobToImageData(image);
+        if (settings.removeBackground) {
+            pixels = removeBackgroundByColor(pixels, { mode: 'flood', tolerance: settings.tolerance });
+        }
+
+        // Crop to the logo itself so every asset gets the same padding
+        const logo = imageDataToCanvas(trimTransparent(pixels));
+        const darkLogo = imageDataToCanvas(darkVariant(trimTransparent(pixels)));
+
+        const files = [];
+        const add = async (name, canvas) => {
+            let blob = await canvasToPng(canvas);
+            if (settings.provenance && !name.startsWith('favicon')) {
+                blob = await withProvenance(blob, { ...settings.provenance, edit: 'brand kit' });
+            }
+            files.push({ name, width: canvas.width, height: canvas.height, blob });
+            return blob;
+        };
+
+        for (const icon of BRAND_KIT_ICONS) {
+            await add(icon.name, drawFitted(logo, icon.size, icon.size, {
+                padding: icon.padding,
+                background: icon.opaque ? settings.lightBackground : null
+            }));
+        }
+
+        const icoImages = await Promise.all(BRAND_KIT_ICO_SIZES.map(async size => ({
+            size,
+            png: new Uint8Array(await (await canvasToPng(drawFitted(logo, size, size, { padding: 0 }))).arrayBuffer())
+        })));
+        files.push({ name: 'favicon.ico', width: 48, height: 48, blob: new Blob([createIco(icoImages)], { type: 'image/x-icon' }) });
+
+        for (const banner of BRAND_KIT_BANNERS) {
+            await add(banner.name, drawFitted(logo, banner.width, banner.height, {
+                safe: banner.safe,
+                background: settings.lightBackground
+            }));
+        }
+
+        for (const width of BRAND_KIT_PRINT_WIDTHS) {
+            const height = Math.max(1, Math.round(width * logo.height / logo.width));
+            await add(`print/${slug}-${width}w.png`, drawFitted(logo, width, height, { padding: 0 }));
+        }
+
+        const light = await add(`variants/${slug}-light.png`, drawFitted(logo, 1024, 1024, { padding: 0.1, background: settings.lightBackground }));
+        const dark = await add(`variants/${slug}-dark.png`, drawFitted(darkLogo, 1024, 1024, { padding: 0.1, background: settings.darkBackground }));
+        await add(`variants/${slug}-transparent.png`, drawFitted(logo, 1024, 1024, { padding: 0.05 }));
+        await add(`variants/${slug}-dark-transparent.png`, drawFitted(darkLogo, 1024, 1024, { padding: 0.05 }));
+
+        const manifest = {
+            name: settings.name,
+            short_name: settings.name,
+            icons: BRAND_KIT_ICONS.filter(icon => icon.manifest).map(icon => ({
+                src: `/${icon.name}`,
+                sizes: `${icon.size}x${icon.size}`,
+                type: 'image/png',
+                purpose: icon.manifest
+            })),
+            theme_color: settings.lightBackground,
+            background_color: settings.lightBackground,
+            display: 'standalone'
+        };
+        files.push({ name: 'site.webmanifest', blob: new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/manifest+json' }) });
+        files.push({ name: 'head-snippet.html', blob: new Blob([headSnippet()], { type: 'text/html' }) });
+
+        const zip = await createZip(files.map(file => ({ name: `${slug}-brand-kit/${file.name}`, data: file.blob })));
+        return {
+            zip,
+            files: files.map(({ name, width, height, blob }) => ({ name, width, height, size: blob.size })),
+            preview: { light, dark }
+        };
+    }
+}
+
+/**
+ * Crop away fully transparent borders
+ * @param {Object} imageData - { width, height, data }
+ * @returns {Object} - Cropped { width, height, data } (unchanged if nothing is transparent)
+ */
+function trimTransparent(imageData) {
+    const { width, height, data } = imageData;
+    let top = height, left = width, right = -1, bottom = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] > 8) {
+                if (x < left) left = x;
+                if (x > right) right = x;
+                if (y < top) top = y;
+                if (y > bottom) bottom = y;
+            }
+        }
+    }
+
+    if (right < 0) {
+        return imageData;
+    }
+
+    const cropWidth = right - left + 1;
+    const cropHeight = bottom - top + 1;
+    const cropped = new Uint8ClampedArray(cropWidth * cropHeight * 4);
+    for (let y = 0; y < cropHeight; y++) {
+        const start = ((top + y) * width + left) * 4;
+        cropped.set(data.subarray(start, start + cropWidth * 4), y * cropWidth * 4);
+    }
+    return { width: cropWidth, height: cropHeight, data: cropped };
+}
+
+/**
+ * Dark-background variant: neutral and near-black colours swap lightness so
+ * dark ink turns light; brand colours are kept
+ * @param {Object} imageData - { width, height, data }
+ * @returns {Object} - New { width, height, data }
+ */
+function darkVariant(imageData) {
+    const data = new Uint8ClampedArray(imageData.data);
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+
+        const max = Math.max(data[i], data[i + 1], data[i + 2]);
+        const min = Math.min(data[i], data[i + 1], data[i + 2]);
+        const saturation = max === 0 ? 0 : (max - min) / max;
+        if (saturation < 0.2 || max < 48) {
+            // Invert lightness, keep the slight tint
+            const shift = 255 - max - min;
+            data[i] = data[i] + shift;
+            data[i + 1] = data[i + 1] + shift;
+            data[i + 2] = data[i + 2] + shift;
+        }
+    }
+    return { width: imageData.width, height: imageData.height, data };
+}
+
+// Draw the logo centred inside a box, keeping its aspect ratio
+function drawFitted(source, width, height, options = {}) {
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    if (options.background) {
+        ctx.fillStyle = options.background;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    const padding = options.padding || 0;
+    const safe = options.safe || { top: padding, right: padding, bottom: padding, left: padding };
+    const boxX = width * safe.left;
+    const boxY = height * safe.top;
+    const boxWidth = width * (1 - safe.left - safe.right);
+    const boxHeight = height * (1 - safe.top - safe.bottom);
+
+    const scale = Math.min(boxWidth / source.width, boxHeight / source.height);
+    const drawWidth = source.width * scale;
+    const drawHeight = source.height * scale;
+    ctx.drawImage(source, boxX + (boxWidth - drawWidth) / 2, boxY + (boxHeight - drawHeight) / 2, drawWidth, drawHeight);
+    return canvas;
+}
+
+function imageDataToCanvas(imageData) {
+    const canvas = createCanvas(imageData.width, imageData.height);
+    canvas.getContext('2d').putImageData(
+        new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height),
+        0,
+        0
+    );
+    return canvas;
+}
+
+function canvasToPng(canvas) {
+    return imageDataToPngBlob(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+}
+
+function slugify(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function headSnippet() {
+    return [
+        '<link rel="icon" href="/favicon.ico" sizes="48x48">',
+        '<link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">',
+        '<link rel="icon" type="image/png" sizes="16x16" href="/favicon-16x16.png">',
+        '<link rel="apple-touch-icon" href="/apple-touch-icon.png">',
+        '<link rel="manifest" href="/site.webmanifest">',
+        '<meta property="og:image" content="/social/open-graph-1200x630.png">',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Build an .ico holding PNG images (supported by every current browser and Windows Vista+)
+ * @param {Object[]} images - { size, png: Uint8Array }
+ * @returns {Uint8Array}
+ */
+function createIco(images) {
+    const headerSize = 6 + images.length * 16;
+    const total = headerSize + images.reduce((sum, image) => sum + image.png.length, 0);
+    const bytes = new Uint8Array(total);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint16(0, 0, true);  // reserved
+    view.setUint16(2, 1, true);  // type: icon
+    view.setUint16(4, images.length, true);
+
+    let offset = headerSize;
+    images.forEach((image, index) => {
+        const entry = 6 + index * 16;
+        bytes[entry] = image.size >= 256 ? 0 : image.size;
+        bytes[entry + 1] = image.size >= 256 ? 0 : image.size;
+        view.setUint16(entry + 4, 1, true);   // colour planes
+        view.setUint16(entry + 6, 32, true);  // bits per pixel
+        view.setUint32(entry + 8, image.png.length, true);
+        view.setUint32(entry + 12, offset, true);
+        bytes.set(image.png, offset);
+        offset += image.png.length;
+    });
+
+    return bytes;
+}
+
+/**
+ * Minimal ZIP writer (stored entries; PNGs are already compressed)
+ * @param {Object[]} files - { name, data: Blob | Uint8Array | string }
+ * @returns {Promise<Blob>}
+ */
+async function createZip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+    const { time, date } = dosDateTime(new Date());
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string'
+            ? encoder.encode(file.data)
+            : file.data instanceof Uint8Array ? file.data : new Uint8Array(await file.data.arrayBuffer());
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);       // version needed
+        local.setUint16(6, 0x0800, true);   // UTF-8 names
+        local.setUint16(8, 0, true);        // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);       // version made by
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);  // local header offset
+
+        chunks.push(new Uint8Array(local.buffer), name, data);
+        central.push(new Uint8Array(entry.buffer), name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+function dosDateTime(now) {
+    return {
+        time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+        date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BrandKit, createZip, createIco, trimTransparent, darkVariant };
+}
@@ -0,0 +1,462 @@
+/**
+ * Contact Sheet
+ * Lays out generation results side by side for client review, with a header
+ * (prompt and date) and a label per cell (model and parameters). Exports a
+ * single PNG or a multi-page PDF. Batch runs get a prompt × model matrix.
+ */
+
+// columns and rows per page for a number of results
+const CONTACT_SHEET_LAYOUTS = {
+    grid: {
+        label: 'Grid',
+        arrange: (count) => {
+            const columns = Math.min(4, Math.max(1, Math.ceil(Math.sqrt(count))));
+            return { columns, rowsPerPage: columns };
+        }
+    },
+    row: {
+        label: 'Row',
+        arrange: (count) => ({ columns: Math.max(1, Math.min(count, 4)), rowsPerPage: 1 })
+    },
+    '2x2': {
+        label: '2×2',
+        arrange: () => ({ columns: 2, rowsPerPage: 2 })
+    }
+};
+
+const CONTACT_SHEET_DEFAULTS = {
+    layout: 'grid',
+    title: 'Logo Comparison',
+    cellSize: 384,
+    padding: 32,
+    gap: 16,
+    labelHeight: 56,
+    background: '#ffffff',
+    font: 'system-ui, -apple-system, sans-serif'
+};
+
+// PDF pages are drawn at 144 dpi (2 pixels per point)
+const PDF_PIXELS_PER_POINT = 2;
+
+class ContactSheet {
+    constructor(options = {}) {
+        this.options = { ...CONTACT_SHEET_DEFAULTS, ...options };
+    }
+
+    /**
+     * Draw the sheet
+     * @param {Object[]} results - Gallery images ({ src, model, params }) or API results
+     *                             ({ success, imageUrl, model, error }); failures get a labelled cell
+     * @param {Object} options - { prompt, date, layout, title, singlePage (all rows on one canvas) }
+     * @returns {Promise<HTMLCanvasElement[]>} - One canvas per page
+     */
+    async renderPages(results, options = {}) {
+        const settings = { ...this.options, ...options };
+        const layout = CONTACT_SHEET_LAYOUTS[settings.layout];
+        if (!layout) {
+            throw new Error(`Unknown contact sheet layout: ${settings.layout}`);
+        }
+
+        const items = results.map(normalizeSheetItem);
+        if (items.length === 0) {
+            throw new Error('Nothing to put on the contact sheet');
+        }
+
+        // Load every image before drawing; a failed load becomes a failed cell
+        const images = await Promise.all(items.map(item => (item.src ? loadSheetImage(item.src) : null)));
+        images.forEach((image, index) => {
+            if (items[index].src && !image) {
+                items[index] = { ...items[index], failed: true, error: items[index].error || 'Image could not be loaded' };
+            }
+        });
+
+        let { columns, rowsPerPage } = layout.arrange(items.length);
+        if (settings.singlePage) {
+            if (settings.layout === 'row') {
+                columns = items.length;
+            }
+            rowsPerPage = Math.ceil(items.length / columns);
+        }
+
+        const perPage = columns * rowsPerPage;
+        const pageCount = Math.ceil(items.length / perPage);
+        const pages = [];
+
+        for (let page = 0; page < pageCount; page++) {
+            const start = page * perPage;
+            pages.push(this.drawPage(
+                items.slice(start, start + perPage),
+                images.slice(start, start + perPage),
+                { ...settings, columns, rows: Math.ceil(Math.min(perPage, items.length - start) / columns), page, pageCount, total: items.length }
+            ));
+        }
+        return pages;
+    }
+
+    /**
+     * Render into an existing canvas (one page holding every result)
+     * @param {Object[]} results - See renderPages()
+     * @param {HTMLCanvasElement} canvas - Target canvas; resized to fit
+     * @param {Object} options - See renderPages()
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async renderTo(results, canvas, options = {}) {
+        const [page] = await this.renderPages(results, { ...options, singlePage: true });
+        canvas.width = page.width;
+        canvas.height = page.height;
+        canvas.getContext('2d').drawImage(page, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Export as one PNG with every result
+     * @param {Object[]} results - See renderPages()
+     * @param {Object} options - See renderPages()
+     * @returns {Promise<Blob>}
+     */
+    async toPng(results, options = {}) {
+        const [page] = await this.renderPages(results, { ...options, singlePage: true });
+        return canvasToBlob(page, 'image/png');
+    }
+
+    /**
+     * Export as a PDF, one page per layout page
+     * @param {Object[]} results - See renderPages()
+     * @param {Object} options - See renderPages()
+     * @returns {Promise<Blob>}
+     */
+    async toPdf(results, options = {}) {
+        const pages = await this.renderPages(results, { ...options, singlePage: false });
+        const jpegs = await Promise.all(pages.map(async page => ({
+            jpeg: new Uint8Array(await (await canvasToBlob(page, 'image/jpeg', 0.92)).arrayBuffer()),
+            width: page.width,
+            height: page.height
+        })));
+        return new Blob([createPdf(jpegs, { title: options.title || this.options.title })], { type: 'application/pdf' });
+    }
+
+    /**
+     * Draw a prompt × model matrix (batch results) on one canvas
+     * @param {Object} matrix - { rows: [{ label, prompt }], columns: [{ name }],
+     *                            cells: results[row][column] (see renderPages(); pending: true for not yet run) }
+     * @param {Object} options - { title, date }
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async renderMatrix(matrix, options = {}) {
+        const settings = { ...this.options, cellSize: 256, ...options };
+        const { cellSize, padding, gap, labelHeight, font } = settings;
+        if (matrix.rows.length === 0 || matrix.columns.length === 0) {
+            throw new Error('Nothing to put on the contact sheet');
+        }
+
+        const items = matrix.cells.map(row => row.map(cell => ({
+            ...normalizeSheetItem(cell),
+            pending: Boolean(cell.pending)
+        })));
+        const images = await Promise.all(items.map(row => Promise.all(
+            row.map(item => (item.src ? loadSheetImage(item.src) : null))
+        )));
+
+        const headerHeight = 80;
+        const columnHeader = 32;
+        const rowHeader = 220;
+        const columns = matrix.columns.length;
+        const rows = matrix.rows.length;
+        const width = padding * 2 + rowHeader + columns * (cellSize + gap);
+        const height = padding * 2 + headerHeight + columnHeader + rows * (cellSize + labelHeight + gap);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = settings.background;
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#111827';
+        ctx.font = `bold 24px ${font}`;
+        ctx.fillText(settings.title, padding, padding);
+        ctx.font = `13px ${font}`;
+        ctx.fillStyle = '#6b7280';
+        const date = settings.date ? new Date(settings.date) : new Date();
+        ctx.fillText(`${date.toLocaleString()} • ${rows} prompt${rows === 1 ? '' : 's'} × ${columns} model${columns === 1 ? '' : 's'}`, padding, padding + 36);
+
+        const top = padding + headerHeight;
+        const left = padding + rowHeader;
+
+        ctx.font = `bold 14px ${font}`;
+        ctx.fillStyle = '#111827';
+        matrix.columns.forEach((column, index) => {
+            ctx.fillText(truncateText(ctx, column.name, cellSize - 8), left + index * (cellSize + gap), top + 8);
+        });
+
+        matrix.rows.forEach((row, rowIndex) => {
+            const y = top + columnHeader + rowIndex * (cellSize + labelHeight + gap);
+            ctx.textAlign = 'left';
+            ctx.fillStyle = '#111827';
+            ctx.font = `bold 18px ${font}`;
+            ctx.fillText(truncateText(ctx, row.label, rowHeader - 24), padding, y);
+            ctx.fillStyle = '#374151';
+            ctx.font = `13px ${font}`;
+            wrapText(ctx, row.prompt, rowHeader - 24, 12)
+                .forEach((line, index) => ctx.fillText(line, padding, y + 28 + index * 18));
+
+            items[rowIndex].forEach((item, columnIndex) => {
+                drawSheetCell(ctx, item, images[rowIndex][columnIndex], left + columnIndex * (cellSize + gap), y, settings);
+            });
+        });
+
+        return canvas;
+    }
+
+    /**
+     * Export a prompt × model matrix as one PNG
+     * @param {Object} matrix - See renderMatrix()
+     * @param {Object} options - See renderMatrix()
+     * @returns {Promise<Blob>}
+     */
+    async matrixToPng(matrix, options = {}) {
+        return canvasToBlob(await this.renderMatrix(matrix, options), 'image/png');
+    }
+
+    /**
+     * @private
+     */
+    drawPage(items, images, settings) {
+        const { columns, rows, cellSize, padding, gap, labelHeight, font } = settings;
+        const headerHeight = 120;
+        const footerHeight = settings.pageCount > 1 ? 32 : 0;
+        const width = padding * 2 + columns * cellSize + (columns - 1) * gap;
+        const height = padding * 2 + headerHeight + rows * (cellSize + labelHeight) + (rows - 1) * gap + footerHeight;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = settings.background;
+        ctx.fillRect(0, 0, width, height);
+
+        // Header: title, prompt (up to three lines) and date
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#111827';
+        ctx.font = `bold 24px ${font}`;
+        ctx.fillText(settings.title, padding, padding);
+
+        ctx.font = `16px ${font}`;
+        ctx.fillStyle = '#374151';
+        wrapText(ctx, settings.prompt ? `“${settings.prompt}”` : '', width - padding * 2, 3)
+            .forEach((line, index) => ctx.fillText(line, padding, padding + 36 + index * 20));
+
+        ctx.font = `13px ${font}`;
+        ctx.fillStyle = '#6b7280';
+        const date = settings.date ? new Date(settings.date) : new Date();
+        ctx.fillText(`${date.toLocaleString()} • ${settings.total} result${settings.total === 1 ? '' : 's'}`, padding, padding + 100);
+
+        items.forEach((item, index) => {
+            const x = padding + (index % columns) * (cellSize + gap);
+            const y = padding + headerHeight + Math.floor(index / columns) * (cellSize + labelHeight + gap);
+            drawSheetCell(ctx, item, images[index], x, y, settings);
+        });
+
+        if (footerHeight) {
+            ctx.font = `12px ${font}`;
+            ctx.fillStyle = '#9ca3af';
+            ctx.textAlign = 'center';
+            ctx.fillText(`Page ${settings.page + 1} of ${settings.pageCount}`, width / 2, height - padding - 16);
+        }
+
+        return canvas;
+    }
+}
+
+function drawSheetCell(ctx, item, image, x, y, settings) {
+    const { cellSize, labelHeight, font } = settings;
+
+    ctx.fillStyle = '#f3f4f6';
+    ctx.fillRect(x, y, cellSize, cellSize);
+
+    if (item.failed || !image) {
+        ctx.font = `bold 16px ${font}`;
+        ctx.textAlign = 'center';
+        ctx.fillStyle = item.pending ? '#6b7280' : '#b91c1c';
+        ctx.fillText(item.pending ? 'Not generated yet' : 'Generation failed', x + cellSize / 2, y + cellSize / 2 - 20);
+        ctx.font = `13px ${font}`;
+        ctx.fillStyle = '#6b7280';
+        wrapText(ctx, item.error || (item.pending ? '' : 'No image'), cellSize - 32, 3)
+            .forEach((line, index) => ctx.fillText(line, x + cellSize / 2, y + cellSize / 2 + 4 + index * 18));
+    } else {
+        // Fit the whole logo inside the cell
+        const scale = Math.min(cellSize / image.width, cellSize / image.height);
+        const drawWidth = image.width * scale;
+        const drawHeight = image.height * scale;
+        ctx.drawImage(image, x + (cellSize - drawWidth) / 2, y + (cellSize - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    ctx.strokeStyle = '#e5e7eb';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, y + 0.5, cellSize - 1, cellSize + labelHeight - 1);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#111827';
+    ctx.font = `bold 14px ${font}`;
+    ctx.fillText(truncateText(ctx, item.model || 'Unknown model', cellSize - 16), x + 8, y + cellSize + 8);
+    ctx.fillStyle = '#6b7280';
+    ctx.font = `12px ${font}`;
+    ctx.fillText(truncateText(ctx, describeSheetParams(item.params), cellSize - 16), x + 8, y + cellSize + 30);
+}
+
+// Accept gallery images and raw API results
+function normalizeSheetItem(result) {
+    const failed = result.success === false || Boolean(result.error && !result.src && !result.imageUrl);
+    return {
+        src: failed ? null : (result.src || result.imageUrl || null),
+        model: result.model || result.modelName || result.modelId,
+        params: { ...(result.params || {}), ...(result.seed !== undefined && result.seed !== null ? { seed: result.seed } : {}) },
+        failed,
+        error: result.error || null
+    };
+}
+
+function describeSheetParams(params = {}) {
+    return [
+        params.width && params.height && `${params.width}×${params.height}`,
+        params.num_inference_steps !== undefined && `${params.num_inference_steps} steps`,
+        params.guidance_scale !== undefined && `guidance ${params.guidance_scale}`,
+        params.strength !== undefined && `strength ${params.strength}`,
+        params.seed !== undefined && `seed ${params.seed}`
+    ].filter(Boolean).join(' • ') || 'Default settings';
+}
+
+function loadSheetImage(src) {
+    return new Promise(resolve => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous'; // keeps the canvas exportable for remote URLs
+        image.onload = () => resolve(image);
+        image.onerror = () => resolve(null);
+        image.src = src;
+    });
+}
+
+function wrapText(ctx, text, maxWidth, maxLines) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width > maxWidth && line) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) {
+        lines.push(line);
+    }
+
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] = truncateText(ctx, `${kept[maxLines - 1]} ${lines[maxLines]}`, maxWidth, true);
+        return kept;
+    }
+    return lines;
+}
+
+function truncateText(ctx, text, maxWidth, forceEllipsis = false) {
+    if (!forceEllipsis && ctx.measureText(text).width <= maxWidth) {
+        return text;
+    }
+    let truncated = text;
+    while (truncated.length > 1 && ctx.measureText(`${truncated}…`).width > maxWidth) {
+        truncated = truncated.slice(0, -1);
+    }
+    return `${truncated.trimEnd()}…`;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Contact sheet export failed'))), type, quality);
+    });
+}
+
+/**
+ * Minimal PDF writer: one full-page JPEG per page
+ * @param {Object[]} pages - { jpeg: Uint8Array, width, height } (pixels)
+ * @param {Object} options - { title }
+ * @returns {Uint8Array}
+ */
+function createPdf(pages, options = {}) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const object = (id, body, stream) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    // 1 catalog, 2 page tree, 3 info, then page / content / image per page
+    const pageIds = pages.map((page, index) => 4 + index * 3);
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    object(3, `<< /Title ${pdfTextString(options.title || 'Contact Sheet')} /Producer (Logo Generator) >>`);
+
+    pages.forEach((page, index) => {
+        const id = pageIds[index];
+        const width = (page.width / PDF_PIXELS_PER_POINT).toFixed(2);
+        const height = (page.height / PDF_PIXELS_PER_POINT).toFixed(2);
+        const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+        object(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+            `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`);
+        object(id + 1, `<< /Length ${content.length} >>`, encoder.encode(content));
+        object(id + 2, `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`, page.jpeg);
+    });
+
+    const objectCount = 4 + pages.length * 3;
+    const xref = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let id = 1; id < objectCount; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const pdf = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+        pdf.set(chunk, position);
+        position += chunk.length;
+    });
+    return pdf;
+}
+
+// UTF-16BE hex string so titles with any characters survive
+function pdfTextString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return `<${hex}>`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContactSheet, CONTACT_SHEET_LAYOUTS, createPdf };
+}
@@ -0,0 +1,258 @@
+/**
+ * Gallery
+ * Gallery entries and the save/share path, kept out of the React app so they
+ * can run (and be tested) without a page. The share sheet, the document used
+ * for downloads and URL handling can all be passed in.
+ */
+
+// Empty fields fall back to the model's defaults from the registry
+const DEFAULT_ADVANCED_SETTINGS = {
+    num_inference_steps: '',
+    guidance_scale: '',
+    width: '',
+    height: '',
+    negative_prompt: '',
+    seedMode: 'random', // random, fixed
+    seed: ''
+};
+
+/**
+ * Turn the advanced-settings form into generateWithModel() params
+ * @param {Object} settings - Form values (see DEFAULT_ADVANCED_SETTINGS)
+ * @returns {Object} - Only the fields that were filled in
+ */
+function buildGenerationParams(settings) {
+    const params = {};
+    ['num_inference_steps', 'guidance_scale', 'width', 'height'].forEach(key => {
+        if (settings[key] !== '') {
+            params[key] = Number(settings[key]);
+        }
+    });
+    if (settings.negative_prompt.trim()) {
+        params.negative_prompt = settings.negative_prompt.trim();
+    }
+    if (settings.seedMode === 'fixed' && settings.seed !== '') {
+        params.seed = Number(settings.seed);
+    }
+    return params;
+}
+
+/**
+ * One-line summary of the parameters an image was generated with
+ * @param {Object} params - Generation params
+ * @returns {string}
+ */
+function describeParams(params) {
+    return [
+        params.seed !== undefined && `Seed ${params.seed}`,
+        params.num_inference_steps !== undefined && `${params.num_inference_steps} steps`,
+        params.guidance_scale !== undefined && `guidance ${params.guidance_scale}`,
+        params.width && params.height && `${params.width}×${params.height}`
+    ].filter(Boolean).join(' • ');
+}
+
+/**
+ * Gallery entry for a successful generation
+ * @param {Object} result - generateWithModel() result ({ imageUrl, params, prompt, task, provider })
+ * @param {Object} context - { model (registry entry), prompt, preset, parentId }
+ * @returns {Object}
+ */
+function galleryImageFromResult(result, context) {
+    return {
+        id: Date.now() + Math.random(),
+        src: result.imageUrl,
+        modelId: context.model.id,
+        model: context.model.name,
+        modelIcon: context.model.icon,
+        provider: result.provider || null,
+        prompt: context.prompt,
+        enhancedPrompt: result.prompt || null,
+        preset: context.preset,
+        params: result.params,
+        seed: result.params.seed,
+        task: result.task,
+        parentId: context.parentId || null,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Gallery entry for an image record stored in the history
+ * @param {Object} record - GenerationHistory image record
+ * @param {Function} createUrl - Blob => URL (defaults to URL.createObjectURL)
+ * @returns {Object}
+ */
+function galleryImageFromHistory(record, createUrl = blob => URL.createObjectURL(blob)) {
+    return {
+        id: record.id,
+        historyId: record.id,
+        src: createUrl(record.blob),
+        modelId: record.modelId,
+        model: record.model,
+        modelIcon: record.modelIcon,
+        provider: record.provider,
+        prompt: record.prompt,
+        enhancedPrompt: record.enhancedPrompt,
+        preset: record.preset,
+        params: record.params,
+        seed: record.seed,
+        task: record.task,
+        parentId: record.parentId,
+        lockup: record.lockup || null,
+        timestamp: record.timestamp
+    };
+}
+
+/**
+ * Gallery entry for a lockup (lockup.js) composed from a gallery image. It
+ * keeps the icon's prompt, model and generation time, so exports still record
+ * how the mark was made, and the lockup settings so the editor can reopen it.
+ * @param {Object} image - Gallery entry of the icon
+ * @param {string} src - URL of the composed PNG
+ * @param {Object} lockup - Lockup settings (see LOCKUP_DEFAULTS)
+ * @returns {Object}
+ */
+function galleryImageFromLockup(image, src, lockup) {
+    const { historyId, ...icon } = image;
+    return {
+        ...icon,
+        id: Date.now() + Math.random(),
+        src,
+        task: 'lockup',
+        lockup: { ...lockup },
+        iconId: image.id,
+        parentId: historyId || null
+    };
+}
+
+/**
+ * The gallery entry of the icon a lockup was composed from
+ * @param {Object[]} gallery - Gallery entries
+ * @param {Object} image - Lockup gallery entry
+ * @returns {Object|null} - null when the icon is not in the gallery (look in the history by parentId)
+ */
+function findLockupIcon(gallery, image) {
+    return gallery.find(item => item.task !== 'lockup' && (
+        (image.parentId && item.historyId === image.parentId) || (image.iconId !== undefined && item.id === image.iconId)
+    )) || null;
+}
+
+/**
+ * Object URLs pin their blobs in memory until revoked
+ * @param {Object[]} images - Gallery entries
+ * @param {Function} revoke - URL => void (defaults to URL.revokeObjectURL)
+ * @returns {number} - URLs revoked
+ */
+function releaseImageUrls(images, revoke = url => URL.revokeObjectURL(url)) {
+    let count = 0;
+    images.forEach(image => {
+        if (image.src && image.src.startsWith('blob:')) {
+            revoke(image.src);
+            count++;
+        }
+    });
+    return count;
+}
+
+/**
+ * Gallery images plus a cell for each model that failed in the last run
+ * @param {Object[]} gallery - Gallery entries
+ * @param {Object} progress - { [modelId]: { name, status, error } }
+ * @returns {Object[]} - Input for ContactSheet
+ */
+function withFailedModels(gallery, progress) {
+    return [
+        ...gallery,
+        ...Object.entries(progress)
+            .filter(([modelId, state]) => ['error', 'timeout'].includes(state.status) && !gallery.some(image => image.modelId === modelId))
+            .map(([modelId, state]) => ({ modelId, model: state.name, error: state.error || state.status }))
+    ];
+}
+
+/**
+ * Reorder the gallery by a list of history IDs; unlisted images go last
+ * @param {Object[]} gallery - Gallery entries
+ * @param {string[]} historyIds - Wanted order
+ * @returns {Object[]} - New array
+ */
+function sortGalleryByIds(gallery, historyIds) {
+    const position = (image) => {
+        const index = historyIds.indexOf(image.historyId);
+        return index === -1 ? historyIds.length : index;
+    };
+    return [...gallery].sort((a, b) => position(a) - position(b));
+}
+
+/**
+ * File name for a saved gallery image
+ * @param {Object} image - Gallery entry
+ * @param {string} suffix - e.g. 'transparent'
+ * @returns {string} - logo-<model>[-suffix]-<timestamp>.png
+ */
+function galleryFilename(image, suffix = '') {
+    return `logo-${(image.model || 'image').replace(/\s+/g, '-')}${suffix ? `-${suffix}` : ''}-${Date.now()}.png`;
+}
+
+/**
+ * Hand a file to the share sheet (iPhone: Save Image, AirDrop, Files) or
+ * fall back to a download link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - File name
+ * @param {Object} options - { share (false = always download), title, text,
+ *                             navigator, document, createUrl, revokeUrl }
+ * @returns {Promise<Object>} - { method: 'share' | 'download' }
+ */
+async function shareOrDownload(blob, filename, options = {}) {
+    const nav = options.navigator || (typeof navigator !== 'undefined' ? navigator : null);
+    const doc = options.document || (typeof document !== 'undefined' ? document : null);
+
+    if (options.share !== false && nav && nav.share && nav.canShare) {
+        const file = new File([blob], filename, { type: blob.type || 'application/octet-stream' });
+        if (nav.canShare({ files: [file] })) {
+            try {
+                await nav.share({
+                    files: [file],
+                    title: options.title || filename,
+                    ...(options.text ? { text: options.text } : {})
+                });
+                return { method: 'share' };
+            } catch (error) {
+                console.error('Error sharing:', error);
+            }
+        }
+    }
+
+    if (!doc) {
+        throw new Error('No share sheet or document available to save the file');
+    }
+
+    const createUrl = options.createUrl || (value => URL.createObjectURL(value));
+    const revokeUrl = options.revokeUrl || (url => URL.revokeObjectURL(url));
+    const url = createUrl(blob);
+    const link = doc.createElement('a');
+    link.href = url;
+    link.download = filename;
+    doc.body.appendChild(link);
+    link.click();
+    doc.body.removeChild(link);
+    setTimeout(() => revokeUrl(url), 1000);
+    return { method: 'download' };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_ADVANCED_SETTINGS,
+        buildGenerationParams,
+        describeParams,
+        galleryImageFromResult,
+        galleryImageFromHistory,
+        galleryImageFromLockup,
+        findLockupIcon,
+        releaseImageUrls,
+        withFailedModels,
+        sortGalleryByIds,
+        galleryFilename,
+        shareOrDownload
+    };
+}
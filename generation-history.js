@@ -0,0 +1,438 @@
+/**
+ * Generation History
+ * Persists generated images and their metadata in IndexedDB, grouped into
+ * sessions (one per Generate click), with least-recently-used eviction
+ */
+
+const HISTORY_DB_NAME = 'logoi-history';
+const HISTORY_DB_VERSION = 2;
+
+class GenerationHistory {
+    constructor(options = {}) {
+        this.dbName = options.dbName || HISTORY_DB_NAME;
+        this.quotaBytes = options.quotaBytes || 200 * 1024 * 1024; // 200 MB
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+    }
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+        if (!this.indexedDB) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        const request = this.indexedDB.open(this.dbName, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const tx = request.transaction;
+
+            if (!db.objectStoreNames.contains('sessions')) {
+                const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+                sessions.createIndex('createdAt', 'createdAt');
+            }
+
+            if (!db.objectStoreNames.contains('images')) {
+                const images = db.createObjectStore('images', { keyPath: 'id' });
+                images.createIndex('sessionId', 'sessionId');
+                images.createIndex('lastAccessed', 'lastAccessed');
+            }
+
+            // v2: refined images point at the image they were made from
+            const images = tx.objectStore('images');
+            if (!images.indexNames.contains('parentId')) {
+                images.createIndex('parentId', 'parentId');
+            }
+        };
+
+        this.db = await promisifyRequest(request);
+        return this.db;
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Start a new session (one batch of generations for a prompt)
+     * @param {Object} session - { prompt, models }
+     * @returns {Promise<Object>} - Stored session
+     */
+    async createSession(session) {
+        const db = await this.open();
+        const record = {
+            id: createHistoryId(),
+            prompt: session.prompt || '',
+            models: session.models || [],
+            createdAt: new Date().toISOString()
+        };
+
+        const tx = db.transaction('sessions', 'readwrite');
+        tx.objectStore('sessions').put(record);
+        await transactionDone(tx);
+        return record;
+    }
+
+    /**
+     * Store a generated image with its metadata, evicting old images if needed
+     * @param {Object} image - { sessionId, blob, prompt, enhancedPrompt, modelId, model,
+     *                           modelIcon, provider, preset, params, seed, task, parentId,
+     *                           lockup (lockup settings), timestamp }
+     * @returns {Promise<Object>} - Stored record
+     */
+    async addImage(image) {
+        if (!image.blob) {
+            throw new Error('Image blob is required');
+        }
+
+        const db = await this.open();
+        const now = Date.now();
+        const record = {
+            id: createHistoryId(),
+            sessionId: image.sessionId || null,
+            blob: image.blob,
+            size: image.blob.size || 0,
+            type: image.blob.type || 'image/png',
+            prompt: image.prompt || '',
+            enhancedPrompt: image.enhancedPrompt || null,
+            modelId: image.modelId || null,
+            model: image.model || null,
+            modelIcon: image.modelIcon || null,
+            provider: image.provider || null,
+            preset: image.preset || null,
+            params: image.params || {},
+            seed: image.seed !== undefined ? image.seed : null,
+            task: image.task || 'text-to-image',
+            parentId: image.parentId || null,
+            lockup: image.lockup || null,
+            timestamp: image.timestamp || new Date(now).toISOString(),
+            lastAccessed: now
+        };
+
+        if (record.size > this.quotaBytes) {
+            throw new Error('Image is larger than the history storage quota');
+        }
+
+        const tx = db.transaction('images', 'readwrite');
+        tx.objectStore('images').put(record);
+        await transactionDone(tx);
+
+        await this.enforceQuota(record.id);
+        return record;
+    }
+
+    /**
+     * Get one image and mark it as recently used
+     * @param {string} id - Image ID
+     * @returns {Promise<Object|null>}
+     */
+    async getImage(id) {
+        const db = await this.open();
+        const tx = db.transaction('images', 'readwrite');
+        const store = tx.objectStore('images');
+        const record = await promisifyRequest(store.get(id));
+
+        if (record) {
+            record.lastAccessed = Date.now();
+            store.put(record);
+        }
+
+        await transactionDone(tx);
+        return record || null;
+    }
+
+    /**
+     * Get all images of a session, marking them as recently used
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object[]>}
+     */
+    async getSessionImages(sessionId) {
+        const db = await this.open();
+        const tx = db.transaction('images', 'readwrite');
+        const store = tx.objectStore('images');
+        const images = await promisifyRequest(store.index('sessionId').getAll(sessionId));
+
+        const now = Date.now();
+        images.forEach(image => {
+            image.lastAccessed = now;
+            store.put(image);
+        });
+
+        await transactionDone(tx);
+        return images.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Get the refined versions made from an image, oldest first
+     * @param {string} parentId - ID of the source image
+     * @returns {Promise<Object[]>}
+     */
+    async getVersions(parentId) {
+        const db = await this.open();
+        const tx = db.transaction('images', 'readonly');
+        const versions = await promisifyRequest(tx.objectStore('images').index('parentId').getAll(parentId));
+        return versions.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Browse sessions, newest first, optionally filtered
+     * @param {Object} filter - { query (prompt text), modelId, since, until (ISO dates or
+     *                          timestamps; a date-only `until` includes that whole day, UTC) }
+     * @returns {Promise<Object[]>} - Sessions with their matching `images`
+     */
+    async listSessions(filter = {}) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'images'], 'readonly');
+        const [sessions, images] = await Promise.all([
+            promisifyRequest(tx.objectStore('sessions').getAll()),
+            promisifyRequest(tx.objectStore('images').getAll())
+        ]);
+
+        const query = (filter.query || '').trim().toLowerCase();
+        const until = /^\d{4}-\d{2}-\d{2}$/.test(filter.until || '') ? `${filter.until}T23:59:59.999Z` : filter.until;
+        const matches = (image) => {
+            if (filter.modelId && image.modelId !== filter.modelId) return false;
+            if (filter.since && image.timestamp < filter.since) return false;
+            if (until && image.timestamp > until) return false;
+            if (query) {
+                const text = `${image.prompt} ${image.enhancedPrompt || ''}`.toLowerCase();
+                if (!text.includes(query)) return false;
+            }
+            return true;
+        };
+
+        const bySession = new Map();
+        images.filter(matches).forEach(image => {
+            if (!bySession.has(image.sessionId)) {
+                bySession.set(image.sessionId, []);
+            }
+            bySession.get(image.sessionId).push(image);
+        });
+
+        return sessions
+            .filter(session => bySession.has(session.id))
+            .map(session => ({
+                ...session,
+                images: bySession.get(session.id).sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Delete a single image
+     * @param {string} id - Image ID
+     */
+    async deleteImage(id) {
+        const db = await this.open();
+        const tx = db.transaction('images', 'readwrite');
+        tx.objectStore('images').delete(id);
+        await transactionDone(tx);
+        await this.removeEmptySessions();
+    }
+
+    /**
+     * Delete a session and all of its images
+     * @param {string} sessionId - Session ID
+     */
+    async deleteSession(sessionId) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'images'], 'readwrite');
+        const images = tx.objectStore('images');
+        const keys = await promisifyRequest(images.index('sessionId').getAllKeys(sessionId));
+
+        keys.forEach(key => images.delete(key));
+        tx.objectStore('sessions').delete(sessionId);
+        await transactionDone(tx);
+    }
+
+    /**
+     * Remove every session and image
+     */
+    async clear() {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'images'], 'readwrite');
+        tx.objectStore('sessions').clear();
+        tx.objectStore('images').clear();
+        await transactionDone(tx);
+    }
+
+    /**
+     * Every session and image (with its blob), for a workspace export
+     * @returns {Promise<Object>} - { sessions, images }
+     */
+    async exportRecords() {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'images'], 'readonly');
+        const [sessions, images] = await Promise.all([
+            promisifyRequest(tx.objectStore('sessions').getAll()),
+            promisifyRequest(tx.objectStore('images').getAll())
+        ]);
+        return { sessions, images };
+    }
+
+    /**
+     * Add sessions and images from a workspace export. Records are matched by
+     * ID; existing ones are kept unless `replace` is set.
+     * @param {Object} records - { sessions, images (each with a blob) }
+     * @param {Object} options - { replace }
+     * @returns {Promise<Object>} - { added, replaced, skipped } image counts
+     */
+    async importRecords(records, options = {}) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'images'], 'readwrite');
+        const sessions = tx.objectStore('sessions');
+        const images = tx.objectStore('images');
+        const counts = { added: 0, replaced: 0, skipped: 0 };
+
+        for (const session of records.sessions || []) {
+            const exists = await promisifyRequest(sessions.count(session.id));
+            if (!exists || options.replace) {
+                sessions.put(session);
+            }
+        }
+
+        const now = Date.now();
+        for (const image of records.images || []) {
+            if (!image.blob) {
+                counts.skipped++;
+                continue;
+            }
+            const exists = await promisifyRequest(images.count(image.id));
+            if (exists && !options.replace) {
+                counts.skipped++;
+                continue;
+            }
+            images.put({ ...image, size: image.blob.size || 0, lastAccessed: now });
+            counts[exists ? 'replaced' : 'added']++;
+        }
+
+        await transactionDone(tx);
+        await this.enforceQuota();
+        return counts;
+    }
+
+    /**
+     * Storage used by stored images
+     * @returns {Promise<Object>} - { bytes, images, quotaBytes }
+     */
+    async getUsage() {
+        const db = await this.open();
+        const tx = db.transaction('images', 'readonly');
+        let bytes = 0;
+        let count = 0;
+
+        await iterateCursor(tx.objectStore('images').openCursor(), (cursor) => {
+            bytes += cursor.value.size || 0;
+            count++;
+        });
+
+        return { bytes, images: count, quotaBytes: this.quotaBytes };
+    }
+
+    /**
+     * Evict least-recently-used images until usage fits the quota
+     * @param {string} keepId - Image that must not be evicted (the one just added)
+     * @returns {Promise<number>} - Number of evicted images
+     */
+    async enforceQuota(keepId = null) {
+        const usage = await this.getUsage();
+        let excess = usage.bytes - this.quotaBytes;
+        if (excess <= 0) {
+            return 0;
+        }
+
+        const db = await this.open();
+        const tx = db.transaction('images', 'readwrite');
+        let evicted = 0;
+
+        // The lastAccessed index walks oldest first
+        await iterateCursor(tx.objectStore('images').index('lastAccessed').openCursor(), (cursor) => {
+            if (excess <= 0) {
+                return false;
+            }
+            if (cursor.value.id !== keepId) {
+                excess -= cursor.value.size || 0;
+                cursor.delete();
+                evicted++;
+            }
+            return true;
+        });
+
+        await transactionDone(tx);
+        await this.removeEmptySessions();
+        return evicted;
+    }
+
+    /**
+     * Drop sessions whose images have all been deleted or evicted
+     * @private
+     */
+    async removeEmptySessions() {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'images'], 'readwrite');
+        const sessions = await promisifyRequest(tx.objectStore('sessions').getAllKeys());
+        const images = tx.objectStore('images').index('sessionId');
+
+        for (const sessionId of sessions) {
+            const count = await promisifyRequest(images.count(sessionId));
+            if (count === 0) {
+                tx.objectStore('sessions').delete(sessionId);
+            }
+        }
+
+        await transactionDone(tx);
+    }
+}
+
+function createHistoryId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+// Walk a cursor; the visitor returns false to stop early
+function iterateCursor(request, visit) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || visit(cursor) === false) {
+                resolve();
+                return;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GenerationHistory };
+}
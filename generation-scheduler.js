@@ -0,0 +1,90 @@
+/**
+ * Generation Scheduler
+ * Runs per-model generation tasks with a concurrency limit and a priority
+ * order, reporting each result as soon as it arrives
+ */
+
+// Lower index runs first; unlisted types run last
+const DEFAULT_TYPE_PRIORITY = ['fast', 'quality', 'advanced', 'classic'];
+
+class GenerationScheduler {
+    constructor(options = {}) {
+        this.registry = options.registry || null;
+        this.concurrency = Math.max(1, options.concurrency || 2);
+        this.priority = options.priority || DEFAULT_TYPE_PRIORITY;
+    }
+
+    /**
+     * Sort model IDs by priority, keeping the given order within a priority
+     * @param {string[]} modelIds - Model IDs
+     * @returns {string[]} - Model IDs in run order
+     */
+    order(modelIds) {
+        return modelIds
+            .map((id, index) => ({ id, index, rank: this.rank(id) }))
+            .sort((a, b) => a.rank - b.rank || a.index - b.index)
+            .map(item => item.id);
+    }
+
+    /**
+     * Priority rank for a model (lower runs first)
+     * @private
+     */
+    rank(modelId) {
+        const model = this.registry ? this.registry.get(modelId) : null;
+
+        if (typeof this.priority === 'function') {
+            return this.priority(model || { id: modelId });
+        }
+
+        const index = model ? this.priority.indexOf(model.type) : -1;
+        return index === -1 ? this.priority.length : index;
+    }
+
+    /**
+     * Run a task for every model, at most `concurrency` at a time
+     * @param {string[]} modelIds - Model IDs to run
+     * @param {Function} task - async (modelId) => result
+     * @param {Object} options - { onStart(modelId), onResult(modelId, result) }
+     * @returns {Promise<Object[]>} - Results in the order of modelIds
+     */
+    async run(modelIds, task, options = {}) {
+        const queue = this.order(modelIds);
+        const results = new Map();
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const modelId = queue.shift();
+
+                if (options.onStart) {
+                    options.onStart(modelId);
+                }
+
+                let result;
+                try {
+                    result = await task(modelId);
+                } catch (error) {
+                    result = { success: false, error: error.message, errorType: error.name, modelId };
+                }
+
+                results.set(modelId, result);
+                if (options.onResult) {
+                    options.onResult(modelId, result);
+                }
+            }
+        };
+
+        const workers = Array.from(
+            { length: Math.min(this.concurrency, queue.length) },
+            () => worker()
+        );
+        await Promise.all(workers);
+
+        return modelIds.map(id => results.get(id));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GenerationScheduler, DEFAULT_TYPE_PRIORITY };
+}
@@ -14,45 +14,48 @@ class HuggingFaceMultiGenerator {
             this.validateApiKey(this.apiKey);
         }
 
-        // Available models for logo generation
-        this.models = {
-            'stabilityai/stable-diffusion-2-1': {
-                name: 'Stable Diffusion 2.1',
-                endpoint: 'https://api-inference.huggingface.co/models/stabilityai/stable-diffusion-2-1',
-                type: 'text-to-image',
-                icon: '🎨'
-            },
-            'runwayml/stable-diffusion-v1-5': {
-                name: 'Stable Diffusion 1.5',
-                endpoint: 'https://api-inference.huggingface.co/models/runwayml/stable-diffusion-v1-5',
-                type: 'text-to-image',
-                icon: '🖼️'
-            },
-            'CompVis/stable-diffusion-v1-4': {
-                name: 'Stable Diffusion 1.4',
-                endpoint: 'https://api-inference.huggingface.co/models/CompVis/stable-diffusion-v1-4',
-                type: 'text-to-image',
-                icon: '🎯'
-            },
-            'prompthero/openjourney': {
-                name: 'OpenJourney',
-                endpoint: 'https://api-inference.huggingface.co/models/prompthero/openjourney',
-                type: 'text-to-image',
-                icon: '🚀'
-            },
-            'hakurei/waifu-diffusion': {
-                name: 'Waifu Diffusion',
-                endpoint: 'https://api-inference.huggingface.co/models/hakurei/waifu-diffusion',
-                type: 'text-to-image',
-                icon: '✨'
-            },
-            'dallinmackay/Van-Gogh-diffusion': {
-                name: 'Van Gogh Style',
-                endpoint: 'https://api-inference.huggingface.co/models/dallinmackay/Van-Gogh-diffusion',
-                type: 'text-to-image',
-                icon: '🎭'
-            }
-        };
+        // Shared model catalog (see model-registry.js). Pass options.registry
+        // to share one instance with the UI.
+        this.registry = options.registry || new ModelRegistry();
+
+        // Network transport, (url, init) => Promise<Response>. Tests and proxies
+        // pass their own; it also loads image URLs for background removal etc.
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+
+        // Retry/backoff layer (see hf-request.js). options.retry tunes it,
+        // options.requester replaces it entirely.
+        this.requester = options.requester || new HFRequestClient({ fetch: this.fetch, ...options.retry });
+
+        // Backends by ID (see providers.js). 'huggingface' uses this generator's
+        // key; 'mock' draws offline placeholders. options.providers adds more,
+        // e.g. { id: 'office', type: 'automatic1111', baseUrl: 'http://gpu-box:7860' }.
+        this.providers = new Map();
+        this.addProvider({ id: 'huggingface', type: 'huggingface' });
+        this.addProvider({ id: 'mock', type: 'mock', ...options.mock });
+        (options.providers || []).forEach(config => this.addProvider(config));
+
+        // Provider used instead when a model's own one can't run (e.g. 'mock'
+        // while no key is set). Without it those models fail.
+        this.fallbackProvider = options.fallbackProvider || null;
+
+        // Share sheet and document used by saveToDevice() and createComparisonGrid()
+        this.navigator = options.navigator || (typeof navigator !== 'undefined' ? navigator : null);
+        this.document = options.document || (typeof document !== 'undefined' ? document : null);
+
+        // Per-model time limit in ms, covering retries. A model entry's
+        // `timeout` overrides it; 0 disables it.
+        this.requestTimeout = options.timeout !== undefined ? options.timeout : 180000;
+
+        // How many models run at once in generateWithAllModels (free tier friendly)
+        this.concurrency = options.concurrency || 2;
+
+        // Custom style presets; built-in presets work without it
+        this.promptLibrary = options.promptLibrary || null;
+
+        // Usage metering (see usage-ledger.js). Requests are recorded against
+        // options.profileId (null = session key) and stop at its hard budget.
+        this.usage = options.usage || null;
+        this.profileId = options.profileId || null;
 
         this.defaultParams = {
             num_inference_steps: 50,
@@ -117,147 +120,416 @@ class HuggingFaceMultiGenerator {
         return '***';
     }
 
-    // Enhance prompt for logo generation
-    enhancePromptForLogo(basePrompt) {
-        const enhancements = [
-            "professional logo design",
-            "clean vector style",
-            "high quality",
-            "centered composition",
-            "white background",
-            "minimalist design"
-        ];
+    // Resolve a style preset (see prompt-presets.js) from an ID or preset object
+    getStylePreset(preset = DEFAULT_STYLE_PRESET) {
+        if (preset && typeof preset === 'object') {
+            return preset;
+        }
+        if (this.promptLibrary) {
+            return this.promptLibrary.getPreset(preset);
+        }
+        return STYLE_PRESETS.find(p => p.id === preset)
+            || STYLE_PRESETS.find(p => p.id === DEFAULT_STYLE_PRESET);
+    }
+
+    // Enhance prompt for logo generation with a style preset's positive terms
+    enhancePromptForLogo(basePrompt, preset = DEFAULT_STYLE_PRESET) {
+        const style = this.getStylePreset(preset);
+        if (!style.enhance || style.positive.length === 0) {
+            return basePrompt;
+        }
         
-        return `${basePrompt}, ${enhancements.join(', ')}`;
+        return `${basePrompt}, ${style.positive.join(', ')}`;
     }
 
-    // Generate image using a specific model
-    async generateWithModel(modelId, prompt, params = {}) {
-        // Security check: ensure API key is configured
-        if (!this.hasApiKey()) {
-            throw new Error('API key not configured. Please set your HuggingFace API key first.');
+    /**
+     * Add or replace a backend
+     * @param {Object} config - { id, type: 'huggingface' | 'automatic1111' | 'comfyui' | 'openai' | 'mock',
+     *                            name, baseUrl, apiKey, ... } (see providers.js)
+     * @returns {ImageProvider}
+     */
+    addProvider(config) {
+        const provider = createProvider(config, {
+            fetch: this.fetch,
+            requester: this.requester,
+            getApiKey: () => this.apiKey
+        });
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    /**
+     * @param {string} id - Provider ID (the built-in 'huggingface' and 'mock' stay)
+     * @returns {boolean} - True if a provider was removed
+     */
+    removeProvider(id) {
+        if (id === 'huggingface' || id === 'mock') {
+            return false;
         }
+        return this.providers.delete(id);
+    }
 
-        const model = this.models[modelId];
+    /**
+     * @param {string} id - Provider ID
+     * @returns {ImageProvider|null}
+     */
+    getProvider(id) {
+        return this.providers.get(id) || null;
+    }
+
+    /**
+     * Backend that will run a model, after the fallback
+     * @param {Object} model - Registry entry
+     * @param {string} override - Provider ID to use instead of the model's own
+     * @returns {ImageProvider}
+     * @throws {Error} - Unknown provider, or it can't run and there is no fallback
+     */
+    resolveProvider(model, override = null) {
+        const id = override || model.provider || 'huggingface';
+        const provider = this.providers.get(id);
+        if (!provider) {
+            throw new Error(`${model.name} uses provider "${id}", which is not configured`);
+        }
+        if (provider.isAvailable()) {
+            return provider;
+        }
+        if (this.fallbackProvider && this.providers.has(this.fallbackProvider)) {
+            return this.providers.get(this.fallbackProvider);
+        }
+        throw new Error(provider.unavailableMessage());
+    }
+
+    // Generate image using a specific model, on the model's provider
+    // options.onProgress(status, info) reports 'warming_up' / 'retrying' while waiting
+    // options.signal cancels the request; options.timeout overrides the time limit (ms)
+    // options.preset picks the style preset (ID or object, default 'minimalist')
+    // options.image (Blob) refines an existing image; add options.mask (Blob, white =
+    // repaint) for inpainting. params.strength sets how far the result may drift.
+    // options.provider runs this request on another provider (e.g. 'mock').
+    async generateWithModel(modelId, prompt, params = {}, options = {}) {
+        const model = this.registry.get(modelId);
         if (!model) {
-            throw new Error(`Model ${modelId} not found`);
+            this.registry.validateIds([modelId]);
         }
 
-        const enhancedPrompt = this.enhancePromptForLogo(prompt);
-        const requestParams = { ...this.defaultParams, ...params };
+        // Security check: the provider must be usable (the Hugging Face one needs a key)
+        const provider = this.resolveProvider(model, options.provider);
+
+        const task = options.image ? (options.mask ? 'inpainting' : 'image-to-image') : 'text-to-image';
+        if (!this.registry.supportsTask(modelId, task)) {
+            throw new Error(`${model.name} does not support ${task}`);
+        }
+        if (!provider.supportsTask(task, model)) {
+            throw new Error(`${provider.name} does not support ${task} for ${model.name}`);
+        }
+
+        const style = this.getStylePreset(options.preset);
+        const enhancedPrompt = this.enhancePromptForLogo(prompt, style);
+        const requestParams = { ...this.defaultParams, ...model.defaults, ...params };
+        if (style.enhance && style.negative.length > 0) {
+            requestParams.negative_prompt = mergeTerms(requestParams.negative_prompt, style.negative);
+        }
+
+        if (task !== 'text-to-image' && requestParams.strength === undefined) {
+            requestParams.strength = 0.6;
+        }
+
+        // Always send an explicit seed so the result can be reproduced later
+        if (requestParams.seed === undefined || requestParams.seed === null) {
+            requestParams.seed = this.randomSeed();
+        }
+
+        // Own controller so the time limit and the caller's signal both abort the request
+        const timeout = options.timeout !== undefined
+            ? options.timeout
+            : (model.timeout !== undefined ? model.timeout : this.requestTimeout);
+        const controller = new AbortController();
+        const unlinkSignal = linkAbortSignal(options.signal, controller);
+        const timer = timeout ? setTimeout(() => {
+            controller.abort(new RequestTimeoutError(
+                `${model.name} timed out after ${Math.ceil(timeout / 1000)}s`,
+                { timeout }
+            ));
+        }, timeout) : null;
+
+        const metered = this.usage && provider.type !== 'mock';
+        let startedAt = null;
+        let attempts = 1;
 
         try {
-            const response = await fetch(model.endpoint, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    inputs: enhancedPrompt,
-                    parameters: requestParams,
-                    options: {
-                        wait_for_model: true
+            if (metered && provider.type === 'huggingface') {
+                const budget = this.usage.checkBudget(this.profileId, 1);
+                if (budget.status === 'block') {
+                    throw new BudgetExceededError(budget.message, { used: budget.used, limit: budget.hard });
+                }
+            }
+
+            startedAt = Date.now();
+            const blob = await provider.generate({
+                model,
+                prompt: enhancedPrompt,
+                params: requestParams,
+                task,
+                image: options.image,
+                mask: options.mask,
+                signal: controller.signal,
+                onRetry: (info) => {
+                    attempts++;
+                    if (options.onProgress) {
+                        options.onProgress(info.error.name === 'ModelLoadingError' ? 'warming_up' : 'retrying', {
+                            message: info.reason,
+                            retryIn: Math.ceil(info.delay / 1000),
+                            attempt: info.attempt,
+                            maxRetries: info.maxRetries,
+                            errorType: info.error.name
+                        });
                     }
-                })
+                }
             });
 
-            if (!response.ok) {
-                const error = await response.text();
-                throw new Error(`API Error: ${error}`);
+            if (metered) {
+                this.recordUsage({ provider, modelId, task, outcome: 'success', startedAt, attempts });
             }
 
-            const blob = await response.blob();
-            const imageUrl = URL.createObjectURL(blob);
+            const imageUrl = URL.createObjectURL(blob); // caller should revoke when done
             
             return {
                 success: true,
                 imageUrl,
+                blob,
+                modelId,
                 model: model.name,
                 modelIcon: model.icon,
+                provider: provider.id,
+                basePrompt: prompt,
                 prompt: enhancedPrompt,
+                task,
+                preset: style.id,
+                params: requestParams,
+                seed: requestParams.seed,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            console.error(`Error generating with ${model.name}:`, error);
+            // A fetch aborted mid-body can reject with a plain AbortError
+            const failure = controller.signal.aborted && !(error instanceof InferenceError)
+                ? controller.signal.reason instanceof InferenceError ? controller.signal.reason : new CancelledError()
+                : error;
+
+            if (!(failure instanceof CancelledError)) {
+                console.error(`Error generating with ${model.name}:`, failure);
+            }
+            if (metered && startedAt !== null) {
+                this.recordUsage({
+                    provider,
+                    modelId,
+                    task,
+                    outcome: failure instanceof CancelledError ? 'cancelled'
+                        : failure instanceof RequestTimeoutError ? 'timeout' : 'error',
+                    errorType: failure.name,
+                    startedAt,
+                    attempts
+                });
+            }
             return {
                 success: false,
-                error: error.message,
+                error: failure.message,
+                errorType: failure.name,
+                status: failure.status || null,
+                retryAfter: failure instanceof RateLimitError ? failure.retryAfter : null,
+                cancelled: failure instanceof CancelledError,
+                timedOut: failure instanceof RequestTimeoutError,
+                modelId,
                 model: model.name
             };
+        } finally {
+            clearTimeout(timer);
+            unlinkSignal();
         }
     }
 
-    // Generate with multiple models in parallel
-    async generateWithAllModels(prompt, selectedModels = null, onProgress = null) {
-        const modelsToUse = selectedModels || Object.keys(this.models);
-        const results = [];
+    // One ledger entry per generateWithModel() call that reached a provider
+    recordUsage({ provider, modelId, task, outcome, errorType = null, startedAt, attempts }) {
+        try {
+            this.usage.record({
+                profileId: provider.type === 'huggingface' ? this.profileId : null,
+                provider: provider.id,
+                modelId,
+                task,
+                outcome,
+                errorType,
+                latencyMs: Date.now() - startedAt,
+                attempts
+            });
+        } catch (error) {
+            console.error('Failed to record usage:', error);
+        }
+    }
 
-        // Create promises for parallel execution
-        const promises = modelsToUse.map(async (modelId) => {
-            if (onProgress) {
-                onProgress(modelId, 'loading');
-            }
+    // Random 32-bit seed for runs without a fixed seed
+    randomSeed() {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
 
-            const result = await this.generateWithModel(modelId, prompt);
-            
+    // Progress status for a finished generateWithModel() result
+    getResultStatus(result) {
+        if (result.success) return 'complete';
+        if (result.cancelled) return 'cancelled';
+        if (result.timedOut) return 'timeout';
+        return 'error';
+    }
+
+    // Generate with multiple models, a few at a time ('fast' models first)
+    // options: { params, preset, signal, timeout (per model, ms), batchTimeout (whole batch, ms),
+    //            concurrency, priority (type order array or model => rank) }
+    async generateWithAllModels(prompt, selectedModels = null, onProgress = null, options = {}) {
+        const modelsToUse = selectedModels || this.registry.ids();
+
+        // Fail fast on typos before any request is sent
+        this.registry.validateIds(modelsToUse);
+
+        const batchController = new AbortController();
+        const unlinkSignal = linkAbortSignal(options.signal, batchController);
+        const batchTimer = options.batchTimeout ? setTimeout(() => {
+            batchController.abort(new RequestTimeoutError(
+                `Batch timed out after ${Math.ceil(options.batchTimeout / 1000)}s`,
+                { timeout: options.batchTimeout }
+            ));
+        }, options.batchTimeout) : null;
+
+        const scheduler = new GenerationScheduler({
+            registry: this.registry,
+            concurrency: options.concurrency || this.concurrency,
+            priority: options.priority
+        });
+
+        try {
             if (onProgress) {
-                onProgress(modelId, result.success ? 'complete' : 'error', result);
+                modelsToUse.forEach(modelId => onProgress(modelId, 'queued'));
             }
 
-            return result;
+            // Queued models still run after an abort, but return 'cancelled' at once
+            return await scheduler.run(modelsToUse, (modelId) => (
+                this.generateWithModel(modelId, prompt, options.params || {}, {
+                    signal: batchController.signal,
+                    timeout: options.timeout,
+                    preset: options.preset,
+                    onProgress: (status, info) => {
+                        if (onProgress) {
+                            onProgress(modelId, status, info);
+                        }
+                    }
+                })
+            ), {
+                onStart: (modelId) => {
+                    if (onProgress) {
+                        onProgress(modelId, 'loading');
+                    }
+                },
+                onResult: (modelId, result) => {
+                    if (onProgress) {
+                        onProgress(modelId, this.getResultStatus(result), result);
+                    }
+                }
+            });
+        } finally {
+            clearTimeout(batchTimer);
+            unlinkSignal();
+        }
+    }
+
+    /**
+     * Remove an image's background (see background-removal.js)
+     * @param {Blob|string} image - Image blob or URL
+     * @param {Object} options - { method: 'flood' | 'color-key' | 'segmentation', tolerance, feather, signal }
+     * @returns {Promise<Blob>} - Transparent RGBA PNG
+     */
+    async removeBackground(image, options = {}) {
+        const blob = typeof image === 'string' ? await this.fetch(image).then(r => r.blob()) : image;
+        const remover = new BackgroundRemover({
+            apiKey: this.apiKey,
+            requester: this.requester,
+            segmentationModel: options.segmentationModel
         });
+        return remover.remove(blob, options);
+    }
 
-        // Wait for all models to complete
-        const allResults = await Promise.allSettled(promises);
-        
-        return allResults.map(result => 
-            result.status === 'fulfilled' ? result.value : {
-                success: false,
-                error: result.reason
+    /**
+     * Build a brand kit ZIP (favicons, .ico, app and social icons, light/dark variants)
+     * @param {Blob|string} image - Logo blob or image URL
+     * @param {Object} options - See BrandKit.build()
+     * @returns {Promise<Object>} - { zip, files, preview }
+     */
+    async createBrandKit(image, options = {}) {
+        const blob = typeof image === 'string' ? await this.fetch(image).then(r => r.blob()) : image;
+        return new BrandKit(options).build(blob, options);
+    }
+
+    /**
+     * Typeset the firm name and a tagline next to a logo (see lockup.js)
+     * @param {Blob|string} image - Logo blob or image URL
+     * @param {Object} options - Lockup settings (see LOCKUP_DEFAULTS), plus removeBackground
+     *                           and width (PNG width in pixels)
+     * @returns {Promise<Object>} - { png: Blob, svg: string (text as <text> elements) }
+     */
+    async createLockup(image, options = {}) {
+        const blob = typeof image === 'string' ? await this.fetch(image).then(r => r.blob()) : image;
+        const { removeBackground, width, ...settings } = options;
+        const composer = new LockupComposer(settings);
+        const icon = await composer.loadIcon(blob, { removeBackground });
+        return { png: await composer.toPng(icon, {}, width), svg: await composer.toSvg(icon) };
+    }
+
+    // Queue many prompts against many models (see batch-runner.js). Failed
+    // results become errors so the runner can back off on rate limits.
+    createBatchRunner(options = {}) {
+        return new BatchRunner({
+            registry: this.registry,
+            concurrency: this.concurrency,
+            ...options,
+            generate: async (prompt, modelId, { signal, params, preset }) => {
+                const result = await this.generateWithModel(modelId, prompt, params, { signal, preset });
+                if (!result.success) {
+                    const error = new Error(result.error);
+                    error.name = result.errorType || 'Error';
+                    error.retryAfter = result.retryAfter;
+                    throw error;
+                }
+                return result;
             }
-        );
+        });
     }
 
-    // Save image to device (works on iPhone)
-    async saveToDevice(imageUrl, filename = 'logo.png') {
+    // Save image (URL or Blob, e.g. a brand kit ZIP) to device (works on iPhone).
+    // Uses the share sheet where available, a download link otherwise (gallery.js).
+    // options.provenance (see provenance.js) is embedded in PNG, JPEG, WebP and SVG files.
+    async saveToDevice(imageUrl, filename = 'logo.png', options = {}) {
         try {
-            const blob = await fetch(imageUrl).then(r => r.blob());
-            
-            // Try Web Share API first (works great on iPhone)
-            if (navigator.share && navigator.canShare) {
-                const file = new File([blob], filename, { type: 'image/png' });
-                if (navigator.canShare({ files: [file] })) {
-                    await navigator.share({
-                        files: [file],
-                        title: 'AI Generated Logo',
-                    });
-                    return { success: true, method: 'share' };
-                }
+            const fetched = imageUrl instanceof Blob ? imageUrl : await this.fetch(imageUrl).then(r => r.blob());
+            // Keep the file type (and extension) the model actually returned
+            const type = fetched.type || 'image/png';
+            let blob = fetched.type ? fetched : new Blob([fetched], { type });
+            if (options.provenance) {
+                blob = await withProvenance(blob, options.provenance);
             }
-            
-            // Fallback to download
-            const link = document.createElement('a');
-            link.href = imageUrl;
-            link.download = filename;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            return { success: true, method: 'download' };
-            
+            const { method } = await shareOrDownload(blob, withImageExtension(filename, type), {
+                title: 'AI Generated Logo',
+                navigator: this.navigator,
+                document: this.document
+            });
+            return { success: true, method };
         } catch (error) {
             console.error('Error saving image:', error);
             return { success: false, error: error.message };
         }
     }
 
-    // Batch save all images
+    // Batch save all images, each with its prompt, model and settings embedded
     async saveAllImages(images) {
         const results = [];
         for (let i = 0; i < images.length; i++) {
             const image = images[i];
             const filename = `logo-${image.model.replace(/\s+/g, '-')}-${Date.now()}.png`;
-            const result = await this.saveToDevice(image.imageUrl, filename);
+            const result = await this.saveToDevice(image.imageUrl, filename, { provenance: provenanceFromImage(image) });
             results.push(result);
             
             // Small delay to avoid overwhelming the system
@@ -266,47 +538,30 @@ class HuggingFaceMultiGenerator {
         return results;
     }
 
-    // Create a comparison grid of all generated images
-    createComparisonGrid(images, canvasId) {
-        const canvas = document.getElementById(canvasId);
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
-        const gridSize = Math.ceil(Math.sqrt(images.length));
-        const cellSize = 512;
-        
-        canvas.width = gridSize * cellSize;
-        canvas.height = gridSize * cellSize;
-        
-        images.forEach((imageData, index) => {
-            if (!imageData.success) return;
-            
-            const img = new Image();
-            img.onload = () => {
-                const row = Math.floor(index / gridSize);
-                const col = index % gridSize;
-                
-                // Draw image
-                ctx.drawImage(img, col * cellSize, row * cellSize, cellSize, cellSize);
-                
-                // Add model label
-                ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-                ctx.fillRect(col * cellSize, row * cellSize + cellSize - 30, cellSize, 30);
-                
-                ctx.fillStyle = 'white';
-                ctx.font = '16px system-ui';
-                ctx.textAlign = 'center';
-                ctx.fillText(
-                    imageData.model,
-                    col * cellSize + cellSize / 2,
-                    row * cellSize + cellSize - 8
-                );
-            };
-            img.src = imageData.imageUrl;
-        });
-        
-        return canvas.toDataURL();
+    /**
+     * Draw a comparison grid of generated images (failed results get a labelled cell)
+     * @param {Object[]} images - Results from generateAllModels()
+     * @param {string|HTMLCanvasElement} canvas - Canvas element or its ID
+     * @param {Object} options - { prompt, layout: 'grid' | 'row' | '2x2', title } (see ContactSheet)
+     * @returns {Promise<string|undefined>} - PNG data URL once every image is drawn
+     */
+    async createComparisonGrid(images, canvas, options = {}) {
+        const target = typeof canvas === 'string' ? this.document.getElementById(canvas) : canvas;
+        if (!target) return;
+
+        await new ContactSheet(options).renderTo(images, target, options);
+        return target.toDataURL('image/png');
+    }
+}
+
+// Match a filename's extension to the image MIME type (logo.png -> logo.jpg for JPEG)
+function withImageExtension(filename, type) {
+    const extensions = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+    const extension = extensions[type];
+    if (!extension) {
+        return filename;
     }
+    return /\.\w+$/.test(filename) ? filename.replace(/\.\w+$/, `.${extension}`) : `${filename}.${extension}`;
 }
 
 // Usage Instructions
@@ -334,16 +589,66 @@ Multi-Model Logo Generator - Setup Guide
        }
    );
    
-   // Save individual image
+   // Cold starts and rate limits are retried automatically; the progress
+   // callback receives 'warming_up' / 'retrying' with info.message such as
+   // "warming up, retry in 20s". Tune with:
+   //   new HuggingFaceMultiGenerator(key, { retry: { maxRetries: 4, baseDelay: 1000 } })
+   
+   // At most 'concurrency' models run at once, 'fast' models first
+   generator.generateWithAllModels(prompt, null, onProgress, {
+       concurrency: 2,
+       priority: ['fast', 'quality', 'advanced', 'classic']
+   });
+   
+   // Cancel a running batch or bound how long it may take
+   const controller = new AbortController();
+   generator.generateWithAllModels(prompt, null, onProgress, {
+       signal: controller.signal,
+       timeout: 90000,        // per model, including retries
+       batchTimeout: 300000   // whole batch
+   });
+   controller.abort();        // models report 'cancelled'; time limits report 'timeout'
+   
+   // Save individual image (the extension follows the returned image type)
    await generator.saveToDevice(results[0].imageUrl, 'logo.png');
    
-   // Save all images at once
+   // Transparent PNG: flood fill from the edges (default), colour key, or
+   // the segmentation model (uses the API key)
+   const png = await generator.removeBackground(results[0].blob, { method: 'flood', tolerance: 32 });
+   await generator.saveToDevice(URL.createObjectURL(png), 'logo-transparent.png');
+   
+   // Brand kit ZIP: favicons, favicon.ico, app icons, social banners,
+   // print sizes and light/dark variants
+   const kit = await generator.createBrandKit(results[0].blob, {
+       name: 'Smith Legal',
+       provenance: provenanceFromImage(results[0])
+   });
+   await generator.saveToDevice(kit.zip, 'smith-legal-brand-kit.zip');
+   
+   // Firm name set in real type next to the icon (models garble lettering).
+   // Layouts: stacked, horizontal, badge; the SVG keeps the text editable
+   const lockup = await generator.createLockup(results[0].blob, {
+       name: 'Smith Legal',
+       tagline: 'Trusts & Estates',
+       layout: 'horizontal',
+       font: 'garamond',
+       removeBackground: true
+   });
+   await generator.saveToDevice(lockup.png, 'smith-legal-lockup.png');
+   
+   // Save all images at once (each with its prompt, model and seed embedded)
    await generator.saveAllImages(results);
 
 3. OPTIMIZATION FOR LEGAL PROFESSIONALS:
    
    The system automatically enhances prompts for professional logo design.
-   Suggested prompts for law firms:
+   Pick a style preset (prompt-presets.js) per call, or turn enhancement off:
+   
+   await generator.generateWithAllModels(prompt, null, onProgress, { preset: 'emblem' });
+   // presets: minimalist (default), emblem, monogram, wordmark, mascot, none
+   
+   Suggested prompts for law firms (also available as templates with
+   {firm_name} and {practice_area} placeholders in PromptLibrary):
    
    - "Professional law firm logo with scales of justice, minimalist"
    - "Legal services emblem with gavel and shield, corporate style"
@@ -365,7 +670,8 @@ Multi-Model Logo Generator - Setup Guide
        num_inference_steps: 75,  // Higher = better quality, slower
        guidance_scale: 10,        // Higher = closer to prompt
        width: 1024,               // Higher resolution
-       height: 1024
+       height: 1024,
+       seed: 42                   // Fixed seed reproduces a result; omit for a random one
    };
    
    const result = await generator.generateWithModel(
@@ -373,19 +679,109 @@ Multi-Model Logo Generator - Setup Guide
        'Your prompt here',
        params
    );
+   
+   // result.params holds the exact parameters sent (including result.seed),
+   // so passing them back re-runs the same generation
+   await generator.generateWithModel(result.modelId, 'Your prompt here', result.params);
+
+   // Models come from the shared registry (model-registry.js)
+   generator.registry.list();                       // all models
+   generator.registry.register({
+       id: 'your-org/your-logo-model',
+       name: 'Custom Logo Model',
+       icon: '⚖️',
+       defaults: { width: 768, height: 768, num_inference_steps: 30 }
+   });
+   generator.registry.unregister('hakurei/waifu-diffusion');
+
+   // Refine an existing logo (image-to-image), or repaint the white
+   // areas of a mask (inpainting). Only models whose registry entry lists
+   // the task accept it: registry.list({ task: 'inpainting' })
+   const refined = await generator.generateWithModel(
+       'black-forest-labs/FLUX.1-Kontext-Dev',
+       'same logo in navy and gold',
+       { strength: 0.5 },
+       { image: logoBlob }
+   );
+   await generator.generateWithModel(
+       'diffusers/stable-diffusion-xl-1.0-inpainting-0.1',
+       'replace the gavel with an open book',
+       {},
+       { image: logoBlob, mask: maskBlob }
+   );
 
 6. BATCH PROCESSING FOR RESEARCH:
    
-   // Generate variations for A/B testing
-   const prompts = [
-       "Law firm logo variant A",
-       "Law firm logo variant B",
-       "Law firm logo variant C"
-   ];
+   // Run every variant against every model for A/B testing
+   // (batch-runner.js). Pasted lines or a CSV with a "prompt" column:
+   const prompts = BatchRunner.parsePrompts(
+       'label,prompt\n' +
+       'A,Law firm logo with scales of justice\n' +
+       'B,Law firm logo with a classical column'
+   );
+   
+   const runner = generator.createBatchRunner({ history });  // history optional
+   const batch = runner.create({ prompts, modelIds: ['stabilityai/stable-diffusion-2-1', 'prompthero/openjourney'] });
+   
+   // Cells run a few at a time. On HTTP 429 the whole queue waits
+   // (Retry-After, else 10 s doubling to 2 min) and continues one by one.
+   runner.run(batch, { onCell: (cell, result) => console.log(cell.row, cell.modelId, cell.status) });
+   runner.pause();          // finish running cells, start no new ones
+   runner.stop();           // also abort running cells
+   await runner.run(runner.loadBatch(batch.id));   // resume, even after a reload
+   
+   runner.toMatrix(batch);  // { rows: prompts, columns: models, cells }
+   runner.toCsv(batch);     // one line per prompt x model
+
+7. OTHER BACKENDS (providers.js):
+   
+   // Each registry model names its provider; the same calls work for all.
+   // Keep client names in-house with a self-hosted server:
+   const generator = new HuggingFaceMultiGenerator(null, {
+       providers: [
+           { id: 'office', type: 'automatic1111', baseUrl: 'http://gpu-box:7860' },
+           { id: 'comfy', type: 'comfyui', baseUrl: 'http://gpu-box:8188' },
+           { id: 'openai', type: 'openai', apiKey: 'sk-...' }   // or baseUrl of a compatible server
+       ]
+   });
+   
+   // Point a model at a provider; providerModel is its name there
+   // (A1111/ComfyUI checkpoint, OpenAI model)
+   generator.registry.setProvider('stabilityai/stable-diffusion-2-1', 'office', 'v2-1_768-ema-pruned.safetensors');
+   generator.registry.register({ id: 'openai/gpt-image-1', name: 'GPT Image', provider: 'openai', providerModel: 'gpt-image-1' });
+   
+   // ComfyUI models can bring their own API-format workflow with
+   // {{prompt}}, {{negative_prompt}}, {{seed}}, {{steps}}, {{cfg}},
+   // {{width}}, {{height}}, {{model}}, {{denoise}}, {{image}} and {{mask}}
+   
+   // Offline: the 'mock' provider draws seeded placeholders. Run one
+   // request on it, or use it for models whose provider has no key:
+   await generator.generateWithModel(modelId, prompt, {}, { provider: 'mock' });
+   new HuggingFaceMultiGenerator(null, { fallbackProvider: 'mock', mock: { delay: 0 } });
+
+8. USAGE AND BUDGETS (usage-ledger.js):
+   
+   // Record every request against the key profile that sent it
+   const usage = new UsageLedger();
+   const generator = new HuggingFaceMultiGenerator(key, { usage, profileId: 'profile-id' });
+   
+   usage.summary();   // this month: requests, failureRate, avgLatencyMs, per model
+   
+   // Soft limit: confirm first. Hard limit: Hugging Face requests fail
+   // with BudgetExceededError until the next month.
+   usage.setBudget('profile-id', { soft: 800, hard: 1000 });
+   usage.checkBudget('profile-id', 6);   // { status: 'ok' | 'warn' | 'block', used, message }
+
+9. PROVENANCE METADATA (provenance.js):
+   
+   // Embed prompt, enhanced prompt, model, parameters, seed and time
+   // (PNG iTXt chunks; XMP in JPEG, WebP and SVG)
+   await generator.saveToDevice(result.imageUrl, 'logo.png', {
+       provenance: provenanceFromImage(result)
+   });
    
-   for (const prompt of prompts) {
-       await generator.generateWithAllModels(prompt);
-   }
+   // Read it back from a file
+   const { format, provenance } = await readProvenance(file);
 
 Note: Some models may have rate limits. Free tier typically allows
       ~1000 generations per month. For unlimited access, consider
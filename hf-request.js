@@ -0,0 +1,327 @@
+/**
+ * Hugging Face Request Layer
+ * Classifies inference API responses into typed errors and retries
+ * transient failures with exponential backoff and jitter
+ */
+
+class InferenceError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'InferenceError';
+        this.status = details.status || null;
+        this.retryable = details.retryable || false;
+        this.body = details.body || null;
+    }
+}
+
+// 503 while the model is being loaded onto a worker (cold start)
+class ModelLoadingError extends InferenceError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'ModelLoadingError';
+        this.estimatedTime = details.estimatedTime !== undefined ? details.estimatedTime : null; // seconds
+    }
+}
+
+// 429 from the free tier or a per-model limit
+class RateLimitError extends InferenceError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'RateLimitError';
+        this.retryAfter = details.retryAfter !== undefined ? details.retryAfter : null; // seconds
+    }
+}
+
+// 401/403: missing, invalid or under-scoped token. Never retried.
+class AuthError extends InferenceError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: false });
+        this.name = 'AuthError';
+    }
+}
+
+// 404: model does not exist or is not served by the inference API
+class ModelNotFoundError extends InferenceError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: false });
+        this.name = 'ModelNotFoundError';
+    }
+}
+
+// Other 5xx responses and network failures
+class ServerError extends InferenceError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'ServerError';
+    }
+}
+
+// The caller aborted the request (Cancel button, parent batch cancelled)
+class CancelledError extends InferenceError {
+    constructor(message = 'Request cancelled', details = {}) {
+        super(message, { ...details, retryable: false });
+        this.name = 'CancelledError';
+    }
+}
+
+// A per-model or per-batch time limit elapsed
+class RequestTimeoutError extends InferenceError {
+    constructor(message = 'Request timed out', details = {}) {
+        super(message, { ...details, retryable: false });
+        this.name = 'RequestTimeoutError';
+        this.timeout = details.timeout || null; // ms
+    }
+}
+
+class HFRequestClient {
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 4;
+        this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 1000; // ms
+        this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 30000; // ms
+        this.maxLoadWait = options.maxLoadWait !== undefined ? options.maxLoadWait : 120000; // ms
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+        this.random = options.random || Math.random;
+        this.sleep = options.sleep || abortableSleep;
+    }
+
+    /**
+     * Send a request, retrying transient failures
+     * @param {string} url - Endpoint URL
+     * @param {Object} init - fetch() options; init.signal cancels the request and any wait
+     * @param {Object} options - { onRetry(info) } called before each wait
+     * @returns {Promise<Response>} - Successful response
+     * @throws {InferenceError} - Typed error once retries are exhausted
+     */
+    async request(url, init = {}, options = {}) {
+        const signal = init.signal;
+
+        for (let attempt = 0; ; attempt++) {
+            let error;
+
+            if (signal && signal.aborted) {
+                throw abortReasonToError(signal);
+            }
+
+            try {
+                const response = await this.fetch(url, init);
+                if (response.ok) {
+                    return response;
+                }
+                error = await this.toError(response);
+            } catch (fetchError) {
+                if (signal && signal.aborted) {
+                    throw abortReasonToError(signal);
+                }
+                if (fetchError instanceof InferenceError) {
+                    throw fetchError;
+                }
+                error = new ServerError(`Network error: ${fetchError.message}`);
+            }
+
+            if (!error.retryable || attempt >= this.maxRetries) {
+                throw error;
+            }
+
+            const delay = this.getRetryDelay(error, attempt);
+            if (options.onRetry) {
+                options.onRetry({
+                    attempt: attempt + 1,
+                    maxRetries: this.maxRetries,
+                    delay,
+                    error,
+                    reason: this.describeRetry(error, delay)
+                });
+            }
+
+            try {
+                await this.sleep(delay, signal);
+            } catch (sleepError) {
+                throw abortReasonToError(signal);
+            }
+        }
+    }
+
+    /**
+     * Convert a non-OK response into a typed error
+     * @param {Response} response - fetch() response
+     * @returns {Promise<InferenceError>}
+     */
+    async toError(response) {
+        const text = await response.text().catch(() => '');
+        let body = null;
+        try {
+            body = text ? JSON.parse(text) : null;
+        } catch (parseError) {
+            body = null;
+        }
+
+        const message = errorMessageFromBody(body) || text || response.statusText || `HTTP ${response.status}`;
+        const details = { status: response.status, body };
+
+        switch (response.status) {
+        case 401:
+        case 403:
+            return new AuthError(`Authentication failed: ${message}`, details);
+        case 404:
+            return new ModelNotFoundError(`Model not available: ${message}`, details);
+        case 429:
+            return new RateLimitError(`Rate limited: ${message}`, {
+                ...details,
+                retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+            });
+        case 503:
+            if (body && body.estimated_time !== undefined) {
+                return new ModelLoadingError(`Model is loading: ${message}`, {
+                    ...details,
+                    estimatedTime: Number(body.estimated_time)
+                });
+            }
+            return new ServerError(`Service unavailable: ${message}`, details);
+        default:
+            if (response.status >= 500) {
+                return new ServerError(`Server error: ${message}`, details);
+            }
+            return new InferenceError(`API Error: ${message}`, details);
+        }
+    }
+
+    /**
+     * How long to wait before the next attempt
+     * @param {InferenceError} error - The error that triggered the retry
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @returns {number} - Delay in milliseconds
+     */
+    getRetryDelay(error, attempt) {
+        // Wait out the reported cold-start time
+        if (error instanceof ModelLoadingError && error.estimatedTime !== null) {
+            return Math.min(this.maxLoadWait, Math.ceil(error.estimatedTime * 1000));
+        }
+
+        // Honour the server's Retry-After
+        if (error instanceof RateLimitError && error.retryAfter !== null) {
+            return Math.min(this.maxLoadWait, error.retryAfter * 1000);
+        }
+
+        // Exponential backoff with "equal" jitter: half fixed, half random
+        const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+        return Math.round(exponential / 2 + this.random() * exponential / 2);
+    }
+
+    /**
+     * Human-readable retry message for progress callbacks
+     * @private
+     */
+    describeRetry(error, delay) {
+        const seconds = Math.ceil(delay / 1000);
+        if (error instanceof ModelLoadingError) {
+            return `warming up, retry in ${seconds}s`;
+        }
+        if (error instanceof RateLimitError) {
+            return `rate limited, retry in ${seconds}s`;
+        }
+        return `server error, retry in ${seconds}s`;
+    }
+}
+
+// setTimeout-based wait that rejects as soon as the signal aborts
+function abortableSleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// Abort a child controller when the parent signal aborts, keeping the reason.
+// Returns a function that detaches the listener.
+function linkAbortSignal(parentSignal, controller) {
+    if (!parentSignal) {
+        return () => {};
+    }
+
+    if (parentSignal.aborted) {
+        controller.abort(parentSignal.reason);
+        return () => {};
+    }
+
+    const onAbort = () => controller.abort(parentSignal.reason);
+    parentSignal.addEventListener('abort', onAbort, { once: true });
+    return () => parentSignal.removeEventListener('abort', onAbort);
+}
+
+// Timeouts abort with a RequestTimeoutError reason; anything else is a cancel
+function abortReasonToError(signal) {
+    const reason = signal && signal.reason;
+    if (reason instanceof InferenceError) {
+        return reason;
+    }
+    return new CancelledError();
+}
+
+// Error text from the JSON shapes servers use: Hugging Face { error: '...' },
+// OpenAI { error: { message } }, Automatic1111/FastAPI { detail } and { message }
+function errorMessageFromBody(body) {
+    if (!body || typeof body !== 'object') {
+        return null;
+    }
+
+    const value = body.error || body.detail || body.message;
+    if (!value) {
+        return null;
+    }
+    if (typeof value === 'string') {
+        return value;
+    }
+    return value.message || JSON.stringify(value);
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+
+    return null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HFRequestClient,
+        InferenceError,
+        ModelLoadingError,
+        RateLimitError,
+        AuthError,
+        ModelNotFoundError,
+        ServerError,
+        CancelledError,
+        RequestTimeoutError,
+        linkAbortSignal
+    };
+}
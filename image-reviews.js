@@ -0,0 +1,409 @@
+/**
+ * Image Reviews
+ * Star ratings, tags and notes for history images, plus pairwise "A vs B"
+ * votes. Votes are turned into a ranking (Bradley–Terry) and into win rates
+ * per model. Each rating and vote records who made it, so several reviewers
+ * can share one device or merge their reviews through a workspace bundle.
+ */
+
+const REVIEWS_STORAGE_KEY = 'logoi_reviews';
+const DEFAULT_REVIEWER = 'Me';
+
+// Bradley–Terry fitting
+const RANKING_ITERATIONS = 100;
+
+class ImageReviews {
+    /**
+     * @param {Object} options - { storage (defaults to localStorage) }
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.data = { reviewer: DEFAULT_REVIEWER, images: {}, votes: [], ...this.load() };
+    }
+
+    /**
+     * Name stored with new ratings and votes
+     * @returns {string}
+     */
+    getReviewer() {
+        return this.data.reviewer;
+    }
+
+    /**
+     * @param {string} name - Reviewer name (e.g. a partner's initials)
+     */
+    setReviewer(name) {
+        this.data.reviewer = String(name || '').trim() || DEFAULT_REVIEWER;
+        this.save();
+    }
+
+    /**
+     * Everything known about one image
+     * @param {string} imageId - History image ID
+     * @returns {Object} - { rating (average or null), myRating, ratings, tags, notes, wins, losses }
+     */
+    getReview(imageId) {
+        const entry = this.data.images[imageId] || { ratings: {}, tags: [], notes: '' };
+        const stars = Object.values(entry.ratings);
+        const votes = this.data.votes.filter(vote => vote.winnerId === imageId || vote.loserId === imageId);
+
+        return {
+            rating: stars.length > 0 ? stars.reduce((sum, value) => sum + value, 0) / stars.length : null,
+            myRating: entry.ratings[this.data.reviewer] || 0,
+            ratings: { ...entry.ratings },
+            tags: [...entry.tags],
+            notes: entry.notes,
+            wins: votes.filter(vote => vote.winnerId === imageId).length,
+            losses: votes.filter(vote => vote.loserId === imageId).length
+        };
+    }
+
+    /**
+     * Rate an image for the current reviewer
+     * @param {Object} image - { id, modelId, prompt }
+     * @param {number} stars - 1 to 5; 0 removes the rating
+     */
+    rate(image, stars) {
+        const value = Math.round(Number(stars));
+        if (!(value >= 0 && value <= 5)) {
+            throw new Error('Ratings go from 1 to 5 stars');
+        }
+
+        const entry = this.entry(image);
+        if (value === 0) {
+            delete entry.ratings[this.data.reviewer];
+        } else {
+            entry.ratings[this.data.reviewer] = value;
+        }
+        this.save();
+    }
+
+    /**
+     * Replace an image's tags
+     * @param {Object} image - { id, modelId, prompt }
+     * @param {string[]|string} tags - Array or comma-separated list
+     * @returns {string[]} - Normalised tags
+     */
+    setTags(image, tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        const entry = this.entry(image);
+        entry.tags = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+        this.save();
+        return [...entry.tags];
+    }
+
+    /**
+     * @param {Object} image - { id, modelId, prompt }
+     * @param {string} notes - Free text
+     */
+    setNotes(image, notes) {
+        this.entry(image).notes = String(notes || '');
+        this.save();
+    }
+
+    /**
+     * Tags in use, most used first
+     * @returns {Object[]} - { tag, count }
+     */
+    listTags() {
+        const counts = new Map();
+        Object.values(this.data.images).forEach(entry => {
+            entry.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return [...counts.entries()]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Record an "A vs B" decision
+     * @param {Object} winner - { id, modelId, prompt }
+     * @param {Object} loser - { id, modelId, prompt }
+     * @returns {Object} - Stored vote
+     */
+    vote(winner, loser) {
+        if (!winner || !loser || winner.id === loser.id) {
+            throw new Error('A vote needs two different images');
+        }
+
+        const vote = {
+            id: `vote-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            winnerId: winner.id,
+            loserId: loser.id,
+            winnerModelId: winner.modelId || null,
+            loserModelId: loser.modelId || null,
+            prompt: winner.prompt || loser.prompt || '',
+            reviewer: this.data.reviewer,
+            createdAt: new Date().toISOString()
+        };
+        this.data.votes.push(vote);
+        this.save();
+        return vote;
+    }
+
+    /**
+     * Take back the current reviewer's latest vote
+     * @returns {Object|null} - Removed vote
+     */
+    undoVote() {
+        for (let i = this.data.votes.length - 1; i >= 0; i--) {
+            if (this.data.votes[i].reviewer === this.data.reviewer) {
+                const [vote] = this.data.votes.splice(i, 1);
+                this.save();
+                return vote;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Pick the next pair to compare: the two images compared least often
+     * with each other, preferring images with few votes overall
+     * @param {string[]} imageIds - Candidates
+     * @returns {string[]|null} - [a, b] in random order, or null with fewer than two images
+     */
+    nextPair(imageIds) {
+        if (imageIds.length < 2) {
+            return null;
+        }
+
+        const pairCount = new Map();
+        const imageCount = new Map(imageIds.map(id => [id, 0]));
+        this.data.votes.forEach(vote => {
+            if (imageCount.has(vote.winnerId) && imageCount.has(vote.loserId)) {
+                const key = pairKey(vote.winnerId, vote.loserId);
+                pairCount.set(key, (pairCount.get(key) || 0) + 1);
+                imageCount.set(vote.winnerId, imageCount.get(vote.winnerId) + 1);
+                imageCount.set(vote.loserId, imageCount.get(vote.loserId) + 1);
+            }
+        });
+
+        let best = [];
+        let bestCost = Infinity;
+        for (let i = 0; i < imageIds.length; i++) {
+            for (let j = i + 1; j < imageIds.length; j++) {
+                const a = imageIds[i];
+                const b = imageIds[j];
+                // Unseen pairs first, then the least-voted images
+                const cost = (pairCount.get(pairKey(a, b)) || 0) * 1000 + imageCount.get(a) + imageCount.get(b);
+                if (cost < bestCost) {
+                    best = [[a, b]];
+                    bestCost = cost;
+                } else if (cost === bestCost) {
+                    best.push([a, b]);
+                }
+            }
+        }
+
+        const pair = best[Math.floor(Math.random() * best.length)];
+        return Math.random() < 0.5 ? pair : [pair[1], pair[0]];
+    }
+
+    /**
+     * Rank images by their votes against each other
+     * @param {string[]} imageIds - Images to rank
+     * @returns {Object[]} - { id, rank, score (chance of beating an average image), wins, losses }, best first
+     */
+    ranking(imageIds) {
+        const ids = new Set(imageIds);
+        const votes = this.data.votes.filter(vote => ids.has(vote.winnerId) && ids.has(vote.loserId));
+        const strength = bradleyTerry(imageIds, votes.map(vote => [vote.winnerId, vote.loserId]));
+
+        return imageIds
+            .map(id => ({
+                id,
+                score: strength.get(id) / (strength.get(id) + 1),
+                wins: votes.filter(vote => vote.winnerId === id).length,
+                losses: votes.filter(vote => vote.loserId === id).length
+            }))
+            .sort((a, b) => b.score - a.score || b.wins - a.wins)
+            .map((entry, index) => ({ ...entry, rank: index + 1 }));
+    }
+
+    /**
+     * Win rates per model, from votes between images of different models
+     * @param {Object} filter - { query (prompt text), reviewer }
+     * @returns {Object[]} - { modelId, wins, losses, comparisons, winRate, ratedImages, averageRating }, best first
+     */
+    modelStats(filter = {}) {
+        const query = (filter.query || '').trim().toLowerCase();
+        const stats = new Map();
+        const statsFor = (modelId) => {
+            if (!stats.has(modelId)) {
+                stats.set(modelId, { modelId, wins: 0, losses: 0, comparisons: 0, winRate: null, ratedImages: 0, averageRating: null, starTotal: 0 });
+            }
+            return stats.get(modelId);
+        };
+
+        this.data.votes
+            .filter(vote => vote.winnerModelId && vote.loserModelId && vote.winnerModelId !== vote.loserModelId)
+            .filter(vote => !filter.reviewer || vote.reviewer === filter.reviewer)
+            .filter(vote => !query || vote.prompt.toLowerCase().includes(query))
+            .forEach(vote => {
+                statsFor(vote.winnerModelId).wins++;
+                statsFor(vote.loserModelId).losses++;
+            });
+
+        Object.values(this.data.images)
+            .filter(entry => entry.modelId && (!query || (entry.prompt || '').toLowerCase().includes(query)))
+            .forEach(entry => {
+                const stars = Object.entries(entry.ratings)
+                    .filter(([reviewer]) => !filter.reviewer || reviewer === filter.reviewer)
+                    .map(([, value]) => value);
+                if (stars.length > 0) {
+                    const model = statsFor(entry.modelId);
+                    model.ratedImages++;
+                    model.starTotal += stars.reduce((sum, value) => sum + value, 0) / stars.length;
+                }
+            });
+
+        return [...stats.values()]
+            .map(({ starTotal, ...model }) => {
+                const comparisons = model.wins + model.losses;
+                return {
+                    ...model,
+                    comparisons,
+                    winRate: comparisons > 0 ? model.wins / comparisons : null,
+                    averageRating: model.ratedImages > 0 ? starTotal / model.ratedImages : null
+                };
+            })
+            .sort((a, b) => (b.winRate === null ? -1 : b.winRate) - (a.winRate === null ? -1 : a.winRate)
+                || (b.averageRating || 0) - (a.averageRating || 0));
+    }
+
+    /**
+     * Reviews and votes for a workspace export
+     * @returns {Object} - { images, votes }
+     */
+    toJSON() {
+        return { images: this.data.images, votes: this.data.votes };
+    }
+
+    /**
+     * Add reviews from another device. Votes are matched by ID; ratings by
+     * image and reviewer, where incoming ratings win only with `replace`.
+     * @param {Object} reviews - Result of toJSON()
+     * @param {Object} options - { replace }
+     * @returns {Object} - { images, votes } counts of new entries
+     */
+    merge(reviews, options = {}) {
+        const counts = { images: 0, votes: 0 };
+        const voteIds = new Set(this.data.votes.map(vote => vote.id));
+
+        (reviews.votes || []).forEach(vote => {
+            if (!voteIds.has(vote.id)) {
+                this.data.votes.push(vote);
+                counts.votes++;
+            }
+        });
+
+        Object.entries(reviews.images || {}).forEach(([id, incoming]) => {
+            const current = this.data.images[id];
+            if (!current) {
+                this.data.images[id] = { ratings: {}, tags: [], notes: '', ...incoming };
+                counts.images++;
+                return;
+            }
+            current.ratings = options.replace
+                ? { ...current.ratings, ...incoming.ratings }
+                : { ...incoming.ratings, ...current.ratings };
+            current.tags = [...new Set([...current.tags, ...(incoming.tags || [])])];
+            if (options.replace || !current.notes) {
+                current.notes = incoming.notes || current.notes;
+            }
+        });
+
+        this.data.votes.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        this.save();
+        return counts;
+    }
+
+    /**
+     * @private
+     */
+    entry(image) {
+        if (!image || !image.id) {
+            throw new Error('Only images saved in the history can be reviewed');
+        }
+        if (!this.data.images[image.id]) {
+            this.data.images[image.id] = { modelId: null, prompt: '', ratings: {}, tags: [], notes: '' };
+        }
+
+        const entry = this.data.images[image.id];
+        entry.modelId = image.modelId || entry.modelId;
+        entry.prompt = image.prompt || entry.prompt;
+        entry.updatedAt = new Date().toISOString();
+        return entry;
+    }
+
+    /**
+     * @private
+     */
+    load() {
+        if (!this.storage) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(this.storage.getItem(REVIEWS_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('Failed to load reviews:', error);
+            return {};
+        }
+    }
+
+    /**
+     * @private
+     */
+    save() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(REVIEWS_STORAGE_KEY, JSON.stringify(this.data));
+            return true;
+        } catch (error) {
+            console.error('Failed to save reviews:', error);
+            return false;
+        }
+    }
+}
+
+function pairKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+// Strength per item from [winner, loser] pairs (MM algorithm). Every item
+// also plays one win and one loss against a virtual item of strength 1, so
+// unbeaten or unvoted items still get a finite score.
+function bradleyTerry(ids, results) {
+    const strength = new Map(ids.map(id => [id, 1]));
+    const wins = new Map(ids.map(id => [id, 1]));
+    const games = new Map(ids.map(id => [id, new Map()]));
+
+    results.forEach(([winner, loser]) => {
+        wins.set(winner, wins.get(winner) + 1);
+        games.get(winner).set(loser, (games.get(winner).get(loser) || 0) + 1);
+        games.get(loser).set(winner, (games.get(loser).get(winner) || 0) + 1);
+    });
+
+    for (let iteration = 0; iteration < RANKING_ITERATIONS; iteration++) {
+        const next = new Map();
+        ids.forEach(id => {
+            const own = strength.get(id);
+            let denominator = 2 / (own + 1); // the virtual opponent
+            games.get(id).forEach((count, other) => {
+                denominator += count / (own + strength.get(other));
+            });
+            next.set(id, wins.get(id) / denominator);
+        });
+        next.forEach((value, id) => strength.set(id, value));
+    }
+    return strength;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ImageReviews, DEFAULT_REVIEWER };
+}
@@ -0,0 +1,491 @@
+/**
+ * Lockup Composer
+ * Sets the firm name and a tagline next to a generated icon, since diffusion
+ * models garble lettering. Layouts: stacked, horizontal and badge (name and
+ * tagline on the arcs of a seal). One layout is drawn on a canvas for PNG
+ * exports and written as SVG with real <text>, so the type stays sharp and
+ * editable. Uses helpers from background-removal.js, vectorizer.js,
+ * brand-kit.js, provenance.js and providers.js.
+ */
+
+// System font stacks only: lockups render offline and the same in every export
+const LOCKUP_FONTS = {
+    serif: { label: 'Classic serif', family: 'Georgia, "Times New Roman", Times, serif', weight: 700 },
+    garamond: { label: 'Garamond', family: 'Garamond, "EB Garamond", "Palatino Linotype", Palatino, serif', weight: 600 },
+    didone: { label: 'Didone', family: 'Didot, "Bodoni 72", "Bodoni MT", "Times New Roman", serif', weight: 700 },
+    sans: { label: 'Modern sans', family: '"Helvetica Neue", Helvetica, Arial, sans-serif', weight: 700 },
+    humanist: { label: 'Humanist sans', family: 'Optima, Candara, "Gill Sans", "Segoe UI", sans-serif', weight: 600 },
+    slab: { label: 'Slab serif', family: 'Rockwell, "Roboto Slab", "Courier New", serif', weight: 700 }
+};
+
+const LOCKUP_DEFAULTS = {
+    layout: 'stacked',
+    name: '',
+    tagline: '',
+    font: 'serif',
+    uppercase: true,
+    nameColor: '#1f2937',
+    taglineColor: '#4b5563',
+    background: null,     // null = transparent
+    nameSize: 0.3,        // text size as a share of the icon height
+    taglineSize: 0.11,
+    tracking: 50,         // letter spacing in thousandths of an em, as in design tools
+    taglineTracking: 150,
+    kerning: true,        // use the font's kerning pairs
+    iconSize: 512         // icon height in layout units; exports scale the whole layout
+};
+
+// Ascent and descent as a share of the font size, for spacing lines
+const LOCKUP_ASCENT = 0.78;
+const LOCKUP_DESCENT = 0.22;
+
+// Icon box, text lines and rings for each layout. Sizes are in layout units.
+const LOCKUP_LAYOUTS = {
+    stacked: {
+        label: 'Stacked',
+        arrange: (icon, name, tagline, settings) => {
+            const unit = settings.iconSize;
+            const padding = unit * 0.15;
+            const box = fitIcon(icon, unit, unit * 1.6);
+            const width = Math.max(box.width, name ? name.width : 0, tagline ? tagline.width : 0) + padding * 2;
+            const lines = [];
+
+            let y = padding + box.height;
+            if (name) {
+                y += unit * 0.14;
+                lines.push({ ...name, x: (width - name.width) / 2, y: y + name.size * LOCKUP_ASCENT });
+                y += name.size;
+            }
+            if (tagline) {
+                y += name ? name.size * 0.35 : unit * 0.14;
+                lines.push({ ...tagline, x: (width - tagline.width) / 2, y: y + tagline.size * LOCKUP_ASCENT });
+                y += tagline.size;
+            }
+
+            return {
+                width,
+                height: y + padding,
+                icon: { ...box, x: (width - box.width) / 2, y: padding },
+                lines,
+                rings: []
+            };
+        }
+    },
+    horizontal: {
+        label: 'Horizontal',
+        arrange: (icon, name, tagline, settings) => {
+            const unit = settings.iconSize;
+            const padding = unit * 0.15;
+            const box = fitIcon(icon, unit, unit * 1.6);
+            const textWidth = Math.max(name ? name.width : 0, tagline ? tagline.width : 0);
+            const lineGap = name && tagline ? name.size * 0.35 : 0;
+            const blockHeight = (name ? name.size : 0) + lineGap + (tagline ? tagline.size : 0);
+
+            const width = padding * 2 + box.width + (textWidth > 0 ? unit * 0.16 + textWidth : 0);
+            const height = padding * 2 + Math.max(box.height, blockHeight);
+            const textX = padding + box.width + unit * 0.16;
+            const lines = [];
+
+            let y = (height - blockHeight) / 2;
+            if (name) {
+                lines.push({ ...name, x: textX, y: y + name.size * LOCKUP_ASCENT });
+                y += name.size + lineGap;
+            }
+            if (tagline) {
+                lines.push({ ...tagline, x: textX, y: y + tagline.size * LOCKUP_ASCENT });
+            }
+
+            return {
+                width,
+                height,
+                icon: { ...box, x: padding, y: (height - box.height) / 2 },
+                lines,
+                rings: []
+            };
+        }
+    },
+    badge: {
+        label: 'Badge',
+        // Name along the top arc, tagline along the bottom, both reading left to right
+        arrange: (icon, name, tagline, settings, fitLine) => {
+            const unit = settings.iconSize;
+            const inner = unit * 0.5;
+            const gap = unit * 0.06;
+            const ringWidth = unit * 0.025;
+            // Each arc holds at most 85% of a half circle at the inner edge of the text band
+            const arcLength = Math.PI * (inner + gap) * 0.85;
+            const top = name && fitLine(name, arcLength);
+            const bottom = tagline && fitLine(tagline, arcLength);
+
+            const band = Math.max(top ? top.size : 0, bottom ? bottom.size : 0);
+            const outer = inner + gap + band + gap;
+            const size = (outer + ringWidth) * 2 + unit * 0.1;
+            const center = size / 2;
+            const box = fitIcon(icon, inner * Math.SQRT2 * 0.9, inner * Math.SQRT2 * 0.9);
+            const lines = [];
+
+            // Descenders of the top line and ascenders of the bottom line point inwards
+            if (top) {
+                const r = inner + gap + top.size * LOCKUP_DESCENT;
+                lines.push({ ...top, arc: { cx: center, cy: center, r, side: 'top' }, offset: (Math.PI * r - top.width) / 2 });
+            }
+            if (bottom) {
+                const r = inner + gap + bottom.size * LOCKUP_ASCENT;
+                lines.push({ ...bottom, arc: { cx: center, cy: center, r, side: 'bottom' }, offset: (Math.PI * r - bottom.width) / 2 });
+            }
+
+            return {
+                width: size,
+                height: size,
+                icon: { ...box, x: center - box.width / 2, y: center - box.height / 2 },
+                lines,
+                rings: [
+                    { cx: center, cy: center, r: outer + ringWidth / 2, width: ringWidth, color: settings.nameColor },
+                    { cx: center, cy: center, r: inner + gap / 2, width: ringWidth / 2, color: settings.nameColor }
+                ]
+            };
+        }
+    }
+};
+
+class LockupComposer {
+    /**
+     * @param {Object} options - Defaults for every lockup (see LOCKUP_DEFAULTS), plus
+     *                           measure (text, style) => width (defaults to a canvas)
+     */
+    constructor(options = {}) {
+        const { measure, ...settings } = options;
+        this.options = { ...LOCKUP_DEFAULTS, ...settings };
+        this.measure = measure || null;
+    }
+
+    /**
+     * Decode the icon, optionally remove its background, and crop it to the mark
+     * @param {Blob} image - Generated logo
+     * @param {Object} options - { removeBackground (flood fill from the border), tolerance }
+     * @returns {Promise<Object>} - { canvas, width, height, palette (hex colours, most used first) }
+     */
+    async loadIcon(image, options = {}) {
+        let pixels = await blobToImageData(image);
+        if (options.removeBackground) {
+            pixels = removeBackgroundByColor(pixels, { mode: 'flood', tolerance: options.tolerance || 32 });
+        }
+
+        const trimmed = trimTransparent(pixels);
+        return {
+            canvas: imageDataToCanvas(trimmed),
+            width: trimmed.width,
+            height: trimmed.height,
+            palette: lockupPalette(trimmed)
+        };
+    }
+
+    /**
+     * Positions of the icon, text and rings
+     * @param {Object} icon - { width, height } (e.g. from loadIcon())
+     * @param {Object} options - Settings for this lockup (see LOCKUP_DEFAULTS)
+     * @returns {Object} - See layoutLockup()
+     */
+    layout(icon, options = {}) {
+        if (!this.measure) {
+            this.measure = canvasTextMeasure();
+        }
+        return layoutLockup(icon, { ...this.options, ...options }, this.measure);
+    }
+
+    /**
+     * Draw the lockup
+     * @param {Object} icon - From loadIcon()
+     * @param {Object} options - Settings for this lockup (see LOCKUP_DEFAULTS)
+     * @param {number} width - Canvas width in pixels (height follows the layout)
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
+     */
+    render(icon, options = {}, width = 1024) {
+        const layout = this.layout(icon, options);
+        const scale = width / layout.width;
+        const canvas = createCanvas(Math.round(width), Math.max(1, Math.round(layout.height * scale)));
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        drawLockup(ctx, layout, icon.canvas);
+        return canvas;
+    }
+
+    /**
+     * High-resolution PNG
+     * @param {Object} icon - From loadIcon()
+     * @param {Object} options - Settings for this lockup (see LOCKUP_DEFAULTS)
+     * @param {number} width - Image width in pixels
+     * @returns {Promise<Blob>}
+     */
+    toPng(icon, options = {}, width = 3000) {
+        return canvasToPng(this.render(icon, options, width));
+    }
+
+    /**
+     * SVG with the text as <text> elements. The icon is embedded as a PNG, or
+     * as traced paths when vectorIcon is set.
+     * @param {Object} icon - From loadIcon()
+     * @param {Object} options - Settings for this lockup (see LOCKUP_DEFAULTS) and
+     *                           vectorIcon (LogoVectorizer options, or true for its defaults)
+     * @returns {Promise<string>}
+     */
+    async toSvg(icon, options = {}) {
+        const { vectorIcon, ...settings } = options;
+        const layout = this.layout(icon, settings);
+        const iconPng = await canvasToPng(icon.canvas);
+
+        if (vectorIcon) {
+            const traced = await new LogoVectorizer(vectorIcon === true ? {} : vectorIcon).vectorizeBlob(iconPng, { dropBackground: false });
+            return lockupSvg(layout, { svg: traced.svg });
+        }
+        return lockupSvg(layout, { href: `data:image/png;base64,${await blobToBase64(iconPng)}` });
+    }
+}
+
+/**
+ * Lay out a lockup
+ * @param {Object} icon - { width, height } of the cropped icon
+ * @param {Object} settings - Complete settings (see LOCKUP_DEFAULTS)
+ * @param {Function} measure - (text, { family, weight, size, kerning }) => width without letter spacing
+ * @returns {Object} - { layout, width, height, background, icon: { x, y, width, height },
+ *                     lines: [{ text, glyphs: [{ char, x, width }], width, size, family, weight, color,
+ *                     tracking, kerning, x, y | arc: { cx, cy, r, side }, offset }],
+ *                     rings: [{ cx, cy, r, width, color }] }
+ */
+function layoutLockup(icon, settings, measure) {
+    const arrangement = LOCKUP_LAYOUTS[settings.layout];
+    if (!arrangement) {
+        throw new Error(`Unknown lockup layout: ${settings.layout}`);
+    }
+    const font = LOCKUP_FONTS[settings.font];
+    if (!font) {
+        throw new Error(`Unknown lockup font: ${settings.font}`);
+    }
+
+    const line = (text, size, tracking, weight, color) => {
+        const value = String(text || '').trim();
+        if (!value) {
+            return null;
+        }
+        const style = { family: font.family, weight, size, tracking: tracking / 1000 * size, kerning: settings.kerning, color };
+        return setLockupLine(settings.uppercase ? value.toUpperCase() : value, style, measure);
+    };
+    // Shrink a line until it is no wider than maxWidth (letter spacing scales with the size)
+    const fitLine = (set, maxWidth) => {
+        if (set.width <= maxWidth) {
+            return set;
+        }
+        const size = set.size * maxWidth / set.width;
+        return setLockupLine(set.text, { ...set, size, tracking: set.tracking * size / set.size }, measure);
+    };
+
+    const unit = settings.iconSize;
+    const name = line(settings.name, settings.nameSize * unit, settings.tracking, font.weight, settings.nameColor);
+    const tagline = line(settings.tagline, settings.taglineSize * unit, settings.taglineTracking, 400, settings.taglineColor);
+
+    return {
+        layout: settings.layout,
+        background: settings.background || null,
+        ...arrangement.arrange(icon, name, tagline, settings, fitLine)
+    };
+}
+
+/**
+ * Glyph positions for one line of text. Each glyph starts where the prefix
+ * before it ends, so the font's kerning pairs are kept.
+ * @param {string} text - Text to set
+ * @param {Object} style - { family, weight, size, tracking (pixels), kerning, color }
+ * @param {Function} measure - See layoutLockup()
+ * @returns {Object} - { ...style, text, glyphs: [{ char, x, width }], width }
+ */
+function setLockupLine(text, style, measure) {
+    const chars = Array.from(text);
+    const glyphs = [];
+    let advance = 0;
+    chars.forEach((char, index) => {
+        const end = measure(chars.slice(0, index + 1).join(''), style);
+        glyphs.push({ char, x: advance + index * style.tracking, width: end - advance });
+        advance = end;
+    });
+
+    return { ...style, text, glyphs, width: advance + Math.max(0, chars.length - 1) * style.tracking };
+}
+
+/**
+ * Colours to offer for the type, taken from the icon
+ * @param {Object} imageData - { width, height, data } of the icon
+ * @param {number} size - Colours to extract
+ * @returns {string[]} - Hex colours, most used first
+ */
+function lockupPalette(imageData, size = 6) {
+    const { palette, indices } = quantizeColors(imageData, size);
+    const counts = palette.map(() => 0);
+    indices.forEach(index => {
+        if (index < counts.length) {
+            counts[index]++;
+        }
+    });
+
+    return palette
+        .map((color, index) => ({ hex: colorToHex(color), count: counts[index] }))
+        .filter(item => item.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .map(item => item.hex);
+}
+
+/**
+ * Type colours from the icon's palette: the most used colours, leaving out
+ * whites, creams and pale greys that would vanish on a light background
+ * @param {string[]} palette - From lockupPalette()
+ * @returns {Object} - { nameColor, taglineColor }
+ */
+function lockupTypeColors(palette) {
+    const readable = palette.filter(hex => {
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b < 0.7;
+    });
+    if (readable.length === 0) {
+        return { nameColor: LOCKUP_DEFAULTS.nameColor, taglineColor: LOCKUP_DEFAULTS.taglineColor };
+    }
+    return { nameColor: readable[0], taglineColor: readable[1] || readable[0] };
+}
+
+/**
+ * SVG document for a layout
+ * @param {Object} layout - From layoutLockup()
+ * @param {Object} icon - { href (image URL) } or { svg (markup of a traced icon) }
+ * @returns {string}
+ */
+function lockupSvg(layout, icon) {
+    const n = (value) => String(Math.round(value * 100) / 100);
+    const defs = [];
+    const body = [];
+
+    if (layout.background) {
+        body.push(`<rect width="100%" height="100%" fill="${escapeXml(layout.background)}"/>`);
+    }
+    layout.rings.forEach(ring => {
+        body.push(`<circle cx="${n(ring.cx)}" cy="${n(ring.cy)}" r="${n(ring.r)}" fill="none" stroke="${escapeXml(ring.color)}" stroke-width="${n(ring.width)}"/>`);
+    });
+
+    const box = layout.icon;
+    if (icon.svg) {
+        body.push(icon.svg.replace(/<svg\b[^>]*>/, tag => tag
+            .replace(/\s(width|height|x|y)="[^"]*"/g, '')
+            .replace(/^<svg/, `<svg x="${n(box.x)}" y="${n(box.y)}" width="${n(box.width)}" height="${n(box.height)}"`)));
+    } else {
+        body.push(`<image x="${n(box.x)}" y="${n(box.y)}" width="${n(box.width)}" height="${n(box.height)}" href="${escapeXml(icon.href)}" xlink:href="${escapeXml(icon.href)}"/>`);
+    }
+
+    layout.lines.forEach((line, index) => {
+        const attributes = [
+            `font-family="${escapeXml(line.family)}"`,
+            `font-weight="${line.weight}"`,
+            `font-size="${n(line.size)}"`,
+            `letter-spacing="${n(line.tracking)}"`,
+            `fill="${escapeXml(line.color)}"`,
+            `style="font-kerning: ${line.kerning ? 'normal' : 'none'}"`
+        ].join(' ');
+
+        if (!line.arc) {
+            body.push(`<text x="${n(line.x)}" y="${n(line.y)}" ${attributes}>${escapeXml(line.text)}</text>`);
+            return;
+        }
+
+        // Top arcs run clockwise over the circle, bottom arcs anticlockwise under it
+        const { cx, cy, r, side } = line.arc;
+        const id = `lockup-arc-${index}`;
+        defs.push(`<path id="${id}" d="M ${n(cx - r)} ${n(cy)} A ${n(r)} ${n(r)} 0 0 ${side === 'top' ? 1 : 0} ${n(cx + r)} ${n(cy)}"/>`);
+        body.push(`<text ${attributes}><textPath href="#${id}" xlink:href="#${id}" startOffset="${n(line.offset)}">${escapeXml(line.text)}</textPath></text>`);
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 ${n(layout.width)} ${n(layout.height)}" width="${n(layout.width)}" height="${n(layout.height)}">`,
+        ...(defs.length > 0 ? ['<defs>', ...defs, '</defs>'] : []),
+        ...body,
+        '</svg>'
+    ].join('\n');
+}
+
+// Paint a layout; ctx is already scaled to layout units
+function drawLockup(ctx, layout, iconSource) {
+    if (layout.background) {
+        ctx.fillStyle = layout.background;
+        ctx.fillRect(0, 0, layout.width, layout.height);
+    }
+
+    layout.rings.forEach(ring => {
+        ctx.beginPath();
+        ctx.arc(ring.cx, ring.cy, ring.r, 0, Math.PI * 2);
+        ctx.lineWidth = ring.width;
+        ctx.strokeStyle = ring.color;
+        ctx.stroke();
+    });
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(iconSource, layout.icon.x, layout.icon.y, layout.icon.width, layout.icon.height);
+
+    layout.lines.forEach(line => {
+        ctx.font = lockupFont(line);
+        ctx.fillStyle = line.color;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        if ('fontKerning' in ctx) {
+            ctx.fontKerning = line.kerning ? 'normal' : 'none';
+        }
+
+        line.glyphs.forEach(glyph => {
+            if (!line.arc) {
+                ctx.fillText(glyph.char, line.x + glyph.x, line.y);
+                return;
+            }
+
+            // Angle of the glyph's centre; 0 is the right of the circle and angles grow clockwise
+            const { cx, cy, r, side } = line.arc;
+            const distance = line.offset + glyph.x + glyph.width / 2;
+            const angle = side === 'top' ? Math.PI + distance / r : Math.PI - distance / r;
+            ctx.save();
+            ctx.translate(cx + r * Math.cos(angle), cy + r * Math.sin(angle));
+            ctx.rotate(side === 'top' ? angle + Math.PI / 2 : angle - Math.PI / 2);
+            ctx.fillText(glyph.char, -glyph.width / 2, 0);
+            ctx.restore();
+        });
+    });
+}
+
+// Scale the icon to a height, but no wider than maxWidth
+function fitIcon(icon, height, maxWidth) {
+    const scale = Math.min(height / icon.height, maxWidth / icon.width);
+    return { width: icon.width * scale, height: icon.height * scale };
+}
+
+function lockupFont(style) {
+    return `${style.weight} ${style.size}px ${style.family}`;
+}
+
+function canvasTextMeasure() {
+    const ctx = createCanvas(1, 1).getContext('2d');
+    return (text, style) => {
+        ctx.font = lockupFont(style);
+        if ('fontKerning' in ctx) {
+            ctx.fontKerning = style.kerning ? 'normal' : 'none';
+        }
+        return ctx.measureText(text).width;
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LockupComposer,
+        layoutLockup,
+        setLockupLine,
+        lockupPalette,
+        lockupTypeColors,
+        lockupSvg,
+        LOCKUP_LAYOUTS,
+        LOCKUP_FONTS,
+        LOCKUP_DEFAULTS
+    };
+}
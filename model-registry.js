@@ -0,0 +1,358 @@
+/**
+ * Model Registry
+ * Single catalog of image generation models shared by the generator UI
+ * and HuggingFaceMultiGenerator
+ */
+
+const HF_INFERENCE_BASE_URL = 'https://api-inference.huggingface.co/models';
+
+// Built-in models. `defaults` are merged over the generator's defaultParams
+// and under any per-request params. An optional `timeout` (ms) overrides the
+// generator's per-model time limit. `tasks` lists what a model accepts:
+// 'text-to-image' (the default), 'image-to-image' and 'inpainting'.
+// `provider` names the backend that runs it (providers.js, default
+// 'huggingface') and `providerModel` its name there, if different.
+const DEFAULT_MODELS = [
+    {
+        id: 'mcp-tools/Qwen-Image-Fast',
+        name: 'Qwen Image Fast',
+        icon: '⚡',
+        type: 'fast',
+        defaults: {
+            num_inference_steps: 8,
+            guidance_scale: 1.0
+        }
+    },
+    {
+        id: 'prithivMLmods/FLUX-LoRA-DLC',
+        name: 'FLUX LoRA DLC',
+        icon: '🥳',
+        type: 'quality',
+        defaults: {
+            num_inference_steps: 28,
+            guidance_scale: 3.5,
+            width: 1024,
+            height: 1024
+        }
+    },
+    {
+        id: 'prithivMLmods/FLUX-LoRA-DLC2',
+        name: 'FLUX LoRA DLC2',
+        icon: '🔥',
+        type: 'quality',
+        defaults: {
+            num_inference_steps: 28,
+            guidance_scale: 3.5,
+            width: 1024,
+            height: 1024
+        }
+    },
+    {
+        id: 'black-forest-labs/FLUX.1-Kontext-Dev',
+        name: 'FLUX Kontext',
+        icon: '⚡',
+        type: 'advanced',
+        tasks: ['text-to-image', 'image-to-image'],
+        defaults: {
+            num_inference_steps: 28,
+            guidance_scale: 2.5,
+            width: 1024,
+            height: 1024
+        }
+    },
+    {
+        id: 'diffusers/stable-diffusion-xl-1.0-inpainting-0.1',
+        name: 'SDXL Inpainting',
+        icon: '🖌️',
+        type: 'advanced',
+        tasks: ['inpainting'],
+        defaults: {
+            num_inference_steps: 30,
+            guidance_scale: 7.5,
+            width: 1024,
+            height: 1024,
+            strength: 0.99
+        }
+    },
+    {
+        id: 'stabilityai/stable-diffusion-2-1',
+        name: 'Stable Diffusion 2.1',
+        icon: '🎨',
+        type: 'classic'
+    },
+    {
+        id: 'runwayml/stable-diffusion-v1-5',
+        name: 'Stable Diffusion 1.5',
+        icon: '🖼️',
+        type: 'classic'
+    },
+    {
+        id: 'CompVis/stable-diffusion-v1-4',
+        name: 'Stable Diffusion 1.4',
+        icon: '🎯',
+        type: 'classic'
+    },
+    {
+        id: 'prompthero/openjourney',
+        name: 'OpenJourney',
+        icon: '🚀',
+        type: 'classic'
+    },
+    {
+        id: 'hakurei/waifu-diffusion',
+        name: 'Waifu Diffusion',
+        icon: '✨',
+        type: 'classic'
+    },
+    {
+        id: 'dallinmackay/Van-Gogh-diffusion',
+        name: 'Van Gogh Style',
+        icon: '🎭',
+        type: 'classic'
+    }
+];
+
+class ModelRegistry {
+    constructor(models = DEFAULT_MODELS) {
+        this.models = new Map();
+        this.listeners = new Set();
+
+        models.forEach(model => this.register(model, { silent: true }));
+    }
+
+    /**
+     * Add a model to the catalog, replacing any entry with the same ID
+     * @param {Object} model - Model definition ({ id, name, icon, type, tasks, endpoint, defaults, timeout,
+     *                          provider, providerModel })
+     * @param {Object} options - { silent: true } skips change notification
+     * @returns {Object} - The stored model entry
+     */
+    register(model, options = {}) {
+        if (!model || typeof model.id !== 'string' || !model.id.trim()) {
+            throw new Error('Model definition requires an id');
+        }
+
+        const id = model.id.trim();
+        const entry = {
+            type: 'custom',
+            icon: '🧩',
+            ...model,
+            id,
+            name: model.name || id,
+            endpoint: model.endpoint || `${HF_INFERENCE_BASE_URL}/${id}`,
+            provider: model.provider || 'huggingface',
+            providerModel: model.providerModel || null,
+            tasks: model.tasks && model.tasks.length > 0 ? [...model.tasks] : ['text-to-image'],
+            defaults: { ...(model.defaults || {}) }
+        };
+
+        this.models.set(id, entry);
+
+        if (!options.silent) {
+            this.notify('register', entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Remove a model from the catalog
+     * @param {string} id - Model ID
+     * @returns {boolean} - True if a model was removed
+     */
+    unregister(id) {
+        const entry = this.models.get(id);
+        if (!entry) {
+            return false;
+        }
+
+        this.models.delete(id);
+        this.notify('unregister', entry);
+        return true;
+    }
+
+    /**
+     * Check whether a model ID is registered
+     * @param {string} id - Model ID
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.models.has(id);
+    }
+
+    /**
+     * Get a model entry by ID
+     * @param {string} id - Model ID
+     * @returns {Object|null} - Model entry or null
+     */
+    get(id) {
+        return this.models.get(id) || null;
+    }
+
+    /**
+     * List registered models in registration order
+     * @param {Object} filter - Optional { type, task } filter
+     * @returns {Object[]} - Model entries
+     */
+    list(filter = {}) {
+        return Array.from(this.models.values()).filter(model => (
+            (!filter.type || model.type === filter.type) &&
+            (!filter.task || model.tasks.includes(filter.task))
+        ));
+    }
+
+    /**
+     * Check whether a model accepts a task ('text-to-image', 'image-to-image', 'inpainting')
+     * @param {string} id - Model ID
+     * @param {string} task - Task name
+     * @returns {boolean}
+     */
+    supportsTask(id, task) {
+        const entry = this.models.get(id);
+        return Boolean(entry && entry.tasks.includes(task));
+    }
+
+    /**
+     * List registered model IDs in registration order
+     * @returns {string[]}
+     */
+    ids() {
+        return Array.from(this.models.keys());
+    }
+
+    /**
+     * Get the per-model parameter defaults
+     * @param {string} id - Model ID
+     * @returns {Object} - Defaults (empty object for unknown models)
+     */
+    getDefaults(id) {
+        const entry = this.models.get(id);
+        return entry ? { ...entry.defaults } : {};
+    }
+
+    /**
+     * Merge new per-model defaults (size, steps, negative prompt...)
+     * @param {string} id - Model ID
+     * @param {Object} defaults - Parameters to merge
+     * @returns {Object} - Updated defaults
+     */
+    setDefaults(id, defaults) {
+        const entry = this.models.get(id);
+        if (!entry) {
+            throw new Error(`Model ${id} not found`);
+        }
+
+        entry.defaults = { ...entry.defaults, ...defaults };
+        this.notify('update', entry);
+        return { ...entry.defaults };
+    }
+
+    /**
+     * Run a model on another backend
+     * @param {string} id - Model ID
+     * @param {string} provider - Provider ID (see providers.js)
+     * @param {string|null} providerModel - Model name on that backend (null = same ID)
+     * @returns {Object} - Updated model entry
+     */
+    setProvider(id, provider, providerModel = null) {
+        const entry = this.models.get(id);
+        if (!entry) {
+            throw new Error(`Model ${id} not found`);
+        }
+
+        entry.provider = provider || 'huggingface';
+        entry.providerModel = providerModel || null;
+        this.notify('update', entry);
+        return entry;
+    }
+
+    /**
+     * Ensure every model ID is registered before a generation starts
+     * @param {string[]} ids - Model IDs to check
+     * @throws {Error} - Lists the unknown IDs, with a close match where one exists
+     * @returns {boolean} - True if all IDs are known
+     */
+    validateIds(ids) {
+        const unknown = ids.filter(id => !this.models.has(id));
+        if (unknown.length === 0) {
+            return true;
+        }
+
+        const details = unknown.map(id => {
+            const suggestion = this.suggest(id);
+            return suggestion ? `${id} (did you mean ${suggestion}?)` : id;
+        });
+
+        const error = new Error(`Unknown model${unknown.length > 1 ? 's' : ''}: ${details.join(', ')}`);
+        error.unknownModels = unknown;
+        throw error;
+    }
+
+    /**
+     * Find the registered ID closest to a mistyped one
+     * @private
+     */
+    suggest(id) {
+        const needle = id.toLowerCase();
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const candidate of this.models.keys()) {
+            const distance = levenshtein(needle, candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+
+        // Only suggest reasonably close matches
+        return bestDistance <= Math.max(3, Math.floor(needle.length / 4)) ? best : null;
+    }
+
+    /**
+     * Subscribe to catalog changes
+     * @param {Function} listener - Called with (event, modelEntry)
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     */
+    notify(event, entry) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event, entry);
+            } catch (error) {
+                console.error('Model registry listener failed:', error);
+            }
+        });
+    }
+}
+
+// Edit distance used for "did you mean" suggestions
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelRegistry, DEFAULT_MODELS, HF_INFERENCE_BASE_URL };
+}
@@ -0,0 +1,296 @@
+/**
+ * Generation Outbox
+ * Keeps prompts submitted while the device is offline and runs them, in
+ * order, once the connection comes back. Finished prompts can announce
+ * themselves with a system notification (through the service worker when
+ * one is active, so it also shows while the app is in the background).
+ */
+
+const OUTBOX_STORAGE_KEY = 'logoi_outbox';
+
+class GenerationOutbox {
+    /**
+     * @param {Object} options - { storage (defaults to localStorage), target (receives 'online'
+     *                             events, defaults to window), navigator, Notification }
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.target = options.target || (typeof window !== 'undefined' ? window : null);
+        this.navigator = options.navigator || (typeof navigator !== 'undefined' ? navigator : null);
+        this.Notification = options.Notification || (typeof Notification !== 'undefined' ? Notification : null);
+
+        this.flushing = false;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Whether the browser reports a connection. Browsers without
+     * navigator.onLine count as online.
+     * @returns {boolean}
+     */
+    isOnline() {
+        return !this.navigator || this.navigator.onLine !== false;
+    }
+
+    /**
+     * Queued prompts, oldest first
+     * @returns {Object[]} - { id, prompt, modelIds, params, preset, needsKey, createdAt, status, error }
+     */
+    list() {
+        if (!this.storage) {
+            return [];
+        }
+
+        try {
+            return JSON.parse(this.storage.getItem(OUTBOX_STORAGE_KEY)) || [];
+        } catch (error) {
+            console.error('Failed to load outbox:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Queue a prompt until the connection comes back
+     * @param {Object} item - { prompt, modelIds, params, preset, needsKey (wait for an unlocked API key) }
+     * @returns {Object} - Stored entry
+     */
+    add(item) {
+        if (!item.prompt || !item.prompt.trim()) {
+            throw new Error('Enter a prompt to queue');
+        }
+        if (!item.modelIds || item.modelIds.length === 0) {
+            throw new Error('Select at least one model');
+        }
+
+        const entry = {
+            id: `outbox-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            prompt: item.prompt.trim(),
+            modelIds: [...item.modelIds],
+            params: item.params || {},
+            preset: item.preset || null,
+            needsKey: Boolean(item.needsKey),
+            createdAt: new Date().toISOString(),
+            status: 'queued', // queued, sending, failed
+            error: null
+        };
+
+        this.write([...this.list(), entry]);
+        this.notify('change');
+        return entry;
+    }
+
+    /**
+     * Drop a queued prompt
+     * @param {string} id - Entry ID
+     */
+    remove(id) {
+        this.write(this.list().filter(entry => entry.id !== id));
+        this.notify('change');
+    }
+
+    /**
+     * Put a failed prompt back in the queue
+     * @param {string} id - Entry ID
+     */
+    retry(id) {
+        this.update(id, { status: 'queued', error: null });
+    }
+
+    /**
+     * Run queued prompts one at a time. A prompt leaves the outbox once run()
+     * resolves; if it throws while the connection is gone it stays queued and
+     * flushing stops, any other error marks it failed.
+     * @param {Function} run - async (entry) => result
+     * @param {Object} options - { canRun(entry) => boolean: skip entries that must wait, e.g. for a key }
+     * @returns {Promise<Object[]>} - { entry, result } for each prompt that ran
+     */
+    async flush(run, options = {}) {
+        // 'online' events and a key unlock can both start a flush
+        if (this.flushing) {
+            return [];
+        }
+
+        this.flushing = true;
+        const sent = [];
+        try {
+            for (const entry of this.list()) {
+                if (!this.isOnline()) {
+                    break;
+                }
+                if (entry.status !== 'queued' || (options.canRun && !options.canRun(entry))) {
+                    continue;
+                }
+
+                this.update(entry.id, { status: 'sending' });
+                try {
+                    const result = await run(entry);
+                    this.write(this.list().filter(item => item.id !== entry.id));
+                    sent.push({ entry, result });
+                    this.notify('sent', entry, result);
+                } catch (error) {
+                    if (!this.isOnline()) {
+                        this.update(entry.id, { status: 'queued' });
+                        break;
+                    }
+                    console.error('Queued generation failed:', error);
+                    this.update(entry.id, { status: 'failed', error: error.message });
+                }
+            }
+        } finally {
+            this.flushing = false;
+        }
+        return sent;
+    }
+
+    /**
+     * Flush now (if online) and every time the connection comes back
+     * @param {Function} run - See flush()
+     * @param {Object} options - See flush()
+     * @returns {Function} - Stop watching
+     */
+    watch(run, options = {}) {
+        const handler = () => {
+            this.flush(run, options).catch(error => console.error('Failed to flush outbox:', error));
+        };
+
+        // Prompts left 'sending' by a reload run again
+        this.list()
+            .filter(entry => entry.status === 'sending')
+            .forEach(entry => this.update(entry.id, { status: 'queued' }));
+
+        if (this.target) {
+            this.target.addEventListener('online', handler);
+        }
+        if (this.isOnline()) {
+            handler();
+        }
+
+        return () => {
+            if (this.target) {
+                this.target.removeEventListener('online', handler);
+            }
+        };
+    }
+
+    /**
+     * Listen for 'change' and 'sent' (entry, result) events
+     * @param {Function} listener - (event, ...args) => void
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Ask for notification permission (once; browsers ignore repeated prompts)
+     * @returns {Promise<string>} - 'granted', 'denied', 'default' or 'unsupported'
+     */
+    async enableNotifications() {
+        if (!this.Notification) {
+            return 'unsupported';
+        }
+        if (this.Notification.permission !== 'default') {
+            return this.Notification.permission;
+        }
+
+        try {
+            return await this.Notification.requestPermission();
+        } catch (error) {
+            console.error('Failed to request notification permission:', error);
+            return 'default';
+        }
+    }
+
+    /**
+     * Show a system notification if permission was granted
+     * @param {string} title - Notification title
+     * @param {Object} options - Notification options ({ body, icon, tag, data })
+     * @returns {Promise<boolean>} - True if a notification was shown
+     */
+    async showNotification(title, options = {}) {
+        if (!this.Notification || this.Notification.permission !== 'granted') {
+            return false;
+        }
+
+        try {
+            // Page notifications are not allowed on Android; the worker's are
+            const serviceWorker = this.navigator && this.navigator.serviceWorker;
+            const registration = serviceWorker ? await serviceWorker.getRegistration() : null;
+            if (registration) {
+                await registration.showNotification(title, options);
+            } else {
+                new this.Notification(title, options);
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to show notification:', error);
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    update(id, changes) {
+        this.write(this.list().map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+        this.notify('change');
+    }
+
+    /**
+     * @private
+     */
+    write(entries) {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(entries));
+            return true;
+        } catch (error) {
+            console.error('Failed to store outbox:', error);
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    notify(event, ...args) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event, ...args);
+            } catch (error) {
+                console.error('Outbox listener failed:', error);
+            }
+        });
+    }
+}
+
+/**
+ * Whether a provider can run without an internet connection: the mock, or
+ * a self-hosted backend on this machine
+ * @param {Object} provider - ImageProvider (see providers.js)
+ * @returns {boolean}
+ */
+function worksOffline(provider) {
+    if (provider.type === 'mock') {
+        return true;
+    }
+    if (!provider.baseUrl) {
+        return false;
+    }
+
+    try {
+        const { hostname } = new URL(provider.baseUrl);
+        return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GenerationOutbox, worksOffline, OUTBOX_STORAGE_KEY };
+}
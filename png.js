@@ -0,0 +1,125 @@
+/**
+ * PNG
+ * Byte-level PNG helpers that work without a canvas (Node, workers):
+ * CRC-32 and an RGBA encoder. Also used for ZIP entries in brand-kit.js.
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Uint8Array|Uint8ClampedArray} rgba - width × height × 4 bytes
+ * @returns {Promise<Blob>} - image/png
+ */
+async function encodePng(width, height, rgba) {
+    if (rgba.length !== width * height * 4) {
+        throw new Error('Pixel data does not match the image size');
+    }
+
+    // Every scanline starts with filter type 0 (none)
+    const stride = width * 4;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+
+    const header = new DataView(new ArrayBuffer(13));
+    header.setUint32(0, width);
+    header.setUint32(4, height);
+    header.setUint8(8, 8);  // bit depth
+    header.setUint8(9, 6);  // colour type: RGBA
+    header.setUint8(10, 0); // compression
+    header.setUint8(11, 0); // filter
+    header.setUint8(12, 0); // interlace
+
+    return new Blob([
+        new Uint8Array(PNG_SIGNATURE),
+        pngChunk('IHDR', new Uint8Array(header.buffer)),
+        pngChunk('IDAT', await zlibCompress(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ], { type: 'image/png' });
+}
+
+/**
+ * One PNG chunk: length, type, data, CRC of type + data
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array}
+ */
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+// zlib stream for IDAT. CompressionStream is in every current browser and
+// Node 18+; without it the data goes into uncompressed deflate blocks.
+async function zlibCompress(bytes) {
+    if (typeof CompressionStream !== 'undefined') {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    const blockSize = 0xffff;
+    const blocks = Math.max(1, Math.ceil(bytes.length / blockSize));
+    const out = new Uint8Array(2 + bytes.length + blocks * 5 + 4);
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let offset = 2;
+    for (let i = 0; i < blocks; i++) {
+        const block = bytes.subarray(i * blockSize, (i + 1) * blockSize);
+        out[offset] = i === blocks - 1 ? 1 : 0;
+        out[offset + 1] = block.length & 0xff;
+        out[offset + 2] = block.length >> 8;
+        out[offset + 3] = ~block.length & 0xff;
+        out[offset + 4] = (~block.length >> 8) & 0xff;
+        out.set(block, offset + 5);
+        offset += 5 + block.length;
+    }
+    new DataView(out.buffer).setUint32(offset, adler32(bytes));
+    return out;
+}
+
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodePng, pngChunk, crc32, PNG_SIGNATURE };
+}
@@ -0,0 +1,371 @@
+/**
+ * Prompt Presets & Template Library
+ * Named style presets for prompt enhancement and saved prompt templates
+ * with {placeholder} fields, persisted in localStorage
+ */
+
+// Built-in style presets. `positive` terms are appended to the prompt,
+// `negative` terms to the negative prompt. enhance: false sends the prompt as typed.
+const STYLE_PRESETS = [
+    {
+        id: 'minimalist',
+        name: 'Minimalist',
+        enhance: true,
+        positive: [
+            'professional logo design',
+            'clean vector style',
+            'high quality',
+            'centered composition',
+            'white background',
+            'minimalist design'
+        ],
+        negative: ['cluttered', 'photorealistic', 'text artifacts']
+    },
+    {
+        id: 'emblem',
+        name: 'Emblem / Crest',
+        enhance: true,
+        positive: [
+            'heraldic emblem logo',
+            'crest with shield shape',
+            'symmetrical composition',
+            'fine detailed linework',
+            'high quality'
+        ],
+        negative: ['asymmetrical', 'photograph', 'messy lines']
+    },
+    {
+        id: 'monogram',
+        name: 'Monogram',
+        enhance: true,
+        positive: [
+            'elegant monogram logo',
+            'interlocking letterforms',
+            'luxury branding',
+            'centered composition',
+            'high contrast'
+        ],
+        negative: ['illustration', 'busy background', 'extra letters']
+    },
+    {
+        id: 'wordmark',
+        name: 'Wordmark',
+        enhance: true,
+        positive: [
+            'typographic wordmark logo',
+            'clean lettering',
+            'balanced kerning',
+            'flat design',
+            'plain background'
+        ],
+        negative: ['icons', 'illustration', 'distorted letters']
+    },
+    {
+        id: 'mascot',
+        name: 'Mascot',
+        enhance: true,
+        positive: [
+            'friendly mascot logo',
+            'character illustration',
+            'bold outlines',
+            'vibrant colors',
+            'centered composition'
+        ],
+        negative: ['realistic photo', 'creepy', 'extra limbs']
+    },
+    {
+        id: 'none',
+        name: 'No enhancement',
+        enhance: false,
+        positive: [],
+        negative: []
+    }
+];
+
+const DEFAULT_STYLE_PRESET = 'minimalist';
+
+// Built on the law-firm prompt suggestions in USAGE_GUIDE
+const DEFAULT_PROMPT_TEMPLATES = [
+    {
+        id: 'scales-of-justice',
+        name: 'Scales of justice',
+        template: 'Professional {practice_area} law firm logo for {firm_name} with scales of justice'
+    },
+    {
+        id: 'gavel-and-shield',
+        name: 'Gavel and shield',
+        template: '{firm_name} legal services emblem with gavel and shield, corporate style'
+    },
+    {
+        id: 'public-defender',
+        name: 'Public defender',
+        template: '{firm_name} public defender office logo, modern and approachable'
+    },
+    {
+        id: 'defense-attorney',
+        name: 'Defense attorney',
+        template: '{practice_area} attorney logo for {firm_name}, strong and trustworthy'
+    },
+    {
+        id: 'legal-aid',
+        name: 'Legal aid society',
+        template: '{firm_name} legal aid society logo, compassionate and professional'
+    }
+];
+
+const PROMPT_LIBRARY_STORAGE_KEY = 'logoi_prompt_library';
+
+class PromptLibrary {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || PROMPT_LIBRARY_STORAGE_KEY;
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.data = this.load();
+    }
+
+    /**
+     * List built-in and custom style presets
+     * @returns {Object[]}
+     */
+    listPresets() {
+        return [...STYLE_PRESETS, ...this.data.presets];
+    }
+
+    /**
+     * Find a preset by ID, falling back to the default preset
+     * @param {string} id - Preset ID
+     * @returns {Object}
+     */
+    getPreset(id) {
+        return this.listPresets().find(preset => preset.id === id)
+            || STYLE_PRESETS.find(preset => preset.id === DEFAULT_STYLE_PRESET);
+    }
+
+    /**
+     * Save a custom style preset
+     * @param {Object} preset - { id?, name, positive: string[], negative: string[], enhance }
+     * @returns {Object} - Stored preset
+     */
+    savePreset(preset) {
+        this.validatePreset(preset);
+
+        const stored = {
+            id: preset.id || createLibraryId('preset'),
+            name: preset.name,
+            enhance: preset.enhance !== false,
+            positive: splitTerms(preset.positive),
+            negative: splitTerms(preset.negative)
+        };
+
+        this.data.presets = [...this.data.presets.filter(p => p.id !== stored.id), stored];
+        this.save();
+        return stored;
+    }
+
+    /**
+     * Check that savePreset() would accept a preset
+     * @param {Object} preset - Preset to check
+     * @throws {Error} - When the name is missing or the ID belongs to a built-in preset
+     */
+    validatePreset(preset) {
+        if (!preset || !preset.name) {
+            throw new Error('Preset name is required');
+        }
+        if (STYLE_PRESETS.some(builtIn => builtIn.id === preset.id)) {
+            throw new Error(`Built-in preset ${preset.id} cannot be changed`);
+        }
+    }
+
+    /**
+     * Delete a custom style preset
+     * @param {string} id - Preset ID
+     * @returns {boolean} - True if a preset was removed
+     */
+    removePreset(id) {
+        const before = this.data.presets.length;
+        this.data.presets = this.data.presets.filter(preset => preset.id !== id);
+        this.save();
+        return this.data.presets.length < before;
+    }
+
+    /**
+     * List built-in and saved prompt templates
+     * @returns {Object[]}
+     */
+    listTemplates() {
+        return [...DEFAULT_PROMPT_TEMPLATES, ...this.data.templates];
+    }
+
+    /**
+     * Save a prompt template
+     * @param {Object} template - { id?, name, template }
+     * @returns {Object} - Stored template
+     */
+    saveTemplate(template) {
+        this.validateTemplate(template);
+
+        const stored = {
+            id: template.id || createLibraryId('template'),
+            name: template.name,
+            template: template.template
+        };
+
+        this.data.templates = [...this.data.templates.filter(t => t.id !== stored.id), stored];
+        this.save();
+        return stored;
+    }
+
+    /**
+     * Check that saveTemplate() would accept a template
+     * @param {Object} template - Template to check
+     * @throws {Error} - When the name or text is missing or the ID belongs to a built-in template
+     */
+    validateTemplate(template) {
+        if (!template || !template.name || !template.template) {
+            throw new Error('Template name and text are required');
+        }
+        if (DEFAULT_PROMPT_TEMPLATES.some(builtIn => builtIn.id === template.id)) {
+            throw new Error(`Built-in template ${template.id} cannot be changed`);
+        }
+    }
+
+    /**
+     * Delete a saved prompt template (built-ins cannot be removed)
+     * @param {string} id - Template ID
+     * @returns {boolean} - True if a template was removed
+     */
+    removeTemplate(id) {
+        const before = this.data.templates.length;
+        this.data.templates = this.data.templates.filter(template => template.id !== id);
+        this.save();
+        return this.data.templates.length < before;
+    }
+
+    /**
+     * Placeholder values remembered between sessions ({ firm_name, practice_area, ... })
+     * @returns {Object}
+     */
+    getValues() {
+        return { ...this.data.values };
+    }
+
+    /**
+     * Remember placeholder values
+     * @param {Object} values - Placeholder values
+     */
+    setValues(values) {
+        this.data.values = { ...this.data.values, ...values };
+        this.save();
+    }
+
+    /**
+     * Fill a template's {placeholders}; unknown placeholders are left as typed
+     * @param {string} template - Template text
+     * @param {Object} values - Placeholder values
+     * @returns {string}
+     */
+    render(template, values = this.data.values) {
+        return template
+            .replace(/\{(\w+)\}/g, (match, key) => (
+                values[key] !== undefined && String(values[key]).trim() !== '' ? String(values[key]).trim() : match
+            ))
+            .replace(/\s{2,}/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Placeholder names used in a template
+     * @param {string} template - Template text
+     * @returns {string[]}
+     */
+    getPlaceholders(template) {
+        const names = [];
+        template.replace(/\{(\w+)\}/g, (match, key) => {
+            if (!names.includes(key)) {
+                names.push(key);
+            }
+            return match;
+        });
+        return names;
+    }
+
+    /**
+     * Snapshot of custom presets, templates and values (for export)
+     * @returns {Object}
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.data));
+    }
+
+    /**
+     * @private
+     */
+    load() {
+        const empty = { presets: [], templates: [], values: {} };
+        if (!this.storage) {
+            return empty;
+        }
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.storageKey));
+            return stored ? { ...empty, ...stored } : empty;
+        } catch (error) {
+            console.error('Failed to load prompt library:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * @private
+     */
+    save() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+            return true;
+        } catch (error) {
+            console.error('Failed to save prompt library:', error);
+            return false;
+        }
+    }
+}
+
+// Accept either an array of terms or a comma-separated string
+function splitTerms(terms) {
+    if (!terms) {
+        return [];
+    }
+    const list = Array.isArray(terms) ? terms : String(terms).split(',');
+    return list.map(term => term.trim()).filter(Boolean);
+}
+
+// Join comma-separated term lists, dropping duplicates (case-insensitive)
+function mergeTerms(...lists) {
+    const seen = new Set();
+    const merged = [];
+    lists.forEach(list => splitTerms(list).forEach(term => {
+        const key = term.toLowerCase();
+        if (!seen.has(key)) {
+            seen.add(key);
+            merged.push(term);
+        }
+    }));
+    return merged.join(', ');
+}
+
+function createLibraryId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PromptLibrary,
+        STYLE_PRESETS,
+        DEFAULT_STYLE_PRESET,
+        DEFAULT_PROMPT_TEMPLATES,
+        mergeTerms
+    };
+}
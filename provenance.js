@@ -0,0 +1,515 @@
+/**
+ * Provenance
+ * Embeds a record of how a logo was made (prompt, enhanced prompt, model,
+ * parameters, seed, generation time) in exported files and reads it back:
+ * PNG iTXt/tEXt chunks, XMP in JPEG (APP1), WebP ("XMP " chunk) and SVG
+ * (<metadata>). The XMP marks the file as AI-generated with the IPTC
+ * digital source type, so other tools can recognise it too.
+ */
+
+const PROVENANCE_SOFTWARE = 'Multi-Model Logo Generator';
+// iTXt keyword holding the full record as JSON
+const PROVENANCE_PNG_KEYWORD = 'ai-provenance';
+const PROVENANCE_XMP_NAMESPACE = 'https://github.com/davidkarpay/logoi/provenance/1.0/';
+const IPTC_AI_SOURCE_TYPE = 'http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia';
+const XMP_JPEG_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+// Record fields written as XMP attributes, in order
+const PROVENANCE_FIELDS = ['prompt', 'enhancedPrompt', 'modelId', 'model', 'provider', 'task', 'preset', 'seed', 'params', 'generatedAt', 'exportedAt', 'edit'];
+
+/**
+ * Provenance record for a gallery entry, history record or generateWithModel() result
+ * @param {Object} image - { prompt, enhancedPrompt | basePrompt, modelId, model, provider, task, preset,
+ *                          params, seed, timestamp }
+ * @param {Object} extra - Fields to add, e.g. { edit: 'background removed' }
+ * @returns {Object}
+ */
+function provenanceFromImage(image, extra = {}) {
+    // generateWithModel() results carry the enhanced prompt as `prompt`
+    const isResult = image.basePrompt !== undefined;
+    const params = image.params || {};
+    const record = {
+        aiGenerated: true,
+        software: PROVENANCE_SOFTWARE,
+        prompt: isResult ? image.basePrompt : image.prompt,
+        enhancedPrompt: isResult ? image.prompt : (image.enhancedPrompt || null),
+        modelId: image.modelId || null,
+        model: image.model || null,
+        provider: image.provider || null,
+        task: image.task || 'text-to-image',
+        preset: typeof image.preset === 'object' && image.preset ? image.preset.id : (image.preset || null),
+        seed: image.seed !== undefined ? image.seed : (params.seed !== undefined ? params.seed : null),
+        params,
+        generatedAt: image.timestamp || null,
+        exportedAt: new Date().toISOString(),
+        ...extra
+    };
+    return record;
+}
+
+/**
+ * Copy of an image file with the provenance record embedded. Formats other
+ * than PNG, JPEG, WebP and SVG come back unchanged.
+ * @param {Blob} blob - Image file
+ * @param {Object} provenance - Record from provenanceFromImage()
+ * @returns {Promise<Blob>} - Same type as the input
+ */
+async function embedProvenance(blob, provenance) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const format = detectImageFormat(bytes);
+    const type = blob.type || IMAGE_FORMAT_TYPES[format] || '';
+    const xmp = buildProvenanceXmp(provenance);
+
+    if (format === 'png') {
+        return new Blob([embedPngProvenance(bytes, provenance, xmp)], { type });
+    }
+    if (format === 'jpeg') {
+        return new Blob([embedJpegXmp(bytes, xmp)], { type });
+    }
+    if (format === 'webp') {
+        return new Blob([embedWebpXmp(bytes, xmp)], { type });
+    }
+    if (format === 'svg') {
+        return new Blob([embedSvgXmp(new TextDecoder().decode(bytes), xmp)], { type });
+    }
+    return blob;
+}
+
+/**
+ * embedProvenance() for exports: a file that can't be parsed is saved
+ * without metadata rather than not at all
+ * @param {Blob} blob - Image file
+ * @param {Object} provenance - Record from provenanceFromImage()
+ * @returns {Promise<Blob>}
+ */
+async function withProvenance(blob, provenance) {
+    try {
+        return await embedProvenance(blob, provenance);
+    } catch (error) {
+        console.warn('Saving without provenance metadata:', error);
+        return blob;
+    }
+}
+
+/**
+ * Read embedded metadata from an image file
+ * @param {Blob} blob - Image file (e.g. a dropped File)
+ * @returns {Promise<Object>} - { format, provenance (record or null), text ({ keyword: value } from PNG
+ *                              text chunks), xmp (packet or null) }
+ */
+async function readProvenance(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const format = detectImageFormat(bytes);
+    const result = { format, provenance: null, text: {}, xmp: null };
+
+    if (format === 'png') {
+        result.text = await readPngText(bytes);
+        result.xmp = result.text['XML:com.adobe.xmp'] || null;
+        if (result.text[PROVENANCE_PNG_KEYWORD]) {
+            try {
+                result.provenance = JSON.parse(result.text[PROVENANCE_PNG_KEYWORD]);
+            } catch (error) {
+                console.warn('Provenance chunk is not valid JSON:', error);
+            }
+        }
+    } else if (format === 'jpeg') {
+        result.xmp = readJpegXmp(bytes);
+    } else if (format === 'webp') {
+        const chunk = riffChunks(bytes).find(item => item.type === 'XMP ');
+        result.xmp = chunk ? new TextDecoder().decode(chunk.data) : null;
+    } else if (format === 'svg') {
+        const match = new TextDecoder().decode(bytes).match(/<metadata\b[^>]*>([\s\S]*?)<\/metadata>/);
+        result.xmp = match && match[1].includes('x:xmpmeta') ? match[1].trim() : null;
+    }
+
+    if (!result.provenance && result.xmp) {
+        result.provenance = parseProvenanceXmp(result.xmp);
+    }
+    return result;
+}
+
+/**
+ * XMP packet for a provenance record
+ * @param {Object} provenance - Record from provenanceFromImage()
+ * @returns {string}
+ */
+function buildProvenanceXmp(provenance) {
+    const attributes = PROVENANCE_FIELDS
+        .filter(field => provenance[field] !== undefined && provenance[field] !== null)
+        .map(field => {
+            const value = field === 'params' ? JSON.stringify(provenance[field]) : String(provenance[field]);
+            return `\n    logoi:${field}="${escapeXml(value)}"`;
+        })
+        .join('');
+    const description = provenance.prompt
+        ? `\n   <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(provenance.prompt)}</rdf:li></rdf:Alt></dc:description>`
+        : '';
+
+    return `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:Iptc4xmpExt="http://iptc.org/std/Iptc4xmpExt/2008-02-29/"
+    xmlns:logoi="${PROVENANCE_XMP_NAMESPACE}"
+    xmp:CreatorTool="${escapeXml(provenance.software || PROVENANCE_SOFTWARE)}"${provenance.generatedAt ? `
+    xmp:CreateDate="${escapeXml(provenance.generatedAt)}"` : ''}
+    Iptc4xmpExt:DigitalSourceType="${IPTC_AI_SOURCE_TYPE}"${attributes}>${description}
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Provenance record from an XMP packet written by buildProvenanceXmp(). Packets
+ * from other tools only yield the AI-generated flag, creator tool and date.
+ * @param {string} xmp - XMP packet
+ * @returns {Object|null} - Null if the packet says nothing about provenance
+ */
+function parseProvenanceXmp(xmp) {
+    const attribute = (prefix, name) => {
+        const match = xmp.match(new RegExp(`\\b${prefix}:${name}="([^"]*)"`));
+        return match ? unescapeXml(match[1]) : null;
+    };
+
+    const record = {};
+    PROVENANCE_FIELDS.forEach(field => {
+        const value = attribute('logoi', field);
+        if (value !== null) {
+            record[field] = value;
+        }
+    });
+    if (record.params) {
+        try {
+            record.params = JSON.parse(record.params);
+        } catch (error) {
+            console.warn('Provenance params are not valid JSON:', error);
+        }
+    }
+    if (record.seed !== undefined && /^\d+$/.test(record.seed)) {
+        record.seed = Number(record.seed);
+    }
+
+    const sourceType = attribute('Iptc4xmpExt', 'DigitalSourceType');
+    const software = attribute('xmp', 'CreatorTool');
+    if (Object.keys(record).length === 0 && !sourceType) {
+        return null;
+    }
+
+    return {
+        aiGenerated: sourceType ? sourceType.endsWith('/trainedAlgorithmicMedia') || sourceType.endsWith('/compositeWithTrainedAlgorithmicMedia') : undefined,
+        software,
+        generatedAt: attribute('xmp', 'CreateDate'),
+        ...record
+    };
+}
+
+const IMAGE_FORMAT_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    svg: 'image/svg+xml'
+};
+
+// File format from the first bytes
+function detectImageFormat(bytes) {
+    if (PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+        return 'png';
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+        return 'jpeg';
+    }
+    if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+        return 'webp';
+    }
+    const head = new TextDecoder().decode(bytes.subarray(0, 1024));
+    if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg\b/.test(head.replace(/^﻿/, ''))) {
+        return 'svg';
+    }
+    return null;
+}
+
+// PNG: JSON record, prompt and XMP as UTF-8 iTXt, software and time as tEXt.
+// Chunks from an earlier export are replaced.
+function embedPngProvenance(bytes, provenance, xmp) {
+    const keywords = ['Software', 'Creation Time', 'Description', 'Source', PROVENANCE_PNG_KEYWORD, 'XML:com.adobe.xmp'];
+    const chunks = pngChunks(bytes).filter(chunk => (
+        !(['tEXt', 'iTXt'].includes(chunk.type) && keywords.includes(pngTextKeyword(chunk.data)))
+    ));
+
+    const metadata = [
+        pngChunk('tEXt', latin1Bytes(`Software\0${provenance.software || PROVENANCE_SOFTWARE}`)),
+        provenance.generatedAt && pngChunk('tEXt', latin1Bytes(`Creation Time\0${new Date(provenance.generatedAt).toUTCString()}`)),
+        provenance.prompt && pngITXtChunk('Description', provenance.prompt),
+        provenance.modelId && pngITXtChunk('Source', provenance.modelId),
+        pngITXtChunk(PROVENANCE_PNG_KEYWORD, JSON.stringify(provenance)),
+        pngITXtChunk('XML:com.adobe.xmp', xmp)
+    ].filter(Boolean);
+
+    // Right after IHDR, so readers that stop at the image data still see them
+    const [header, ...rest] = chunks;
+    return concatBytes([
+        new Uint8Array(PNG_SIGNATURE),
+        pngChunk(header.type, header.data),
+        ...metadata,
+        ...rest.map(chunk => pngChunk(chunk.type, chunk.data))
+    ]);
+}
+
+function pngITXtChunk(keyword, text) {
+    // keyword, null, no compression (0, 0), empty language tag and translated keyword
+    return pngChunk('iTXt', concatBytes([latin1Bytes(`${keyword}\0\0\0\0\0`), new TextEncoder().encode(text)]));
+}
+
+function pngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = ascii(bytes, offset + 4, 4);
+        if (offset + 12 + length > bytes.length) {
+            throw new Error('PNG file is truncated');
+        }
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type === 'IEND') {
+            break;
+        }
+    }
+    if (chunks.length === 0 || chunks[0].type !== 'IHDR') {
+        throw new Error('Not a valid PNG file');
+    }
+    return chunks;
+}
+
+function pngTextKeyword(data) {
+    const end = data.indexOf(0);
+    return latin1String(data.subarray(0, end === -1 ? data.length : end));
+}
+
+// tEXt, zTXt and iTXt chunks as { keyword: text }
+async function readPngText(bytes) {
+    const text = {};
+    for (const chunk of pngChunks(bytes)) {
+        const { type, data } = chunk;
+        if (!['tEXt', 'zTXt', 'iTXt'].includes(type)) {
+            continue;
+        }
+
+        const keyword = pngTextKeyword(data);
+        let rest = data.subarray(keyword.length + 1);
+        try {
+            if (type === 'tEXt') {
+                text[keyword] = latin1String(rest);
+            } else if (type === 'zTXt') {
+                text[keyword] = latin1String(await inflateBytes(rest.subarray(1)));
+            } else {
+                const compressed = rest[0] === 1;
+                rest = rest.subarray(2);
+                const languageEnd = rest.indexOf(0);
+                rest = rest.subarray(languageEnd + 1);
+                const translatedEnd = rest.indexOf(0);
+                rest = rest.subarray(translatedEnd + 1);
+                text[keyword] = new TextDecoder().decode(compressed ? await inflateBytes(rest) : rest);
+            }
+        } catch (error) {
+            console.warn(`Could not read the PNG ${type} chunk "${keyword}":`, error);
+        }
+    }
+    return text;
+}
+
+async function inflateBytes(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Compressed text chunks need DecompressionStream');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// JPEG: XMP in an APP1 segment after SOI and any JFIF/EXIF header segments
+function embedJpegXmp(bytes, xmp) {
+    const payload = concatBytes([latin1Bytes(XMP_JPEG_HEADER), new TextEncoder().encode(xmp)]);
+    if (payload.length + 2 > 0xffff) {
+        throw new Error('Provenance metadata is too large for a JPEG file');
+    }
+    const segment = new Uint8Array(4 + payload.length);
+    segment.set([0xff, 0xe1, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]);
+    segment.set(payload, 4);
+
+    const parts = [bytes.subarray(0, 2)];
+    let offset = 2;
+    let inserted = false;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const isApp = marker >= 0xe0 && marker <= 0xef;
+        if (!isApp) {
+            break;
+        }
+        const data = bytes.subarray(offset + 4, offset + 2 + length);
+        const isXmp = marker === 0xe1 && ascii(data, 0, XMP_JPEG_HEADER.length) === XMP_JPEG_HEADER;
+        // Keep JFIF (APP0) and EXIF first, as readers expect; drop an earlier XMP packet
+        if (!isXmp) {
+            if (marker !== 0xe0 && !(marker === 0xe1 && ascii(data, 0, 4) === 'Exif') && !inserted) {
+                parts.push(segment);
+                inserted = true;
+            }
+            parts.push(bytes.subarray(offset, offset + 2 + length));
+        }
+        offset += 2 + length;
+    }
+    if (!inserted) {
+        parts.push(segment);
+    }
+    parts.push(bytes.subarray(offset));
+    return concatBytes(parts);
+}
+
+function readJpegXmp(bytes) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        if (marker === 0xda) {
+            break; // Image data follows
+        }
+        const data = bytes.subarray(offset + 4, offset + 2 + length);
+        if (marker === 0xe1 && ascii(data, 0, XMP_JPEG_HEADER.length) === XMP_JPEG_HEADER) {
+            return new TextDecoder().decode(data.subarray(XMP_JPEG_HEADER.length));
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+// WebP: "XMP " chunk plus the XMP flag in VP8X, which simple files get first
+function embedWebpXmp(bytes, xmp) {
+    const chunks = riffChunks(bytes).filter(chunk => chunk.type !== 'XMP ');
+    let extended = chunks.find(chunk => chunk.type === 'VP8X');
+
+    if (!extended) {
+        const image = chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+        if (!image) {
+            throw new Error('Not a valid WebP file');
+        }
+        const { width, height, alpha } = webpCanvasSize(image);
+        const data = new Uint8Array(10);
+        data[0] = alpha ? 0x10 : 0;
+        [width - 1, height - 1].forEach((value, i) => {
+            data[4 + i * 3] = value & 0xff;
+            data[5 + i * 3] = (value >> 8) & 0xff;
+            data[6 + i * 3] = (value >> 16) & 0xff;
+        });
+        extended = { type: 'VP8X', data };
+        chunks.unshift(extended);
+    }
+
+    extended.data = Uint8Array.from(extended.data);
+    extended.data[0] |= 0x04; // XMP metadata present
+    chunks.push({ type: 'XMP ', data: new TextEncoder().encode(xmp) });
+
+    const body = concatBytes([latin1Bytes('WEBP'), ...chunks.map(riffChunk)]);
+    const header = new Uint8Array(8);
+    header.set(latin1Bytes('RIFF'));
+    new DataView(header.buffer).setUint32(4, body.length, true);
+    return concatBytes([header, body]);
+}
+
+function webpCanvasSize(chunk) {
+    const { data } = chunk;
+    if (chunk.type === 'VP8L') {
+        const bits = new DataView(data.buffer, data.byteOffset + 1, 4).getUint32(0, true);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, alpha: Boolean((bits >> 28) & 1) };
+    }
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return { width: view.getUint16(6, true) & 0x3fff, height: view.getUint16(8, true) & 0x3fff, alpha: false };
+}
+
+function riffChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const size = view.getUint32(offset + 4, true);
+        chunks.push({ type: ascii(bytes, offset, 4), data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size % 2);
+    }
+    return chunks;
+}
+
+function riffChunk(chunk) {
+    const out = new Uint8Array(8 + chunk.data.length + (chunk.data.length % 2));
+    out.set(latin1Bytes(chunk.type));
+    new DataView(out.buffer).setUint32(4, chunk.data.length, true);
+    out.set(chunk.data, 8);
+    return out;
+}
+
+// SVG: XMP packet in a <metadata> element right after the <svg> tag
+function embedSvgXmp(svg, xmp) {
+    const cleaned = svg.replace(/\s*<metadata id="ai-provenance">[\s\S]*?<\/metadata>/, '');
+    return cleaned.replace(/<svg\b[^>]*>/, tag => `${tag}\n<metadata id="ai-provenance">\n${xmp}\n</metadata>`);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\n/g, '&#10;');
+}
+
+function unescapeXml(value) {
+    return value
+        .replace(/&#10;/g, '\n')
+        .replace(/&quot;/g, '"')
+        .replace(/&gt;/g, '>')
+        .replace(/&lt;/g, '<')
+        .replace(/&amp;/g, '&');
+}
+
+function ascii(bytes, offset, length) {
+    return latin1String(bytes.subarray(offset, offset + length));
+}
+
+function latin1String(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i++) {
+        text += String.fromCharCode(bytes[i]);
+    }
+    return text;
+}
+
+// Characters outside Latin-1 become '?', as tEXt allows nothing else
+function latin1Bytes(text) {
+    return Uint8Array.from(text, char => (char.charCodeAt(0) <= 0xff ? char.charCodeAt(0) : 0x3f));
+}
+
+function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        provenanceFromImage,
+        embedProvenance,
+        withProvenance,
+        readProvenance,
+        buildProvenanceXmp,
+        parseProvenanceXmp,
+        detectImageFormat,
+        PROVENANCE_PNG_KEYWORD
+    };
+}
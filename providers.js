@@ -0,0 +1,833 @@
+/**
+ * Generation Providers
+ * Backends that turn a prompt into an image behind the one
+ * HuggingFaceMultiGenerator API. Each registry model names its provider
+ * (`provider`, default 'huggingface') and, where the backend calls it
+ * something else, its model there (`providerModel`). Besides the Hugging
+ * Face Inference API there are adapters for self-hosted Automatic1111 and
+ * ComfyUI servers, OpenAI-compatible images endpoints and an offline mock.
+ * All of them share the retry layer and typed errors from hf-request.js.
+ */
+
+const PROVIDERS_STORAGE_KEY = 'logoi_providers';
+const DEFAULT_PROVIDER_ID = 'huggingface';
+
+// Types that can be configured. Built-in providers (Hugging Face, mock) always exist.
+const PROVIDER_TYPES = {
+    huggingface: { name: 'Hugging Face Inference API', builtIn: true },
+    automatic1111: { name: 'Automatic1111 (self-hosted)', needsUrl: true, placeholderUrl: 'http://127.0.0.1:7860' },
+    comfyui: { name: 'ComfyUI (self-hosted)', needsUrl: true, placeholderUrl: 'http://127.0.0.1:8188' },
+    openai: { name: 'OpenAI-compatible images API', placeholderUrl: 'https://api.openai.com/v1' },
+    mock: { name: 'Offline mock', builtIn: true }
+};
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// ComfyUI API-format workflow for a plain checkpoint. Values of the form
+// "{{name}}" are replaced with the request's values (see fillWorkflow).
+const COMFYUI_DEFAULT_WORKFLOW = {
+    3: {
+        class_type: 'KSampler',
+        inputs: {
+            seed: '{{seed}}',
+            steps: '{{steps}}',
+            cfg: '{{cfg}}',
+            sampler_name: 'euler',
+            scheduler: 'normal',
+            denoise: 1,
+            model: ['4', 0],
+            positive: ['6', 0],
+            negative: ['7', 0],
+            latent_image: ['5', 0]
+        }
+    },
+    4: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: '{{model}}' } },
+    5: { class_type: 'EmptyLatentImage', inputs: { width: '{{width}}', height: '{{height}}', batch_size: 1 } },
+    6: { class_type: 'CLIPTextEncode', inputs: { text: '{{prompt}}', clip: ['4', 1] } },
+    7: { class_type: 'CLIPTextEncode', inputs: { text: '{{negative_prompt}}', clip: ['4', 1] } },
+    8: { class_type: 'VAEDecode', inputs: { samples: ['3', 0], vae: ['4', 2] } },
+    9: { class_type: 'SaveImage', inputs: { filename_prefix: 'logo', images: ['8', 0] } }
+};
+
+class ImageProvider {
+    /**
+     * @param {Object} config - { id, type, name, baseUrl, apiKey }
+     * @param {Object} context - { fetch, requester } shared with the generator
+     */
+    constructor(config = {}, context = {}) {
+        this.id = config.id || config.type;
+        this.type = config.type;
+        this.name = config.name || (PROVIDER_TYPES[config.type] || {}).name || this.id;
+        this.baseUrl = (config.baseUrl || '').trim().replace(/\/+$/, '');
+        this.apiKey = config.apiKey || null;
+        this.fetch = context.fetch || ((url, init) => fetch(url, init));
+        this.requester = context.requester || new HFRequestClient({ fetch: this.fetch });
+    }
+
+    /**
+     * Whether requests can be sent (e.g. a required key is set)
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Why isAvailable() is false
+     * @returns {string}
+     */
+    unavailableMessage() {
+        return `${this.name} is not configured`;
+    }
+
+    /**
+     * Whether this backend can run a task for a model
+     * @param {string} task - 'text-to-image', 'image-to-image' or 'inpainting'
+     * @param {Object} model - Registry entry
+     * @returns {boolean}
+     */
+    supportsTask(task, model) {
+        return true;
+    }
+
+    /**
+     * Generate one image
+     * @param {Object} request - { model (registry entry), prompt (enhanced), params (with seed),
+     *                             task, image (Blob), mask (Blob), signal, onRetry }
+     * @returns {Promise<Blob>} - The image
+     */
+    async generate(request) {
+        throw new Error(`${this.name} cannot generate images`);
+    }
+
+    /**
+     * Name of the model on the backend
+     * @protected
+     */
+    backendModel(model) {
+        return model.providerModel || model.id;
+    }
+
+    /**
+     * POST through the retry layer
+     * @protected
+     */
+    post(url, body, request, headers = {}) {
+        const json = !(body instanceof FormData);
+        return this.requester.request(url, {
+            method: 'POST',
+            signal: request.signal,
+            headers: {
+                ...this.authHeaders(),
+                ...(json ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: json ? JSON.stringify(body) : body
+        }, { onRetry: request.onRetry });
+    }
+
+    /**
+     * @protected
+     */
+    authHeaders() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+}
+
+// Hugging Face Inference API: JSON in, image bytes out
+class HuggingFaceProvider extends ImageProvider {
+    /**
+     * @param {Object} config - Provider config
+     * @param {Object} context - Also { getApiKey } so the generator's key
+     *                           can be set, rotated and cleared in one place
+     */
+    constructor(config = {}, context = {}) {
+        super({ type: 'huggingface', ...config }, context);
+        this.getApiKey = context.getApiKey || (() => this.apiKey);
+    }
+
+    isAvailable() {
+        return Boolean(this.getApiKey());
+    }
+
+    unavailableMessage() {
+        return 'API key not configured. Please set your HuggingFace API key first.';
+    }
+
+    authHeaders() {
+        return { 'Authorization': `Bearer ${this.getApiKey()}` };
+    }
+
+    async generate(request) {
+        const { model, prompt, params, task } = request;
+        // Image tasks send the source image as inputs and the prompt as a parameter
+        const body = task === 'text-to-image'
+            ? { inputs: prompt, parameters: params }
+            : {
+                inputs: await blobToBase64(request.image),
+                parameters: {
+                    ...params,
+                    prompt,
+                    ...(request.mask ? { mask_image: await blobToBase64(request.mask) } : {})
+                }
+            };
+
+        const response = await this.post(model.endpoint, {
+            ...body,
+            options: {
+                // Get a 503 with estimated_time instead of a hanging request,
+                // so cold starts can be reported and waited out
+                wait_for_model: false
+            }
+        }, request);
+        return response.blob();
+    }
+}
+
+// Automatic1111 / Forge web UI started with --api
+class Automatic1111Provider extends ImageProvider {
+    constructor(config = {}, context = {}) {
+        super({ type: 'automatic1111', ...config }, context);
+        if (!this.baseUrl) {
+            throw new Error(`${this.name} needs a server URL`);
+        }
+    }
+
+    // --api-auth takes user:password; anything else is sent as a bearer token (reverse proxies)
+    authHeaders() {
+        if (!this.apiKey) {
+            return {};
+        }
+        return this.apiKey.includes(':')
+            ? { 'Authorization': `Basic ${btoa(this.apiKey)}` }
+            : { 'Authorization': `Bearer ${this.apiKey}` };
+    }
+
+    async generate(request) {
+        const { model, prompt, params, task } = request;
+        const body = {
+            prompt,
+            negative_prompt: params.negative_prompt || '',
+            steps: params.num_inference_steps,
+            cfg_scale: params.guidance_scale,
+            width: params.width,
+            height: params.height,
+            seed: params.seed,
+            batch_size: 1,
+            n_iter: 1,
+            ...(params.sampler ? { sampler_name: params.sampler } : {}),
+            ...(model.providerModel ? { override_settings: { sd_model_checkpoint: model.providerModel } } : {})
+        };
+
+        if (task !== 'text-to-image') {
+            body.init_images = [await blobToBase64(request.image)];
+            body.denoising_strength = params.strength;
+            if (request.mask) {
+                // White = repaint, as in the app's mask editor
+                body.mask = await blobToBase64(request.mask);
+                body.inpainting_fill = 1; // start from the original pixels
+            }
+        }
+
+        const endpoint = task === 'text-to-image' ? 'txt2img' : 'img2img';
+        const response = await this.post(`${this.baseUrl}/sdapi/v1/${endpoint}`, body, request);
+        const data = await response.json();
+        if (!data.images || data.images.length === 0) {
+            throw new InferenceError(`${this.name} returned no image`);
+        }
+        return decodeBase64Image(data.images[0], 'image/png');
+    }
+}
+
+// ComfyUI: queue a workflow, wait for it in the history, download the output
+class ComfyUIProvider extends ImageProvider {
+    /**
+     * @param {Object} config - Also { pollInterval (ms, default 1000) }
+     * @param {Object} context - Also { sleep(ms, signal) } for tests
+     */
+    constructor(config = {}, context = {}) {
+        super({ type: 'comfyui', ...config }, context);
+        if (!this.baseUrl) {
+            throw new Error(`${this.name} needs a server URL`);
+        }
+        this.pollInterval = config.pollInterval || 1000;
+        this.sleep = context.sleep || abortableSleep;
+        this.clientId = `logo-generator-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // The built-in workflow is text-to-image only; a model's own workflow
+    // declares its tasks in the registry and uses {{image}} / {{mask}}
+    supportsTask(task, model) {
+        return task === 'text-to-image' || Boolean(model.workflow);
+    }
+
+    async generate(request) {
+        const { model, params } = request;
+        const values = {
+            prompt: request.prompt,
+            negative_prompt: params.negative_prompt || '',
+            seed: params.seed,
+            steps: params.num_inference_steps,
+            cfg: params.guidance_scale,
+            width: params.width,
+            height: params.height,
+            denoise: params.strength !== undefined ? params.strength : 1,
+            model: this.backendModel(model)
+        };
+        if (request.image) {
+            values.image = await this.upload(request.image, 'source.png', request);
+        }
+        if (request.mask) {
+            values.mask = await this.upload(request.mask, 'mask.png', request);
+        }
+
+        const workflow = fillWorkflow(model.workflow || COMFYUI_DEFAULT_WORKFLOW, values);
+        const queued = await this.post(`${this.baseUrl}/prompt`, { prompt: workflow, client_id: this.clientId }, request)
+            .then(response => response.json());
+
+        try {
+            const output = await this.waitForOutput(queued.prompt_id, request);
+            const query = new URLSearchParams({ filename: output.filename, subfolder: output.subfolder || '', type: output.type || 'output' });
+            const response = await this.requester.request(`${this.baseUrl}/view?${query}`, {
+                signal: request.signal,
+                headers: this.authHeaders()
+            });
+            return response.blob();
+        } catch (error) {
+            if (request.signal && request.signal.aborted) {
+                this.cancelPrompt(queued.prompt_id).catch(() => {});
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Drop a cancelled job from the server: pending prompts are deleted from
+     * the queue, and a prompt that is already executing is interrupted so it
+     * stops using the GPU
+     * @private
+     */
+    async cancelPrompt(promptId) {
+        const post = (path, body) => this.fetch(`${this.baseUrl}${path}`, {
+            method: 'POST',
+            headers: { ...this.authHeaders(), 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        await post('/queue', { delete: [promptId] });
+
+        // Queue entries are [number, prompt_id, prompt, extra_data, outputs]
+        const queue = await this.fetch(`${this.baseUrl}/queue`, { headers: this.authHeaders() })
+            .then(response => response.json());
+        if ((queue.queue_running || []).some(entry => entry[1] === promptId)) {
+            // Newer servers only interrupt this prompt; older ones interrupt whatever runs
+            await post('/interrupt', { prompt_id: promptId });
+        }
+    }
+
+    /**
+     * Poll the history until the prompt has an image output
+     * @private
+     */
+    async waitForOutput(promptId, request) {
+        for (;;) {
+            const history = await this.requester.request(`${this.baseUrl}/history/${encodeURIComponent(promptId)}`, {
+                signal: request.signal,
+                headers: this.authHeaders()
+            }).then(response => response.json());
+
+            const entry = history[promptId];
+            if (entry) {
+                if (entry.status && entry.status.status_str === 'error') {
+                    const failure = (entry.status.messages || []).find(([type]) => type === 'execution_error');
+                    throw new InferenceError(`Workflow failed: ${failure ? failure[1].exception_message : 'unknown error'}`);
+                }
+                const images = Object.values(entry.outputs || {}).flatMap(output => output.images || []);
+                if (images.length > 0) {
+                    return images[0];
+                }
+                if (entry.status && entry.status.completed) {
+                    throw new InferenceError('Workflow finished without an image (does it end in a SaveImage node?)');
+                }
+            }
+
+            await this.sleep(this.pollInterval, request.signal);
+        }
+    }
+
+    /**
+     * Upload a source image or mask for LoadImage nodes
+     * @private
+     */
+    async upload(blob, filename, request) {
+        const form = new FormData();
+        form.append('image', blob, filename);
+        form.append('overwrite', 'true');
+        const uploaded = await this.post(`${this.baseUrl}/upload/image`, form, request).then(response => response.json());
+        return uploaded.subfolder ? `${uploaded.subfolder}/${uploaded.name}` : uploaded.name;
+    }
+}
+
+// OpenAI images API and compatible servers (LocalAI, Azure-style proxies...).
+// No negative prompt or seed: results cannot be reproduced from the seed.
+class OpenAIImagesProvider extends ImageProvider {
+    constructor(config = {}, context = {}) {
+        super({ type: 'openai', ...config }, context);
+        this.baseUrl = this.baseUrl || OPENAI_BASE_URL;
+    }
+
+    // OpenAI itself needs a key; self-hosted compatible servers often don't
+    isAvailable() {
+        return Boolean(this.apiKey) || this.baseUrl !== OPENAI_BASE_URL;
+    }
+
+    unavailableMessage() {
+        return `${this.name} needs an API key`;
+    }
+
+    // Edits take an alpha mask rather than the app's white-on-black one
+    supportsTask(task) {
+        return task !== 'inpainting';
+    }
+
+    async generate(request) {
+        const { model, prompt, params, task } = request;
+        const modelName = this.backendModel(model);
+        const fields = {
+            model: modelName,
+            prompt,
+            n: 1,
+            ...(params.width && params.height ? { size: `${params.width}x${params.height}` } : {}),
+            // gpt-image models always answer in base64 and reject the field
+            ...(/^gpt-image/.test(modelName) ? {} : { response_format: 'b64_json' })
+        };
+
+        let response;
+        if (task === 'text-to-image') {
+            response = await this.post(`${this.baseUrl}/images/generations`, fields, request);
+        } else {
+            const form = new FormData();
+            Object.entries(fields).forEach(([key, value]) => form.append(key, String(value)));
+            form.append('image', request.image, 'image.png');
+            response = await this.post(`${this.baseUrl}/images/edits`, form, request);
+        }
+
+        const [image] = (await response.json()).data || [];
+        if (image && image.b64_json) {
+            return decodeBase64Image(image.b64_json, 'image/png');
+        }
+        if (image && image.url) {
+            return this.requester.request(image.url, { signal: request.signal }).then(result => result.blob());
+        }
+        throw new InferenceError(`${this.name} returned no image`);
+    }
+}
+
+// Offline stand-in: a seeded gradient-and-shape "logo" drawn without a
+// network or canvas, so the whole app (and the tests) work without a key
+class MockProvider extends ImageProvider {
+    /**
+     * @param {Object} config - Also { delay (ms; default 1.5–3 s, like a fast model) }
+     * @param {Object} context - Also { sleep(ms, signal) }
+     */
+    constructor(config = {}, context = {}) {
+        super({ type: 'mock', ...config }, context);
+        this.delay = config.delay;
+        this.sleep = context.sleep || abortableSleep;
+    }
+
+    async generate(request) {
+        const delay = this.delay !== undefined ? this.delay : 1500 + Math.random() * 1500;
+        if (delay > 0) {
+            await this.sleep(delay, request.signal);
+        }
+        return renderMockLogo(request.model.id, request.prompt, request.params);
+    }
+}
+
+const PROVIDER_CLASSES = {
+    huggingface: HuggingFaceProvider,
+    automatic1111: Automatic1111Provider,
+    comfyui: ComfyUIProvider,
+    openai: OpenAIImagesProvider,
+    mock: MockProvider
+};
+
+/**
+ * Build a provider from its config
+ * @param {Object} config - { id, type, name, baseUrl, apiKey, ... }
+ * @param {Object} context - { fetch, requester, getApiKey, sleep }
+ * @returns {ImageProvider}
+ */
+function createProvider(config, context = {}) {
+    const ProviderClass = config && PROVIDER_CLASSES[config.type];
+    if (!ProviderClass) {
+        throw new Error(`Unknown provider type: ${config && config.type}`);
+    }
+    return new ProviderClass(config, context);
+}
+
+// Saved providers and which backend each model uses. API keys for providers
+// are kept in memory for the session only, never in storage.
+class ProviderSettings {
+    /**
+     * @param {Object} options - { storage (defaults to localStorage) }
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.data = { providers: [], routes: {}, models: [], ...this.load() };
+        this.sessionKeys = new Map();
+    }
+
+    /**
+     * Configured providers (without keys)
+     * @returns {Object[]} - { id, type, name, baseUrl, hasKey }
+     */
+    listProviders() {
+        return this.data.providers.map(config => ({ ...config, hasKey: this.sessionKeys.has(config.id) }));
+    }
+
+    /**
+     * Provider configs for HuggingFaceMultiGenerator, with this session's keys
+     * @returns {Object[]}
+     */
+    providerConfigs() {
+        return this.data.providers.map(config => ({
+            ...config,
+            ...(this.sessionKeys.has(config.id) ? { apiKey: this.sessionKeys.get(config.id) } : {})
+        }));
+    }
+
+    /**
+     * Add or update a provider
+     * @param {Object} config - { id (optional), type, name, baseUrl, apiKey (session only) }
+     * @returns {Object} - Stored config
+     */
+    saveProvider(config) {
+        const type = PROVIDER_TYPES[config.type];
+        if (!type || type.builtIn) {
+            throw new Error(`Unknown provider type: ${config.type}`);
+        }
+
+        const stored = {
+            id: config.id || uniqueId(providerSlug(config.name || config.type), this.data.providers.map(item => item.id)),
+            type: config.type,
+            name: (config.name || '').trim() || type.name,
+            baseUrl: (config.baseUrl || '').trim()
+        };
+        // Throws for a missing server URL
+        createProvider(stored);
+
+        if (config.apiKey) {
+            this.sessionKeys.set(stored.id, config.apiKey);
+        }
+        this.data.providers = [...this.data.providers.filter(item => item.id !== stored.id), stored];
+        this.save();
+        return stored;
+    }
+
+    /**
+     * Remove a provider; its models go back to Hugging Face and added models are dropped
+     * @param {string} id - Provider ID
+     * @param {ModelRegistry} registry - Updated to match (optional)
+     */
+    removeProvider(id, registry = null) {
+        this.data.providers = this.data.providers.filter(item => item.id !== id);
+        this.sessionKeys.delete(id);
+        Object.keys(this.data.routes)
+            .filter(modelId => this.data.routes[modelId].provider === id)
+            .forEach(modelId => this.setRoute(modelId, { provider: DEFAULT_PROVIDER_ID }, registry));
+        this.data.models
+            .filter(model => model.provider === id)
+            .forEach(model => this.removeModel(model.id, registry));
+        this.save();
+    }
+
+    /**
+     * @param {string} id - Provider ID
+     * @param {string} apiKey - Key for this session ('' forgets it)
+     */
+    setSessionKey(id, apiKey) {
+        if (apiKey) {
+            this.sessionKeys.set(id, apiKey);
+        } else {
+            this.sessionKeys.delete(id);
+        }
+    }
+
+    clearSessionKeys() {
+        this.sessionKeys.clear();
+    }
+
+    /**
+     * Point a model at a provider
+     * @param {string} modelId - Registry model ID
+     * @param {Object} route - { provider, providerModel (checkpoint / model name on that backend) }
+     * @param {ModelRegistry} registry - Updated to match (optional)
+     */
+    setRoute(modelId, route, registry = null) {
+        const provider = route.provider || DEFAULT_PROVIDER_ID;
+        const providerModel = (route.providerModel || '').trim() || null;
+        if (provider === DEFAULT_PROVIDER_ID && !providerModel) {
+            delete this.data.routes[modelId];
+        } else {
+            this.data.routes[modelId] = { provider, providerModel };
+        }
+
+        const custom = this.data.models.find(model => model.id === modelId);
+        if (custom) {
+            Object.assign(custom, { provider, providerModel });
+        }
+        if (registry && registry.has(modelId)) {
+            registry.setProvider(modelId, provider, providerModel);
+        }
+        this.save();
+    }
+
+    /**
+     * Add a model that only exists on another backend (e.g. a local checkpoint)
+     * @param {Object} model - Registry definition with provider and providerModel
+     * @param {ModelRegistry} registry - Registered there too (optional)
+     * @returns {Object} - Stored definition
+     */
+    addModel(model, registry = null) {
+        if (!model.provider) {
+            throw new Error('Choose a provider for the model');
+        }
+        const stored = {
+            id: (model.id || '').trim() || `${model.provider}/${(model.providerModel || model.name || '').trim()}`,
+            name: (model.name || '').trim() || model.providerModel,
+            icon: model.icon || '🖥️',
+            type: 'custom',
+            provider: model.provider,
+            providerModel: (model.providerModel || '').trim() || null,
+            ...(model.tasks ? { tasks: model.tasks } : {}),
+            ...(model.workflow ? { workflow: model.workflow } : {})
+        };
+        if (!stored.name) {
+            throw new Error('Give the model a name');
+        }
+
+        this.data.models = [...this.data.models.filter(item => item.id !== stored.id), stored];
+        this.save();
+        if (registry) {
+            registry.register(stored);
+        }
+        return stored;
+    }
+
+    /**
+     * @param {string} id - Model ID
+     * @param {ModelRegistry} registry - Unregistered there too (optional)
+     */
+    removeModel(id, registry = null) {
+        this.data.models = this.data.models.filter(model => model.id !== id);
+        delete this.data.routes[id];
+        this.save();
+        if (registry) {
+            registry.unregister(id);
+        }
+    }
+
+    /**
+     * Models added through addModel()
+     * @returns {Object[]}
+     */
+    listModels() {
+        return this.data.models.map(model => ({ ...model }));
+    }
+
+    /**
+     * @param {string} modelId - Registry model ID
+     * @returns {Object} - { provider, providerModel }
+     */
+    getRoute(modelId) {
+        return this.data.routes[modelId] || { provider: DEFAULT_PROVIDER_ID, providerModel: null };
+    }
+
+    /**
+     * Register added models and apply saved routes (at startup)
+     * @param {ModelRegistry} registry - Registry to update
+     */
+    applyTo(registry) {
+        this.data.models.forEach(model => registry.register(model, { silent: true }));
+        Object.entries(this.data.routes).forEach(([modelId, route]) => {
+            if (registry.has(modelId)) {
+                registry.setProvider(modelId, route.provider, route.providerModel);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    load() {
+        if (!this.storage) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(this.storage.getItem(PROVIDERS_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('Failed to load providers:', error);
+            return {};
+        }
+    }
+
+    /**
+     * @private
+     */
+    save() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(PROVIDERS_STORAGE_KEY, JSON.stringify(this.data));
+            return true;
+        } catch (error) {
+            console.error('Failed to save providers:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Replace "{{name}}" placeholders in a ComfyUI workflow. A value that is
+ * exactly one placeholder keeps the value's type (numbers stay numbers).
+ * @param {Object} workflow - API-format workflow
+ * @param {Object} values - Placeholder values
+ * @returns {Object} - New workflow
+ */
+function fillWorkflow(workflow, values) {
+    const fill = (node) => {
+        if (typeof node === 'string') {
+            const whole = node.match(/^\{\{(\w+)\}\}$/);
+            if (whole) {
+                return values[whole[1]] !== undefined ? values[whole[1]] : node;
+            }
+            return node.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+        }
+        if (Array.isArray(node)) {
+            return node.map(fill);
+        }
+        if (node && typeof node === 'object') {
+            return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fill(value)]));
+        }
+        return node;
+    };
+    return fill(workflow);
+}
+
+/**
+ * Seeded placeholder logo: the gradient comes from the seed, the shape from
+ * the model, so runs are reproducible and models look different
+ * @param {string} modelId - Model ID
+ * @param {string} prompt - Prompt
+ * @param {Object} params - { seed, width, height }
+ * @returns {Promise<Blob>} - PNG, at most 512 px on the long side
+ */
+function renderMockLogo(modelId, prompt, params = {}) {
+    const palettes = [
+        [[102, 126, 234], [118, 75, 162]],
+        [[240, 147, 251], [245, 87, 108]],
+        [[79, 172, 254], [0, 242, 254]],
+        [[67, 233, 123], [56, 249, 215]],
+        [[250, 112, 154], [254, 225, 64]],
+        [[48, 207, 208], [51, 8, 103]]
+    ];
+    const seed = Number(params.seed) || 0;
+    const [from, to] = palettes[(seed + hashString(prompt)) % palettes.length];
+    const shape = hashString(modelId) % 4;
+
+    const scale = Math.min(1, 512 / Math.max(params.width || 512, params.height || 512));
+    const width = Math.max(1, Math.round((params.width || 512) * scale));
+    const height = Math.max(1, Math.round((params.height || 512) * scale));
+    const radius = Math.min(width, height) / 2;
+    const pixels = new Uint8Array(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const t = (x + y) / (width + height);
+            const nx = (x - width / 2) / radius;
+            const ny = (y - height / 2) / radius;
+            const r = Math.hypot(nx, ny);
+            const inside = [
+                r < 0.55,                                 // disc
+                r > 0.38 && r < 0.6,                      // ring
+                Math.abs(nx) + Math.abs(ny) < 0.65,       // diamond
+                Math.max(Math.abs(nx), Math.abs(ny)) < 0.45 // square
+            ][shape];
+            const i = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                const base = from[c] + (to[c] - from[c]) * t;
+                pixels[i + c] = inside ? Math.round(base * 0.15 + 255 * 0.85) : Math.round(base);
+            }
+            pixels[i + 3] = 255;
+        }
+    }
+
+    return encodePng(width, height, pixels);
+}
+
+// FNV-1a, for picking colours and shapes
+function hashString(text) {
+    const value = String(text || '');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function providerSlug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'provider';
+}
+
+// Provider IDs must not clash with each other or the built-in providers
+function uniqueId(base, taken) {
+    let id = base;
+    for (let i = 2; taken.includes(id) || (PROVIDER_TYPES[id] && PROVIDER_TYPES[id].builtIn); i++) {
+        id = `${base}-${i}`;
+    }
+    return id;
+}
+
+// Base64-encode an image blob for JSON request bodies
+async function blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeBase64Image(data, type) {
+    const binary = atob(String(data).replace(/^data:[^,]*,/, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ImageProvider,
+        HuggingFaceProvider,
+        Automatic1111Provider,
+        ComfyUIProvider,
+        OpenAIImagesProvider,
+        MockProvider,
+        ProviderSettings,
+        createProvider,
+        fillWorkflow,
+        renderMockLogo,
+        PROVIDER_TYPES,
+        DEFAULT_PROVIDER_ID,
+        COMFYUI_DEFAULT_WORKFLOW
+    };
+}
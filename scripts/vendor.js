@@ -0,0 +1,73 @@
+/**
+ * Vendor
+ * Copies the browser builds of React, ReactDOM, Babel and qrcode-generator
+ * into vendor/ and compiles vendor/tailwind.css, so the pages (and the
+ * service worker's precache) never depend on a CDN.
+ *
+ * Usage: npm install && npm run vendor
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const VENDOR_DIR = path.join(ROOT, 'vendor');
+
+// [package, file inside the package, file name in vendor/]
+const FILES = [
+    ['react', 'umd/react.production.min.js', 'react.production.min.js'],
+    ['react-dom', 'umd/react-dom.production.min.js', 'react-dom.production.min.js'],
+    ['@babel/standalone', 'babel.min.js', 'babel.min.js'],
+    ['qrcode-generator', 'qrcode.js', 'qrcode.js']
+];
+
+function packageDir(name) {
+    return path.dirname(require.resolve(`${name}/package.json`, { paths: [ROOT] }));
+}
+
+function main() {
+    fs.mkdirSync(VENDOR_DIR, { recursive: true });
+
+    const versions = [];
+    for (const [name, source, target] of FILES) {
+        const dir = packageDir(name);
+        fs.copyFileSync(path.join(dir, source), path.join(VENDOR_DIR, target));
+        const { version, license } = require(path.join(dir, 'package.json'));
+        versions.push(`| ${name} | ${version} | ${license} | \`${target}\` |`);
+        console.log(`vendor/${target} <- ${name}@${version}`);
+    }
+
+    const tailwindDir = packageDir('tailwindcss');
+    const input = path.join(VENDOR_DIR, '.tailwind-input.css');
+    fs.writeFileSync(input, '@tailwind base;\n@tailwind components;\n@tailwind utilities;\n');
+    try {
+        execFileSync(process.execPath, [
+            path.join(tailwindDir, 'lib/cli.js'),
+            '--config', path.join(ROOT, 'tailwind.config.js'),
+            '--input', input,
+            '--output', path.join(VENDOR_DIR, 'tailwind.css'),
+            '--minify'
+        ], { cwd: ROOT, stdio: 'inherit' });
+    } finally {
+        fs.unlinkSync(input);
+    }
+    const tailwind = require(path.join(tailwindDir, 'package.json'));
+    versions.push(`| tailwindcss | ${tailwind.version} | ${tailwind.license} | \`tailwind.css\` (built from tailwind.config.js) |`);
+
+    fs.writeFileSync(path.join(VENDOR_DIR, 'README.md'), [
+        '# Vendored dependencies',
+        '',
+        'Generated by `npm run vendor` (scripts/vendor.js). Do not edit by hand:',
+        'bump the versions in package.json and re-run the script instead.',
+        'Re-run it as well after adding Tailwind classes that no page used before,',
+        'so tailwind.css includes them.',
+        '',
+        '| Package | Version | License | File |',
+        '|---------|---------|---------|------|',
+        ...versions,
+        ''
+    ].join('\n'));
+}
+
+main();
@@ -2,22 +2,100 @@
  * Secure API Key Manager
  * Provides AES-256-GCM encryption for HuggingFace API keys
  * Uses Web Crypto API for browser-based encryption
+ *
+ * Encrypted keys are stored as a self-describing envelope:
+ *   lk$<version>$<cipher>$<kdf>:<iterations>$<salt>$<iv>$<ciphertext>
+ * The header (everything before the salt) is authenticated by AES-GCM.
+ * Keys from before the envelope existed (bare base64 of salt + iv +
+ * ciphertext, PBKDF2-SHA256 at 100k iterations) are still accepted.
+ *
+ * A profile can also hold a second copy of its key wrapped with a secret
+ * from a passkey (WebAuthn PRF extension, HKDF-SHA256). The password copy
+ * stays as the recovery path.
  */
 
+const KEY_ENVELOPE_PREFIX = 'lk';
+const KEY_ENVELOPE_VERSION = 2;
+const KEY_ENVELOPE_CIPHER = 'AES-GCM-256';
+
+// Settings of the original bare-base64 format
+const LEGACY_KDF = { name: 'PBKDF2-SHA256', iterations: 100000 };
+
+// OWASP 2023 recommendation for PBKDF2-HMAC-SHA256
+const DEFAULT_KDF = { name: 'PBKDF2-SHA256', iterations: 600000 };
+
+// Named key profiles live under one entry; the single-key slot of earlier
+// versions is imported as a profile the next time profiles are read
+const KEY_PROFILES_STORAGE_KEY = 'hf_key_profiles';
+const LEGACY_KEY_STORAGE_KEY = 'hf_encrypted_key';
+
+// Passkey-wrapped keys: the PRF output is already uniformly random, so one
+// HKDF step replaces the password stretching (the iteration count is unused)
+const PASSKEY_KDF = { name: 'HKDF-SHA256', iterations: 1 };
+const PASSKEY_HKDF_INFO = 'logo-generator api key';
+const PASSKEY_RP_NAME = 'Logo Generator';
+
 class SecureKeyManager {
-    constructor() {
+    /**
+     * @param {Object} options - { kdf: { name, iterations } for new keys,
+     *                             kdfs: { name: async (password, salt, iterations) => CryptoKey },
+     *                             storage (defaults to localStorage),
+     *                             credentials (defaults to navigator.credentials where WebAuthn exists) }
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.credentials = options.credentials ||
+            (typeof PublicKeyCredential !== 'undefined' && typeof navigator !== 'undefined' ? navigator.credentials : null);
         this.algorithm = 'AES-GCM';
         this.keyLength = 256;
         this.ivLength = 12; // 96 bits for GCM
+        this.saltLength = 16;
+
+        // Key derivation used for new envelopes; existing keys keep theirs until re-encrypted
+        this.kdf = { ...DEFAULT_KDF, ...(options.kdf || {}) };
+
+        // Supported key derivation functions by envelope name. Add stronger
+        // ones here (e.g. an Argon2 implementation) without breaking old keys.
+        this.kdfs = {
+            'PBKDF2-SHA256': (password, salt, iterations) => this.derivePbkdf2Key(password, salt, iterations, 'SHA-256'),
+            'PBKDF2-SHA512': (password, salt, iterations) => this.derivePbkdf2Key(password, salt, iterations, 'SHA-512'),
+            'HKDF-SHA256': (secret, salt) => this.deriveHkdfKey(secret, salt),
+            ...(options.kdfs || {})
+        };
+
+        if (!this.supportsKdf(this.kdf.name)) {
+            throw new Error(`Unsupported key derivation function: ${this.kdf.name}`);
+        }
     }
 
     /**
-     * Derive encryption key from user password using PBKDF2
+     * Derive encryption key from user password
      * @param {string} password - User's encryption password
      * @param {Uint8Array} salt - Salt for key derivation
+     * @param {Object} kdf - { name, iterations } (defaults to the legacy PBKDF2 settings)
      * @returns {Promise<CryptoKey>} - Derived encryption key
      */
-    async deriveKey(password, salt) {
+    async deriveKey(password, salt, kdf = LEGACY_KDF) {
+        if (!this.supportsKdf(kdf.name)) {
+            throw new Error(`Unsupported key derivation function: ${kdf.name}`);
+        }
+        return this.kdfs[kdf.name](password, salt, kdf.iterations);
+    }
+
+    /**
+     * Check whether a key derivation function name is known
+     * @param {string} name - KDF name as written in the envelope
+     * @returns {boolean}
+     */
+    supportsKdf(name) {
+        return Object.prototype.hasOwnProperty.call(this.kdfs, name) && typeof this.kdfs[name] === 'function';
+    }
+
+    /**
+     * Derive an AES key with PBKDF2
+     * @private
+     */
+    async derivePbkdf2Key(password, salt, iterations, hash) {
         const encoder = new TextEncoder();
         const passwordKey = await crypto.subtle.importKey(
             'raw',
@@ -31,8 +109,8 @@ class SecureKeyManager {
             {
                 name: 'PBKDF2',
                 salt: salt,
-                iterations: 100000, // OWASP recommended minimum
-                hash: 'SHA-256'
+                iterations: iterations,
+                hash: hash
             },
             passwordKey,
             {
@@ -44,84 +122,247 @@ class SecureKeyManager {
         );
     }
 
+    /**
+     * Derive an AES key from a high-entropy secret (passkey PRF output) with HKDF
+     * @private
+     */
+    async deriveHkdfKey(secret, salt) {
+        const encoder = new TextEncoder();
+        const secretKey = await crypto.subtle.importKey(
+            'raw',
+            typeof secret === 'string' ? encoder.encode(secret) : secret,
+            'HKDF',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: salt,
+                info: encoder.encode(PASSKEY_HKDF_INFO)
+            },
+            secretKey,
+            {
+                name: this.algorithm,
+                length: this.keyLength
+            },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
     /**
      * Encrypt API key with password
      * @param {string} apiKey - Plain text API key
      * @param {string} password - Encryption password
-     * @returns {Promise<string>} - Encrypted key (base64 encoded)
+     * @returns {Promise<string>} - Encrypted key envelope
      */
     async encryptKey(apiKey, password) {
+        return this.encryptWithKdf(apiKey, password, this.kdf);
+    }
+
+    /**
+     * Encrypt with an explicit key derivation function
+     * @private
+     */
+    async encryptWithKdf(apiKey, password, kdf) {
         if (!apiKey || !password) {
             throw new Error('API key and password are required');
         }
 
         // Generate random salt and IV
-        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const salt = crypto.getRandomValues(new Uint8Array(this.saltLength));
         const iv = crypto.getRandomValues(new Uint8Array(this.ivLength));
 
         // Derive encryption key from password
-        const key = await this.deriveKey(password, salt);
+        const key = await this.deriveKey(password, salt, kdf);
 
-        // Encrypt the API key
+        // Encrypt the API key; the header is authenticated so it cannot be altered
+        const header = [KEY_ENVELOPE_PREFIX, KEY_ENVELOPE_VERSION, KEY_ENVELOPE_CIPHER, `${kdf.name}:${kdf.iterations}`].join('$');
         const encoder = new TextEncoder();
         const encryptedData = await crypto.subtle.encrypt(
             {
                 name: this.algorithm,
-                iv: iv
+                iv: iv,
+                additionalData: encoder.encode(header)
             },
             key,
             encoder.encode(apiKey)
         );
 
-        // Combine salt + iv + encrypted data
-        const combined = new Uint8Array(salt.length + iv.length + encryptedData.byteLength);
-        combined.set(salt, 0);
-        combined.set(iv, salt.length);
-        combined.set(new Uint8Array(encryptedData), salt.length + iv.length);
-
-        // Convert to base64 for storage
-        return this.arrayBufferToBase64(combined);
+        return [
+            header,
+            this.arrayBufferToBase64(salt),
+            this.arrayBufferToBase64(iv),
+            this.arrayBufferToBase64(encryptedData)
+        ].join('$');
     }
 
     /**
-     * Decrypt API key with password
-     * @param {string} encryptedKey - Encrypted key (base64 encoded)
+     * Decrypt API key with password. Keys in the legacy format or with weaker
+     * settings than this.kdf are re-encrypted after a successful unlock (and
+     * replaced in storage if they are the stored key).
+     * @param {string} encryptedKey - Encrypted key (envelope or legacy base64)
      * @param {string} password - Decryption password
+     * @param {Object} options - { upgrade: false to skip re-encryption,
+     *                             onUpgrade(newEncryptedKey, oldInfo) }
      * @returns {Promise<string>} - Plain text API key
      */
-    async decryptKey(encryptedKey, password) {
+    async decryptKey(encryptedKey, password, options = {}) {
         if (!encryptedKey || !password) {
             throw new Error('Encrypted key and password are required');
         }
 
-        try {
-            // Decode from base64
-            const combined = this.base64ToArrayBuffer(encryptedKey);
-
-            // Extract salt, IV, and encrypted data
-            const salt = combined.slice(0, 16);
-            const iv = combined.slice(16, 16 + this.ivLength);
-            const encryptedData = combined.slice(16 + this.ivLength);
+        const envelope = this.parseEncryptedKey(encryptedKey.trim());
+        let apiKey;
 
+        try {
             // Derive decryption key from password
-            const key = await this.deriveKey(password, salt);
+            const key = await this.deriveKey(password, envelope.salt, envelope.kdf);
 
             // Decrypt the data
             const decryptedData = await crypto.subtle.decrypt(
                 {
                     name: this.algorithm,
-                    iv: iv
+                    iv: envelope.iv,
+                    ...(envelope.header ? { additionalData: new TextEncoder().encode(envelope.header) } : {})
                 },
                 key,
-                encryptedData
+                envelope.data
             );
 
             // Convert back to string
             const decoder = new TextDecoder();
-            return decoder.decode(decryptedData);
+            apiKey = decoder.decode(decryptedData);
         } catch (error) {
             throw new Error('Decryption failed. Invalid password or corrupted data.');
         }
+
+        if (options.upgrade !== false && this.needsUpgrade(envelope)) {
+            try {
+                const upgraded = await this.encryptKey(apiKey, password);
+                this.replaceEncryptedKey(encryptedKey, upgraded);
+                if (options.onUpgrade) {
+                    options.onUpgrade(upgraded, this.describeEncryptedKey(encryptedKey));
+                }
+            } catch (error) {
+                // The unlock itself succeeded; keep the old key and try again next time
+                console.error('Failed to upgrade encrypted key:', error);
+            }
+        }
+
+        return apiKey;
+    }
+
+    /**
+     * Re-encrypt a key under a new password
+     * @param {string} oldPassword - Current password
+     * @param {string} newPassword - New password
+     * @param {string} encryptedKey - Key to re-encrypt (defaults to the active profile's key)
+     * @returns {Promise<string>} - New encrypted key (saved to any profile that held the old one)
+     */
+    async changePassword(oldPassword, newPassword, encryptedKey = this.getStoredEncryptedKey()) {
+        if (!encryptedKey) {
+            throw new Error('No encrypted key to re-encrypt');
+        }
+        if (!newPassword) {
+            throw new Error('New password is required');
+        }
+
+        const apiKey = await this.decryptKey(encryptedKey, oldPassword, { upgrade: false });
+        const updated = await this.encryptKey(apiKey, newPassword);
+
+        this.replaceEncryptedKey(encryptedKey, updated);
+        return updated;
+    }
+
+    /**
+     * Read the settings of an encrypted key without decrypting it
+     * @param {string} encryptedKey - Encrypted key (envelope or legacy base64)
+     * @returns {Object} - { version, cipher, kdf, iterations, legacy, needsUpgrade }
+     */
+    describeEncryptedKey(encryptedKey) {
+        const envelope = this.parseEncryptedKey(encryptedKey.trim());
+        return {
+            version: envelope.version,
+            cipher: envelope.cipher,
+            kdf: envelope.kdf.name,
+            iterations: envelope.kdf.iterations,
+            legacy: envelope.version === 1,
+            needsUpgrade: this.needsUpgrade(envelope)
+        };
+    }
+
+    /**
+     * Whether a key should be re-encrypted with the current settings
+     * @private
+     */
+    needsUpgrade(envelope) {
+        return envelope.version < KEY_ENVELOPE_VERSION ||
+            envelope.kdf.name !== this.kdf.name ||
+            envelope.kdf.iterations < this.kdf.iterations;
+    }
+
+    /**
+     * Split an encrypted key into its parts
+     * @private
+     */
+    parseEncryptedKey(encryptedKey) {
+        if (!encryptedKey.startsWith(`${KEY_ENVELOPE_PREFIX}$`)) {
+            // Legacy: base64(salt + iv + ciphertext)
+            let combined;
+            try {
+                combined = this.base64ToArrayBuffer(encryptedKey);
+            } catch (error) {
+                throw new Error('Decryption failed. Invalid password or corrupted data.');
+            }
+            return {
+                version: 1,
+                cipher: KEY_ENVELOPE_CIPHER,
+                kdf: LEGACY_KDF,
+                header: null,
+                salt: combined.slice(0, 16),
+                iv: combined.slice(16, 16 + this.ivLength),
+                data: combined.slice(16 + this.ivLength)
+            };
+        }
+
+        const parts = encryptedKey.split('$');
+        if (parts.length !== 7) {
+            throw new Error('Encrypted key is malformed');
+        }
+
+        const [, version, cipher, kdfSpec, salt, iv, data] = parts;
+        const [kdfName, iterations] = kdfSpec.split(':');
+
+        if (Number(version) > KEY_ENVELOPE_VERSION) {
+            throw new Error(`Encrypted key version ${version} is newer than this app supports`);
+        }
+        if (cipher !== KEY_ENVELOPE_CIPHER) {
+            throw new Error(`Unsupported cipher: ${cipher}`);
+        }
+        if (!this.supportsKdf(kdfName) || !(Number(iterations) > 0)) {
+            throw new Error(`Unsupported key derivation function: ${kdfSpec}`);
+        }
+
+        let bytes;
+        try {
+            bytes = [salt, iv, data].map(value => this.base64ToArrayBuffer(value));
+        } catch (error) {
+            throw new Error('Encrypted key is malformed');
+        }
+
+        return {
+            version: Number(version),
+            cipher,
+            kdf: { name: kdfName, iterations: Number(iterations) },
+            header: parts.slice(0, 4).join('$'),
+            salt: bytes[0],
+            iv: bytes[1],
+            data: bytes[2]
+        };
     }
 
     /**
@@ -136,41 +377,454 @@ class SecureKeyManager {
     }
 
     /**
-     * Store encrypted key in localStorage
+     * Store encrypted key in the active profile (creating a "Default" profile if there is none)
      * @param {string} encryptedKey - Encrypted API key
      */
     storeEncryptedKey(encryptedKey) {
-        try {
-            localStorage.setItem('hf_encrypted_key', encryptedKey);
-            return true;
-        } catch (error) {
-            console.error('Failed to store encrypted key:', error);
-            return false;
+        const state = this.loadProfiles();
+        const active = state.profiles.find(profile => profile.id === state.activeId);
+
+        if (active) {
+            active.encryptedKey = encryptedKey;
+            active.maskedKey = null; // unknown until the new key is unlocked
+            return this.saveProfiles(state);
         }
+
+        const profile = createKeyProfile({ label: 'Default', encryptedKey });
+        state.profiles.push(profile);
+        state.activeId = profile.id;
+        return this.saveProfiles(state);
     }
 
     /**
-     * Retrieve encrypted key from localStorage
+     * Retrieve the active profile's encrypted key
      * @returns {string|null} - Encrypted key or null
      */
     getStoredEncryptedKey() {
+        const state = this.loadProfiles();
+        const active = state.profiles.find(profile => profile.id === state.activeId);
+        return active ? active.encryptedKey : null;
+    }
+
+    /**
+     * Delete the active profile and its key
+     */
+    clearStoredKey() {
+        const active = this.getActiveProfile();
+        return active ? this.deleteProfile(active.id) : true;
+    }
+
+    /**
+     * List saved key profiles. Encrypted keys are not included.
+     * @returns {Object[]} - { id, label, provider, maskedKey, createdAt, lastUsedAt, active }
+     */
+    listProfiles() {
+        const state = this.loadProfiles();
+        return state.profiles.map(profile => describeKeyProfile(profile, state.activeId));
+    }
+
+    /**
+     * Get one profile
+     * @param {string} id - Profile ID
+     * @returns {Object|null}
+     */
+    getProfile(id) {
+        return this.listProfiles().find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * Get the profile used by default when the app starts
+     * @returns {Object|null}
+     */
+    getActiveProfile() {
+        return this.listProfiles().find(profile => profile.active) || null;
+    }
+
+    /**
+     * Save a new key profile and make it active
+     * @param {Object} profile - { label, provider, apiKey + password, or an already encryptedKey }
+     * @returns {Promise<Object>} - The new profile
+     */
+    async createProfile(profile) {
+        if (!profile || !profile.label || !profile.label.trim()) {
+            throw new Error('Profile label is required');
+        }
+
+        const encryptedKey = profile.apiKey
+            ? await this.encryptKey(profile.apiKey, profile.password)
+            : profile.encryptedKey;
+        if (!encryptedKey) {
+            throw new Error('An API key and password, or an encrypted key, are required');
+        }
+
+        const stored = createKeyProfile({
+            label: profile.label.trim(),
+            provider: profile.provider,
+            encryptedKey,
+            maskedKey: profile.apiKey ? maskApiKey(profile.apiKey) : null
+        });
+
+        const state = this.loadProfiles();
+        state.profiles.push(stored);
+        state.activeId = stored.id;
+        this.saveProfiles(state);
+        return describeKeyProfile(stored, state.activeId);
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} id - Profile ID
+     * @param {string} label - New label
+     * @returns {Object} - Updated profile
+     */
+    renameProfile(id, label) {
+        if (!label || !label.trim()) {
+            throw new Error('Profile label is required');
+        }
+        return this.updateProfile(id, { label: label.trim() });
+    }
+
+    /**
+     * Delete a profile and its key. If it was active, the next profile becomes active.
+     * @param {string} id - Profile ID
+     * @returns {boolean} - True if the change was saved
+     */
+    deleteProfile(id) {
+        const state = this.loadProfiles();
+        state.profiles = state.profiles.filter(profile => profile.id !== id);
+        if (state.activeId === id) {
+            state.activeId = state.profiles.length > 0 ? state.profiles[0].id : null;
+        }
+        return this.saveProfiles(state);
+    }
+
+    /**
+     * Make a profile the active one
+     * @param {string} id - Profile ID
+     * @returns {Object} - The profile
+     */
+    setActiveProfile(id) {
+        const state = this.loadProfiles();
+        if (!state.profiles.some(profile => profile.id === id)) {
+            throw new Error(`Key profile ${id} not found`);
+        }
+        state.activeId = id;
+        this.saveProfiles(state);
+        return this.getProfile(id);
+    }
+
+    /**
+     * Decrypt a profile's key, make it active and record when it was used
+     * @param {string} id - Profile ID
+     * @param {string} password - Decryption password
+     * @returns {Promise<string>} - Plain text API key
+     */
+    async unlockProfile(id, password) {
+        const state = this.loadProfiles();
+        const profile = state.profiles.find(item => item.id === id);
+        if (!profile) {
+            throw new Error(`Key profile ${id} not found`);
+        }
+
+        // decryptKey() writes an upgraded envelope back to the profile
+        const apiKey = await this.decryptKey(profile.encryptedKey, password);
+
+        this.updateProfile(id, { maskedKey: maskApiKey(apiKey), lastUsedAt: new Date().toISOString() });
+        this.setActiveProfile(id);
+        return apiKey;
+    }
+
+    /**
+     * Profiles with their encrypted keys, for moving them to another device.
+     * Passkey copies are left out: passkeys usually belong to one device.
+     * @returns {Object[]}
+     */
+    exportProfiles() {
+        return this.loadProfiles().profiles.map(profile => ({ ...profile, passkey: null }));
+    }
+
+    /**
+     * Add a profile exported from another device
+     * @param {Object} profile - Exported profile (id, label, provider, encryptedKey, ...)
+     * @param {Object} options - { replace: overwrite the profile with the same ID,
+     *                             copy: store under a new ID (and label) }
+     * @returns {Object} - Stored profile
+     */
+    importProfile(profile, options = {}) {
+        this.validateProfile(profile);
+
+        const state = this.loadProfiles();
+        const index = state.profiles.findIndex(item => item.id === profile.id);
+        let stored;
+
+        if (index >= 0 && options.replace) {
+            // The old passkey wraps the old key, so it cannot be kept
+            stored = { ...state.profiles[index], ...profile, passkey: null };
+            state.profiles[index] = stored;
+        } else if (index >= 0 || options.copy || !profile.id) {
+            stored = {
+                ...createKeyProfile({
+                    label: options.label || profile.label,
+                    provider: profile.provider,
+                    encryptedKey: profile.encryptedKey,
+                    maskedKey: profile.maskedKey || null
+                }),
+                createdAt: profile.createdAt || new Date().toISOString()
+            };
+            state.profiles.push(stored);
+        } else {
+            stored = { ...createKeyProfile(profile), ...profile, passkey: null };
+            state.profiles.push(stored);
+        }
+
+        if (!state.activeId) {
+            state.activeId = stored.id;
+        }
+        this.saveProfiles(state);
+        return describeKeyProfile(stored, state.activeId);
+    }
+
+    /**
+     * Check that importProfile() would accept a profile
+     * @param {Object} profile - Exported profile
+     * @throws {Error} - When the label or key is missing, or the envelope is malformed
+     */
+    validateProfile(profile) {
+        if (!profile || !profile.label || !profile.encryptedKey) {
+            throw new Error('Imported profile needs a label and an encrypted key');
+        }
+        // Rejects malformed envelopes and unknown KDFs before they are stored
+        this.parseEncryptedKey(profile.encryptedKey.trim());
+    }
+
+    /**
+     * Whether this browser can create passkeys. PRF support itself is only
+     * known once a passkey has been created.
+     * @returns {boolean}
+     */
+    isPasskeySupported() {
+        return Boolean(this.credentials);
+    }
+
+    /**
+     * Create a passkey for a profile and wrap its key with the passkey's PRF secret
+     * @param {string} id - Profile ID
+     * @param {string} password - The profile's password (kept as the recovery path)
+     * @param {Object} options - { rpId, rpName }
+     * @returns {Promise<Object>} - Updated profile (hasPasskey: true)
+     */
+    async addPasskey(id, password, options = {}) {
+        if (!this.isPasskeySupported()) {
+            throw new Error('Passkeys are not supported in this browser');
+        }
+
+        const profile = this.loadProfiles().profiles.find(item => item.id === id);
+        if (!profile) {
+            throw new Error(`Key profile ${id} not found`);
+        }
+
+        // Checks the password before anything is created on the authenticator
+        const apiKey = await this.decryptKey(profile.encryptedKey, password);
+
+        const prfSalt = crypto.getRandomValues(new Uint8Array(32));
+        const credential = await this.credentials.create({
+            publicKey: {
+                challenge: crypto.getRandomValues(new Uint8Array(32)),
+                rp: { name: options.rpName || PASSKEY_RP_NAME, ...(options.rpId ? { id: options.rpId } : {}) },
+                user: {
+                    id: new TextEncoder().encode(profile.id),
+                    name: profile.label,
+                    displayName: profile.label
+                },
+                pubKeyCredParams: [
+                    { type: 'public-key', alg: -7 },   // ES256
+                    { type: 'public-key', alg: -257 }  // RS256
+                ],
+                authenticatorSelection: { residentKey: 'preferred', userVerification: 'required' },
+                extensions: { prf: { eval: { first: prfSalt } } }
+            }
+        });
+        if (!credential) {
+            throw new Error('Passkey creation was cancelled');
+        }
+
+        const prf = credential.getClientExtensionResults().prf || {};
+        if (!prf.enabled && !(prf.results && prf.results.first)) {
+            throw new Error('This passkey does not support the PRF extension. Keep using your password.');
+        }
+
+        const credentialId = this.arrayBufferToBase64(credential.rawId);
+
+        // Some authenticators only evaluate PRF when signing in, not at creation
+        const secret = prf.results && prf.results.first
+            ? new Uint8Array(prf.results.first)
+            : await this.evaluatePasskeyPrf(credentialId, prfSalt, options);
+
+        const passkey = {
+            credentialId,
+            prfSalt: this.arrayBufferToBase64(prfSalt),
+            encryptedKey: await this.encryptWithKdf(apiKey, secret, PASSKEY_KDF),
+            createdAt: new Date().toISOString()
+        };
+        return this.updateProfile(id, { passkey, maskedKey: maskApiKey(apiKey) });
+    }
+
+    /**
+     * Decrypt a profile's key with its passkey, make it active and record when it was used
+     * @param {string} id - Profile ID
+     * @param {Object} options - { rpId }
+     * @returns {Promise<string>} - Plain text API key
+     */
+    async unlockProfileWithPasskey(id, options = {}) {
+        if (!this.isPasskeySupported()) {
+            throw new Error('Passkeys are not supported in this browser');
+        }
+
+        const profile = this.loadProfiles().profiles.find(item => item.id === id);
+        if (!profile) {
+            throw new Error(`Key profile ${id} not found`);
+        }
+        if (!profile.passkey) {
+            throw new Error(`Key profile "${profile.label}" has no passkey`);
+        }
+
+        const secret = await this.evaluatePasskeyPrf(
+            profile.passkey.credentialId,
+            this.base64ToArrayBuffer(profile.passkey.prfSalt),
+            options
+        );
+
+        let apiKey;
         try {
-            return localStorage.getItem('hf_encrypted_key');
+            apiKey = await this.decryptKey(profile.passkey.encryptedKey, secret, { upgrade: false });
         } catch (error) {
-            console.error('Failed to retrieve encrypted key:', error);
-            return null;
+            throw new Error('Passkey unlock failed. Use your password instead.');
         }
+
+        this.updateProfile(id, { maskedKey: maskApiKey(apiKey), lastUsedAt: new Date().toISOString() });
+        this.setActiveProfile(id);
+        return apiKey;
     }
 
     /**
-     * Clear stored encrypted key
+     * Forget a profile's passkey copy; the password still unlocks it. The
+     * credential itself stays on the authenticator until deleted there.
+     * @param {string} id - Profile ID
+     * @returns {Object} - Updated profile
      */
-    clearStoredKey() {
+    removePasskey(id) {
+        return this.updateProfile(id, { passkey: null });
+    }
+
+    /**
+     * Ask the authenticator for the PRF output of a credential
+     * @private
+     */
+    async evaluatePasskeyPrf(credentialId, prfSalt, options = {}) {
+        const assertion = await this.credentials.get({
+            publicKey: {
+                // Nothing verifies the signature; the secret comes from the PRF result
+                challenge: crypto.getRandomValues(new Uint8Array(32)),
+                ...(options.rpId ? { rpId: options.rpId } : {}),
+                allowCredentials: [{ type: 'public-key', id: this.base64ToArrayBuffer(credentialId) }],
+                userVerification: 'required',
+                extensions: { prf: { eval: { first: prfSalt } } }
+            }
+        });
+        if (!assertion) {
+            throw new Error('Passkey unlock was cancelled');
+        }
+
+        const prf = assertion.getClientExtensionResults().prf;
+        if (!prf || !prf.results || !prf.results.first) {
+            throw new Error('Passkey did not return a PRF secret');
+        }
+        return new Uint8Array(prf.results.first);
+    }
+
+    /**
+     * Swap an encrypted key in every profile that holds it
+     * @private
+     */
+    replaceEncryptedKey(oldKey, newKey) {
+        const state = this.loadProfiles();
+        let replaced = false;
+        state.profiles.forEach(profile => {
+            if (profile.encryptedKey === oldKey) {
+                profile.encryptedKey = newKey;
+                replaced = true;
+            }
+        });
+        if (replaced) {
+            this.saveProfiles(state);
+        }
+        return replaced;
+    }
+
+    /**
+     * @private
+     */
+    updateProfile(id, changes) {
+        const state = this.loadProfiles();
+        const profile = state.profiles.find(item => item.id === id);
+        if (!profile) {
+            throw new Error(`Key profile ${id} not found`);
+        }
+        Object.assign(profile, changes);
+        this.saveProfiles(state);
+        return describeKeyProfile(profile, state.activeId);
+    }
+
+    /**
+     * Read profiles from storage, importing a key from the old single slot
+     * @private
+     */
+    loadProfiles() {
+        const empty = { activeId: null, profiles: [] };
+        if (!this.storage) {
+            return empty;
+        }
+
+        let state = empty;
+        try {
+            const stored = JSON.parse(this.storage.getItem(KEY_PROFILES_STORAGE_KEY));
+            state = stored ? { ...empty, ...stored } : empty;
+        } catch (error) {
+            console.error('Failed to load key profiles:', error);
+        }
+
+        try {
+            const legacyKey = this.storage.getItem(LEGACY_KEY_STORAGE_KEY);
+            if (legacyKey) {
+                if (!state.profiles.some(profile => profile.encryptedKey === legacyKey)) {
+                    const imported = createKeyProfile({ label: 'Imported key', encryptedKey: legacyKey });
+                    state.profiles.push(imported);
+                    state.activeId = imported.id;
+                }
+                if (this.saveProfiles(state)) {
+                    this.storage.removeItem(LEGACY_KEY_STORAGE_KEY);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to import stored key:', error);
+        }
+
+        return state;
+    }
+
+    /**
+     * @private
+     */
+    saveProfiles(state) {
+        if (!this.storage) {
+            return false;
+        }
+
         try {
-            localStorage.removeItem('hf_encrypted_key');
+            this.storage.setItem(KEY_PROFILES_STORAGE_KEY, JSON.stringify(state));
             return true;
         } catch (error) {
-            console.error('Failed to clear encrypted key:', error);
+            console.error('Failed to store key profiles:', error);
             return false;
         }
     }
@@ -235,6 +889,33 @@ class SecureKeyManager {
     }
 }
 
+function createKeyProfile({ label, provider, encryptedKey, maskedKey = null }) {
+    const now = new Date().toISOString();
+    return {
+        id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        label,
+        provider: provider || 'huggingface',
+        encryptedKey,
+        maskedKey,
+        passkey: null,
+        createdAt: now,
+        lastUsedAt: null
+    };
+}
+
+// Public view of a profile: everything except the encrypted keys
+function describeKeyProfile(profile, activeId) {
+    const { encryptedKey, passkey, ...details } = profile;
+    return { ...details, hasPasskey: Boolean(passkey), active: profile.id === activeId };
+}
+
+// Same preview as HuggingFaceMultiGenerator.getMaskedApiKey(): first 6 and last 4 characters
+function maskApiKey(apiKey) {
+    return apiKey.length > 10
+        ? `${apiKey.substring(0, 6)}...${apiKey.substring(apiKey.length - 4)}`
+        : '***';
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SecureKeyManager;
@@ -0,0 +1,207 @@
+/**
+ * Session Lock
+ * Decides when an unlocked API key must be dropped from memory: after a
+ * period without user activity, when the tab is hidden, or after a number
+ * of generations. Settings are persisted in localStorage.
+ */
+
+const SESSION_LOCK_STORAGE_KEY = 'logoi_lock_settings';
+
+const DEFAULT_LOCK_SETTINGS = {
+    idleMinutes: 15,      // 0 disables the idle timeout
+    lockOnHidden: false,  // lock as soon as the tab is hidden
+    maxGenerations: 0     // 0 = unlimited generations per unlock
+};
+
+// User input that counts as activity
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+class SessionLock {
+    /**
+     * @param {Object} options - { onLock(reason), settings, storage, target (window), document }
+     */
+    constructor(options = {}) {
+        this.onLock = options.onLock || (() => {});
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.target = options.target || (typeof window !== 'undefined' ? window : null);
+        this.document = options.document || (typeof document !== 'undefined' ? document : null);
+        this.settings = { ...DEFAULT_LOCK_SETTINGS, ...this.loadSettings(), ...(options.settings || {}) };
+
+        this.active = false;
+        this.generations = 0;
+        this.idleTimer = null;
+        this.lastActivity = 0;
+
+        this.handleActivity = () => this.touch();
+        this.handleVisibility = () => {
+            if (this.document.visibilityState === 'hidden' && this.settings.lockOnHidden) {
+                this.lock('hidden');
+            } else if (this.document.visibilityState === 'visible') {
+                // Timers are throttled in background tabs; catch up on return
+                this.checkIdle();
+            }
+        };
+    }
+
+    /**
+     * Start watching after a successful unlock
+     */
+    start() {
+        this.stop();
+        this.active = true;
+        this.generations = 0;
+
+        if (this.target) {
+            ACTIVITY_EVENTS.forEach(event => this.target.addEventListener(event, this.handleActivity, { passive: true }));
+        }
+        if (this.document) {
+            this.document.addEventListener('visibilitychange', this.handleVisibility);
+        }
+        this.touch();
+    }
+
+    /**
+     * Stop watching (without locking)
+     */
+    stop() {
+        this.active = false;
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+
+        if (this.target) {
+            ACTIVITY_EVENTS.forEach(event => this.target.removeEventListener(event, this.handleActivity));
+        }
+        if (this.document) {
+            this.document.removeEventListener('visibilitychange', this.handleVisibility);
+        }
+    }
+
+    /**
+     * Lock now. Calls onLock(reason) once and stops watching.
+     * @param {string} reason - 'manual', 'idle', 'hidden' or 'generation-limit'
+     */
+    lock(reason = 'manual') {
+        if (!this.active) {
+            return;
+        }
+        this.stop();
+        this.onLock(reason);
+    }
+
+    /**
+     * Record user activity, restarting the idle timer
+     */
+    touch() {
+        if (!this.active) {
+            return;
+        }
+
+        this.lastActivity = Date.now();
+        clearTimeout(this.idleTimer);
+        if (this.settings.idleMinutes > 0) {
+            this.idleTimer = setTimeout(() => this.checkIdle(), this.settings.idleMinutes * 60000);
+        }
+    }
+
+    /**
+     * Count a finished generation; locks when the per-unlock limit is reached
+     * @returns {number|null} - Generations left, or null when unlimited
+     */
+    recordGeneration() {
+        if (!this.active) {
+            return null;
+        }
+
+        this.generations++;
+        const remaining = this.remainingGenerations();
+        if (remaining === 0) {
+            this.lock('generation-limit');
+        }
+        return remaining;
+    }
+
+    /**
+     * Generations left before the key is locked
+     * @returns {number|null} - null when unlimited
+     */
+    remainingGenerations() {
+        if (!this.settings.maxGenerations) {
+            return null;
+        }
+        return Math.max(0, this.settings.maxGenerations - this.generations);
+    }
+
+    /**
+     * Change and persist the lock settings; applies to the running session
+     * @param {Object} settings - { idleMinutes, lockOnHidden, maxGenerations }
+     * @returns {Object} - Updated settings
+     */
+    configure(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.saveSettings();
+
+        if (this.active) {
+            this.touch();
+            if (this.remainingGenerations() === 0) {
+                this.lock('generation-limit');
+            }
+        }
+        return { ...this.settings };
+    }
+
+    /**
+     * @private
+     */
+    checkIdle() {
+        const limit = this.settings.idleMinutes * 60000;
+        if (!this.active || !limit) {
+            return;
+        }
+
+        const idle = Date.now() - this.lastActivity;
+        if (idle >= limit) {
+            this.lock('idle');
+        } else {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = setTimeout(() => this.checkIdle(), limit - idle);
+        }
+    }
+
+    /**
+     * @private
+     */
+    loadSettings() {
+        if (!this.storage) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(this.storage.getItem(SESSION_LOCK_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('Failed to load lock settings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * @private
+     */
+    saveSettings() {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(SESSION_LOCK_STORAGE_KEY, JSON.stringify(this.settings));
+            return true;
+        } catch (error) {
+            console.error('Failed to save lock settings:', error);
+            return false;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionLock, DEFAULT_LOCK_SETTINGS };
+}
@@ -0,0 +1,121 @@
+/**
+ * Service Worker
+ * Precaches the app shell (pages, scripts, vendored libraries, icons) so the
+ * generator opens without a connection, and serves it stale-while-revalidate
+ * so a deploy is picked up on the next visit. API calls are never cached.
+ */
+
+// Bump the version when files are added to or removed from the shell
+const SHELL_CACHE = 'logoi-shell-v4';
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './logo-generator.html',
+    './encrypt-key-helper.html',
+    './test-storage.html',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-512.png',
+    './icons/apple-touch-icon.png',
+    './vendor/react.production.min.js',
+    './vendor/react-dom.production.min.js',
+    './vendor/babel.min.js',
+    './vendor/qrcode.js',
+    './vendor/tailwind.css',
+    './secure-key-manager.js',
+    './png.js',
+    './provenance.js',
+    './model-registry.js',
+    './prompt-presets.js',
+    './hf-request.js',
+    './providers.js',
+    './generation-scheduler.js',
+    './generation-history.js',
+    './background-removal.js',
+    './vectorizer.js',
+    './session-lock.js',
+    './workspace-bundle.js',
+    './contact-sheet.js',
+    './brand-kit.js',
+    './lockup.js',
+    './batch-runner.js',
+    './image-reviews.js',
+    './gallery.js',
+    './outbox.js',
+    './usage-ledger.js',
+    './hf-api-integration.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop shells from earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('logoi-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !isShellRequest(request.url)) {
+        return; // Inference APIs, blob: URLs etc. go straight to the network
+    }
+
+    const network = caches.open(SHELL_CACHE).then(cache => (
+        fetch(request).then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+    ));
+    // Keep the worker alive until the cache is refreshed
+    event.waitUntil(network.catch(() => {}));
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true })
+            .then(cached => cached || network)
+    );
+});
+
+// Tapping a "logos ready" notification brings the app to the front
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL((event.notification.data && event.notification.data.url) || './logo-generator.html', self.registration.scope).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => client.url.split('#')[0] === url);
+            return open ? open.focus() : self.clients.openWindow(url);
+        })
+    );
+});
+
+// Same-origin files from the shell list; query strings are ignored
+function isShellRequest(url) {
+    const target = new URL(url);
+    const scope = new URL(self.registration.scope);
+    if (target.origin !== scope.origin) {
+        return false;
+    }
+
+    const path = target.pathname;
+    return SHELL_FILES.some(file => new URL(file, scope).pathname === path);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SHELL_CACHE, SHELL_FILES };
+}
@@ -0,0 +1,22 @@
+/**
+ * Tailwind configuration used by scripts/vendor.js to build
+ * vendor/tailwind.css from the classes the pages actually use
+ */
+module.exports = {
+    content: ['./*.html', './*.js'],
+    darkMode: 'class',
+    theme: {
+        extend: {
+            animation: {
+                'pulse-slow': 'pulse 3s cubic-bezier(0.4, 0, 0.6, 1) infinite',
+                'gradient': 'gradient 8s ease infinite',
+            },
+            keyframes: {
+                gradient: {
+                    '0%, 100%': { backgroundPosition: '0% 50%' },
+                    '50%': { backgroundPosition: '100% 50%' },
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts('background-removal.js');
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+// Opaque image from a function of (x, y) => [r, g, b]
+const createImage = (width, height, colorAt) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set([...colorAt(x, y), 255], (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+};
+
+const alphaAt = (image, x, y) => image.data[(y * image.width + x) * 4 + 3];
+
+// 9×9 white image with a black ring (2..6) around a white centre (3..5),
+// and one light grey pixel next to the border
+const ringImage = () => createImage(9, 9, (x, y) => {
+    if (x === 1 && y === 4) return [215, 215, 215];
+    const ring = Math.max(Math.abs(x - 4), Math.abs(y - 4)) === 2;
+    return ring ? BLACK : WHITE;
+});
+
+describe('removeBackgroundByColor', () => {
+    it('finds the border colour', () => {
+        assert.deepEqual(detectBackgroundColor(ringImage()), WHITE);
+    });
+
+    it('flood fill clears the border region and keeps white inside the logo', () => {
+        const result = removeBackgroundByColor(ringImage(), { mode: 'flood' });
+
+        assert.equal(alphaAt(result, 0, 0), 0);
+        assert.equal(alphaAt(result, 8, 8), 0);
+        assert.equal(alphaAt(result, 2, 2), 255, 'ring');
+        assert.equal(alphaAt(result, 4, 4), 255, 'inner white');
+    });
+
+    it('colour key clears every matching pixel, inside the logo too', () => {
+        const result = removeBackgroundByColor(ringImage(), { mode: 'key' });
+
+        assert.equal(alphaAt(result, 0, 0), 0);
+        assert.equal(alphaAt(result, 2, 2), 255, 'ring');
+        assert.equal(alphaAt(result, 4, 4), 0, 'inner white');
+    });
+
+    it('gives pixels in the feather band partial alpha', () => {
+        // 215 is 40 levels from white: 8 into the 32 + 16 band
+        const result = removeBackgroundByColor(ringImage(), { tolerance: 32, feather: 16 });
+        assert.equal(alphaAt(result, 1, 4), 128);
+
+        const wider = removeBackgroundByColor(ringImage(), { tolerance: 32, feather: 32 });
+        assert.equal(alphaAt(wider, 1, 4), 64);
+    });
+
+    it('keeps near-background pixels outside the tolerance', () => {
+        const result = removeBackgroundByColor(ringImage(), { tolerance: 10, feather: 0 });
+
+        assert.equal(alphaAt(result, 0, 0), 0);
+        assert.equal(alphaAt(result, 1, 4), 255);
+    });
+
+    it('leaves the source pixels untouched', () => {
+        const image = ringImage();
+        removeBackgroundByColor(image);
+
+        assert.equal(alphaAt(image, 0, 0), 255);
+    });
+});
+
+describe('segmentation masks', () => {
+    it('scales a smaller mask to the image', () => {
+        const mask = createImage(2, 2, (x) => (x === 0 ? WHITE : BLACK));
+        const result = applyAlphaMask(createImage(4, 4, () => [200, 0, 0]), mask);
+
+        for (let y = 0; y < 4; y++) {
+            assert.deepEqual([0, 1, 2, 3].map(x => alphaAt(result, x, y)), [255, 255, 0, 0]);
+        }
+    });
+
+    it('merges segment masks, brightest value winning', () => {
+        const left = createImage(2, 2, (x) => (x === 0 ? WHITE : BLACK));
+        const bottom = createImage(2, 2, (x, y) => (y === 1 ? [128, 128, 128] : BLACK));
+        const merged = mergeMasks([left, bottom]);
+
+        assert.deepEqual([0, 1, 2, 3].map(pixel => merged.data[pixel * 4]), [255, 0, 255, 128]);
+        assert.throws(() => mergeMasks([]), /no foreground/);
+
+        const result = applyAlphaMask(createImage(4, 4, () => WHITE), merged);
+        assert.deepEqual([alphaAt(result, 0, 3), alphaAt(result, 3, 3), alphaAt(result, 3, 0)], [255, 128, 0]);
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createMemoryStorage } = require('./helpers/load-scripts');
+
+loadScripts('hf-request.js', 'batch-runner.js');
+
+// generate() that answers from a script keyed by "prompt|model" and records call order
+const createGenerate = (script = {}) => {
+    const calls = [];
+    let active = 0;
+    let maxActive = 0;
+    const generate = async (prompt, modelId, { signal }) => {
+        const key = `${prompt}|${modelId}`;
+        calls.push(key);
+        active++;
+        maxActive = Math.max(maxActive, active);
+        try {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            const outcomes = script[key] || [];
+            const outcome = outcomes.shift();
+            if (outcome) throw outcome;
+            if (signal.aborted) throw new CancelledError('stopped');
+            return { imageUrl: `blob:${key}`, params: { seed: calls.length }, task: 'text-to-image' };
+        } finally {
+            active--;
+        }
+    };
+    return { generate, calls, maxActive: () => maxActive };
+};
+
+describe('BatchRunner.parsePrompts', () => {
+    it('reads a CSV with prompt and label columns', () => {
+        const prompts = BatchRunner.parsePrompts('﻿Label,Prompt\r\nbold,"Acme, bold logo"\r\n,"Say ""hi"""\r\n,\r\n');
+
+        assert.deepEqual(prompts, [
+            { label: 'bold', prompt: 'Acme, bold logo' },
+            { label: 'B', prompt: 'Say "hi"' }
+        ]);
+    });
+
+    it('reads one prompt per line and skips comments', () => {
+        const prompts = BatchRunner.parsePrompts('# variants\nfox logo\n\n  owl logo  \n');
+
+        assert.deepEqual(prompts, [
+            { label: 'A', prompt: 'fox logo' },
+            { label: 'B', prompt: 'owl logo' }
+        ]);
+    });
+});
+
+describe('BatchRunner', () => {
+    it('refuses an empty batch', () => {
+        const runner = new BatchRunner({ generate: async () => ({}), storage: createMemoryStorage() });
+
+        assert.throws(() => runner.create({ prompts: [' '], modelIds: ['m1'] }), /at least one prompt/);
+        assert.throws(() => runner.create({ prompts: ['x'], modelIds: [] }), /at least one model/);
+    });
+
+    it('runs every cell within the concurrency limit and records failures', async () => {
+        const fake = createGenerate({ 'b|m2': [new Error('Model exploded')] });
+        const runner = new BatchRunner({ generate: fake.generate, concurrency: 2, storage: createMemoryStorage() });
+        const batch = runner.create({ prompts: ['a', 'b'], modelIds: ['m1', 'm2'] });
+        const states = [];
+
+        await runner.run(batch, { onState: state => states.push(state) });
+
+        assert.deepEqual(runner.progress(batch), { total: 4, done: 3, failed: 1, pending: 0, running: 0 });
+        assert.deepEqual(fake.calls, ['a|m1', 'a|m2', 'b|m1', 'b|m2']);
+        assert.equal(fake.maxActive(), 2);
+        assert.equal(batch.cells[3].error, 'Model exploded');
+        assert.deepEqual(states, ['running', 'done']);
+
+        assert.equal(runner.retryFailed(batch), 1);
+        await runner.run(batch);
+        assert.equal(runner.progress(batch).done, 4);
+    });
+
+    it('cools down after a rate limit and continues one at a time', async () => {
+        const fake = createGenerate({ 'a|m1': [new RateLimitError('Rate limited', { retryAfter: 0.05 })] });
+        const runner = new BatchRunner({ generate: fake.generate, concurrency: 3, storage: createMemoryStorage() });
+        const batch = runner.create({ prompts: ['a', 'b'], modelIds: ['m1', 'm2'] });
+        const states = [];
+
+        await runner.run(batch, { onState: state => states.push(state) });
+
+        assert.equal(runner.progress(batch).done, 4);
+        assert.ok(states.includes('cooling'));
+        assert.equal(batch.cells[0].attempts, 2);
+        assert.equal(batch.cells[0].error, null);
+    });
+
+    it('pauses between cells and resumes from storage', async () => {
+        const storage = createMemoryStorage();
+        const fake = createGenerate();
+        const runner = new BatchRunner({ generate: fake.generate, concurrency: 1, storage });
+        const batch = runner.create({ prompts: ['a', 'b', 'c'], modelIds: ['m1'] });
+
+        await runner.run(batch, { onCell: cell => cell.status === 'done' && runner.pause() });
+        assert.equal(runner.state, 'paused');
+        assert.equal(runner.progress(batch).done, 1);
+
+        // A fresh runner (after a reload) picks up the stored batch
+        const resumed = new BatchRunner({ generate: fake.generate, storage });
+        const stored = resumed.loadBatch(batch.id);
+        assert.equal(resumed.listBatches().length, 1);
+        await resumed.run(stored);
+
+        assert.equal(resumed.state, 'done');
+        assert.deepEqual(fake.calls, ['a|m1', 'b|m1', 'c|m1']);
+    });
+
+    it('stop() puts running cells back in the queue', async () => {
+        const fake = createGenerate();
+        const runner = new BatchRunner({ generate: fake.generate, concurrency: 2, storage: createMemoryStorage() });
+        const batch = runner.create({ prompts: ['a'], modelIds: ['m1', 'm2'] });
+
+        const run = runner.run(batch);
+        runner.stop();
+        await run;
+
+        assert.equal(runner.state, 'paused');
+        assert.deepEqual(runner.progress(batch), { total: 2, done: 0, failed: 0, pending: 2, running: 0 });
+    });
+
+    it('exports the matrix as CSV', async () => {
+        const fake = createGenerate({ 'x|m2': [new Error('Bad, "quoted" error')] });
+        const runner = new BatchRunner({ generate: fake.generate, concurrency: 1, storage: createMemoryStorage() });
+        const batch = runner.create({ prompts: [{ label: 'v1', prompt: 'x' }], modelIds: ['m1', 'm2'] });
+        await runner.run(batch);
+
+        assert.equal(runner.toCsv(batch), [
+            'label,prompt,model_id,model,status,seed,history_id,error',
+            'v1,x,m1,m1,done,1,,',
+            'v1,x,m2,m2,error,,,"Bad, ""quoted"" error"',
+            ''
+        ].join('\r\n'));
+    });
+});
@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts('png.js', 'brand-kit.js');
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+
+// Read the ZIP back through its central directory, checking each local header against it
+const readZip = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50, 'end of central directory');
+
+    const count = view.getUint16(end + 10, true);
+    const centralSize = view.getUint32(end + 12, true);
+    let position = view.getUint32(end + 16, true);
+    assert.equal(position + centralSize, end, 'central directory ends where the end record starts');
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014b50, 'central directory entry');
+        const nameLength = view.getUint16(position + 28, true);
+        const entry = {
+            name: decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength)),
+            crc: view.getUint32(position + 16, true),
+            size: view.getUint32(position + 24, true),
+            offset: view.getUint32(position + 42, true)
+        };
+
+        const local = entry.offset;
+        assert.equal(view.getUint32(local, true), 0x04034b50, `local header for ${entry.name}`);
+        assert.equal(view.getUint16(local + 8, true), 0, 'stored');
+        assert.equal(view.getUint32(local + 14, true), entry.crc);
+        assert.equal(view.getUint32(local + 18, true), entry.size);
+        const localNameLength = view.getUint16(local + 26, true);
+        assert.equal(decoder.decode(bytes.subarray(local + 30, local + 30 + localNameLength)), entry.name);
+        const start = local + 30 + localNameLength;
+        entry.data = bytes.slice(start, start + entry.size);
+
+        entries.push(entry);
+        position += 46 + nameLength;
+    }
+    return entries;
+};
+
+const pixels = (width, height, colorAt) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set(colorAt(x, y), (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+};
+
+describe('createZip', () => {
+    it('writes matching local headers and central directory entries', async () => {
+        const zip = await createZip([
+            { name: 'head-snippet.html', data: '<link rel="icon">\n' },
+            { name: 'icons/favicon-32.png', data: new Blob([PNG]) },
+            { name: 'Café/README.txt', data: 'Brand kit' }
+        ]);
+        const entries = readZip(new Uint8Array(await zip.arrayBuffer()));
+
+        assert.equal(zip.type, 'application/zip');
+        assert.deepEqual(entries.map(entry => entry.name), ['head-snippet.html', 'icons/favicon-32.png', 'Café/README.txt']);
+        assert.deepEqual(entries.map(entry => entry.crc), [0x591ebb0c, 0xc791a70b, 0x8c72bf00]);
+        assert.deepEqual(entries.map(entry => entry.offset), [0, 30 + 17 + 18, 30 + 17 + 18 + 30 + 20 + 7]);
+        assert.deepEqual(entries[1].data, PNG);
+        assert.equal(new TextDecoder().decode(entries[2].data), 'Brand kit');
+    });
+});
+
+describe('createIco', () => {
+    it('writes one directory entry per size, pointing at its PNG', () => {
+        const images = [
+            { size: 16, png: PNG },
+            { size: 48, png: new Uint8Array([9, 8, 7, 6]) },
+            { size: 256, png: new Uint8Array([5, 5]) }
+        ];
+        const ico = createIco(images);
+        const view = new DataView(ico.buffer);
+
+        assert.deepEqual([view.getUint16(0, true), view.getUint16(2, true), view.getUint16(4, true)], [0, 1, 3]);
+        assert.equal(ico.length, 6 + 3 * 16 + 7 + 4 + 2);
+
+        let offset = 6 + 3 * 16;
+        images.forEach((image, index) => {
+            const entry = 6 + index * 16;
+            const sizeByte = image.size === 256 ? 0 : image.size;
+            assert.deepEqual([ico[entry], ico[entry + 1]], [sizeByte, sizeByte], `${image.size}px size`);
+            assert.equal(view.getUint16(entry + 6, true), 32);
+            assert.equal(view.getUint32(entry + 8, true), image.png.length);
+            assert.equal(view.getUint32(entry + 12, true), offset);
+            assert.deepEqual(ico.slice(offset, offset + image.png.length), image.png);
+            offset += image.png.length;
+        });
+    });
+});
+
+describe('darkVariant', () => {
+    it('turns black and grey ink light and keeps brand colours', () => {
+        const source = pixels(5, 1, (x) => [
+            [0, 0, 0, 255],        // black ink
+            [64, 64, 64, 255],     // dark grey
+            [20, 20, 40, 255],     // near-black navy
+            [200, 30, 60, 255],    // brand red
+            [0, 0, 0, 0]           // transparent
+        ][x]);
+        const { data } = darkVariant(source);
+
+        assert.deepEqual([...data.subarray(0, 4)], [255, 255, 255, 255]);
+        assert.deepEqual([...data.subarray(4, 8)], [191, 191, 191, 255]);
+        assert.deepEqual([...data.subarray(8, 12)], [215, 215, 235, 255]);
+        assert.deepEqual([...data.subarray(12, 16)], [200, 30, 60, 255]);
+        assert.deepEqual([...data.subarray(16, 20)], [0, 0, 0, 0]);
+        assert.equal(source.data[0], 0, 'source untouched');
+    });
+});
+
+describe('trimTransparent', () => {
+    it('crops to the opaque bounds, ignoring near-transparent pixels', () => {
+        // Opaque at (2, 1) and (4, 3); a faint alpha-8 pixel in the corner
+        const image = pixels(6, 5, (x, y) => {
+            if ((x === 2 && y === 1) || (x === 4 && y === 3)) return [10 * x, 10 * y, 0, 255];
+            return x === 0 && y === 0 ? [0, 0, 0, 8] : [0, 0, 0, 0];
+        });
+        const cropped = trimTransparent(image);
+
+        assert.deepEqual([cropped.width, cropped.height], [3, 3]);
+        assert.deepEqual([...cropped.data.subarray(0, 4)], [20, 10, 0, 255]);
+        assert.deepEqual([...cropped.data.subarray(32, 36)], [40, 30, 0, 255]);
+        assert.equal(cropped.data.filter((value, index) => index % 4 === 3 && value > 0).length, 2);
+    });
+
+    it('returns a fully transparent image unchanged', () => {
+        const image = pixels(3, 3, () => [0, 0, 0, 0]);
+
+        assert.equal(trimTransparent(image), image);
+    });
+});
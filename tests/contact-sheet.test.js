@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts('contact-sheet.js');
+
+// One byte per character, so string positions are byte offsets
+const readPdf = (pdf) => Buffer.from(pdf).toString('latin1');
+
+const jpegPage = (width, height) => ({ jpeg: new Uint8Array([0xff, 0xd8, 0x00, 0x0a, 0xff, 0xd9]), width, height });
+
+describe('createPdf', () => {
+    it('writes xref offsets that point at each object', () => {
+        const text = readPdf(createPdf([jpegPage(800, 600), jpegPage(400, 400)]));
+        const xref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)[1]);
+
+        assert.equal(text.slice(xref, xref + 5), 'xref\n');
+        const [, count, table] = /^xref\n0 (\d+)\n0000000000 65535 f \n((?:\d{10} 00000 n \n)*)trailer/.exec(text.slice(xref));
+        const offsets = table.trim().split('\n').map(line => Number(line.slice(0, 10)));
+
+        assert.equal(Number(count), 10);
+        assert.equal(offsets.length, 9);
+        offsets.forEach((offset, index) => {
+            assert.equal(text.slice(offset, offset + `${index + 1} 0 obj`.length), `${index + 1} 0 obj`);
+        });
+        assert.match(text, /trailer\n<< \/Size 10 \/Root 1 0 R \/Info 3 0 R >>/);
+    });
+
+    it('lists every page in the page tree', () => {
+        const text = readPdf(createPdf([jpegPage(800, 600), jpegPage(800, 600), jpegPage(400, 400)]));
+
+        assert.match(text, /\/Kids \[4 0 R 7 0 R 10 0 R\] \/Count 3 >>/);
+        assert.equal(text.match(/\/Type \/Page /g).length, 3);
+        // 144 dpi: two pixels per point
+        assert.match(text, /\/MediaBox \[0 0 400\.00 300\.00\]/);
+        assert.match(text, /\/Width 400 \/Height 400 .* \/Length 6 >>\nstream\n\xff\xd8/);
+    });
+
+    it('encodes the title as UTF-16 so any characters survive', () => {
+        assert.equal(pdfTextString('Logo'), '<FEFF004C006F0067006F>');
+        assert.equal(pdfTextString('Müller – §'), '<FEFF004D00FC006C006C0065007200202013002000A7>');
+
+        const text = readPdf(createPdf([jpegPage(10, 10)], { title: 'Société (draft)' }));
+        assert.match(text, /\/Title <FEFF0053006F0063006900E9007400E900200028006400720061006600740029> /);
+    });
+});
+
+describe('ContactSheet.renderPages', () => {
+    // Failed results need no image loading; drawPage just reports what it was given
+    const results = (count) => Array.from({ length: count }, (_, i) => ({ success: false, model: `m${i + 1}`, error: 'Timed out' }));
+    const render = async (t, count, options) => {
+        t.mock.method(ContactSheet.prototype, 'drawPage', (items, images, settings) => ({
+            models: items.map(item => item.model),
+            columns: settings.columns,
+            rows: settings.rows,
+            page: settings.page,
+            pageCount: settings.pageCount
+        }));
+        return new ContactSheet().renderPages(results(count), options);
+    };
+    const models = (pages) => pages.map(page => page.models.length);
+
+    it('splits pages by the layout\'s arrangement', async (t) => {
+        assert.deepEqual(models(await render(t, 5, { layout: '2x2' })), [4, 1]);
+        assert.deepEqual(models(await render(t, 6, { layout: 'row' })), [4, 2]);
+        assert.deepEqual(models(await render(t, 20, { layout: 'grid' })), [16, 4]);
+        assert.deepEqual(models(await render(t, 9, { layout: 'grid' })), [9]);
+    });
+
+    it('gives the last page only the rows it needs', async (t) => {
+        const pages = await render(t, 5, { layout: '2x2' });
+
+        assert.deepEqual(pages[0], { models: ['m1', 'm2', 'm3', 'm4'], columns: 2, rows: 2, page: 0, pageCount: 2 });
+        assert.deepEqual(pages[1], { models: ['m5'], columns: 2, rows: 1, page: 1, pageCount: 2 });
+    });
+
+    it('puts everything on one page when asked to', async (t) => {
+        const [grid] = await render(t, 20, { layout: 'grid', singlePage: true });
+        const [row] = await render(t, 6, { layout: 'row', singlePage: true });
+
+        assert.deepEqual([grid.models.length, grid.columns, grid.rows], [20, 4, 5]);
+        assert.deepEqual([row.models.length, row.columns, row.rows], [6, 6, 1]);
+    });
+
+    it('follows a changed arrangement', async (t) => {
+        t.mock.method(CONTACT_SHEET_LAYOUTS['2x2'], 'arrange', () => ({ columns: 3, rowsPerPage: 1 }));
+
+        assert.deepEqual(models(await render(t, 7, { layout: '2x2' })), [3, 3, 1]);
+    });
+
+    it('rejects unknown layouts and empty sheets', async (t) => {
+        await assert.rejects(render(t, 2, { layout: 'mosaic' }), /Unknown contact sheet layout: mosaic/);
+        await assert.rejects(render(t, 0), /Nothing to put on the contact sheet/);
+    });
+});
@@ -0,0 +1,220 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts('gallery.js');
+
+// Minimal stand-in for the page: records the download links that get clicked
+const createFakeDocument = () => {
+    const clicked = [];
+    const children = new Set();
+    return {
+        clicked,
+        children,
+        createElement: (tag) => ({ tag, click() { clicked.push({ href: this.href, download: this.download }); } }),
+        body: {
+            appendChild: (node) => children.add(node),
+            removeChild: (node) => children.delete(node)
+        }
+    };
+};
+
+const createFakeNavigator = ({ canShare = true, fail = null } = {}) => {
+    const shared = [];
+    return {
+        shared,
+        canShare: () => canShare,
+        share: async (data) => {
+            if (fail) throw fail;
+            shared.push(data);
+        }
+    };
+};
+
+const png = new Blob([new Uint8Array([137, 80, 78, 71])], { type: 'image/png' });
+
+describe('generation params', () => {
+    it('keeps only the fields that were filled in', () => {
+        const params = buildGenerationParams({
+            ...DEFAULT_ADVANCED_SETTINGS,
+            num_inference_steps: '30',
+            width: '768',
+            negative_prompt: '  blurry  ',
+            seed: '42'
+        });
+
+        assert.deepEqual(params, { num_inference_steps: 30, width: 768, negative_prompt: 'blurry' });
+    });
+
+    it('sends the seed only in fixed mode', () => {
+        const params = buildGenerationParams({ ...DEFAULT_ADVANCED_SETTINGS, seedMode: 'fixed', seed: '0' });
+
+        assert.deepEqual(params, { seed: 0 });
+    });
+
+    it('describes the params in one line', () => {
+        assert.equal(
+            describeParams({ seed: 7, num_inference_steps: 4, guidance_scale: 0, width: 512, height: 512 }),
+            'Seed 7 • 4 steps • guidance 0 • 512×512'
+        );
+        assert.equal(describeParams({}), '');
+    });
+});
+
+describe('gallery entries', () => {
+    const model = { id: 'black-forest-labs/FLUX.1-schnell', name: 'FLUX.1 Schnell', icon: '⚡' };
+
+    it('builds an entry from a generation result', () => {
+        const image = galleryImageFromResult(
+            { imageUrl: 'blob:1', params: { seed: 9 }, prompt: 'enhanced', task: 'text-to-image' },
+            { model, prompt: 'raw', preset: 'minimal' }
+        );
+
+        assert.equal(image.src, 'blob:1');
+        assert.equal(image.modelId, model.id);
+        assert.equal(image.model, 'FLUX.1 Schnell');
+        assert.equal(image.enhancedPrompt, 'enhanced');
+        assert.equal(image.seed, 9);
+        assert.equal(image.parentId, null);
+    });
+
+    it('builds an entry from a history record', () => {
+        const blob = new Blob(['x']);
+        const image = galleryImageFromHistory({ id: 'h1', blob, model: 'SDXL', seed: 3 }, (value) => {
+            assert.equal(value, blob);
+            return 'blob:h1';
+        });
+
+        assert.equal(image.id, 'h1');
+        assert.equal(image.historyId, 'h1');
+        assert.equal(image.src, 'blob:h1');
+    });
+
+    it('adds a lockup as a new version of its icon', () => {
+        const icon = { id: 'h1', historyId: 'h1', src: 'blob:icon', model: 'SDXL', prompt: 'scales', seed: 3, task: 'text-to-image', timestamp: '2026-03-01T10:00:00.000Z' };
+        const image = galleryImageFromLockup(icon, 'blob:lockup', { layout: 'badge', name: 'Smith Legal', tagline: '', font: 'serif', tracking: 50 });
+
+        assert.equal(image.src, 'blob:lockup');
+        assert.equal(image.task, 'lockup');
+        assert.equal(image.parentId, 'h1');
+        assert.equal(image.historyId, undefined, 'saved to the history separately');
+        assert.notEqual(image.id, 'h1');
+        assert.equal(image.prompt, 'scales');
+        assert.equal(image.timestamp, icon.timestamp);
+        assert.deepEqual(image.lockup, { layout: 'badge', name: 'Smith Legal', tagline: '', font: 'serif', tracking: 50 });
+    });
+
+    it('restores a lockup from the history and finds its icon again', () => {
+        const icon = { id: 'h1', historyId: 'h1', src: 'blob:icon', task: 'text-to-image' };
+        const unsaved = { id: 7, src: 'blob:other', task: 'text-to-image' };
+        const lockup = { layout: 'horizontal', name: 'Smith Legal', font: 'sans', nameColor: '#123456' };
+        const restored = galleryImageFromHistory({ id: 'h2', blob: new Blob(['x']), task: 'lockup', parentId: 'h1', lockup }, () => 'blob:h2');
+
+        assert.deepEqual(restored.lockup, lockup);
+        assert.equal(findLockupIcon([restored, unsaved, icon], restored), icon);
+        assert.equal(findLockupIcon([restored], restored), null, 'icon only in the history');
+
+        // Icons that never reached the history are found by their gallery ID
+        const fresh = galleryImageFromLockup(unsaved, 'blob:lockup', lockup);
+        assert.equal(findLockupIcon([icon, unsaved, fresh], fresh), unsaved);
+    });
+
+    it('revokes only object URLs', () => {
+        const revoked = [];
+        const count = releaseImageUrls([{ src: 'blob:a' }, { src: 'https://x/y.png' }, {}, { src: 'blob:b' }], (url) => revoked.push(url));
+
+        assert.equal(count, 2);
+        assert.deepEqual(revoked, ['blob:a', 'blob:b']);
+    });
+
+    it('adds a cell for each model that failed without an image', () => {
+        const gallery = [{ modelId: 'a', model: 'A' }];
+        const cells = withFailedModels(gallery, {
+            a: { name: 'A', status: 'error', error: 'ignored, has an image' },
+            b: { name: 'B', status: 'timeout' },
+            c: { name: 'C', status: 'success' },
+            d: { name: 'D', status: 'error', error: 'Rate limited' }
+        });
+
+        assert.deepEqual(cells.slice(1), [
+            { modelId: 'b', model: 'B', error: 'timeout' },
+            { modelId: 'd', model: 'D', error: 'Rate limited' }
+        ]);
+    });
+
+    it('sorts by history IDs and keeps unlisted images last', () => {
+        const gallery = [{ historyId: 'x' }, { historyId: 'b' }, { id: 'live' }, { historyId: 'a' }];
+
+        assert.deepEqual(sortGalleryByIds(gallery, ['a', 'b']).map(image => image.historyId || image.id), ['a', 'b', 'x', 'live']);
+        assert.equal(gallery[0].historyId, 'x');
+    });
+
+    it('names files after the model', () => {
+        assert.match(galleryFilename({ model: 'Stable Diffusion XL' }), /^logo-Stable-Diffusion-XL-\d+\.png$/);
+        assert.match(galleryFilename({}, 'transparent'), /^logo-image-transparent-\d+\.png$/);
+    });
+});
+
+describe('shareOrDownload', () => {
+    const urls = { createUrl: () => 'blob:file', revokeUrl: () => {} };
+
+    it('uses the share sheet when it accepts files', async () => {
+        const navigator = createFakeNavigator();
+        const document = createFakeDocument();
+
+        const result = await shareOrDownload(png, 'logo.png', { navigator, document, title: 'Logo', text: 'Made with FLUX', ...urls });
+
+        assert.deepEqual(result, { method: 'share' });
+        assert.equal(navigator.shared.length, 1);
+        assert.equal(navigator.shared[0].files[0].name, 'logo.png');
+        assert.equal(navigator.shared[0].files[0].type, 'image/png');
+        assert.equal(navigator.shared[0].text, 'Made with FLUX');
+        assert.equal(document.clicked.length, 0);
+    });
+
+    it('downloads when files cannot be shared', async () => {
+        const document = createFakeDocument();
+
+        const result = await shareOrDownload(png, 'logo.png', { navigator: createFakeNavigator({ canShare: false }), document, ...urls });
+
+        assert.deepEqual(result, { method: 'download' });
+        assert.deepEqual(document.clicked, [{ href: 'blob:file', download: 'logo.png' }]);
+        assert.equal(document.children.size, 0);
+    });
+
+    it('falls back to a download when sharing fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const document = createFakeDocument();
+        const navigator = createFakeNavigator({ fail: new Error('AbortError') });
+
+        const result = await shareOrDownload(png, 'logo.png', { navigator, document, ...urls });
+
+        assert.deepEqual(result, { method: 'download' });
+        assert.equal(document.clicked.length, 1);
+    });
+
+    it('skips the share sheet when share is false', async () => {
+        const navigator = createFakeNavigator();
+        const document = createFakeDocument();
+
+        await shareOrDownload(png, 'logo.png', { share: false, navigator, document, ...urls });
+
+        assert.equal(navigator.shared.length, 0);
+        assert.equal(document.clicked.length, 1);
+    });
+
+    it('revokes the download URL afterwards', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const revoked = [];
+
+        await shareOrDownload(png, 'logo.png', { share: false, document: createFakeDocument(), createUrl: () => 'blob:late', revokeUrl: (url) => revoked.push(url) });
+        assert.deepEqual(revoked, []);
+        t.mock.timers.tick(1000);
+
+        assert.deepEqual(revoked, ['blob:late']);
+    });
+
+    it('fails without a share sheet or document', async () => {
+        await assert.rejects(shareOrDownload(png, 'logo.png', { navigator: createFakeNavigator({ canShare: false }) }), /No share sheet or document/);
+    });
+});
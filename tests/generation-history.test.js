@@ -0,0 +1,84 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+const { createMemoryIndexedDB } = require('./helpers/memory-indexeddb');
+
+loadScripts('generation-history.js');
+
+const bytes = (size) => new Blob([new Uint8Array(size)], { type: 'image/png' });
+
+describe('GenerationHistory', () => {
+    let history;
+    let session;
+
+    beforeEach(async (t) => {
+        // Every call to Date.now() is a second later, so lastAccessed never ties
+        let now = Date.parse('2026-10-18T09:00:00.000Z');
+        t.mock.method(Date, 'now', () => (now += 1000));
+
+        history = new GenerationHistory({ indexedDB: createMemoryIndexedDB(), quotaBytes: 30 });
+        session = await history.createSession({ prompt: 'scales of justice', models: ['m1'] });
+    });
+
+    const add = (name, size = 10, extra = {}) => history.addImage({ sessionId: session.id, blob: bytes(size), prompt: name, ...extra });
+    const storedPrompts = async () => (await history.exportRecords()).images.map(image => image.prompt).sort();
+
+    it('evicts the least recently used image first', async () => {
+        const first = await add('first');
+        await add('second');
+        await add('third');
+        await history.getImage(first.id);
+
+        await add('fourth');
+
+        assert.deepEqual(await storedPrompts(), ['first', 'fourth', 'third']);
+        assert.deepEqual(await history.getUsage(), { bytes: 30, images: 3, quotaBytes: 30 });
+    });
+
+    it('never evicts the image it is keeping, even when it is the oldest', async () => {
+        const kept = await add('kept');
+        const other = await add('other');
+        await history.getImage(other.id);
+
+        history.quotaBytes = 10;
+        const evicted = await history.enforceQuota(kept.id);
+
+        assert.equal(evicted, 1);
+        assert.deepEqual(await storedPrompts(), ['kept']);
+    });
+
+    it('drops sessions whose images were all evicted', async () => {
+        await add('old');
+        const newer = await history.createSession({ prompt: 'owl', models: ['m1'] });
+        await history.addImage({ sessionId: newer.id, blob: bytes(25), prompt: 'owl' });
+
+        const { sessions } = await history.exportRecords();
+
+        assert.deepEqual(sessions.map(item => item.id), [newer.id]);
+        assert.deepEqual((await history.listSessions()).map(item => item.prompt), ['owl']);
+    });
+
+    it('rejects images larger than the whole quota', async () => {
+        await assert.rejects(add('huge', 31), /larger than the history storage quota/);
+    });
+
+    it('treats a date-only "until" as the end of that day', async () => {
+        await add('afternoon', 10, { timestamp: '2026-10-18T15:30:00.000Z' });
+
+        assert.equal((await history.listSessions({ until: '2026-10-18' })).length, 1);
+        assert.equal((await history.listSessions({ since: '2026-10-18', until: '2026-10-18' })).length, 1);
+        assert.equal((await history.listSessions({ until: '2026-10-17' })).length, 0);
+        assert.equal((await history.listSessions({ until: '2026-10-18T12:00:00.000Z' })).length, 0);
+    });
+
+    it('filters by prompt text and model', async () => {
+        await add('gold scales', 5, { modelId: 'm1', enhancedPrompt: 'gold scales, vector' });
+        await add('blue owl', 5, { modelId: 'm2' });
+
+        const [byText] = await history.listSessions({ query: 'VECTOR' });
+        const [byModel] = await history.listSessions({ modelId: 'm2' });
+
+        assert.deepEqual(byText.images.map(image => image.prompt), ['gold scales']);
+        assert.deepEqual(byModel.images.map(image => image.prompt), ['blue owl']);
+    });
+});
@@ -0,0 +1,330 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createMemoryStorage } = require('./helpers/load-scripts');
+const { startFakeInferenceServer, PNG_1X1 } = require('./helpers/fake-inference-server');
+
+loadScripts(
+    'model-registry.js',
+    'prompt-presets.js',
+    'hf-request.js',
+    'png.js',
+    'provenance.js',
+    'providers.js',
+    'generation-scheduler.js',
+    'gallery.js',
+    'usage-ledger.js',
+    'hf-api-integration.js'
+);
+
+const API_KEY = 'hf_abcdefghijklmnopqrstuvwxyz0123456789';
+const SD21 = 'stabilityai/stable-diffusion-2-1';
+const OPENJOURNEY = 'prompthero/openjourney';
+const KONTEXT = 'black-forest-labs/FLUX.1-Kontext-Dev';
+
+describe('HuggingFaceMultiGenerator against a fake inference server', () => {
+    let server;
+    let generator;
+
+    before(async () => {
+        server = await startFakeInferenceServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        server.requests.length = 0;
+        generator = new HuggingFaceMultiGenerator(API_KEY, {
+            fetch: server.fetch,
+            retry: { maxRetries: 2, baseDelay: 1, maxDelay: 5, maxLoadWait: 20 }
+        });
+    });
+
+    it('returns the image with the exact parameters that were sent', async () => {
+        server.respond(SD21, { body: PNG_1X1 });
+
+        const result = await generator.generateWithModel(SD21, 'Law firm logo', { guidance_scale: 9 });
+
+        assert.equal(result.success, true);
+        assert.equal(result.modelId, SD21);
+        assert.equal(result.blob.type, 'image/png');
+        assert.equal(result.blob.size, PNG_1X1.length);
+        assert.match(result.imageUrl, /^blob:/);
+        URL.revokeObjectURL(result.imageUrl);
+
+        const [request] = server.requests;
+        assert.equal(request.headers.authorization, `Bearer ${API_KEY}`);
+        assert.equal(request.body.parameters.guidance_scale, 9);
+        assert.equal(request.body.parameters.seed, result.params.seed);
+        assert.equal(result.seed, result.params.seed);
+        assert.ok(request.body.inputs.startsWith('Law firm logo, '), 'default preset adds its terms');
+    });
+
+    it('sends the prompt unchanged with the "none" preset and keeps a fixed seed', async () => {
+        server.respond(SD21, { body: PNG_1X1 });
+
+        const result = await generator.generateWithModel(SD21, 'Plain prompt', { seed: 42 }, { preset: 'none' });
+
+        assert.equal(server.requests[0].body.inputs, 'Plain prompt');
+        assert.equal(result.params.seed, 42);
+    });
+
+    it('sends the source image for image-to-image with a default strength', async () => {
+        server.respond(KONTEXT, { body: PNG_1X1 });
+        const source = new Blob([PNG_1X1], { type: 'image/png' });
+
+        const result = await generator.generateWithModel(KONTEXT, 'navy and gold', {}, { image: source });
+
+        assert.equal(result.task, 'image-to-image');
+        const { body } = server.requests[0];
+        assert.equal(body.inputs, PNG_1X1.toString('base64'));
+        assert.equal(body.parameters.strength, 0.6);
+        assert.ok(body.parameters.prompt.startsWith('navy and gold'));
+    });
+
+    it('rejects models that do not support the task before sending anything', async () => {
+        await assert.rejects(
+            generator.generateWithModel(SD21, 'x', {}, { image: new Blob([PNG_1X1]) }),
+            /does not support image-to-image/
+        );
+        assert.equal(server.requests.length, 0);
+    });
+
+    it('throws without an API key', async () => {
+        generator.clearApiKey();
+        await assert.rejects(generator.generateWithModel(SD21, 'x'), /API key not configured/);
+    });
+
+    it('waits out a cold start and reports it', async () => {
+        server.respond(SD21, [
+            { status: 503, json: { error: 'Model is currently loading', estimated_time: 0.01 } },
+            { body: PNG_1X1 }
+        ]);
+        const progress = [];
+
+        const result = await generator.generateWithModel(SD21, 'x', {}, {
+            onProgress: (status, info) => progress.push([status, info.errorType])
+        });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(progress, [['warming_up', 'ModelLoadingError']]);
+        assert.equal(server.requests.length, 2);
+    });
+
+    it('maps a persistent 429 to RateLimitError with Retry-After', async () => {
+        generator = new HuggingFaceMultiGenerator(API_KEY, { fetch: server.fetch, retry: { maxRetries: 0 } });
+        server.respond(SD21, { status: 429, json: { error: 'Too many requests' }, headers: { 'Retry-After': '7' } });
+
+        const result = await generator.generateWithModel(SD21, 'x');
+
+        assert.equal(result.success, false);
+        assert.equal(result.errorType, 'RateLimitError');
+        assert.equal(result.status, 429);
+        assert.equal(result.retryAfter, 7);
+        assert.match(result.error, /Too many requests/);
+    });
+
+    it('does not retry authentication failures', async () => {
+        server.respond(SD21, { status: 401, json: { error: 'Invalid token' } });
+
+        const result = await generator.generateWithModel(SD21, 'x');
+
+        assert.equal(result.errorType, 'AuthError');
+        assert.equal(server.requests.length, 1);
+    });
+
+    it('reports models the server does not host', async () => {
+        const result = await generator.generateWithModel('CompVis/stable-diffusion-v1-4', 'x');
+
+        assert.equal(result.errorType, 'ModelNotFoundError');
+        assert.equal(result.status, 404);
+    });
+
+    it('gives up on server errors after the configured retries', async () => {
+        server.respond(SD21, { status: 500, json: { error: 'Internal error' } });
+
+        const result = await generator.generateWithModel(SD21, 'x');
+
+        assert.equal(result.errorType, 'ServerError');
+        assert.equal(server.requests.length, 3);
+    });
+
+    it('records requests against the key profile and stops at its hard budget', async () => {
+        const usage = new UsageLedger({ storage: createMemoryStorage() });
+        generator = new HuggingFaceMultiGenerator(API_KEY, {
+            fetch: server.fetch,
+            retry: { maxRetries: 2, baseDelay: 1, maxDelay: 5 },
+            usage,
+            profileId: 'work'
+        });
+        server.respond(SD21, { body: PNG_1X1 });
+        await generator.generateWithModel(SD21, 'x');
+        server.respond(SD21, { status: 500, json: { error: 'Internal error' } });
+        await generator.generateWithModel(SD21, 'x');
+        await generator.generateWithModel(SD21, 'x', {}, { provider: 'mock' });
+
+        const entries = usage.list();
+        assert.deepEqual(entries.map(entry => [entry.profileId, entry.modelId, entry.outcome]), [
+            ['work', SD21, 'success'],
+            ['work', SD21, 'error']
+        ], 'mock requests are not metered');
+        assert.equal(entries[1].errorType, 'ServerError');
+        assert.equal(entries[1].attempts, 3);
+        assert.ok(entries.every(entry => entry.latencyMs >= 0));
+
+        usage.setBudget('work', { hard: 2 });
+        const sent = server.requests.length;
+        const result = await generator.generateWithModel(SD21, 'x');
+
+        assert.equal(result.success, false);
+        assert.equal(result.errorType, 'BudgetExceededError');
+        assert.match(result.error, /hard limit reached \(2 of 2/);
+        assert.equal(server.requests.length, sent, 'nothing was sent');
+        assert.equal(usage.list().length, 2);
+    });
+
+    it('times out slow models', async () => {
+        server.respond(SD21, { body: PNG_1X1, delay: 500 });
+
+        const result = await generator.generateWithModel(SD21, 'x', {}, { timeout: 30 });
+
+        assert.equal(result.success, false);
+        assert.equal(result.timedOut, true);
+        assert.equal(result.errorType, 'RequestTimeoutError');
+    });
+
+    it('reports cancellation through the caller\'s signal', async () => {
+        server.respond(SD21, { body: PNG_1X1, delay: 500 });
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+
+        const result = await generator.generateWithModel(SD21, 'x', {}, { signal: controller.signal });
+
+        assert.equal(result.cancelled, true);
+        assert.equal(result.errorType, 'CancelledError');
+    });
+
+    it('runs several models and reports each outcome', async () => {
+        server.respond(SD21, { body: PNG_1X1 });
+        server.respond(OPENJOURNEY, { status: 401, json: { error: 'Invalid token' } });
+        const statuses = {};
+
+        const results = await generator.generateWithAllModels('x', [SD21, OPENJOURNEY], (modelId, status) => {
+            statuses[modelId] = status;
+        });
+
+        assert.equal(results.length, 2);
+        assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+        assert.deepEqual(statuses, { [SD21]: 'complete', [OPENJOURNEY]: 'error' });
+    });
+
+    it('unlinks the caller\'s signal when a progress callback throws', async () => {
+        server.respond(SD21, { body: PNG_1X1 });
+        const controller = new AbortController();
+        const listeners = new Set();
+        const { addEventListener, removeEventListener } = controller.signal;
+        controller.signal.addEventListener = (type, listener, options) => {
+            listeners.add(listener);
+            addEventListener.call(controller.signal, type, listener, options);
+        };
+        controller.signal.removeEventListener = (type, listener, options) => {
+            listeners.delete(listener);
+            removeEventListener.call(controller.signal, type, listener, options);
+        };
+
+        await assert.rejects(generator.generateWithAllModels('x', [SD21], () => {
+            throw new Error('progress handler failed');
+        }, { signal: controller.signal, batchTimeout: 60000 }), /progress handler failed/);
+        assert.equal(listeners.size, 0);
+    });
+
+    it('rejects unknown model IDs before sending anything', async () => {
+        await assert.rejects(generator.generateWithAllModels('x', ['no/such-model']), /no\/such-model/);
+        assert.equal(server.requests.length, 0);
+    });
+});
+
+describe('HuggingFaceMultiGenerator.saveToDevice', () => {
+    const png = new Blob([PNG_1X1], { type: 'image/png' });
+
+    const fakeDocument = () => {
+        const clicks = [];
+        return {
+            clicks,
+            createElement: () => ({ click() { clicks.push({ href: this.href, download: this.download }); } }),
+            body: { appendChild() {}, removeChild() {} }
+        };
+    };
+
+    it('uses the share sheet when it accepts files', async () => {
+        const shared = [];
+        const generator = new HuggingFaceMultiGenerator(null, {
+            navigator: { canShare: () => true, share: async (data) => shared.push(data) },
+            document: fakeDocument()
+        });
+
+        const result = await generator.saveToDevice(png, 'logo');
+
+        assert.deepEqual(result, { success: true, method: 'share' });
+        assert.equal(shared[0].files[0].name, 'logo.png');
+    });
+
+    it('falls back to a download link and fixes the extension', async () => {
+        const doc = fakeDocument();
+        const generator = new HuggingFaceMultiGenerator(null, { navigator: {}, document: doc });
+
+        const result = await generator.saveToDevice(new Blob([PNG_1X1], { type: 'image/jpeg' }), 'logo.png');
+
+        assert.deepEqual(result, { success: true, method: 'download' });
+        assert.equal(doc.clicks[0].download, 'logo.jpg');
+        assert.match(doc.clicks[0].href, /^blob:/);
+    });
+
+    it('embeds the provenance record in the saved file', async () => {
+        const shared = [];
+        const generator = new HuggingFaceMultiGenerator(null, {
+            navigator: { canShare: () => true, share: async (data) => shared.push(data) }
+        });
+        const provenance = provenanceFromImage({ basePrompt: 'a fox', prompt: 'a fox, minimalist', modelId: SD21, params: { seed: 3 } });
+
+        await generator.saveToDevice(png, 'logo.png', { provenance });
+
+        const { format, provenance: saved } = await readProvenance(shared[0].files[0]);
+        assert.equal(format, 'png');
+        assert.equal(saved.prompt, 'a fox');
+        assert.equal(saved.enhancedPrompt, 'a fox, minimalist');
+        assert.equal(saved.modelId, SD21);
+        assert.equal(saved.seed, 3);
+    });
+
+    it('loads URLs through the injected transport', async () => {
+        const doc = fakeDocument();
+        const requested = [];
+        const generator = new HuggingFaceMultiGenerator(null, {
+            navigator: {},
+            document: doc,
+            fetch: async (url) => {
+                requested.push(url);
+                return new Response(png);
+            }
+        });
+
+        const result = await generator.saveToDevice('https://example.test/logo.png', 'logo.png');
+
+        assert.equal(result.success, true);
+        assert.deepEqual(requested, ['https://example.test/logo.png']);
+    });
+
+    it('reports failures instead of throwing', async () => {
+        const generator = new HuggingFaceMultiGenerator(null, {
+            navigator: {},
+            document: fakeDocument(),
+            fetch: async () => {
+                throw new Error('offline');
+            }
+        });
+
+        const result = await generator.saveToDevice('https://example.test/logo.png');
+
+        assert.deepEqual(result, { success: false, error: 'offline' });
+    });
+});
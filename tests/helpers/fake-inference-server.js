@@ -0,0 +1,85 @@
+/**
+ * Local stand-in for the Hugging Face Inference API. Each model gets a
+ * queue of scripted responses; the last one repeats. Requests are recorded
+ * so tests can check what the client sent.
+ */
+
+const http = require('node:http');
+
+// Smallest valid PNG (1×1, transparent)
+const PNG_1X1 = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+/**
+ * @param {Object} routes - { [modelId]: response | response[] } where a response is
+ *                          { status (200), json, body (Buffer), headers, delay (ms) }
+ * @returns {Promise<Object>} - { baseUrl, fetch, requests, respond(modelId, responses), close() }
+ */
+async function startFakeInferenceServer(routes = {}) {
+    const queues = new Map();
+    const requests = [];
+
+    const respond = (modelId, responses) => {
+        queues.set(modelId, Array.isArray(responses) ? [...responses] : [responses]);
+    };
+    Object.entries(routes).forEach(([modelId, responses]) => respond(modelId, responses));
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const modelId = decodeURIComponent(req.url.replace(/^\/models\//, ''));
+            const text = Buffer.concat(chunks).toString('utf8');
+            requests.push({
+                modelId,
+                method: req.method,
+                headers: req.headers,
+                body: text ? JSON.parse(text) : null
+            });
+
+            const queue = queues.get(modelId);
+            if (!queue) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `Model ${modelId} does not exist` }));
+                return;
+            }
+
+            const response = queue.length > 1 ? queue.shift() : queue[0];
+            const send = () => {
+                if (res.destroyed) return;
+                const status = response.status || 200;
+                if (response.json !== undefined) {
+                    res.writeHead(status, { 'Content-Type': 'application/json', ...response.headers });
+                    res.end(JSON.stringify(response.json));
+                } else {
+                    res.writeHead(status, { 'Content-Type': 'image/png', ...response.headers });
+                    res.end(response.body || PNG_1X1);
+                }
+            };
+            if (response.delay) {
+                setTimeout(send, response.delay);
+            } else {
+                send();
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/models`;
+
+    return {
+        baseUrl,
+        requests,
+        respond,
+        // Transport for HuggingFaceMultiGenerator: Hugging Face URLs go to this server
+        fetch: (url, init) => fetch(String(url).replace(HF_INFERENCE_BASE_URL, baseUrl), init),
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+module.exports = { startFakeInferenceServer, PNG_1X1 };
@@ -0,0 +1,52 @@
+/**
+ * Runs the app's browser scripts in this Node context the way the page's
+ * <script> tags do, so their classes and helpers become globals.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const loaded = new Set();
+
+/**
+ * @param {...string} files - Script paths relative to the repository root, in page order
+ */
+function loadScripts(...files) {
+    files.forEach(file => {
+        if (loaded.has(file)) {
+            return;
+        }
+        loaded.add(file);
+
+        // hf-api-integration.js prints its usage guide on load
+        const log = console.log;
+        console.log = () => {};
+        try {
+            vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+        } finally {
+            console.log = log;
+        }
+    });
+}
+
+/**
+ * In-memory stand-in for localStorage
+ * @param {Object} initial - Key/value pairs to start with
+ * @returns {Object}
+ */
+function createMemoryStorage(initial = {}) {
+    const data = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: (key) => data.delete(key),
+        clear: () => data.clear(),
+        get length() {
+            return data.size;
+        }
+    };
+}
+
+module.exports = { loadScripts, createMemoryStorage };
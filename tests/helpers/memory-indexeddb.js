@@ -0,0 +1,182 @@
+/**
+ * In-memory stand-in for the parts of IndexedDB the app uses: object stores
+ * with a keyPath, single-field indexes, get/put/delete/count/getAll and
+ * cursors. Requests succeed on a later tick, and a transaction completes
+ * once no request is left pending, as in a browser.
+ */
+
+function createMemoryIndexedDB() {
+    const databases = new Map();
+
+    const open = (name, version = 1) => {
+        const request = createRequest();
+        setTimeout(() => {
+            let data = databases.get(name);
+            if (!data) {
+                data = { version: 0, stores: new Map() };
+                databases.set(name, data);
+            }
+            const db = createDatabase(data);
+            if (version > data.version) {
+                data.version = version;
+                request.result = db;
+                request.transaction = createTransaction(data, [], true);
+                data.upgrade = request.transaction;
+                if (request.onupgradeneeded) {
+                    request.onupgradeneeded();
+                }
+                data.upgrade = null;
+            }
+            request.result = db;
+            request.transaction = null;
+            if (request.onsuccess) {
+                request.onsuccess();
+            }
+        });
+        return request;
+    };
+
+    return { open, databases };
+}
+
+function createRequest() {
+    return { result: undefined, error: null, onsuccess: null, onerror: null };
+}
+
+function createDatabase(data) {
+    return {
+        get objectStoreNames() {
+            return namesList([...data.stores.keys()]);
+        },
+        transaction: (names) => createTransaction(data, [].concat(names)),
+        // Only during onupgradeneeded, as in a browser
+        createObjectStore: (name, options) => data.upgrade.createObjectStore(name, options),
+        close: () => {}
+    };
+}
+
+function namesList(names) {
+    return { contains: (name) => names.includes(name), length: names.length };
+}
+
+function createTransaction(data, names, upgrade = false) {
+    let pending = 0;
+    let finished = false;
+
+    const tx = { oncomplete: null, onerror: null, onabort: null, error: null };
+
+    const checkComplete = () => {
+        setTimeout(() => {
+            if (pending === 0 && !finished) {
+                finished = true;
+                if (tx.oncomplete) {
+                    tx.oncomplete();
+                }
+            }
+        });
+    };
+
+    // Runs the operation and reports its result on a later tick, in order
+    const schedule = (operation, request = createRequest()) => {
+        pending++;
+        setTimeout(() => {
+            pending--;
+            try {
+                request.result = operation();
+                if (request.onsuccess) {
+                    request.onsuccess();
+                }
+            } catch (error) {
+                request.error = error;
+                if (request.onerror) {
+                    request.onerror();
+                }
+            }
+            checkComplete();
+        });
+        return request;
+    };
+
+    const storeHandle = (storeName) => {
+        const store = data.stores.get(storeName);
+        if (!store || (!upgrade && !names.includes(storeName))) {
+            throw new Error(`No object store ${storeName} in this transaction`);
+        }
+
+        const byIndex = (keyPath, key) => [...store.records.values()]
+            .filter(record => record[keyPath] !== undefined && record[keyPath] !== null)
+            .filter(record => key === undefined || record[keyPath] === key)
+            .sort((a, b) => compareKeys(a[keyPath], b[keyPath]) || compareKeys(a[store.keyPath], b[store.keyPath]));
+        const byKey = () => [...store.records.values()]
+            .sort((a, b) => compareKeys(a[store.keyPath], b[store.keyPath]));
+
+        const openCursor = (records) => {
+            const request = createRequest();
+            let position = 0;
+            const next = () => {
+                const value = records[position];
+                if (!value) {
+                    return null;
+                }
+                return {
+                    value: { ...value },
+                    primaryKey: value[store.keyPath],
+                    continue: () => {
+                        position++;
+                        schedule(next, request);
+                    },
+                    delete: () => schedule(() => store.records.delete(value[store.keyPath]) && undefined)
+                };
+            };
+            return schedule(next, request);
+        };
+
+        const queries = (list) => ({
+            getAll: (key) => schedule(() => list(key).map(record => ({ ...record }))),
+            getAllKeys: (key) => schedule(() => list(key).map(record => record[store.keyPath])),
+            count: (key) => schedule(() => list(key).length),
+            openCursor: () => openCursor(list())
+        });
+
+        return {
+            get indexNames() {
+                return namesList([...store.indexes.keys()]);
+            },
+            createIndex: (indexName, keyPath) => {
+                store.indexes.set(indexName, keyPath);
+            },
+            index: (indexName) => queries(key => byIndex(store.indexes.get(indexName), key)),
+            get: (key) => schedule(() => (store.records.has(key) ? { ...store.records.get(key) } : undefined)),
+            put: (value) => schedule(() => {
+                store.records.set(value[store.keyPath], { ...value });
+                return value[store.keyPath];
+            }),
+            delete: (key) => schedule(() => {
+                store.records.delete(key);
+            }),
+            clear: () => schedule(() => {
+                store.records.clear();
+            }),
+            ...queries(key => (key === undefined ? byKey() : byKey().filter(record => record[store.keyPath] === key)))
+        };
+    };
+
+    tx.objectStore = storeHandle;
+    if (upgrade) {
+        tx.createObjectStore = (storeName, options = {}) => {
+            data.stores.set(storeName, { keyPath: options.keyPath, records: new Map(), indexes: new Map() });
+            return storeHandle(storeName);
+        };
+    }
+    checkComplete();
+    return tx;
+}
+
+function compareKeys(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    return a < b ? -1 : 1;
+}
+
+module.exports = { createMemoryIndexedDB };
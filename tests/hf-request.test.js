@@ -0,0 +1,201 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+const { startFakeInferenceServer, PNG_1X1 } = require('./helpers/fake-inference-server');
+
+loadScripts('model-registry.js', 'hf-request.js');
+
+const json = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+// A client whose transport replays the given responses and whose waits are recorded
+const createClient = (responses, options = {}) => {
+    const waits = [];
+    let calls = 0;
+    const client = new HFRequestClient({
+        maxRetries: 3,
+        random: () => 0.5,
+        sleep: async (ms) => {
+            waits.push(ms);
+        },
+        fetch: async () => {
+            const next = responses[Math.min(calls++, responses.length - 1)];
+            if (next instanceof Error) throw next;
+            return next();
+        },
+        ...options
+    });
+    return { client, waits, calls: () => calls };
+};
+
+describe('HFRequestClient error mapping', () => {
+    const cases = [
+        [401, {}, 'AuthError'],
+        [403, {}, 'AuthError'],
+        [404, {}, 'ModelNotFoundError'],
+        [429, { 'Retry-After': '12' }, 'RateLimitError'],
+        [500, {}, 'ServerError'],
+        [400, {}, 'InferenceError']
+    ];
+
+    for (const [status, headers, name] of cases) {
+        it(`maps HTTP ${status} to ${name}`, async () => {
+            const error = await new HFRequestClient().toError(json(status, { error: 'nope' }, headers));
+
+            assert.equal(error.name, name);
+            assert.equal(error.status, status);
+            assert.match(error.message, /nope/);
+        });
+    }
+
+    it('reads Retry-After and the cold-start estimate', async () => {
+        const client = new HFRequestClient();
+
+        assert.equal((await client.toError(json(429, {}, { 'Retry-After': '12' }))).retryAfter, 12);
+        assert.equal((await client.toError(json(503, { error: 'loading', estimated_time: 20.5 }))).estimatedTime, 20.5);
+        assert.equal((await client.toError(json(503, { error: 'down' }))).name, 'ServerError');
+    });
+
+    it('keeps a plain-text body as the message', async () => {
+        const error = await new HFRequestClient().toError(new Response('Bad Gateway', { status: 502 }));
+
+        assert.equal(error.message, 'Server error: Bad Gateway');
+        assert.equal(error.body, null);
+    });
+});
+
+describe('HFRequestClient retries', () => {
+    it('retries transient failures with backoff, then succeeds', async () => {
+        const { client, waits, calls } = createClient([
+            () => json(500, { error: 'flaky' }),
+            () => json(503, { error: 'loading', estimated_time: 2 }),
+            () => json(429, { error: 'slow down' }, { 'Retry-After': '3' }),
+            () => new Response('ok')
+        ]);
+        const retries = [];
+
+        const response = await client.request('https://example.test', {}, { onRetry: (info) => retries.push(info.error.name) });
+
+        assert.equal(await response.text(), 'ok');
+        assert.equal(calls(), 4);
+        // Jittered backoff for the 500 (1000 ms base, random 0.5), then the server's own hints
+        assert.deepEqual(waits, [750, 2000, 3000]);
+        assert.deepEqual(retries, ['ServerError', 'ModelLoadingError', 'RateLimitError']);
+    });
+
+    it('turns network failures into retryable ServerErrors', async () => {
+        const { client, calls } = createClient([new TypeError('fetch failed')], { maxRetries: 1 });
+
+        await assert.rejects(client.request('https://example.test'), { name: 'ServerError', message: /Network error: fetch failed/ });
+        assert.equal(calls(), 2);
+    });
+
+    it('never retries authentication errors', async () => {
+        const { client, calls } = createClient([() => json(401, { error: 'bad token' })]);
+
+        await assert.rejects(client.request('https://example.test'), { name: 'AuthError' });
+        assert.equal(calls(), 1);
+    });
+
+    it('caps backoff at maxDelay and the server hints at maxLoadWait', () => {
+        const client = new HFRequestClient({ baseDelay: 1000, maxDelay: 4000, maxLoadWait: 5000, random: () => 1 });
+
+        assert.equal(client.getRetryDelay(new ServerError('x'), 10), 4000);
+        assert.equal(client.getRetryDelay(new ModelLoadingError('x', { estimatedTime: 60 }), 0), 5000);
+        assert.equal(client.getRetryDelay(new RateLimitError('x', { retryAfter: 60 }), 0), 5000);
+    });
+
+    it('stops waiting when the signal aborts', async () => {
+        const client = new HFRequestClient({
+            baseDelay: 10000,
+            fetch: async () => json(500, { error: 'flaky' })
+        });
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+
+        await assert.rejects(client.request('https://example.test', { signal: controller.signal }), { name: 'CancelledError' });
+    });
+
+    it('keeps a timeout reason as RequestTimeoutError', async () => {
+        const controller = new AbortController();
+        controller.abort(new RequestTimeoutError('too slow', { timeout: 10 }));
+
+        await assert.rejects(new HFRequestClient().request('https://example.test', { signal: controller.signal }), { name: 'RequestTimeoutError' });
+    });
+});
+
+describe('HFRequestClient against the fake inference server', () => {
+    let server;
+    let waits;
+    let client;
+
+    before(async () => {
+        server = await startFakeInferenceServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        waits = [];
+        server.requests.length = 0;
+        client = new HFRequestClient({
+            maxRetries: 2,
+            fetch: server.fetch,
+            sleep: async (ms) => {
+                waits.push(ms);
+            }
+        });
+    });
+
+    const post = (modelId, options) => client.request(`${HF_INFERENCE_BASE_URL}/${modelId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ inputs: 'a logo' })
+    }, options);
+
+    it('waits out a cold start and reports it as warming up', async () => {
+        server.respond('cold/model', [
+            { status: 503, json: { error: 'Model cold/model is currently loading', estimated_time: 1.2 } },
+            { body: PNG_1X1 }
+        ]);
+        const reasons = [];
+
+        const response = await post('cold/model', { onRetry: (info) => reasons.push(info.reason) });
+
+        assert.deepEqual(Buffer.from(await response.arrayBuffer()), PNG_1X1);
+        assert.deepEqual(waits, [1200]);
+        assert.deepEqual(reasons, ['warming up, retry in 2s']);
+        assert.equal(server.requests.length, 2);
+    });
+
+    it('honours Retry-After on a 429', async () => {
+        server.respond('busy/model', [
+            { status: 429, json: { error: 'Rate limit reached' }, headers: { 'Retry-After': '4' } },
+            { body: PNG_1X1 }
+        ]);
+
+        await post('busy/model');
+
+        assert.deepEqual(waits, [4000]);
+        assert.equal(server.requests.length, 2);
+    });
+
+    it('gives up after maxRetries on repeated server errors', async () => {
+        server.respond('broken/model', { status: 500, json: { error: 'CUDA out of memory' } });
+
+        await assert.rejects(post('broken/model'), { name: 'ServerError', status: 500, message: /CUDA out of memory/ });
+        assert.equal(server.requests.length, 3);
+        assert.equal(waits.length, 2);
+    });
+
+    it('fails fast on a bad token or an unknown model', async () => {
+        server.respond('private/model', { status: 401, json: { error: 'Invalid credentials in Authorization header' } });
+
+        await assert.rejects(post('private/model'), { name: 'AuthError', status: 401 });
+        await assert.rejects(post('missing/model'), { name: 'ModelNotFoundError', status: 404 });
+        assert.equal(server.requests.length, 2);
+        assert.deepEqual(waits, []);
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createMemoryStorage } = require('./helpers/load-scripts');
+
+loadScripts('image-reviews.js');
+
+const image = (id, modelId = 'm1', prompt = 'fox logo') => ({ id, modelId, prompt });
+
+describe('ImageReviews ratings, tags and notes', () => {
+    it('averages ratings across reviewers and persists them', () => {
+        const storage = createMemoryStorage();
+        const reviews = new ImageReviews({ storage });
+
+        reviews.rate(image('a'), 4);
+        reviews.setReviewer('  Sam ');
+        reviews.rate(image('a'), 2);
+
+        const review = new ImageReviews({ storage }).getReview('a');
+        assert.equal(review.rating, 3);
+        assert.equal(review.myRating, 2);
+        assert.deepEqual(review.ratings, { Me: 4, Sam: 2 });
+    });
+
+    it('removes a rating with 0 stars and rejects out-of-range values', () => {
+        const reviews = new ImageReviews({ storage: createMemoryStorage() });
+        reviews.rate(image('a'), 5);
+        reviews.rate(image('a'), 0);
+
+        assert.equal(reviews.getReview('a').rating, null);
+        assert.throws(() => reviews.rate(image('a'), 6), /1 to 5 stars/);
+        assert.throws(() => reviews.rate({ src: 'blob:x' }, 3), /saved in the history/);
+    });
+
+    it('normalises tags and counts them', () => {
+        const reviews = new ImageReviews({ storage: createMemoryStorage() });
+
+        assert.deepEqual(reviews.setTags(image('a'), 'Client, favourite , client,'), ['client', 'favourite']);
+        reviews.setTags(image('b'), ['client']);
+        reviews.setNotes(image('b'), 'Try a darker blue');
+
+        assert.deepEqual(reviews.listTags(), [{ tag: 'client', count: 2 }, { tag: 'favourite', count: 1 }]);
+        assert.equal(reviews.getReview('b').notes, 'Try a darker blue');
+    });
+});
+
+describe('ImageReviews voting', () => {
+    it('ranks images consistently with the votes', () => {
+        const reviews = new ImageReviews({ storage: createMemoryStorage() });
+        const [a, b, c] = [image('a'), image('b'), image('c')];
+        reviews.vote(a, b);
+        reviews.vote(a, c);
+        reviews.vote(b, c);
+        reviews.vote(a, b);
+
+        const ranking = reviews.ranking(['c', 'b', 'a']);
+
+        assert.deepEqual(ranking.map(entry => entry.id), ['a', 'b', 'c']);
+        assert.deepEqual(ranking.map(entry => entry.rank), [1, 2, 3]);
+        assert.deepEqual([ranking[0].wins, ranking[0].losses], [3, 0]);
+        assert.ok(ranking[0].score > 0.5 && ranking[2].score < 0.5);
+    });
+
+    it('undoes only the current reviewer\'s latest vote', () => {
+        const reviews = new ImageReviews({ storage: createMemoryStorage() });
+        reviews.vote(image('a'), image('b'));
+        reviews.setReviewer('Sam');
+        reviews.vote(image('b'), image('a'));
+        reviews.setReviewer('Me');
+
+        assert.equal(reviews.undoVote().winnerId, 'a');
+        assert.equal(reviews.undoVote(), null);
+        assert.equal(reviews.getReview('b').wins, 1);
+        assert.throws(() => reviews.vote(image('a'), image('a')), /two different images/);
+    });
+
+    it('offers pairs that have not been compared yet', () => {
+        const reviews = new ImageReviews({ storage: createMemoryStorage() });
+        reviews.vote(image('a'), image('b'));
+
+        assert.ok(reviews.nextPair(['a', 'b', 'c']).includes('c'));
+        assert.equal(reviews.nextPair(['a']), null);
+    });
+
+    it('computes model win rates from cross-model votes', () => {
+        const reviews = new ImageReviews({ storage: createMemoryStorage() });
+        reviews.vote(image('f1', 'flux'), image('s1', 'sdxl'));
+        reviews.vote(image('f2', 'flux', 'owl badge'), image('s2', 'sdxl', 'owl badge'));
+        reviews.vote(image('s1', 'sdxl'), image('f2', 'flux'));
+        reviews.vote(image('f1', 'flux'), image('f2', 'flux'));
+        reviews.rate(image('s1', 'sdxl'), 5);
+
+        const stats = reviews.modelStats();
+        assert.deepEqual(stats.map(model => [model.modelId, model.wins, model.losses]), [['flux', 2, 1], ['sdxl', 1, 2]]);
+        assert.equal(stats[1].averageRating, 5);
+
+        const owls = reviews.modelStats({ query: 'OWL' });
+        assert.deepEqual(owls.map(model => model.winRate), [1, 0]);
+    });
+
+    it('merges reviews from another device without duplicating votes', () => {
+        const mine = new ImageReviews({ storage: createMemoryStorage() });
+        mine.rate(image('a'), 2);
+        mine.vote(image('a'), image('b'));
+
+        const theirs = new ImageReviews({ storage: createMemoryStorage() });
+        theirs.rate(image('a'), 5);
+        theirs.setTags(image('a'), 'bold');
+        theirs.setReviewer('Sam');
+        theirs.rate(image('a'), 4);
+        theirs.merge(mine.toJSON());
+
+        assert.deepEqual(mine.merge(theirs.toJSON()), { images: 0, votes: 0 });
+        assert.deepEqual(mine.getReview('a').ratings, { Me: 2, Sam: 4 });
+        assert.deepEqual(mine.getReview('a').tags, ['bold']);
+
+        mine.merge(theirs.toJSON(), { replace: true });
+        assert.equal(mine.getReview('a').ratings.Me, 5);
+        assert.equal(mine.toJSON().votes.length, 1);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts('png.js', 'provenance.js', 'vectorizer.js', 'lockup.js');
+
+// Every glyph is 0.6 em wide; "AV" kerns by 0.1 em when kerning is on
+const measure = (text, style) => {
+    const kerned = style.kerning ? (text.match(/AV/g) || []).length * 0.1 : 0;
+    return (text.length * 0.6 - kerned) * style.size;
+};
+
+const icon = { width: 400, height: 400 };
+const settings = (overrides = {}) => ({ ...LOCKUP_DEFAULTS, iconSize: 100, tracking: 0, taglineTracking: 0, ...overrides });
+
+describe('layoutLockup', () => {
+    it('stacks the icon, name and tagline centred', () => {
+        const layout = layoutLockup(icon, settings({ name: 'Smith Legal', tagline: 'Estates' }), measure);
+        const [name, tagline] = layout.lines;
+
+        assert.equal(name.text, 'SMITH LEGAL', 'set in capitals by default');
+        assert.equal(name.size, 30);
+        assert.equal(name.width, 11 * 0.6 * 30);
+        assert.equal(layout.width, name.width + 30, 'widest line plus padding');
+        assert.equal(layout.icon.width, 100);
+        assert.equal(layout.icon.x, (layout.width - 100) / 2);
+        assert.equal(name.x, 15);
+        assert.equal(tagline.x, (layout.width - tagline.width) / 2);
+        assert.ok(name.y > layout.icon.y + layout.icon.height);
+        assert.ok(tagline.y > name.y);
+        assert.ok(layout.height > tagline.y);
+    });
+
+    it('sets the text beside the icon in the horizontal layout', () => {
+        const layout = layoutLockup(icon, settings({ layout: 'horizontal', name: 'Smith', tagline: 'Estates' }), measure);
+        const [name, tagline] = layout.lines;
+
+        assert.equal(name.x, tagline.x, 'left-aligned block');
+        assert.ok(name.x > layout.icon.x + layout.icon.width);
+        assert.equal(layout.width, name.x + Math.max(name.width, tagline.width) + 15);
+        assert.equal(layout.icon.y, (layout.height - layout.icon.height) / 2);
+    });
+
+    it('keeps the font kerning pairs and adds letter spacing between glyphs', () => {
+        const kerned = layoutLockup(icon, settings({ name: 'AVA', tracking: 100 }), measure).lines[0];
+        const plain = layoutLockup(icon, settings({ name: 'AVA', tracking: 100, kerning: false }), measure).lines[0];
+
+        assert.equal(kerned.tracking, 3, '100/1000 em at 30 px');
+        assert.deepEqual(plain.glyphs.map(glyph => glyph.x), [0, 21, 42]);
+        assert.deepEqual(kerned.glyphs.map(glyph => Math.round(glyph.x * 10) / 10), [0, 21, 39]);
+        assert.equal(Math.round(kerned.width * 10) / 10, 3 * 18 - 3 + 6);
+    });
+
+    it('puts the name and tagline on the arcs of a badge, shrinking text that would not fit', () => {
+        const layout = layoutLockup(icon, settings({ layout: 'badge', name: 'Smith Jones Williams & Partners', tagline: 'Est. 1990' }), measure);
+        const [top, bottom] = layout.lines;
+
+        assert.equal(layout.width, layout.height);
+        assert.equal(top.arc.side, 'top');
+        assert.equal(bottom.arc.side, 'bottom');
+        assert.ok(top.size < 30, 'long names are set smaller');
+        assert.ok(top.width <= Math.PI * top.arc.r * 0.85 + 1e-9);
+        assert.equal(top.offset, (Math.PI * top.arc.r - top.width) / 2, 'centred on the arc');
+        assert.equal(bottom.size, 11);
+        assert.equal(layout.rings.length, 2);
+        assert.ok(layout.rings[0].r + layout.rings[0].width / 2 < layout.width / 2);
+    });
+
+    it('leaves out empty lines and rejects unknown layouts and fonts', () => {
+        assert.deepEqual(layoutLockup(icon, settings({ name: '  ' }), measure).lines, []);
+        assert.throws(() => layoutLockup(icon, settings({ layout: 'spiral' }), measure), /Unknown lockup layout/);
+        assert.throws(() => layoutLockup(icon, settings({ font: 'comic' }), measure), /Unknown lockup font/);
+    });
+});
+
+describe('lockupSvg', () => {
+    it('writes the text as <text> elements and embeds the icon', () => {
+        const layout = layoutLockup(icon, settings({ name: 'Smith & Jones', tagline: 'Trusts <Estates>', tracking: 50, background: '#ffffff' }), measure);
+        const svg = lockupSvg(layout, { href: 'data:image/png;base64,AAAA' });
+
+        assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+        assert.match(svg, />SMITH &amp; JONES<\/text>/);
+        assert.match(svg, />TRUSTS &lt;ESTATES&gt;<\/text>/);
+        assert.match(svg, /letter-spacing="1.5"/);
+        assert.match(svg, /font-family="Georgia, &quot;Times New Roman&quot;, Times, serif"/);
+        assert.match(svg, /<image [^>]*href="data:image\/png;base64,AAAA"/);
+        assert.match(svg, /<rect width="100%" height="100%" fill="#ffffff"\/>/);
+    });
+
+    it('sets badge text on arc paths and nests a traced icon', () => {
+        const layout = layoutLockup(icon, settings({ layout: 'badge', name: 'Smith', tagline: 'Law' }), measure);
+        const traced = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 40 40" width="400" height="400">\n<path d="M0 0"/>\n</svg>';
+        const svg = lockupSvg(layout, { svg: traced });
+
+        assert.match(svg, /<path id="lockup-arc-0" d="M [\d.]+ [\d.]+ A [\d.]+ [\d.]+ 0 0 1 /);
+        assert.match(svg, /<path id="lockup-arc-1" d="M [\d.]+ [\d.]+ A [\d.]+ [\d.]+ 0 0 0 /);
+        assert.match(svg, /<textPath href="#lockup-arc-0" xlink:href="#lockup-arc-0" startOffset="[\d.]+">SMITH<\/textPath>/);
+        assert.match(svg, /<svg x="[\d.]+" y="[\d.]+" width="[\d.]+" height="[\d.]+" xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 40 40">/);
+        assert.equal((svg.match(/<circle /g) || []).length, 2);
+    });
+});
+
+describe('lockup colours', () => {
+    it('offers the icon colours, most used first, and picks readable ones for the type', () => {
+        // 3 navy pixels, 2 gold, 1 white and 1 transparent
+        const pixels = [[20, 30, 80, 255], [20, 30, 80, 255], [20, 30, 80, 255], [200, 160, 40, 255], [200, 160, 40, 255], [255, 255, 255, 255], [0, 0, 0, 0]];
+        const palette = lockupPalette({ width: 7, height: 1, data: new Uint8ClampedArray(pixels.flat()) }, 3);
+
+        assert.deepEqual(palette, ['#141e50', '#c8a028', '#ffffff']);
+        assert.deepEqual(lockupTypeColors(palette), { nameColor: '#141e50', taglineColor: '#c8a028' });
+        assert.deepEqual(lockupTypeColors(['#ffffff']), { nameColor: LOCKUP_DEFAULTS.nameColor, taglineColor: LOCKUP_DEFAULTS.taglineColor });
+    });
+});
@@ -0,0 +1,200 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createMemoryStorage } = require('./helpers/load-scripts');
+
+loadScripts('outbox.js');
+
+// navigator + window stand-ins whose connection the test switches
+const createConnection = (onLine = false) => {
+    const target = new EventTarget();
+    const navigator = { onLine };
+    return {
+        target,
+        navigator,
+        goOnline: () => {
+            navigator.onLine = true;
+            target.dispatchEvent(new Event('online'));
+        }
+    };
+};
+
+const createOutbox = (connection, options = {}) => new GenerationOutbox({
+    storage: createMemoryStorage(),
+    target: connection.target,
+    navigator: connection.navigator,
+    ...options
+});
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('GenerationOutbox', () => {
+    it('stores queued prompts and validates them', () => {
+        const storage = createMemoryStorage();
+        const outbox = new GenerationOutbox({ storage, navigator: { onLine: false } });
+
+        assert.throws(() => outbox.add({ prompt: ' ', modelIds: ['m1'] }), /Enter a prompt/);
+        assert.throws(() => outbox.add({ prompt: 'fox', modelIds: [] }), /at least one model/);
+
+        const entry = outbox.add({ prompt: ' fox logo ', modelIds: ['m1', 'm2'], params: { seed: 7 }, preset: 'bold', needsKey: true });
+
+        assert.equal(entry.prompt, 'fox logo');
+        assert.equal(entry.status, 'queued');
+        assert.equal(outbox.isOnline(), false);
+        // A reload finds the same queue
+        assert.deepEqual(new GenerationOutbox({ storage }).list(), [entry]);
+
+        outbox.remove(entry.id);
+        assert.deepEqual(outbox.list(), []);
+    });
+
+    it('runs queued prompts in order once the connection comes back', async () => {
+        const connection = createConnection(false);
+        const outbox = createOutbox(connection);
+        outbox.add({ prompt: 'fox', modelIds: ['m1'] });
+        outbox.add({ prompt: 'owl', modelIds: ['m1'] });
+
+        const ran = [];
+        const sent = [];
+        outbox.subscribe((event, entry, result) => {
+            if (event === 'sent') sent.push([entry.prompt, result.completed]);
+        });
+        const unwatch = outbox.watch(async (entry) => {
+            ran.push(entry.prompt);
+            return { completed: 1, failed: 0 };
+        });
+
+        await settle();
+        assert.deepEqual(ran, [], 'nothing runs while offline');
+
+        connection.goOnline();
+        await settle();
+
+        assert.deepEqual(ran, ['fox', 'owl']);
+        assert.deepEqual(sent, [['fox', 1], ['owl', 1]]);
+        assert.deepEqual(outbox.list(), []);
+        unwatch();
+    });
+
+    it('keeps a prompt when the connection drops and marks other failures', async () => {
+        const connection = createConnection(true);
+        const outbox = createOutbox(connection);
+        const dropped = outbox.add({ prompt: 'fox', modelIds: ['m1'] });
+
+        await outbox.flush(async () => {
+            connection.navigator.onLine = false;
+            throw new Error('Network error: Failed to fetch');
+        });
+        assert.equal(outbox.list()[0].status, 'queued');
+
+        connection.navigator.onLine = true;
+        const log = console.error;
+        console.error = () => {};
+        try {
+            await outbox.flush(async () => {
+                throw new Error('Model exploded');
+            });
+        } finally {
+            console.error = log;
+        }
+        assert.equal(outbox.list()[0].status, 'failed');
+        assert.equal(outbox.list()[0].error, 'Model exploded');
+
+        outbox.retry(dropped.id);
+        const sent = await outbox.flush(async () => ({ completed: 1 }));
+        assert.equal(sent.length, 1);
+        assert.deepEqual(outbox.list(), []);
+    });
+
+    it('leaves prompts that cannot run yet and ignores overlapping flushes', async () => {
+        const outbox = createOutbox(createConnection(true));
+        outbox.add({ prompt: 'fox', modelIds: ['m1'], needsKey: true });
+        outbox.add({ prompt: 'owl', modelIds: ['m1'] });
+
+        let release;
+        const first = outbox.flush(() => new Promise(resolve => { release = resolve; }), {
+            canRun: entry => !entry.needsKey
+        });
+        assert.deepEqual(await outbox.flush(async () => ({})), []);
+
+        release({ completed: 1 });
+        const sent = await first;
+
+        assert.deepEqual(sent.map(item => item.entry.prompt), ['owl']);
+        assert.deepEqual(outbox.list().map(entry => entry.prompt), ['fox']);
+    });
+
+    it('reruns prompts cut off by a reload', async () => {
+        const storage = createMemoryStorage();
+        const connection = createConnection(true);
+        const entry = new GenerationOutbox({ storage, navigator: connection.navigator }).add({ prompt: 'fox', modelIds: ['m1'] });
+        storage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify([{ ...entry, status: 'sending' }]));
+
+        const ran = [];
+        const outbox = new GenerationOutbox({ storage, target: connection.target, navigator: connection.navigator });
+        const unwatch = outbox.watch(async (item) => {
+            ran.push(item.prompt);
+            return { completed: 1 };
+        });
+        await settle();
+
+        assert.deepEqual(ran, ['fox']);
+        unwatch();
+    });
+});
+
+describe('GenerationOutbox notifications', () => {
+    const createNotification = (permission) => {
+        const shown = [];
+        function FakeNotification(title, options) {
+            shown.push({ title, options, via: 'page' });
+        }
+        FakeNotification.permission = permission;
+        FakeNotification.requestPermission = async () => {
+            FakeNotification.permission = 'granted';
+            return 'granted';
+        };
+        return { FakeNotification, shown };
+    };
+
+    it('asks for permission once and shows nothing without it', async () => {
+        const { FakeNotification, shown } = createNotification('default');
+        const outbox = createOutbox(createConnection(true), { Notification: FakeNotification });
+
+        assert.equal(await outbox.showNotification('Ready'), false);
+        assert.equal(await outbox.enableNotifications(), 'granted');
+        assert.equal(await outbox.showNotification('Ready', { body: '2 logos' }), true);
+        assert.deepEqual(shown, [{ title: 'Ready', options: { body: '2 logos' }, via: 'page' }]);
+    });
+
+    it('shows notifications through the service worker when one is registered', async () => {
+        const { FakeNotification, shown } = createNotification('granted');
+        const connection = createConnection(true);
+        connection.navigator.serviceWorker = {
+            getRegistration: async () => ({
+                showNotification: async (title, options) => shown.push({ title, options, via: 'worker' })
+            })
+        };
+        const outbox = createOutbox(connection, { Notification: FakeNotification });
+
+        await outbox.showNotification('Ready', { tag: 'x' });
+
+        assert.deepEqual(shown, [{ title: 'Ready', options: { tag: 'x' }, via: 'worker' }]);
+    });
+
+    it('reports unsupported browsers', async () => {
+        const outbox = new GenerationOutbox({ storage: createMemoryStorage(), navigator: {} });
+        outbox.Notification = null;
+
+        assert.equal(await outbox.enableNotifications(), 'unsupported');
+    });
+});
+
+describe('worksOffline', () => {
+    it('accepts the mock and backends on this machine only', () => {
+        assert.equal(worksOffline({ type: 'mock' }), true);
+        assert.equal(worksOffline({ type: 'automatic1111', baseUrl: 'http://127.0.0.1:7860' }), true);
+        assert.equal(worksOffline({ type: 'comfyui', baseUrl: 'http://localhost:8188' }), true);
+        assert.equal(worksOffline({ type: 'openai', baseUrl: 'https://api.openai.com/v1' }), false);
+        assert.equal(worksOffline({ type: 'huggingface', baseUrl: '' }), false);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createMemoryStorage } = require('./helpers/load-scripts');
+
+loadScripts('prompt-presets.js');
+
+const createLibrary = (storage = createMemoryStorage()) => new PromptLibrary({ storage });
+
+describe('PromptLibrary templates', () => {
+    it('fills placeholders and leaves empty or unknown ones as typed', () => {
+        const library = createLibrary();
+
+        assert.equal(
+            library.render('{firm_name}   logo for  {practice_area} {unknown}', { firm_name: ' Smith & Co ', practice_area: '  ' }),
+            'Smith & Co logo for {practice_area} {unknown}'
+        );
+        assert.equal(library.render('  {firm_name}  ', {}), '{firm_name}');
+    });
+
+    it('uses the remembered values by default', () => {
+        const library = createLibrary();
+        library.setValues({ firm_name: 'Smith Legal' });
+
+        assert.equal(library.render('{firm_name} emblem'), 'Smith Legal emblem');
+    });
+
+    it('lists each placeholder once, in order', () => {
+        assert.deepEqual(
+            createLibrary().getPlaceholders('{firm_name} {practice_area} for {firm_name}, {firm_name}'),
+            ['firm_name', 'practice_area']
+        );
+        assert.deepEqual(createLibrary().getPlaceholders('no placeholders { here }'), []);
+    });
+
+    it('saves and removes custom templates but not built-ins', () => {
+        const library = createLibrary();
+        const saved = library.saveTemplate({ name: 'Monogram', template: '{firm_name} monogram' });
+
+        assert.equal(library.listTemplates().filter(template => template.id === saved.id).length, 1);
+        assert.throws(
+            () => library.saveTemplate({ id: 'scales-of-justice', name: 'Mine', template: 'x' }),
+            /Built-in template scales-of-justice cannot be changed/
+        );
+        assert.throws(() => library.saveTemplate({ name: 'No text' }), /name and text are required/);
+
+        const ids = library.listTemplates().map(template => template.id);
+        assert.equal(new Set(ids).size, ids.length);
+        assert.equal(library.removeTemplate('scales-of-justice'), false);
+        assert.equal(library.removeTemplate(saved.id), true);
+        assert.equal(library.listTemplates().length, DEFAULT_PROMPT_TEMPLATES.length);
+    });
+});
+
+describe('PromptLibrary presets', () => {
+    it('saves, reloads and removes a custom preset', () => {
+        const storage = createMemoryStorage();
+        const saved = createLibrary(storage).savePreset({ name: 'Firm house style', positive: 'navy, gold ,, serif', negative: ['clip art'] });
+
+        const reloaded = createLibrary(storage);
+        assert.deepEqual(reloaded.getPreset(saved.id), {
+            id: saved.id,
+            name: 'Firm house style',
+            enhance: true,
+            positive: ['navy', 'gold', 'serif'],
+            negative: ['clip art']
+        });
+        assert.equal(reloaded.removePreset(saved.id), true);
+        assert.equal(reloaded.getPreset(saved.id).id, DEFAULT_STYLE_PRESET);
+    });
+
+    it('rejects built-in preset IDs and nameless presets', () => {
+        const library = createLibrary();
+
+        assert.throws(() => library.savePreset({ id: 'minimalist', name: 'Mine' }), /Built-in preset minimalist cannot be changed/);
+        assert.throws(() => library.savePreset({ positive: ['x'] }), /Preset name is required/);
+        assert.equal(library.listPresets().length, STYLE_PRESETS.length);
+    });
+});
+
+describe('mergeTerms', () => {
+    it('joins term lists and drops duplicates case-insensitively', () => {
+        assert.equal(
+            mergeTerms('Vector Style, high quality', ['vector style', 'navy'], '', null, ' NAVY , gold'),
+            'Vector Style, high quality, navy, gold'
+        );
+    });
+});
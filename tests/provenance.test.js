@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts('png.js', 'provenance.js');
+
+const image = {
+    prompt: 'Ünïcode “logo” & <scales>',
+    enhancedPrompt: 'Ünïcode “logo” & <scales>, minimalist, flat',
+    modelId: 'black-forest-labs/FLUX.1-schnell',
+    model: 'FLUX.1 Schnell',
+    provider: 'huggingface',
+    task: 'text-to-image',
+    preset: 'minimalist',
+    params: { seed: 42, width: 512, height: 512 },
+    seed: 42,
+    timestamp: '2026-03-01T10:00:00.000Z'
+};
+
+const bytesOf = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+// SOI, JFIF APP0, a stub scan and EOI
+const JPEG = new Uint8Array([
+    0xff, 0xd8,
+    0xff, 0xe0, 0, 16, 0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0,
+    0xff, 0xda, 0, 2, 1, 2, 3,
+    0xff, 0xd9
+]);
+
+// Simple-format (VP8L) WebP, 3 × 2 pixels
+const webp = () => {
+    const bytes = new Uint8Array(12 + 8 + 10);
+    const view = new DataView(bytes.buffer);
+    bytes.set([82, 73, 70, 70]); // RIFF
+    view.setUint32(4, bytes.length - 8, true);
+    bytes.set([87, 69, 66, 80], 8); // WEBP
+    bytes.set([86, 80, 56, 76], 12); // VP8L
+    view.setUint32(16, 9, true);
+    bytes[20] = 0x2f;
+    view.setUint32(21, (3 - 1) | ((2 - 1) << 14) | (1 << 28), true);
+    return new Blob([bytes], { type: 'image/webp' });
+};
+
+describe('provenanceFromImage', () => {
+    it('takes the user prompt and enhanced prompt from a generateWithModel() result', () => {
+        const record = provenanceFromImage({
+            basePrompt: 'a fox',
+            prompt: 'a fox, minimalist',
+            modelId: 'm',
+            params: { seed: 7 },
+            timestamp: '2026-03-01T10:00:00.000Z'
+        }, { edit: 'vectorized' });
+
+        assert.equal(record.aiGenerated, true);
+        assert.equal(record.prompt, 'a fox');
+        assert.equal(record.enhancedPrompt, 'a fox, minimalist');
+        assert.equal(record.seed, 7);
+        assert.equal(record.generatedAt, '2026-03-01T10:00:00.000Z');
+        assert.equal(record.edit, 'vectorized');
+        assert.ok(record.exportedAt);
+    });
+});
+
+describe('embedProvenance / readProvenance', () => {
+    it('round-trips a PNG through iTXt chunks', async () => {
+        const png = await encodePng(2, 2, new Uint8Array(16).fill(200));
+        const record = provenanceFromImage(image);
+
+        const tagged = await embedProvenance(png, record);
+        const result = await readProvenance(tagged);
+
+        assert.equal(tagged.type, 'image/png');
+        assert.equal(result.format, 'png');
+        assert.deepEqual(result.provenance, record);
+        assert.equal(result.text.Software, 'Multi-Model Logo Generator');
+        assert.equal(result.text.Description, image.prompt);
+        assert.match(result.xmp, /trainedAlgorithmicMedia/);
+    });
+
+    it('replaces the record of an earlier export instead of adding a second one', async () => {
+        const png = await encodePng(1, 1, new Uint8Array(4));
+        const once = await embedProvenance(png, provenanceFromImage(image));
+        const twice = await embedProvenance(once, provenanceFromImage({ ...image, prompt: 'second' }));
+
+        const keywords = new TextDecoder('latin1').decode(await bytesOf(twice)).match(/ai-provenance/g);
+        assert.equal(keywords.length, 1);
+        assert.equal((await readProvenance(twice)).provenance.prompt, 'second');
+    });
+
+    it('writes XMP into JPEG, WebP and SVG files', async () => {
+        const record = provenanceFromImage(image);
+        const svg = new Blob(['<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1 1"><rect/></svg>'], { type: 'image/svg+xml' });
+
+        for (const [format, blob] of [['jpeg', new Blob([JPEG], { type: 'image/jpeg' })], ['webp', webp()], ['svg', svg]]) {
+            const result = await readProvenance(await embedProvenance(blob, record));
+
+            assert.equal(result.format, format);
+            assert.equal(result.provenance.aiGenerated, true, format);
+            assert.equal(result.provenance.prompt, image.prompt, format);
+            assert.equal(result.provenance.modelId, image.modelId, format);
+            assert.equal(result.provenance.seed, 42, format);
+            assert.deepEqual(result.provenance.params, image.params, format);
+        }
+    });
+
+    it('keeps WebP files valid: extended header with the XMP flag and the right RIFF size', async () => {
+        const bytes = await bytesOf(await embedProvenance(webp(), provenanceFromImage(image)));
+        const view = new DataView(bytes.buffer);
+        const ascii = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+        assert.equal(ascii(12), 'VP8X');
+        assert.equal(bytes[20] & 0x04, 0x04);
+        assert.equal(bytes[24] + 1, 3, 'canvas width');
+        assert.equal(bytes[27] + 1, 2, 'canvas height');
+        assert.equal(view.getUint32(4, true), bytes.length - 8);
+    });
+
+    it('returns other files unchanged and reports no provenance', async () => {
+        const gif = new Blob([new TextEncoder().encode('GIF89a')], { type: 'image/gif' });
+
+        assert.equal(await embedProvenance(gif, provenanceFromImage(image)), gif);
+        assert.deepEqual(await readProvenance(gif), { format: null, provenance: null, text: {}, xmp: null });
+    });
+
+    it('saves without metadata when the file cannot be parsed', async () => {
+        // PNG signature followed by a chunk longer than the file
+        const broken = new Blob([new Uint8Array([...PNG_SIGNATURE, 0, 0, 1, 0, 73, 72, 68, 82])], { type: 'image/png' });
+
+        assert.equal(await withProvenance(broken, provenanceFromImage(image)), broken);
+    });
+});
+
+describe('parseProvenanceXmp', () => {
+    it('recognises AI-generated files from other tools by their IPTC source type', () => {
+        const xmp = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF><rdf:Description xmp:CreatorTool="Other Tool" '
+            + 'Iptc4xmpExt:DigitalSourceType="http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia"/></rdf:RDF></x:xmpmeta>';
+
+        assert.deepEqual(parseProvenanceXmp(xmp), { aiGenerated: true, software: 'Other Tool', generatedAt: null });
+        assert.equal(parseProvenanceXmp('<x:xmpmeta><rdf:Description xmp:CreatorTool="Camera"/></x:xmpmeta>'), null);
+    });
+});
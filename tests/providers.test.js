@@ -0,0 +1,380 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const zlib = require('node:zlib');
+const { loadScripts, createMemoryStorage } = require('./helpers/load-scripts');
+const { PNG_1X1 } = require('./helpers/fake-inference-server');
+
+loadScripts(
+    'model-registry.js',
+    'prompt-presets.js',
+    'hf-request.js',
+    'png.js',
+    'providers.js',
+    'generation-scheduler.js',
+    'gallery.js',
+    'hf-api-integration.js'
+);
+
+const API_KEY = 'hf_abcdefghijklmnopqrstuvwxyz0123456789';
+const SD21 = 'stabilityai/stable-diffusion-2-1';
+
+// Minimal HTTP server: handler(req, body) => { status, json, body, headers }
+async function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const raw = Buffer.concat(chunks);
+            const isJson = (req.headers['content-type'] || '').includes('application/json');
+            const request = { method: req.method, url: req.url, headers: req.headers, raw, body: isJson ? JSON.parse(raw) : null };
+            requests.push(request);
+            const response = (await handler(request)) || { status: 404, json: { error: 'not found' } };
+            if (response.json !== undefined) {
+                res.writeHead(response.status || 200, { 'Content-Type': 'application/json', ...response.headers });
+                res.end(JSON.stringify(response.json));
+            } else {
+                res.writeHead(response.status || 200, { 'Content-Type': 'image/png', ...response.headers });
+                res.end(response.body || PNG_1X1);
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+const createGenerator = (apiKey, options = {}) => new HuggingFaceMultiGenerator(apiKey, {
+    registry: new ModelRegistry(),
+    retry: { maxRetries: 1, baseDelay: 1, maxDelay: 5 },
+    mock: { delay: 0 },
+    ...options
+});
+
+const pngSize = async (blob) => {
+    const bytes = Buffer.from(await blob.arrayBuffer());
+    assert.deepEqual([...bytes.subarray(0, 8)], PNG_SIGNATURE);
+    return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20), bytes };
+};
+
+describe('PNG encoder', () => {
+    it('writes a PNG whose pixel data inflates back', async () => {
+        const rgba = new Uint8Array(3 * 2 * 4).map((_, i) => i);
+        const { width, height, bytes } = await pngSize(await encodePng(3, 2, rgba));
+
+        assert.deepEqual([width, height], [3, 2]);
+        const idatLength = bytes.readUInt32BE(33);
+        assert.equal(bytes.toString('latin1', 37, 41), 'IDAT');
+        const raw = zlib.inflateSync(bytes.subarray(41, 41 + idatLength));
+        assert.deepEqual([...raw.subarray(0, 13)], [0, ...rgba.subarray(0, 12)]);
+        assert.equal(bytes.readUInt32BE(41 + idatLength), crc32(bytes.subarray(37, 41 + idatLength)));
+    });
+
+    it('rejects pixel data of the wrong size', async () => {
+        await assert.rejects(encodePng(2, 2, new Uint8Array(4)), /does not match/);
+    });
+});
+
+describe('Offline mock provider', () => {
+    it('stands in for Hugging Face models while there is no key', async () => {
+        const generator = createGenerator(null, { fallbackProvider: 'mock' });
+
+        const result = await generator.generateWithModel(SD21, 'Law firm logo', { seed: 7, width: 768, height: 1024 });
+
+        assert.equal(result.success, true);
+        assert.equal(result.provider, 'mock');
+        const { width, height } = await pngSize(result.blob);
+        assert.deepEqual([width, height], [384, 512]);
+        URL.revokeObjectURL(result.imageUrl);
+    });
+
+    it('is reproducible from the seed', async () => {
+        const generator = createGenerator(null, { fallbackProvider: 'mock' });
+        const render = async (seed) => {
+            const result = await generator.generateWithModel(SD21, 'Law firm logo', { seed, width: 64, height: 64 });
+            URL.revokeObjectURL(result.imageUrl);
+            return Buffer.from(await result.blob.arrayBuffer()).toString('base64');
+        };
+
+        assert.equal(await render(1), await render(1));
+        assert.notEqual(await render(1), await render(2));
+    });
+
+    it('can be picked per request even with a key', async () => {
+        const result = await createGenerator(API_KEY).generateWithModel(SD21, 'x', { width: 32, height: 32 }, { provider: 'mock' });
+
+        assert.equal(result.provider, 'mock');
+        URL.revokeObjectURL(result.imageUrl);
+    });
+
+    it('without a fallback, a model whose provider cannot run fails', async () => {
+        await assert.rejects(createGenerator(null).generateWithModel(SD21, 'x'), /API key not configured/);
+
+        const generator = createGenerator(API_KEY);
+        generator.registry.setProvider(SD21, 'nowhere');
+        await assert.rejects(generator.generateWithModel(SD21, 'x'), /provider "nowhere", which is not configured/);
+    });
+});
+
+describe('Automatic1111 provider', () => {
+    let server;
+    const image = Buffer.from(PNG_1X1).toString('base64');
+
+    before(async () => {
+        server = await startServer(({ url }) => (url.startsWith('/sdapi/v1/') ? { json: { images: [image], info: '{}' } } : null));
+    });
+
+    after(() => server.close());
+
+    it('maps the generation params onto txt2img', async () => {
+        const generator = createGenerator(null, {
+            providers: [{ id: 'office', type: 'automatic1111', baseUrl: `${server.url}/`, apiKey: 'me:secret' }]
+        });
+        generator.registry.setProvider(SD21, 'office', 'v2-1_768.safetensors');
+
+        const result = await generator.generateWithModel(SD21, 'Law firm logo', { seed: 5, num_inference_steps: 20, guidance_scale: 6 }, { preset: 'none' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.provider, 'office');
+        assert.equal(result.blob.size, PNG_1X1.length);
+        const request = server.requests.at(-1);
+        assert.equal(request.url, '/sdapi/v1/txt2img');
+        assert.equal(request.headers.authorization, `Basic ${Buffer.from('me:secret').toString('base64')}`);
+        assert.deepEqual(
+            [request.body.prompt, request.body.seed, request.body.steps, request.body.cfg_scale],
+            ['Law firm logo', 5, 20, 6]
+        );
+        assert.deepEqual(request.body.override_settings, { sd_model_checkpoint: 'v2-1_768.safetensors' });
+        URL.revokeObjectURL(result.imageUrl);
+    });
+
+    it('sends the source image and mask to img2img', async () => {
+        const generator = createGenerator(null, { providers: [{ id: 'office', type: 'automatic1111', baseUrl: server.url }] });
+        generator.registry.register({ id: 'local/inpaint', provider: 'office', tasks: ['inpainting'] });
+        const source = new Blob([PNG_1X1], { type: 'image/png' });
+
+        const result = await generator.generateWithModel('local/inpaint', 'navy scales', {}, { image: source, mask: source });
+
+        assert.equal(result.success, true);
+        const request = server.requests.at(-1);
+        assert.equal(request.url, '/sdapi/v1/img2img');
+        assert.deepEqual(request.body.init_images, [image]);
+        assert.equal(request.body.mask, image);
+        assert.equal(request.body.denoising_strength, 0.6);
+        assert.equal(request.headers.authorization, undefined);
+        URL.revokeObjectURL(result.imageUrl);
+    });
+
+    it('needs a server URL', () => {
+        assert.throws(() => createProvider({ type: 'automatic1111' }), /needs a server URL/);
+    });
+});
+
+describe('ComfyUI provider', () => {
+    let server;
+    let polls = 0;
+    let failNext = false;
+    let runForever = false;
+
+    before(async () => {
+        server = await startServer(({ method, url, body }) => {
+            if (method === 'POST' && url === '/prompt') {
+                polls = 0;
+                return { json: { prompt_id: failNext ? 'bad' : runForever ? 'busy' : 'p1' } };
+            }
+            if (url === '/history/busy') {
+                return { json: {} };
+            }
+            if (method === 'GET' && url === '/queue') {
+                return { json: { queue_running: [[0, 'busy', {}, {}, ['9']]], queue_pending: [] } };
+            }
+            if (method === 'POST' && (url === '/queue' || url === '/interrupt')) {
+                return { json: {} };
+            }
+            if (url === '/history/bad') {
+                return { json: { bad: { outputs: {}, status: { status_str: 'error', completed: false, messages: [['execution_error', { exception_message: 'ckpt not found' }]] } } } };
+            }
+            if (url === '/history/p1') {
+                // Still running on the first poll
+                return { json: ++polls < 2 ? {} : { p1: { outputs: { 9: { images: [{ filename: 'logo_0001.png', subfolder: '', type: 'output' }] } }, status: { completed: true } } } };
+            }
+            if (url.startsWith('/view?')) {
+                return { body: PNG_1X1 };
+            }
+            return null;
+        });
+    });
+
+    after(() => server.close());
+
+    const comfyGenerator = () => {
+        const generator = createGenerator(null, { providers: [{ id: 'comfy', type: 'comfyui', baseUrl: server.url, pollInterval: 5 }] });
+        generator.registry.register({ id: 'comfy/sdxl', name: 'SDXL (office)', provider: 'comfy', providerModel: 'sd_xl_base_1.0.safetensors' });
+        return generator;
+    };
+
+    it('queues the workflow, waits for it and downloads the output', async () => {
+        failNext = false;
+        const result = await comfyGenerator().generateWithModel('comfy/sdxl', 'Law firm logo', { seed: 11, width: 1024, height: 768 }, { preset: 'none' });
+
+        assert.equal(result.success, true);
+        const queued = server.requests.find(request => request.url === '/prompt').body;
+        assert.equal(queued.prompt[3].inputs.seed, 11);
+        assert.equal(queued.prompt[4].inputs.ckpt_name, 'sd_xl_base_1.0.safetensors');
+        assert.deepEqual([queued.prompt[5].inputs.width, queued.prompt[5].inputs.height], [1024, 768]);
+        assert.equal(queued.prompt[6].inputs.text, 'Law firm logo');
+        assert.ok(server.requests.some(request => request.url === '/view?filename=logo_0001.png&subfolder=&type=output'));
+        URL.revokeObjectURL(result.imageUrl);
+    });
+
+    it('reports workflow errors', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        failNext = true;
+
+        const result = await comfyGenerator().generateWithModel('comfy/sdxl', 'x');
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /Workflow failed: ckpt not found/);
+    });
+
+    it('deletes and interrupts a running prompt when cancelled', async () => {
+        failNext = false;
+        runForever = true;
+        const controller = new AbortController();
+        const pending = comfyGenerator().generateWithModel('comfy/sdxl', 'x', {}, { signal: controller.signal });
+        while (!server.requests.some(request => request.url === '/history/busy')) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        controller.abort();
+        const result = await pending;
+        runForever = false;
+        while (!server.requests.some(request => request.url === '/interrupt')) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        assert.equal(result.cancelled, true);
+        assert.deepEqual(server.requests.find(request => request.method === 'POST' && request.url === '/queue').body, { delete: ['busy'] });
+        assert.deepEqual(server.requests.find(request => request.url === '/interrupt').body, { prompt_id: 'busy' });
+    });
+
+    it('only refines with a workflow of its own', async () => {
+        const generator = comfyGenerator();
+        generator.registry.register({ id: 'comfy/refine', provider: 'comfy', tasks: ['image-to-image'] });
+
+        await assert.rejects(
+            generator.generateWithModel('comfy/refine', 'x', {}, { image: new Blob([PNG_1X1]) }),
+            /does not support image-to-image/
+        );
+    });
+
+    it('fills placeholders and keeps their types', () => {
+        const workflow = fillWorkflow({ a: { inputs: { seed: '{{seed}}', text: 'logo for {{prompt}}', keep: '{{unknown}}', link: ['4', 0] } } }, { seed: 3, prompt: 'Smith' });
+
+        assert.deepEqual(workflow, { a: { inputs: { seed: 3, text: 'logo for Smith', keep: '{{unknown}}', link: ['4', 0] } } });
+    });
+});
+
+describe('OpenAI-compatible provider', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer(({ url, body }) => {
+            if (url !== '/v1/images/generations') return null;
+            if (body.prompt.includes('forbidden')) {
+                return { status: 400, json: { error: { message: 'Your request was rejected by the safety system', type: 'invalid_request_error' } } };
+            }
+            return { json: { created: 1, data: [{ b64_json: Buffer.from(PNG_1X1).toString('base64') }] } };
+        });
+    });
+
+    after(() => server.close());
+
+    const openaiGenerator = (config = {}) => {
+        const generator = createGenerator(null, { providers: [{ id: 'openai', type: 'openai', baseUrl: `${server.url}/v1`, ...config }] });
+        generator.registry.register({ id: 'openai/dall-e-3', provider: 'openai', providerModel: 'dall-e-3', tasks: ['text-to-image', 'inpainting'] });
+        return generator;
+    };
+
+    it('sends the prompt, size and key', async () => {
+        const result = await openaiGenerator({ apiKey: 'sk-test' }).generateWithModel('openai/dall-e-3', 'Law firm logo', { width: 1024, height: 1024 }, { preset: 'none' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.blob.type, 'image/png');
+        const request = server.requests.at(-1);
+        assert.equal(request.headers.authorization, 'Bearer sk-test');
+        assert.deepEqual(request.body, { model: 'dall-e-3', prompt: 'Law firm logo', n: 1, size: '1024x1024', response_format: 'b64_json' });
+        URL.revokeObjectURL(result.imageUrl);
+    });
+
+    it('surfaces the error message from the response', async (t) => {
+        t.mock.method(console, 'error', () => {});
+
+        const result = await openaiGenerator().generateWithModel('openai/dall-e-3', 'forbidden logo');
+
+        assert.equal(result.success, false);
+        assert.equal(result.errorType, 'InferenceError');
+        assert.equal(result.error, 'API Error: Your request was rejected by the safety system');
+    });
+
+    it('needs a key for api.openai.com and does not inpaint', async () => {
+        const generator = createGenerator(null, { providers: [{ id: 'openai', type: 'openai' }] });
+        generator.registry.register({ id: 'openai/gpt-image-1', provider: 'openai', tasks: ['inpainting'] });
+        await assert.rejects(generator.generateWithModel('openai/gpt-image-1', 'x'), /needs an API key/);
+
+        const blob = new Blob([PNG_1X1]);
+        await assert.rejects(openaiGenerator().generateWithModel('openai/dall-e-3', 'x', {}, { image: blob, mask: blob }), /does not support inpainting/);
+    });
+});
+
+describe('ProviderSettings', () => {
+    it('stores providers and routes but never keys', () => {
+        const storage = createMemoryStorage();
+        const settings = new ProviderSettings({ storage });
+
+        const office = settings.saveProvider({ type: 'automatic1111', name: 'Office GPU', baseUrl: 'http://gpu-box:7860', apiKey: 'me:secret' });
+        settings.setRoute(SD21, { provider: office.id, providerModel: 'v2-1_768' });
+        settings.addModel({ provider: office.id, providerModel: 'juggernaut-xl', name: 'Juggernaut' });
+
+        assert.equal(office.id, 'office-gpu');
+        assert.doesNotMatch(storage.getItem('logoi_providers'), /secret/);
+        assert.equal(settings.providerConfigs()[0].apiKey, 'me:secret');
+
+        const registry = new ModelRegistry();
+        const reloaded = new ProviderSettings({ storage });
+        reloaded.applyTo(registry);
+        assert.equal(reloaded.listProviders()[0].hasKey, false);
+        assert.deepEqual([registry.get(SD21).provider, registry.get(SD21).providerModel], ['office-gpu', 'v2-1_768']);
+        assert.equal(registry.get('office-gpu/juggernaut-xl').name, 'Juggernaut');
+    });
+
+    it('sends models back to Hugging Face when their provider is removed', () => {
+        const settings = new ProviderSettings({ storage: createMemoryStorage() });
+        const registry = new ModelRegistry();
+        const comfy = settings.saveProvider({ type: 'comfyui', baseUrl: 'http://localhost:8188' });
+        settings.setRoute(SD21, { provider: comfy.id }, registry);
+        settings.addModel({ provider: comfy.id, providerModel: 'flux-dev' }, registry);
+
+        settings.removeProvider(comfy.id, registry);
+
+        assert.equal(registry.get(SD21).provider, 'huggingface');
+        assert.equal(registry.has('comfyui/flux-dev'), false);
+        assert.deepEqual(settings.listModels(), []);
+    });
+
+    it('validates new providers', () => {
+        const settings = new ProviderSettings({ storage: createMemoryStorage() });
+
+        assert.throws(() => settings.saveProvider({ type: 'comfyui' }), /needs a server URL/);
+        assert.throws(() => settings.saveProvider({ type: 'mock' }), /Unknown provider type/);
+        assert.equal(settings.saveProvider({ type: 'openai' }).id, 'openai');
+        assert.equal(settings.saveProvider({ type: 'openai' }).id, 'openai-2');
+    });
+});
@@ -0,0 +1,291 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createMemoryStorage } = require('./helpers/load-scripts');
+
+loadScripts('secure-key-manager.js');
+
+const API_KEY = 'hf_abcdefghijklmnopqrstuvwxyz0123456789';
+const PASSWORD = 'correct horse battery staple';
+
+// Low iteration counts keep the suite fast; the format is the same
+const createManager = (options = {}) => new SecureKeyManager({
+    storage: createMemoryStorage(),
+    kdf: { name: 'PBKDF2-SHA256', iterations: 1000 },
+    ...options
+});
+
+// Flip one base64 character in an envelope part (4 = salt, 5 = IV, 6 = ciphertext)
+const tamper = (envelope, part) => {
+    const parts = envelope.split('$');
+    const value = parts[part];
+    parts[part] = (value[0] === 'A' ? 'B' : 'A') + value.slice(1);
+    return parts.join('$');
+};
+
+describe('SecureKeyManager key envelope', () => {
+    it('round-trips a key', async () => {
+        const manager = createManager();
+        const envelope = await manager.encryptKey(API_KEY, PASSWORD);
+
+        assert.match(envelope, /^lk\$2\$AES-GCM-256\$PBKDF2-SHA256:1000\$/);
+        assert.equal(envelope.split('$').length, 7);
+        assert.equal(await manager.decryptKey(envelope, PASSWORD), API_KEY);
+    });
+
+    it('uses a fresh salt and IV for every envelope', async () => {
+        const manager = createManager();
+        const [a, b] = await Promise.all([manager.encryptKey(API_KEY, PASSWORD), manager.encryptKey(API_KEY, PASSWORD)]);
+
+        assert.notEqual(a.split('$')[4], b.split('$')[4]);
+        assert.notEqual(a.split('$')[5], b.split('$')[5]);
+    });
+
+    it('describes an envelope without decrypting it', async () => {
+        const manager = createManager();
+        const envelope = await manager.encryptKey(API_KEY, PASSWORD);
+
+        assert.deepEqual(manager.describeEncryptedKey(envelope), {
+            version: 2,
+            cipher: 'AES-GCM-256',
+            kdf: 'PBKDF2-SHA256',
+            iterations: 1000,
+            legacy: false,
+            needsUpgrade: false
+        });
+    });
+
+    it('rejects a wrong password', async () => {
+        const manager = createManager();
+        const envelope = await manager.encryptKey(API_KEY, PASSWORD);
+
+        await assert.rejects(manager.decryptKey(envelope, 'wrong'), /Invalid password or corrupted data/);
+    });
+
+    for (const [part, name] of [[4, 'salt'], [5, 'IV'], [6, 'ciphertext']]) {
+        it(`detects a modified ${name}`, async () => {
+            const manager = createManager();
+            const envelope = await manager.encryptKey(API_KEY, PASSWORD);
+
+            await assert.rejects(manager.decryptKey(tamper(envelope, part), PASSWORD), /Invalid password or corrupted data/);
+        });
+    }
+
+    it('detects a modified header, which is authenticated', async () => {
+        const manager = createManager({ kdf: { name: 'PBKDF2-SHA256', iterations: 1001 } });
+        const envelope = await manager.encryptKey(API_KEY, PASSWORD);
+        const altered = envelope.replace('PBKDF2-SHA256:1001', 'PBKDF2-SHA256:1000');
+
+        await assert.rejects(manager.decryptKey(altered, PASSWORD), /Invalid password or corrupted data/);
+    });
+
+    it('rejects malformed envelopes with a clear message', async () => {
+        const manager = createManager();
+        const envelope = await manager.encryptKey(API_KEY, PASSWORD);
+        const parts = envelope.split('$');
+
+        await assert.rejects(manager.decryptKey(parts.slice(0, 6).join('$'), PASSWORD), /malformed/);
+        await assert.rejects(manager.decryptKey([...parts.slice(0, 6), '%%%not base64%%%'].join('$'), PASSWORD), /malformed/);
+        await assert.rejects(manager.decryptKey(envelope.replace('lk$2$', 'lk$9$'), PASSWORD), /newer than this app supports/);
+        await assert.rejects(manager.decryptKey(envelope.replace('AES-GCM-256', 'ROT13'), PASSWORD), /Unsupported cipher/);
+        await assert.rejects(manager.decryptKey(envelope.replace('PBKDF2-SHA256:1000', 'MD5:1'), PASSWORD), /Unsupported key derivation/);
+        await assert.rejects(manager.decryptKey('not an envelope at all!', PASSWORD), /Invalid password or corrupted data/);
+    });
+
+    it('requires a key and a password', async () => {
+        const manager = createManager();
+
+        await assert.rejects(manager.encryptKey('', PASSWORD), /required/);
+        await assert.rejects(manager.decryptKey('', PASSWORD), /required/);
+    });
+
+    it('upgrades weaker envelopes after a successful unlock', async () => {
+        const weak = createManager({ kdf: { name: 'PBKDF2-SHA256', iterations: 500 } });
+        const envelope = await weak.encryptKey(API_KEY, PASSWORD);
+        const manager = createManager();
+        let upgraded = null;
+
+        const apiKey = await manager.decryptKey(envelope, PASSWORD, { onUpgrade: (value) => { upgraded = value; } });
+
+        assert.equal(apiKey, API_KEY);
+        assert.equal(manager.describeEncryptedKey(upgraded).iterations, 1000);
+        assert.equal(await manager.decryptKey(upgraded, PASSWORD), API_KEY);
+    });
+
+    it('changes the password of a stored profile', async () => {
+        const manager = createManager();
+        const profile = await manager.createProfile({ label: 'Firm', apiKey: API_KEY, password: PASSWORD });
+        const stored = manager.getProfile(profile.id).encryptedKey;
+
+        await manager.changePassword(PASSWORD, 'new password', stored);
+
+        assert.equal(await manager.unlockProfile(profile.id, 'new password'), API_KEY);
+        await assert.rejects(manager.unlockProfile(profile.id, PASSWORD), /Invalid password/);
+    });
+});
+
+describe('SecureKeyManager profile storage', () => {
+    it('keeps profiles across instances', async () => {
+        const storage = createMemoryStorage();
+        const first = createManager({ storage });
+        const profile = await first.createProfile({ label: 'Firm', apiKey: API_KEY, password: PASSWORD });
+
+        const second = createManager({ storage });
+
+        assert.deepEqual(second.listProfiles().map(item => item.label), ['Firm']);
+        assert.equal(second.getActiveProfile().id, profile.id);
+        assert.equal(second.listProfiles()[0].encryptedKey, undefined, 'listings never include the key');
+    });
+
+    it('starts empty when the stored profiles are corrupted', () => {
+        const errors = [];
+        const error = console.error;
+        console.error = (...args) => errors.push(args);
+        try {
+            const manager = createManager({ storage: createMemoryStorage({ hf_key_profiles: '{not json' }) });
+            assert.deepEqual(manager.listProfiles(), []);
+        } finally {
+            console.error = error;
+        }
+        assert.equal(errors.length, 1);
+    });
+
+    it('imports a key from the old single-key slot', async () => {
+        const storage = createMemoryStorage();
+        const legacy = await createManager().encryptKey(API_KEY, PASSWORD);
+        storage.setItem('hf_encrypted_key', legacy);
+
+        const manager = createManager({ storage });
+        const [profile] = manager.listProfiles();
+
+        assert.equal(profile.label, 'Imported key');
+        assert.equal(storage.getItem('hf_encrypted_key'), null);
+        assert.equal(await manager.unlockProfile(profile.id, PASSWORD), API_KEY);
+    });
+
+    it('rejects imported profiles whose key is not a valid envelope', () => {
+        const manager = createManager();
+
+        assert.throws(() => manager.importProfile({ id: 'p1', label: 'Bad', encryptedKey: 'lk$2$broken' }), /malformed/);
+        assert.deepEqual(manager.listProfiles(), []);
+    });
+});
+
+// Virtual authenticator: the PRF output is SHA-256(device secret || salt), so
+// the same device and salt always give the same secret
+const createAuthenticator = ({ prf = true, prfAtCreation = true, deviceSecret = 'device one' } = {}) => {
+    const calls = { create: [], get: [] };
+    const evaluate = async (salt) => {
+        const secret = new TextEncoder().encode(deviceSecret);
+        const input = new Uint8Array(secret.length + salt.byteLength);
+        input.set(secret);
+        input.set(new Uint8Array(salt), secret.length);
+        return crypto.subtle.digest('SHA-256', input);
+    };
+    const results = (first) => (prf ? { prf: { enabled: true, ...(first ? { results: { first } } : {}) } } : {});
+
+    return {
+        calls,
+        create: async (options) => {
+            calls.create.push(options.publicKey);
+            const first = prfAtCreation ? await evaluate(options.publicKey.extensions.prf.eval.first) : null;
+            return { rawId: new Uint8Array([7, 7, 7, 7]).buffer, getClientExtensionResults: () => results(first) };
+        },
+        get: async (options) => {
+            calls.get.push(options.publicKey);
+            const first = await evaluate(options.publicKey.extensions.prf.eval.first);
+            return { getClientExtensionResults: () => results(first) };
+        }
+    };
+};
+
+describe('SecureKeyManager passkeys', () => {
+    const createProfileWith = async (credentials) => {
+        const manager = createManager({ credentials });
+        const profile = await manager.createProfile({ label: 'Firm', apiKey: API_KEY, password: PASSWORD });
+        return { manager, profile };
+    };
+
+    it('adds a passkey and unlocks with it', async () => {
+        const authenticator = createAuthenticator();
+        const { manager, profile } = await createProfileWith(authenticator);
+
+        const updated = await manager.addPasskey(profile.id, PASSWORD, { rpId: 'logoi.test' });
+
+        assert.equal(updated.hasPasskey, true);
+        assert.equal(authenticator.calls.create[0].user.name, 'Firm');
+        assert.equal(authenticator.calls.get.length, 0, 'PRF result came with the new credential');
+        assert.equal(await manager.unlockProfileWithPasskey(profile.id, { rpId: 'logoi.test' }), API_KEY);
+        assert.equal(authenticator.calls.get[0].rpId, 'logoi.test');
+        assert.deepEqual(new Uint8Array(authenticator.calls.get[0].allowCredentials[0].id), new Uint8Array([7, 7, 7, 7]));
+        assert.equal(await manager.unlockProfile(profile.id, PASSWORD), API_KEY, 'the password still works');
+    });
+
+    it('asks for the PRF secret when the authenticator only reports support at creation', async () => {
+        const authenticator = createAuthenticator({ prfAtCreation: false });
+        const { manager, profile } = await createProfileWith(authenticator);
+
+        await manager.addPasskey(profile.id, PASSWORD);
+
+        assert.equal(authenticator.calls.get.length, 1);
+        assert.equal(await manager.unlockProfileWithPasskey(profile.id), API_KEY);
+    });
+
+    it('refuses passkeys without PRF support', async () => {
+        const { manager, profile } = await createProfileWith(createAuthenticator({ prf: false }));
+
+        await assert.rejects(manager.addPasskey(profile.id, PASSWORD), /does not support the PRF extension\. Keep using your password/);
+        assert.equal(manager.getProfile(profile.id).hasPasskey, false);
+    });
+
+    it('checks the password before creating a passkey', async () => {
+        const authenticator = createAuthenticator();
+        const { manager, profile } = await createProfileWith(authenticator);
+
+        await assert.rejects(manager.addPasskey(profile.id, 'wrong password'), /Invalid password/);
+        assert.equal(authenticator.calls.create.length, 0);
+    });
+
+    it('fails cleanly when the passkey returns a different secret', async () => {
+        const { manager, profile } = await createProfileWith(createAuthenticator());
+        await manager.addPasskey(profile.id, PASSWORD);
+
+        manager.credentials = createAuthenticator({ deviceSecret: 'device two' });
+
+        await assert.rejects(manager.unlockProfileWithPasskey(profile.id), /Passkey unlock failed\. Use your password instead/);
+    });
+
+    it('removes the passkey copy and keeps the password', async () => {
+        const { manager, profile } = await createProfileWith(createAuthenticator());
+        await manager.addPasskey(profile.id, PASSWORD);
+
+        assert.equal(manager.removePasskey(profile.id).hasPasskey, false);
+        await assert.rejects(manager.unlockProfileWithPasskey(profile.id), /has no passkey/);
+        assert.equal(await manager.unlockProfile(profile.id, PASSWORD), API_KEY);
+    });
+
+    it('never exports or imports a passkey copy', async () => {
+        const { manager, profile } = await createProfileWith(createAuthenticator());
+        await manager.addPasskey(profile.id, PASSWORD);
+
+        const [exported] = manager.exportProfiles();
+        assert.equal(exported.passkey, null);
+
+        // A bundle from another device replaces the profile: the old passkey wrapped the old key
+        manager.importProfile({ ...exported, label: 'Firm (laptop)' }, { replace: true });
+        assert.equal(manager.getProfile(profile.id).hasPasskey, false);
+        assert.equal(manager.getProfile(profile.id).label, 'Firm (laptop)');
+
+        // Even a profile that still carries one arrives without it
+        const other = createManager();
+        other.importProfile({ ...exported, passkey: { credentialId: 'BwcHBw==', prfSalt: 'AA==', encryptedKey: exported.encryptedKey } });
+        assert.equal(other.getProfile(profile.id).hasPasskey, false);
+        assert.equal(await other.unlockProfile(profile.id, PASSWORD), API_KEY);
+    });
+
+    it('reports browsers without passkeys', async () => {
+        const manager = createManager({ credentials: null });
+
+        assert.equal(manager.isPasskeySupported(), false);
+        await assert.rejects(manager.addPasskey('p1', PASSWORD), /not supported/);
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const SCOPE = 'https://example.test/logoi/';
+
+// Cache Storage stand-in keyed by URL without the query string
+const createCaches = (initial = {}) => {
+    const stores = new Map(Object.entries(initial).map(([name, entries]) => [name, new Map(Object.entries(entries))]));
+    const key = (request) => new URL(typeof request === 'string' ? request : request.url, SCOPE).href.split('?')[0];
+    const open = async (name) => {
+        if (!stores.has(name)) stores.set(name, new Map());
+        const store = stores.get(name);
+        return {
+            addAll: async (requests) => requests.forEach(request => store.set(key(request), `precached ${request}`)),
+            put: async (request, response) => store.set(key(request), response),
+            match: async (request) => store.get(key(request))
+        };
+    };
+    return {
+        stores,
+        open,
+        keys: async () => [...stores.keys()],
+        delete: async (name) => stores.delete(name),
+        match: async (request) => {
+            for (const store of stores.values()) {
+                if (store.has(key(request))) return store.get(key(request));
+            }
+            return undefined;
+        }
+    };
+};
+
+// Run sw.js in a fresh context with a fake worker global
+const loadWorker = ({ caches = createCaches(), fetch = async () => { throw new TypeError('Failed to fetch'); } } = {}) => {
+    const handlers = {};
+    const self = {
+        registration: { scope: SCOPE },
+        addEventListener: (type, handler) => { handlers[type] = handler; },
+        skipWaiting: async () => {},
+        clients: { claim: async () => {} }
+    };
+    const sandbox = { self, caches, fetch, URL, Promise, console, module: { exports: {} } };
+    vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), sandbox, { filename: 'sw.js' });
+
+    // Dispatch an event and wait for everything it handed to waitUntil/respondWith
+    const dispatch = async (type, fields = {}) => {
+        const pending = [];
+        let response;
+        const event = {
+            ...fields,
+            waitUntil: (promise) => pending.push(promise),
+            respondWith: (promise) => { response = promise; }
+        };
+        handlers[type](event);
+        await Promise.all(pending);
+        return { responded: response !== undefined, response: await response };
+    };
+    return { exports: sandbox.module.exports, caches, dispatch };
+};
+
+// Local files a page loads: scripts, stylesheets, manifest, icons
+const localAssets = (html) => [...html.matchAll(/<(?:script|link)\b[^>]*?(?:src|href)="([^"]+)"/g)]
+    .map(match => match[1])
+    .filter(url => !/^[a-z]+:/i.test(url));
+
+describe('service worker', () => {
+    const worker = loadWorker();
+    const { SHELL_FILES, SHELL_CACHE } = worker.exports;
+
+    it('lists shell files that exist', () => {
+        SHELL_FILES.filter(file => file !== './').forEach(file => {
+            assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} is missing`);
+        });
+    });
+
+    it('precaches everything the pages and the manifest load, and nothing from a CDN', () => {
+        const pages = SHELL_FILES.filter(file => file.endsWith('.html'));
+        const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf8'));
+        const assets = [
+            ...pages.flatMap(page => localAssets(fs.readFileSync(path.join(ROOT, page), 'utf8'))),
+            ...manifest.icons.map(icon => icon.src),
+            manifest.start_url
+        ];
+
+        const listed = new Set(SHELL_FILES.map(file => path.posix.normalize(file)));
+        assets.forEach(asset => {
+            assert.ok(listed.has(path.posix.normalize(asset)), `${asset} is not precached`);
+        });
+        pages.forEach(page => {
+            const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+            assert.doesNotMatch(html, /<script[^>]+src="https?:|<link[^>]+href="https?:/, `${page} loads from a CDN`);
+        });
+    });
+
+    it('precaches the shell on install and drops older shells on activate', async () => {
+        const caches = createCaches({ 'logoi-shell-v0': {}, 'other-app': {} });
+        const { dispatch } = loadWorker({ caches });
+
+        await dispatch('install');
+        assert.equal(caches.stores.get(SHELL_CACHE).size, SHELL_FILES.length);
+
+        await dispatch('activate');
+        assert.deepEqual([...caches.stores.keys()].sort(), ['other-app', SHELL_CACHE].sort());
+    });
+
+    it('serves the cached shell offline and refreshes it when online', async () => {
+        const caches = createCaches({ [SHELL_CACHE]: { [`${SCOPE}logo-generator.html`]: 'cached page' } });
+        const offline = loadWorker({ caches });
+
+        const cached = await offline.dispatch('fetch', { request: { url: `${SCOPE}logo-generator.html?v=2`, method: 'GET' } });
+        assert.equal(cached.response, 'cached page');
+
+        const fresh = { ok: true, clone: () => 'fresh page' };
+        const online = loadWorker({ caches, fetch: async () => fresh });
+        await online.dispatch('fetch', { request: { url: `${SCOPE}logo-generator.html`, method: 'GET' } });
+        assert.equal(await (await caches.open(SHELL_CACHE)).match(`${SCOPE}logo-generator.html`), 'fresh page');
+    });
+
+    it('leaves API calls and non-shell requests to the network', async () => {
+        const requests = [
+            { url: 'https://api-inference.huggingface.co/models/m1', method: 'POST' },
+            { url: 'https://api.openai.com/v1/models', method: 'GET' },
+            { url: `${SCOPE}history/abc`, method: 'GET' },
+            { url: `${SCOPE}logo-generator.html`, method: 'POST' }
+        ];
+
+        for (const request of requests) {
+            const { responded } = await worker.dispatch('fetch', { request });
+            assert.equal(responded, false, `${request.method} ${request.url} was intercepted`);
+        }
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createMemoryStorage } = require('./helpers/load-scripts');
+
+loadScripts('session-lock.js');
+
+const MINUTE = 60000;
+
+// window and document stand-ins the test can fire events on
+const createPage = () => {
+    const target = new EventTarget();
+    const document = new EventTarget();
+    document.visibilityState = 'visible';
+    return {
+        target,
+        document,
+        activity: () => target.dispatchEvent(new Event('pointerdown')),
+        setVisibility: (state) => {
+            document.visibilityState = state;
+            document.dispatchEvent(new Event('visibilitychange'));
+        }
+    };
+};
+
+describe('SessionLock', () => {
+    let page;
+    let locks;
+
+    beforeEach((t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        page = createPage();
+        locks = [];
+    });
+
+    const createLock = (settings = {}, storage = createMemoryStorage()) => new SessionLock({
+        onLock: (reason) => locks.push(reason),
+        settings,
+        storage,
+        target: page.target,
+        document: page.document
+    });
+
+    it('locks after the idle time', (t) => {
+        const lock = createLock({ idleMinutes: 2 });
+        lock.start();
+
+        t.mock.timers.tick(2 * MINUTE - 1);
+        assert.deepEqual(locks, []);
+
+        t.mock.timers.tick(1);
+        assert.deepEqual(locks, ['idle']);
+        assert.equal(lock.active, false);
+    });
+
+    it('restarts the idle timer on activity', (t) => {
+        const lock = createLock({ idleMinutes: 2 });
+        lock.start();
+
+        t.mock.timers.tick(90000);
+        page.activity();
+        t.mock.timers.tick(90000);
+        assert.deepEqual(locks, []);
+
+        lock.touch();
+        t.mock.timers.tick(2 * MINUTE - 1);
+        assert.deepEqual(locks, []);
+        t.mock.timers.tick(1);
+        assert.deepEqual(locks, ['idle']);
+    });
+
+    it('never locks for idleness when the timeout is off', (t) => {
+        createLock({ idleMinutes: 0 }).start();
+
+        t.mock.timers.tick(24 * 60 * MINUTE);
+        assert.deepEqual(locks, []);
+    });
+
+    it('locks on a hidden tab only when lockOnHidden is on', () => {
+        const lock = createLock({ lockOnHidden: false });
+        lock.start();
+        page.setVisibility('hidden');
+        assert.deepEqual(locks, []);
+
+        page.setVisibility('visible');
+        lock.configure({ lockOnHidden: true });
+        page.setVisibility('hidden');
+        assert.deepEqual(locks, ['hidden']);
+    });
+
+    it('counts generations down and locks at the limit', () => {
+        const lock = createLock({ maxGenerations: 3 });
+        lock.start();
+
+        assert.equal(lock.remainingGenerations(), 3);
+        assert.equal(lock.recordGeneration(), 2);
+        assert.equal(lock.recordGeneration(), 1);
+        assert.deepEqual(locks, []);
+        assert.equal(lock.recordGeneration(), 0);
+        assert.deepEqual(locks, ['generation-limit']);
+
+        // Unlimited once the limit is removed
+        const unlimited = createLock({ maxGenerations: 0 });
+        unlimited.start();
+        assert.equal(unlimited.recordGeneration(), null);
+    });
+
+    it('locks at once when a new limit is already used up', () => {
+        const lock = createLock({ maxGenerations: 0 });
+        lock.start();
+        lock.recordGeneration();
+        lock.recordGeneration();
+
+        const settings = lock.configure({ maxGenerations: 2 });
+
+        assert.equal(settings.maxGenerations, 2);
+        assert.deepEqual(locks, ['generation-limit']);
+    });
+
+    it('calls onLock only once and stops listening', (t) => {
+        const lock = createLock({ idleMinutes: 1, lockOnHidden: true });
+        lock.start();
+
+        lock.lock();
+        lock.lock('idle');
+        page.setVisibility('hidden');
+        t.mock.timers.tick(10 * MINUTE);
+
+        assert.deepEqual(locks, ['manual']);
+        assert.equal(lock.recordGeneration(), null);
+    });
+
+    it('persists its settings', () => {
+        const storage = createMemoryStorage();
+        createLock({}, storage).configure({ idleMinutes: 5, lockOnHidden: true });
+
+        assert.deepEqual(createLock({}, storage).settings, { idleMinutes: 5, lockOnHidden: true, maxGenerations: 0 });
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createMemoryStorage } = require('./helpers/load-scripts');
+
+loadScripts('usage-ledger.js');
+
+// Ledger whose clock the test sets
+const createLedger = (start = new Date(2026, 2, 15, 12)) => {
+    let now = start;
+    const ledger = new UsageLedger({ storage: createMemoryStorage(), now: () => now });
+    return { ledger, setNow: (date) => { now = date; } };
+};
+
+const record = (ledger, modelId, outcome, extra = {}) => ledger.record({
+    profileId: 'work',
+    provider: 'huggingface',
+    modelId,
+    outcome,
+    latencyMs: 1000,
+    ...extra
+});
+
+describe('UsageLedger', () => {
+    it('summarises a month per model with failure rates and average time', () => {
+        const { ledger } = createLedger();
+        record(ledger, 'm1', 'success', { latencyMs: 2000, attempts: 2 });
+        record(ledger, 'm1', 'success', { latencyMs: 4000 });
+        record(ledger, 'm1', 'error', { errorType: 'ServerError' });
+        record(ledger, 'm2', 'timeout');
+        record(ledger, 'm2', 'cancelled');
+
+        const summary = ledger.summary();
+
+        assert.equal(summary.month, '2026-03');
+        assert.equal(summary.requests, 5);
+        assert.equal(summary.succeeded, 2);
+        assert.equal(summary.failed, 2);
+        assert.equal(summary.cancelled, 1);
+        assert.equal(summary.failureRate, 0.5, 'cancelled requests do not count as failures');
+        assert.equal(summary.avgLatencyMs, 3000, 'only successful requests are timed');
+        assert.equal(summary.retries, 1);
+
+        const [m1, m2] = summary.models;
+        assert.equal(m1.modelId, 'm1');
+        assert.equal(m1.failureRate, 1 / 3);
+        assert.equal(m2.failureRate, 1);
+        assert.equal(m2.avgLatencyMs, null);
+        assert.deepEqual(summary.profiles, [{ profileId: 'work', requests: 5 }]);
+    });
+
+    it('keeps months and key profiles apart', () => {
+        const { ledger, setNow } = createLedger(new Date(2026, 1, 20));
+        record(ledger, 'm1', 'success');
+        setNow(new Date(2026, 2, 2));
+        record(ledger, 'm1', 'success');
+        record(ledger, 'm1', 'success', { profileId: null });
+
+        assert.deepEqual(ledger.months(), ['2026-03', '2026-02']);
+        assert.equal(ledger.summary({ month: '2026-02' }).requests, 1);
+        assert.equal(ledger.summary({ profileId: SESSION_KEY_PROFILE }).requests, 1);
+        assert.equal(ledger.monthlyCount('work'), 1);
+        assert.equal(ledger.monthlyCount(null), 1);
+
+        ledger.clear('2026-02');
+        assert.deepEqual(ledger.months(), ['2026-03']);
+    });
+
+    it('warns past the soft limit and blocks past the hard limit', () => {
+        const { ledger } = createLedger();
+        ledger.setBudget('work', { soft: 3, hard: '5' });
+        record(ledger, 'm1', 'success');
+        record(ledger, 'm1', 'error');
+        record(ledger, 'm1', 'cancelled');
+        record(ledger, 'm1', 'success', { provider: 'office' });
+
+        assert.equal(ledger.checkBudget('work', 1).status, 'ok', 'cancelled and self-hosted requests are free');
+        assert.equal(ledger.checkBudget('work', 2).status, 'warn');
+        assert.match(ledger.checkBudget('work', 2).message, /4 requests, past the soft limit of 3/);
+
+        const blocked = ledger.checkBudget('work', 6);
+        assert.equal(blocked.status, 'block');
+        assert.match(blocked.message, /only 3 of the monthly hard limit \(5\) are left/);
+        assert.equal(ledger.checkBudget('other', 100).status, 'ok', 'other keys have no budget');
+    });
+
+    it('validates and removes budgets', () => {
+        const { ledger } = createLedger();
+
+        assert.throws(() => ledger.setBudget('work', { soft: -1 }), /Soft limit must be a whole number/);
+        assert.throws(() => ledger.setBudget('work', { hard: 2.5 }), /Hard limit must be a whole number/);
+        assert.throws(() => ledger.setBudget('work', { soft: 10, hard: 5 }), /not be above the hard limit/);
+
+        ledger.setBudget('work', { soft: 10, hard: null });
+        assert.deepEqual(ledger.getBudget('work'), { soft: 10, hard: null });
+        ledger.setBudget('work', { soft: '', hard: '' });
+        assert.deepEqual(ledger.getBudget('work'), { soft: null, hard: null });
+    });
+
+    it('keeps only the most recent requests', () => {
+        const storage = createMemoryStorage({
+            [USAGE_STORAGE_KEY]: JSON.stringify(Array.from({ length: 5000 }, (_, i) => ({
+                at: new Date(2026, 0, 1, 0, 0, i).toISOString(),
+                profileId: 'work',
+                provider: 'huggingface',
+                modelId: `old-${i}`,
+                outcome: 'success',
+                latencyMs: 1,
+                attempts: 1
+            })))
+        });
+        const ledger = new UsageLedger({ storage });
+
+        ledger.record({ profileId: 'work', modelId: 'new', outcome: 'success' });
+
+        const entries = ledger.list();
+        assert.equal(entries.length, 5000);
+        assert.equal(entries[0].modelId, 'old-1');
+        assert.equal(entries[entries.length - 1].modelId, 'new');
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts('vectorizer.js');
+
+const WHITE = [255, 255, 255];
+const RED = [220, 20, 40];
+const BLUE = [20, 40, 200];
+
+// Opaque image from a function of (x, y) => [r, g, b]
+const createImage = (width, height, colorAt) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set([...colorAt(x, y), 255], (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+};
+
+// White background, an 8×8 red square and a 2×2 blue speck
+const logo = () => createImage(20, 20, (x, y) => {
+    if (x >= 2 && x < 4 && y >= 16 && y < 18) return BLUE;
+    return x >= 6 && x < 14 && y >= 6 && y < 14 ? RED : WHITE;
+});
+
+const pathFills = (svg) => [...svg.matchAll(/<path fill="(#[0-9a-f]{6})"/g)].map(match => match[1]);
+
+describe('LogoVectorizer', () => {
+    it('clamps the palette to 2–16 colours', () => {
+        // 24 clearly different colours in 2-pixel stripes
+        const stripes = createImage(48, 4, (x) => {
+            const stripe = Math.floor(x / 2);
+            return [(stripe * 97) % 256, (stripe * 53) % 256, (stripe * 29) % 256];
+        });
+        const vectorizer = new LogoVectorizer();
+
+        assert.equal(vectorizer.vectorize(stripes, { paletteSize: 40 }).palette.length, 16);
+        assert.equal(vectorizer.vectorize(stripes, { paletteSize: 1 }).palette.length, 2);
+        assert.equal(vectorizer.vectorize(stripes, { paletteSize: 0 }).palette.length, 2);
+        assert.equal(vectorizer.vectorize(stripes, { paletteSize: 5.4 }).palette.length, 5);
+    });
+
+    it('leaves out the border colour and drops specks below minArea', () => {
+        const result = new LogoVectorizer({ paletteSize: 3 }).vectorize(logo());
+
+        assert.deepEqual([...result.palette].sort(), ['#1428c8', '#dc1428', '#ffffff']);
+        assert.deepEqual(pathFills(result.svg), ['#dc1428']);
+        assert.equal(result.pathCount, 1);
+    });
+
+    it('keeps the background and small details when asked to', () => {
+        const vectorizer = new LogoVectorizer({ paletteSize: 3 });
+
+        // Largest layer first, so details are painted on top
+        assert.deepEqual(pathFills(vectorizer.vectorize(logo(), { dropBackground: false }).svg), ['#ffffff', '#dc1428']);
+        assert.deepEqual(pathFills(vectorizer.vectorize(logo(), { minArea: 1 }).svg), ['#dc1428', '#1428c8']);
+    });
+
+    it('writes a well-formed SVG with one path per kept colour', () => {
+        const { svg, width, height } = new LogoVectorizer({ paletteSize: 3 }).vectorize(logo(), {
+            dropBackground: false,
+            minArea: 1,
+            outputWidth: 200,
+            outputHeight: 200
+        });
+        const lines = svg.split('\n');
+
+        assert.equal(lines[0], '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" width="200" height="200">');
+        assert.equal(lines[lines.length - 1], '</svg>');
+        assert.deepEqual([width, height], [200, 200]);
+        assert.equal(lines.length, 5);
+        lines.slice(1, -1).forEach(line => {
+            assert.match(line, /^<path fill="#[0-9a-f]{6}" fill-rule="evenodd" stroke="#[0-9a-f]{6}" stroke-width="0\.5" stroke-linejoin="round" d="M[^"]+Z"\/>$/);
+        });
+        assert.equal(new Set(pathFills(svg)).size, 3);
+    });
+
+    it('traces straight outlines without smoothing', () => {
+        const { svg } = new LogoVectorizer({ paletteSize: 3, smooth: false }).vectorize(logo());
+
+        assert.match(svg, /d="M ?6[ ,]6/);
+        assert.doesNotMatch(svg, /Q/);
+    });
+});
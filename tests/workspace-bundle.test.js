@@ -0,0 +1,120 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createMemoryStorage } = require('./helpers/load-scripts');
+
+loadScripts('secure-key-manager.js', 'prompt-presets.js', 'session-lock.js', 'workspace-bundle.js');
+
+const API_KEY = 'hf_abcdefghijklmnopqrstuvwxyz0123456789';
+const PASSWORD = 'correct horse battery staple';
+
+const createWorkspace = () => {
+    const keyManager = new SecureKeyManager({
+        storage: createMemoryStorage(),
+        kdf: { name: 'PBKDF2-SHA256', iterations: 1000 }
+    });
+    const promptLibrary = new PromptLibrary({ storage: createMemoryStorage() });
+    const sessionLock = new SessionLock({ storage: createMemoryStorage(), target: null, document: null });
+    return {
+        keyManager,
+        promptLibrary,
+        sessionLock,
+        bundle: new WorkspaceBundle({ keyManager, promptLibrary, sessionLock, storage: createMemoryStorage() })
+    };
+};
+
+describe('WorkspaceBundle.apply', () => {
+    let source;
+    let target;
+
+    beforeEach(async () => {
+        source = createWorkspace();
+        target = createWorkspace();
+        await source.keyManager.createProfile({ label: 'Firm', apiKey: API_KEY, password: PASSWORD });
+        source.promptLibrary.saveTemplate({ name: 'Monogram', template: '{firm} monogram' });
+        source.sessionLock.configure({ idleMinutes: 0, maxGenerations: 0 });
+    });
+
+    const transfer = async () => {
+        const text = await source.bundle.create({ password: PASSWORD });
+        return target.bundle.open(text, PASSWORD);
+    };
+
+    it('imports profiles and templates but leaves the lock settings alone by default', async () => {
+        target.sessionLock.configure({ idleMinutes: 5, maxGenerations: 10 });
+
+        const summary = await target.bundle.apply(await transfer());
+
+        assert.equal(summary.added, 2);
+        assert.equal(target.keyManager.listProfiles().length, 1);
+        assert.equal(target.promptLibrary.toJSON().templates[0].name, 'Monogram');
+        assert.equal(target.sessionLock.settings.idleMinutes, 5);
+        assert.equal(target.sessionLock.settings.maxGenerations, 10);
+    });
+
+    it('applies the lock settings when asked to', async () => {
+        target.sessionLock.configure({ idleMinutes: 5 });
+
+        await target.bundle.apply(await transfer(), { includeSettings: true });
+
+        assert.equal(target.sessionLock.settings.idleMinutes, 0);
+    });
+
+    it('writes nothing when any item is invalid', async () => {
+        const workspace = await transfer();
+        workspace.promptLibrary.presets.push({ id: 'minimalist', name: 'Not mine', positive: [], negative: [] });
+        workspace.promptLibrary.templates.push({ id: 'template-empty', name: 'Empty' });
+
+        await assert.rejects(target.bundle.apply(workspace), (error) => {
+            assert.match(error.message, /Nothing was imported/);
+            assert.match(error.message, /preset "Not mine": Built-in preset minimalist cannot be changed/);
+            assert.match(error.message, /template "Empty": Template name and text are required/);
+            return true;
+        });
+        assert.equal(target.keyManager.listProfiles().length, 0);
+        assert.deepEqual(target.promptLibrary.toJSON().templates, []);
+    });
+});
+
+describe('WorkspaceBundle.collectQrPart', () => {
+    const BUNDLE_TEXT = JSON.stringify({ note: 'Smith & Söhne '.repeat(90) });
+    const fragments = () => bundleToQrLinks(BUNDLE_TEXT, 'https://logos.example/app.html').map(link => link.slice(link.indexOf('#')));
+
+    it('joins the parts in any scan order, counting repeats once', () => {
+        const { bundle } = createWorkspace();
+        const [first, second, third] = fragments();
+
+        assert.equal(bundle.collectQrPart('#tab=history'), null);
+        assert.deepEqual(bundle.collectQrPart(third), { received: 1, total: 3, bundleText: null });
+        assert.deepEqual(bundle.collectQrPart(third), { received: 1, total: 3, bundleText: null });
+        assert.deepEqual(bundle.collectQrPart(first), { received: 2, total: 3, bundleText: null });
+        assert.deepEqual(bundle.collectQrPart(second), { received: 3, total: 3, bundleText: BUNDLE_TEXT });
+    });
+
+    it('counts zero-padded part numbers as the same part', () => {
+        const { bundle } = createWorkspace();
+        const [first] = fragments();
+
+        bundle.collectQrPart(first);
+        assert.equal(bundle.collectQrPart(first.replace('.1.3.', '.01.3.')).received, 1);
+    });
+
+    it('rejects part numbers outside the bundle and a changed total', () => {
+        const { bundle } = createWorkspace();
+        const [first, second] = fragments();
+
+        assert.throws(() => bundle.collectQrPart(first.replace('.1.3.', '.0.3.')), /Workspace code 0 of 3 does not belong/);
+        assert.throws(() => bundle.collectQrPart(first.replace('.1.3.', '.4.3.')), /Workspace code 4 of 3 does not belong/);
+
+        bundle.collectQrPart(first);
+        assert.throws(() => bundle.collectQrPart(second.replace('.2.3.', '.2.2.')), /Workspace code 2 of 2 does not belong/);
+        assert.equal(bundle.collectQrPart(second).received, 2);
+    });
+
+    it('reports parts that cannot be decoded and forgets them', () => {
+        const { bundle } = createWorkspace();
+
+        assert.equal(bundle.collectQrPart('#import=broken.1.2.abc').received, 1);
+        assert.throws(() => bundle.collectQrPart('#import=broken.2.2.de'), /scanned workspace codes could not be read/);
+        assert.equal(bundle.collectQrPart('#import=broken.1.2.abc').received, 1);
+    });
+});
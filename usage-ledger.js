@@ -0,0 +1,331 @@
+/**
+ * Usage Ledger
+ * Records every generation request (key profile, provider, model, outcome,
+ * latency) in localStorage, summarises it per month, and checks the soft
+ * and hard monthly budgets set for each Hugging Face key profile before a
+ * batch is sent.
+ */
+
+const USAGE_STORAGE_KEY = 'logoi_usage';
+const USAGE_BUDGETS_STORAGE_KEY = 'logoi_usage_budgets';
+// About 150 bytes each; older requests are dropped first
+const MAX_USAGE_ENTRIES = 5000;
+// Hugging Face's free tier allows roughly this many requests a month
+const FREE_TIER_MONTHLY_REQUESTS = 1000;
+// Budget key for a key used without a saved profile
+const SESSION_KEY_PROFILE = 'session';
+
+class BudgetExceededError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.used = details.used;
+        this.limit = details.limit;
+    }
+}
+
+class UsageLedger {
+    /**
+     * @param {Object} options - { storage (defaults to localStorage), now () => Date }
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.now = options.now || (() => new Date());
+        this.listeners = new Set();
+    }
+
+    /**
+     * Record one generation request
+     * @param {Object} request - { profileId (null = session key), provider, modelId, task,
+     *                            outcome: 'success' | 'error' | 'timeout' | 'cancelled',
+     *                            errorType, latencyMs, attempts (including retries) }
+     * @returns {Object} - Stored entry
+     */
+    record(request) {
+        const entry = {
+            at: this.now().toISOString(),
+            profileId: request.profileId || SESSION_KEY_PROFILE,
+            provider: request.provider || 'huggingface',
+            modelId: request.modelId,
+            task: request.task || 'text-to-image',
+            outcome: request.outcome,
+            errorType: request.errorType || null,
+            latencyMs: Math.max(0, Math.round(request.latencyMs || 0)),
+            attempts: request.attempts || 1
+        };
+
+        const entries = this.loadEntries();
+        entries.push(entry);
+        this.writeEntries(entries.slice(-MAX_USAGE_ENTRIES));
+        this.notify('record', entry);
+        return entry;
+    }
+
+    /**
+     * Recorded requests, oldest first
+     * @param {Object} filter - { month: 'YYYY-MM', profileId, provider }
+     * @returns {Object[]}
+     */
+    list(filter = {}) {
+        return this.loadEntries().filter(entry => (
+            (!filter.month || monthKey(new Date(entry.at)) === filter.month) &&
+            (!filter.profileId || entry.profileId === filter.profileId) &&
+            (!filter.provider || entry.provider === filter.provider)
+        ));
+    }
+
+    /**
+     * Months with recorded requests, newest first (always includes this month)
+     * @returns {string[]} - 'YYYY-MM'
+     */
+    months() {
+        const months = new Set([monthKey(this.now())]);
+        this.loadEntries().forEach(entry => months.add(monthKey(new Date(entry.at))));
+        return [...months].sort().reverse();
+    }
+
+    /**
+     * Totals, failure rates and average time for a month, overall and per model
+     * @param {Object} filter - { month (default: this month), profileId, provider }
+     * @returns {Object} - { month, ...totals, models: [{ modelId, ...totals }], profiles: [{ profileId, requests }] }
+     */
+    summary(filter = {}) {
+        const month = filter.month || monthKey(this.now());
+        const entries = this.list({ ...filter, month });
+
+        const byModel = new Map();
+        const byProfile = new Map();
+        entries.forEach(entry => {
+            if (!byModel.has(entry.modelId)) byModel.set(entry.modelId, []);
+            byModel.get(entry.modelId).push(entry);
+            byProfile.set(entry.profileId, (byProfile.get(entry.profileId) || 0) + 1);
+        });
+
+        return {
+            month,
+            ...usageTotals(entries),
+            models: [...byModel.entries()]
+                .map(([modelId, items]) => ({ modelId, ...usageTotals(items) }))
+                .sort((a, b) => b.requests - a.requests),
+            profiles: [...byProfile.entries()]
+                .map(([profileId, requests]) => ({ profileId, requests }))
+                .sort((a, b) => b.requests - a.requests)
+        };
+    }
+
+    /**
+     * Monthly request budget of a key profile
+     * @param {string|null} profileId - Key profile ID (null = session key)
+     * @returns {Object} - { soft, hard } (null = no limit)
+     */
+    getBudget(profileId) {
+        const budget = this.loadBudgets()[profileId || SESSION_KEY_PROFILE];
+        return { soft: null, hard: null, ...budget };
+    }
+
+    /**
+     * Set a key profile's monthly budget. Past the soft limit a batch needs
+     * confirming; past the hard limit nothing more is sent this month.
+     * @param {string|null} profileId - Key profile ID (null = session key)
+     * @param {Object} budget - { soft, hard } request counts (null or '' = no limit)
+     * @returns {Object} - Stored budget
+     */
+    setBudget(profileId, budget) {
+        const parse = (value, label) => {
+            if (value === null || value === undefined || value === '') {
+                return null;
+            }
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 0) {
+                throw new Error(`${label} must be a whole number of requests`);
+            }
+            return number;
+        };
+
+        const soft = parse(budget.soft, 'Soft limit');
+        const hard = parse(budget.hard, 'Hard limit');
+        if (soft !== null && hard !== null && soft > hard) {
+            throw new Error('Soft limit must not be above the hard limit');
+        }
+
+        const budgets = this.loadBudgets();
+        const key = profileId || SESSION_KEY_PROFILE;
+        if (soft === null && hard === null) {
+            delete budgets[key];
+        } else {
+            budgets[key] = { soft, hard };
+        }
+        this.writeBudgets(budgets);
+        this.notify('budget', key);
+        return { soft, hard };
+    }
+
+    /**
+     * Check a batch against a key profile's budget before it is sent. Only
+     * Hugging Face requests that were not cancelled count.
+     * @param {string|null} profileId - Key profile ID (null = session key)
+     * @param {number} planned - Requests the batch will send
+     * @returns {Object} - { status: 'ok' | 'warn' | 'block', used, planned, soft, hard, message }
+     */
+    checkBudget(profileId, planned = 1) {
+        const { soft, hard } = this.getBudget(profileId);
+        const used = this.monthlyCount(profileId);
+        const after = used + planned;
+        const result = { status: 'ok', used, planned, soft, hard, message: null };
+
+        if (hard !== null && after > hard) {
+            const left = Math.max(0, hard - used);
+            result.status = 'block';
+            result.message = left === 0
+                ? `Monthly hard limit reached (${used} of ${hard} requests).`
+                : `This needs ${planned} requests but only ${left} of the monthly hard limit (${hard}) are left.`;
+        } else if (soft !== null && after > soft) {
+            result.status = 'warn';
+            result.message = `This takes the month to ${after} requests, past the soft limit of ${soft}.`;
+        }
+        return result;
+    }
+
+    /**
+     * Hugging Face requests sent with a key profile this month
+     * @param {string|null} profileId - Key profile ID (null = session key)
+     * @returns {number}
+     */
+    monthlyCount(profileId) {
+        return this.list({ month: monthKey(this.now()), profileId: profileId || SESSION_KEY_PROFILE, provider: 'huggingface' })
+            .filter(entry => entry.outcome !== 'cancelled')
+            .length;
+    }
+
+    /**
+     * Forget recorded requests (budgets stay)
+     * @param {string} month - Only this month ('YYYY-MM'); omit to clear everything
+     */
+    clear(month = null) {
+        this.writeEntries(month ? this.loadEntries().filter(entry => monthKey(new Date(entry.at)) !== month) : []);
+        this.notify('clear', month);
+    }
+
+    /**
+     * Listen for 'record' (entry), 'budget' (profileId) and 'clear' (month) events
+     * @param {Function} listener - (event, detail) => void
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     */
+    loadEntries() {
+        return this.read(USAGE_STORAGE_KEY, []);
+    }
+
+    /**
+     * @private
+     */
+    writeEntries(entries) {
+        return this.write(USAGE_STORAGE_KEY, entries);
+    }
+
+    /**
+     * @private
+     */
+    loadBudgets() {
+        return this.read(USAGE_BUDGETS_STORAGE_KEY, {});
+    }
+
+    /**
+     * @private
+     */
+    writeBudgets(budgets) {
+        return this.write(USAGE_BUDGETS_STORAGE_KEY, budgets);
+    }
+
+    /**
+     * @private
+     */
+    read(key, fallback) {
+        if (!this.storage) {
+            return fallback;
+        }
+
+        try {
+            return JSON.parse(this.storage.getItem(key)) || fallback;
+        } catch (error) {
+            console.error('Failed to load usage data:', error);
+            return fallback;
+        }
+    }
+
+    /**
+     * @private
+     */
+    write(key, value) {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.error('Failed to store usage data:', error);
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    notify(event, detail) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(event, detail);
+            } catch (error) {
+                console.error('Usage listener failed:', error);
+            }
+        });
+    }
+}
+
+// 'YYYY-MM' in local time, so a month matches the user's calendar
+function monthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// Counts, failure rate (cancelled requests excluded) and average time of successful requests
+function usageTotals(entries) {
+    const count = outcome => entries.filter(entry => entry.outcome === outcome).length;
+    const succeeded = count('success');
+    const failed = count('error') + count('timeout');
+    const cancelled = count('cancelled');
+    const successful = entries.filter(entry => entry.outcome === 'success');
+
+    return {
+        requests: entries.length,
+        succeeded,
+        failed,
+        cancelled,
+        failureRate: succeeded + failed > 0 ? failed / (succeeded + failed) : 0,
+        avgLatencyMs: successful.length > 0
+            ? Math.round(successful.reduce((sum, entry) => sum + entry.latencyMs, 0) / successful.length)
+            : null,
+        retries: entries.reduce((sum, entry) => sum + entry.attempts - 1, 0)
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UsageLedger,
+        BudgetExceededError,
+        monthKey,
+        FREE_TIER_MONTHLY_REQUESTS,
+        SESSION_KEY_PROFILE,
+        USAGE_STORAGE_KEY,
+        USAGE_BUDGETS_STORAGE_KEY
+    };
+}
@@ -0,0 +1,432 @@
+/**
+ * Logo Vectorizer
+ * Converts a raster logo into SVG in the browser: colours are quantized to a
+ * small palette, each colour region is traced into paths, and the paths are
+ * simplified and smoothed
+ */
+
+// Turns sharper than this (in degrees) stay as corners when smoothing
+const CORNER_ANGLE = 70;
+
+// Palette index for transparent pixels, which are never traced
+const TRANSPARENT_INDEX = 255;
+
+class LogoVectorizer {
+    constructor(options = {}) {
+        this.options = {
+            paletteSize: 6,       // colours in the output
+            simplify: 1,          // path tolerance in pixels; higher = fewer points
+            smooth: true,         // curves instead of straight segments
+            minArea: 8,           // drop specks smaller than this (pixels)
+            maxSize: 512,         // trace at most this many pixels per side
+            dropBackground: true, // leave the background colour out of the SVG
+            ...options
+        };
+    }
+
+    /**
+     * Vectorize image pixels
+     * @param {ImageData} imageData - { width, height, data } (RGBA)
+     * @param {Object} overrides - Options for this call (see constructor)
+     * @returns {Object} - { svg, palette, pathCount, width, height }
+     */
+    vectorize(imageData, overrides = {}) {
+        const options = { ...this.options, ...overrides };
+        const { width, height } = imageData;
+        const paletteSize = Math.max(2, Math.min(16, Math.round(options.paletteSize)));
+        const { palette, indices } = quantizeColors(imageData, paletteSize);
+
+        const background = options.dropBackground ? findBorderColor(indices, width, height) : -1;
+        const layers = [];
+
+        palette.forEach((color, index) => {
+            if (index === background) {
+                return;
+            }
+
+            const loops = traceLayer(indices, width, height, index)
+                .filter(loop => Math.abs(polygonArea(loop)) >= options.minArea)
+                .map(loop => simplifyLoop(loop, options.simplify))
+                .filter(loop => loop.length >= 3);
+
+            if (loops.length > 0) {
+                const area = loops.reduce((sum, loop) => sum + Math.abs(polygonArea(loop)), 0);
+                layers.push({ color, loops, area });
+            }
+        });
+
+        // Large shapes first so small details are painted on top
+        layers.sort((a, b) => b.area - a.area);
+
+        const outputWidth = options.outputWidth || width;
+        const outputHeight = options.outputHeight || height;
+        const paths = layers.map(layer => {
+            const hex = colorToHex(layer.color);
+            const d = layer.loops.map(loop => loopToPathData(loop, options.smooth)).join(' ');
+            // A hairline stroke in the fill colour hides anti-aliasing seams between layers
+            return `<path fill="${hex}" fill-rule="evenodd" stroke="${hex}" stroke-width="0.5" stroke-linejoin="round" d="${d}"/>`;
+        });
+
+        const svg = [
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${outputWidth}" height="${outputHeight}">`,
+            ...paths,
+            '</svg>'
+        ].join('\n');
+
+        return {
+            svg,
+            palette: palette.map(colorToHex),
+            pathCount: layers.reduce((sum, layer) => sum + layer.loops.length, 0),
+            width: outputWidth,
+            height: outputHeight
+        };
+    }
+
+    /**
+     * Vectorize an image blob; large images are traced at options.maxSize
+     * @param {Blob} blob - Image
+     * @param {Object} overrides - Options for this call (see constructor)
+     * @returns {Promise<Object>} - { svg, palette, pathCount, width, height }
+     */
+    async vectorizeBlob(blob, overrides = {}) {
+        const options = { ...this.options, ...overrides };
+        const { imageData, width, height } = await loadImageData(blob, options.maxSize);
+        return this.vectorize(imageData, { ...overrides, outputWidth: width, outputHeight: height });
+    }
+}
+
+/**
+ * Reduce an image to a palette (farthest-point seeds refined with k-means)
+ * @param {ImageData} imageData - { width, height, data }
+ * @param {number} size - Palette size
+ * @returns {Object} - { palette: [r, g, b][], indices: Uint8Array (255 = transparent) }
+ */
+function quantizeColors(imageData, size) {
+    const { data } = imageData;
+    const pixelCount = imageData.width * imageData.height;
+
+    // Sample at most ~20k opaque pixels to build the palette
+    const step = Math.max(1, Math.floor(pixelCount / 20000));
+    const samples = [];
+    for (let pixel = 0; pixel < pixelCount; pixel += step) {
+        const i = pixel * 4;
+        if (data[i + 3] >= 128) {
+            samples.push([data[i], data[i + 1], data[i + 2]]);
+        }
+    }
+
+    const indices = new Uint8Array(pixelCount).fill(TRANSPARENT_INDEX);
+    if (samples.length === 0) {
+        return { palette: [], indices };
+    }
+
+    let palette = seedPalette(samples, size);
+
+    for (let iteration = 0; iteration < 6; iteration++) {
+        const sums = palette.map(() => [0, 0, 0, 0]);
+        samples.forEach(sample => {
+            const sum = sums[nearestColor(palette, sample[0], sample[1], sample[2])];
+            sum[0] += sample[0];
+            sum[1] += sample[1];
+            sum[2] += sample[2];
+            sum[3]++;
+        });
+        palette = palette.map((color, index) => {
+            const sum = sums[index];
+            return sum[3] > 0 ? [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]] : color;
+        });
+    }
+    palette = palette.map(color => color.map(Math.round));
+
+    for (let pixel = 0; pixel < pixelCount; pixel++) {
+        const i = pixel * 4;
+        if (data[i + 3] >= 128) {
+            indices[pixel] = nearestColor(palette, data[i], data[i + 1], data[i + 2]);
+        }
+    }
+
+    return { palette, indices };
+}
+
+// Farthest-point seeding: start from the most common colour, then keep adding
+// the colour least like the palette so far. Rare colours (mostly anti-aliasing)
+// are not used as seeds.
+function seedPalette(samples, size) {
+    const buckets = new Map();
+    samples.forEach(([r, g, b]) => {
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+        bucket.count++;
+        bucket.sum[0] += r;
+        bucket.sum[1] += g;
+        bucket.sum[2] += b;
+        buckets.set(key, bucket);
+    });
+
+    const all = Array.from(buckets.values())
+        .map(bucket => ({ count: bucket.count, color: bucket.sum.map(total => total / bucket.count) }))
+        .sort((a, b) => b.count - a.count);
+    const common = all.filter(bucket => bucket.count >= samples.length * 0.001);
+    const candidates = common.length >= size ? common : all;
+
+    const palette = [candidates[0].color];
+    while (palette.length < size) {
+        let best = null;
+        let bestDistance = 0;
+        candidates.forEach(({ color }) => {
+            const distance = Math.min(...palette.map(seed => (
+                (seed[0] - color[0]) ** 2 + (seed[1] - color[1]) ** 2 + (seed[2] - color[2]) ** 2
+            )));
+            if (distance > bestDistance) {
+                best = color;
+                bestDistance = distance;
+            }
+        });
+
+        if (!best) {
+            break; // fewer distinct colours than requested
+        }
+        palette.push(best);
+    }
+
+    return palette;
+}
+
+function nearestColor(palette, r, g, b) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let index = 0; index < palette.length; index++) {
+        const color = palette[index];
+        const distance = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+        if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+// Palette index that covers most of the image border
+function findBorderColor(indices, width, height) {
+    const counts = new Map();
+    const count = (pixel) => {
+        const index = indices[pixel];
+        if (index !== TRANSPARENT_INDEX) {
+            counts.set(index, (counts.get(index) || 0) + 1);
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        count(x);
+        count((height - 1) * width + x);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        count(y * width);
+        count(y * width + width - 1);
+    }
+
+    let best = -1;
+    let bestCount = 0;
+    counts.forEach((total, index) => {
+        if (total > bestCount) {
+            best = index;
+            bestCount = total;
+        }
+    });
+    return best;
+}
+
+/**
+ * Outline every region of one palette colour as closed loops of grid points.
+ * Each pixel side that borders another colour becomes a directed edge
+ * (clockwise around the pixel); the edges are then chained into loops.
+ * @private
+ */
+function traceLayer(indices, width, height, colorIndex) {
+    const stride = width + 1;
+    const outgoing = new Map(); // start vertex -> end vertices
+    let edgeCount = 0;
+
+    const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && indices[y * width + x] === colorIndex;
+    const addEdge = (x1, y1, x2, y2) => {
+        const start = y1 * stride + x1;
+        if (!outgoing.has(start)) {
+            outgoing.set(start, []);
+        }
+        outgoing.get(start).push(y2 * stride + x2);
+        edgeCount++;
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!inside(x, y)) continue;
+            if (!inside(x, y - 1)) addEdge(x, y, x + 1, y);
+            if (!inside(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+            if (!inside(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+            if (!inside(x - 1, y)) addEdge(x, y + 1, x, y);
+        }
+    }
+
+    const loops = [];
+    while (edgeCount > 0) {
+        const [first] = outgoing.keys();
+        const loop = [];
+        let vertex = first;
+
+        do {
+            loop.push([vertex % stride, Math.floor(vertex / stride)]);
+            const ends = outgoing.get(vertex);
+            const next = ends.pop();
+            edgeCount--;
+            if (ends.length === 0) {
+                outgoing.delete(vertex);
+            }
+            vertex = next;
+        } while (vertex !== first && outgoing.has(vertex));
+
+        loops.push(loop);
+    }
+
+    return loops;
+}
+
+// Drop points on straight runs, then Douglas-Peucker with the given tolerance
+function simplifyLoop(loop, tolerance) {
+    const corners = loop.filter((point, index) => {
+        const previous = loop[(index - 1 + loop.length) % loop.length];
+        const next = loop[(index + 1) % loop.length];
+        return (point[0] - previous[0]) * (next[1] - point[1]) !== (point[1] - previous[1]) * (next[0] - point[0]);
+    });
+
+    if (tolerance <= 0 || corners.length < 4) {
+        return corners;
+    }
+
+    // Split the closed loop at the point farthest from the start
+    let far = 0;
+    let farDistance = -1;
+    corners.forEach((point, index) => {
+        const distance = (point[0] - corners[0][0]) ** 2 + (point[1] - corners[0][1]) ** 2;
+        if (distance > farDistance) {
+            far = index;
+            farDistance = distance;
+        }
+    });
+
+    const first = douglasPeucker(corners.slice(0, far + 1), tolerance);
+    const second = douglasPeucker([...corners.slice(far), corners[0]], tolerance);
+    return [...first.slice(0, -1), ...second.slice(0, -1)];
+}
+
+function douglasPeucker(points, tolerance) {
+    if (points.length < 3) {
+        return points;
+    }
+
+    const [ax, ay] = points[0];
+    const [bx, by] = points[points.length - 1];
+    const length = Math.hypot(bx - ax, by - ay) || 1;
+    let index = 0;
+    let max = 0;
+
+    for (let i = 1; i < points.length - 1; i++) {
+        const [px, py] = points[i];
+        const distance = Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length;
+        if (distance > max) {
+            index = i;
+            max = distance;
+        }
+    }
+
+    if (max <= tolerance) {
+        return [points[0], points[points.length - 1]];
+    }
+
+    const left = douglasPeucker(points.slice(0, index + 1), tolerance);
+    const right = douglasPeucker(points.slice(index), tolerance);
+    return [...left.slice(0, -1), ...right];
+}
+
+// Signed area (shoelace formula)
+function polygonArea(loop) {
+    let area = 0;
+    for (let i = 0; i < loop.length; i++) {
+        const [x1, y1] = loop[i];
+        const [x2, y2] = loop[(i + 1) % loop.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    return area / 2;
+}
+
+/**
+ * SVG path data for a closed loop. Smoothing draws quadratic curves between
+ * edge midpoints, keeping sharp corners as corners.
+ * @private
+ */
+function loopToPathData(loop, smooth) {
+    const format = (value) => String(Math.round(value * 100) / 100);
+    const point = (p) => `${format(p[0])} ${format(p[1])}`;
+
+    if (!smooth || loop.length < 3) {
+        return `M${loop.map(point).join('L')}Z`;
+    }
+
+    const count = loop.length;
+    const midpoint = (i) => {
+        const a = loop[i % count];
+        const b = loop[(i + 1) % count];
+        return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    };
+
+    let d = `M${point(midpoint(0))}`;
+    for (let i = 1; i <= count; i++) {
+        const corner = loop[i % count];
+        d += isSharpCorner(loop[(i - 1) % count], corner, loop[(i + 1) % count])
+            ? `L${point(corner)}L${point(midpoint(i))}`
+            : `Q${point(corner)} ${point(midpoint(i))}`;
+    }
+    return `${d}Z`;
+}
+
+function isSharpCorner(previous, corner, next) {
+    const a = Math.atan2(corner[1] - previous[1], corner[0] - previous[0]);
+    const b = Math.atan2(next[1] - corner[1], next[0] - corner[0]);
+    let turn = Math.abs(b - a) * 180 / Math.PI;
+    if (turn > 180) {
+        turn = 360 - turn;
+    }
+    return turn > CORNER_ANGLE;
+}
+
+function colorToHex(color) {
+    return `#${color.map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Decode a blob, scaled down so neither side exceeds maxSize
+async function loadImageData(blob, maxSize) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+    const traceWidth = Math.max(1, Math.round(bitmap.width * scale));
+    const traceHeight = Math.max(1, Math.round(bitmap.height * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = traceWidth;
+    canvas.height = traceHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, traceWidth, traceHeight);
+
+    const result = {
+        imageData: ctx.getImageData(0, 0, traceWidth, traceHeight),
+        width: bitmap.width,
+        height: bitmap.height
+    };
+    if (bitmap.close) {
+        bitmap.close();
+    }
+    return result;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LogoVectorizer, quantizeColors };
+}
@@ -0,0 +1,425 @@
+/**
+ * Workspace Bundle
+ * Moves key profiles, prompt templates, presets, settings and (optionally)
+ * the generation history between devices as one encrypted file, or as a
+ * series of QR codes for small bundles
+ *
+ * Bundle file (JSON):
+ *   { format: 'logoi-workspace', version, createdAt, contains: [...], data }
+ * `data` is the workspace JSON encrypted with SecureKeyManager (AES-GCM,
+ * PBKDF2) under the bundle password. Key profiles inside stay encrypted with
+ * their own passwords as well.
+ */
+
+const WORKSPACE_BUNDLE_FORMAT = 'logoi-workspace';
+const WORKSPACE_BUNDLE_VERSION = 1;
+
+// How an imported item that already exists here is handled
+const IMPORT_STRATEGIES = ['keep-both', 'replace', 'skip'];
+
+// QR parts are links back to the app: <app url>#import=<bundle id>.<part>.<total>.<chunk>
+const QR_CHUNK_SIZE = 800;
+const MAX_QR_PARTS = 12;
+const BUNDLE_PARTS_STORAGE_KEY = 'logoi_bundle_parts';
+
+class WorkspaceBundle {
+    /**
+     * @param {Object} options - { keyManager, promptLibrary, history (optional), sessionLock (optional),
+     *                             reviews (ImageReviews, optional), storage (defaults to localStorage) }
+     */
+    constructor(options = {}) {
+        this.keyManager = options.keyManager;
+        this.promptLibrary = options.promptLibrary;
+        this.history = options.history || null;
+        this.sessionLock = options.sessionLock || null;
+        this.reviews = options.reviews || null;
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    }
+
+    /**
+     * Build an encrypted bundle of this workspace
+     * @param {Object} options - { password, includeHistory }
+     * @returns {Promise<string>} - Bundle file contents
+     */
+    async create(options = {}) {
+        if (!options.password) {
+            throw new Error('A bundle password is required');
+        }
+
+        const workspace = {
+            profiles: this.keyManager.exportProfiles(),
+            promptLibrary: this.promptLibrary.toJSON(),
+            settings: this.sessionLock ? { lock: { ...this.sessionLock.settings } } : {}
+        };
+
+        // Ratings and votes are small; model win rates make sense even without the images
+        if (this.reviews) {
+            workspace.reviews = this.reviews.toJSON();
+        }
+
+        if (options.includeHistory) {
+            if (!this.history) {
+                throw new Error('History is not available');
+            }
+            const { sessions, images } = await this.history.exportRecords();
+            workspace.history = {
+                sessions,
+                images: await Promise.all(images.map(async ({ blob, ...image }) => ({
+                    ...image,
+                    blob: await blobToBase64Data(blob)
+                })))
+            };
+        }
+
+        return JSON.stringify({
+            format: WORKSPACE_BUNDLE_FORMAT,
+            version: WORKSPACE_BUNDLE_VERSION,
+            createdAt: new Date().toISOString(),
+            contains: Object.keys(workspace),
+            data: await this.keyManager.encryptKey(JSON.stringify(workspace), options.password)
+        });
+    }
+
+    /**
+     * Read a bundle's unencrypted header
+     * @param {string} bundleText - Bundle file contents
+     * @returns {Object} - { version, createdAt, contains }
+     */
+    describe(bundleText) {
+        const bundle = parseBundle(bundleText);
+        return { version: bundle.version, createdAt: bundle.createdAt, contains: bundle.contains || [] };
+    }
+
+    /**
+     * Decrypt a bundle
+     * @param {string} bundleText - Bundle file contents
+     * @param {string} password - Bundle password
+     * @returns {Promise<Object>} - { profiles, promptLibrary, settings, reviews, history? }
+     */
+    async open(bundleText, password) {
+        const bundle = parseBundle(bundleText);
+
+        let workspace;
+        try {
+            workspace = JSON.parse(await this.keyManager.decryptKey(bundle.data, password, { upgrade: false }));
+        } catch (error) {
+            throw new Error('Could not open the bundle. Check the bundle password.');
+        }
+
+        return {
+            profiles: workspace.profiles || [],
+            promptLibrary: { presets: [], templates: [], values: {}, ...(workspace.promptLibrary || {}) },
+            settings: workspace.settings || {},
+            reviews: workspace.reviews || null,
+            history: workspace.history || null
+        };
+    }
+
+    /**
+     * Items in a decrypted bundle that already exist here with different contents
+     * @param {Object} workspace - Result of open()
+     * @returns {Object[]} - { kind: 'profile' | 'preset' | 'template', id, name }
+     */
+    findConflicts(workspace) {
+        const conflicts = [];
+        const check = (kind, items, existing, nameOf) => {
+            items.forEach(item => {
+                const current = existing.find(other => other.id === item.id);
+                if (current && !sameItem(kind, current, item)) {
+                    conflicts.push({ kind, id: item.id, name: nameOf(item) });
+                }
+            });
+        };
+
+        check('profile', workspace.profiles, this.keyManager.exportProfiles(), item => item.label);
+        check('preset', workspace.promptLibrary.presets, this.promptLibrary.toJSON().presets, item => item.name);
+        check('template', workspace.promptLibrary.templates, this.promptLibrary.toJSON().templates, item => item.name);
+        return conflicts;
+    }
+
+    /**
+     * Merge a decrypted bundle into this workspace
+     * @param {Object} workspace - Result of open()
+     * @param {Object} options - { strategy: default for conflicts ('keep-both'),
+     *                             resolutions: { '<kind>:<id>': strategy } per item,
+     *                             includeHistory (default true),
+     *                             includeSettings: also apply the bundle's auto-lock settings (default false) }
+     * @returns {Promise<Object>} - { added, replaced, copied, skipped, unchanged, reviews, history }
+     * @throws {Error} - Before anything is written, when any profile, preset or template is invalid
+     */
+    async apply(workspace, options = {}) {
+        const strategy = options.strategy || 'keep-both';
+        const resolutions = options.resolutions || {};
+        [strategy, ...Object.values(resolutions)].forEach(value => {
+            if (!IMPORT_STRATEGIES.includes(value)) {
+                throw new Error(`Unknown import strategy: ${value}`);
+            }
+        });
+
+        const summary = { added: 0, replaced: 0, copied: 0, skipped: 0, unchanged: 0, reviews: null, history: null };
+        const conflicts = new Set(this.findConflicts(workspace).map(conflict => `${conflict.kind}:${conflict.id}`));
+        const existingProfiles = this.keyManager.exportProfiles();
+        const library = this.promptLibrary.toJSON();
+
+        // Decides what to do with one item and counts it
+        const resolve = (kind, item, exists) => {
+            const key = `${kind}:${item.id}`;
+            if (!exists) {
+                summary.added++;
+                return 'add';
+            }
+            if (!conflicts.has(key)) {
+                summary.unchanged++;
+                return 'skip';
+            }
+            const choice = resolutions[key] || strategy;
+            summary[{ 'keep-both': 'copied', replace: 'replaced', skip: 'skipped' }[choice]]++;
+            return choice;
+        };
+
+        // Decide on and check every item before anything is written, so one
+        // bad item cannot leave the workspace half-imported
+        const writes = [];
+        const invalid = [];
+        const plan = (kind, items, existing, validate, write) => {
+            items.forEach(item => {
+                const action = resolve(kind, item, existing.some(other => other.id === item.id));
+                if (action === 'skip') {
+                    return;
+                }
+                try {
+                    validate(item, action);
+                    writes.push(() => write(item, action));
+                } catch (error) {
+                    invalid.push(`${kind} "${item.name || item.label || item.id}": ${error.message}`);
+                }
+            });
+        };
+
+        plan('profile', workspace.profiles, existingProfiles,
+            profile => this.keyManager.validateProfile(profile),
+            (profile, action) => (action === 'keep-both'
+                ? this.keyManager.importProfile(profile, { copy: true, label: `${profile.label} (imported)` })
+                : this.keyManager.importProfile(profile, { replace: action === 'replace' })));
+
+        plan('preset', workspace.promptLibrary.presets, library.presets,
+            (preset, action) => this.promptLibrary.validatePreset(action === 'keep-both' ? { ...preset, id: undefined } : preset),
+            (preset, action) => this.promptLibrary.savePreset(action === 'keep-both'
+                ? { ...preset, id: undefined, name: `${preset.name} (imported)` }
+                : preset));
+
+        plan('template', workspace.promptLibrary.templates, library.templates,
+            template => this.promptLibrary.validateTemplate(template),
+            (template, action) => this.promptLibrary.saveTemplate(action === 'keep-both'
+                ? { ...template, id: undefined, name: `${template.name} (imported)` }
+                : template));
+
+        if (invalid.length > 0) {
+            throw new Error(`Nothing was imported. The bundle has invalid items: ${invalid.join('; ')}`);
+        }
+        writes.forEach(write => write());
+
+        // Placeholder values: fill in the blanks, overwrite only when replacing
+        const values = workspace.promptLibrary.values || {};
+        this.promptLibrary.setValues(strategy === 'replace' ? values : { ...values, ...this.promptLibrary.getValues() });
+
+        if (options.includeSettings && this.sessionLock && workspace.settings.lock) {
+            this.sessionLock.configure(workspace.settings.lock);
+        }
+
+        if (this.reviews && workspace.reviews) {
+            summary.reviews = this.reviews.merge(workspace.reviews, { replace: strategy === 'replace' });
+        }
+
+        if (options.includeHistory !== false && workspace.history && this.history) {
+            summary.history = await this.history.importRecords({
+                sessions: workspace.history.sessions,
+                images: workspace.history.images.map(image => ({
+                    ...image,
+                    blob: base64DataToBlob(image.blob, image.type)
+                }))
+            }, { replace: strategy === 'replace' });
+        }
+
+        return summary;
+    }
+
+    /**
+     * Collect a scanned QR part (from the page URL's #import= fragment)
+     * @param {string} fragment - location.hash
+     * @returns {Object|null} - { received, total, bundleText (once complete) }, or null if not a part
+     * @throws {Error} If the part does not fit the bundle or the joined parts cannot be decoded
+     */
+    collectQrPart(fragment) {
+        const match = /^#?import=([\w-]+)\.(\d+)\.(\d+)\.([\w-]+)$/.exec(fragment || '');
+        if (!match) {
+            return null;
+        }
+
+        const [, bundleId, part, total, chunk] = match;
+        const index = Number(part);
+        const parts = this.loadParts();
+        const entry = parts[bundleId] || { total: Number(total), chunks: {}, updatedAt: null };
+        if (index < 1 || index > entry.total || Number(total) !== entry.total) {
+            throw new Error(`Workspace code ${part} of ${total} does not belong to this bundle. Scan the codes again.`);
+        }
+        entry.chunks[index] = chunk;
+        entry.updatedAt = Date.now();
+        parts[bundleId] = entry;
+
+        const received = Object.keys(entry.chunks).length;
+        if (received < entry.total) {
+            this.saveParts(parts);
+            return { received, total: entry.total, bundleText: null };
+        }
+
+        delete parts[bundleId];
+        this.saveParts(parts);
+        const encoded = Array.from({ length: entry.total }, (_, i) => entry.chunks[i + 1]).join('');
+        try {
+            return { received, total: entry.total, bundleText: base64UrlDecode(encoded) };
+        } catch (error) {
+            throw new Error('The scanned workspace codes could not be read. Scan them again or use the bundle file.');
+        }
+    }
+
+    /**
+     * @private
+     */
+    loadParts() {
+        if (!this.storage) {
+            return {};
+        }
+
+        try {
+            const parts = JSON.parse(this.storage.getItem(BUNDLE_PARTS_STORAGE_KEY)) || {};
+            // Forget half-scanned bundles after a day
+            const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+            Object.keys(parts).forEach(id => {
+                if (parts[id].updatedAt < cutoff) {
+                    delete parts[id];
+                }
+            });
+            return parts;
+        } catch (error) {
+            console.error('Failed to load scanned bundle parts:', error);
+            return {};
+        }
+    }
+
+    /**
+     * @private
+     */
+    saveParts(parts) {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            if (Object.keys(parts).length === 0) {
+                this.storage.removeItem(BUNDLE_PARTS_STORAGE_KEY);
+            } else {
+                this.storage.setItem(BUNDLE_PARTS_STORAGE_KEY, JSON.stringify(parts));
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to store scanned bundle parts:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Split a bundle into QR code links. Scanning each with a phone camera opens
+ * the app, which collects the parts until the bundle is complete.
+ * @param {string} bundleText - Bundle file contents (without history)
+ * @param {string} appUrl - URL of logo-generator.html
+ * @returns {string[]} - One link per QR code
+ * @throws {Error} - When the bundle needs more than MAX_QR_PARTS codes
+ */
+function bundleToQrLinks(bundleText, appUrl) {
+    const encoded = base64UrlEncode(bundleText);
+    const total = Math.ceil(encoded.length / QR_CHUNK_SIZE);
+    if (total > MAX_QR_PARTS) {
+        throw new Error(`Bundle is too large for QR codes (${total} codes needed, max ${MAX_QR_PARTS}). Use the file instead.`);
+    }
+
+    const bundleId = Math.random().toString(36).slice(2, 10);
+    const base = appUrl.split('#')[0];
+    return Array.from({ length: total }, (_, i) => (
+        `${base}#import=${bundleId}.${i + 1}.${total}.${encoded.slice(i * QR_CHUNK_SIZE, (i + 1) * QR_CHUNK_SIZE)}`
+    ));
+}
+
+function parseBundle(bundleText) {
+    let bundle;
+    try {
+        bundle = JSON.parse(bundleText);
+    } catch (error) {
+        throw new Error('Not a workspace bundle');
+    }
+
+    if (!bundle || bundle.format !== WORKSPACE_BUNDLE_FORMAT || !bundle.data) {
+        throw new Error('Not a workspace bundle');
+    }
+    if (bundle.version > WORKSPACE_BUNDLE_VERSION) {
+        throw new Error(`Workspace bundle version ${bundle.version} is newer than this app supports`);
+    }
+    return bundle;
+}
+
+// Items with the same ID are only a conflict when their contents differ
+function sameItem(kind, a, b) {
+    if (kind === 'profile') {
+        return a.encryptedKey === b.encryptedKey && a.label === b.label;
+    }
+    const { id: idA, ...restA } = a;
+    const { id: idB, ...restB } = b;
+    return JSON.stringify(restA) === JSON.stringify(restB);
+}
+
+function base64UrlEncode(text) {
+    const bytes = new TextEncoder().encode(text);
+    return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    return new TextDecoder().decode(base64ToBytes(base64 + '='.repeat((4 - base64.length % 4) % 4)));
+}
+
+function bytesToBase64(bytes) {
+    // Chunked so large images do not overflow the argument list
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function blobToBase64Data(blob) {
+    return bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+}
+
+function base64DataToBlob(base64, type = 'image/png') {
+    return new Blob([base64ToBytes(base64)], { type });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WorkspaceBundle,
+        WORKSPACE_BUNDLE_FORMAT,
+        IMPORT_STRATEGIES,
+        bundleToQrLinks
+    };
+}